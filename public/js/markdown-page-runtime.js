@@ -4,8 +4,6 @@
     version: ctx.version || "dev",
     theme: ctx.theme || "anonymous-light",
     assetsMount: ctx.assetsMount || "/public",
-    tocMarker: ctx.tocMarker || "MD-T0C-T0KEN",
-    frontMatter: ctx.frontMatter || {},
     requestPath: ctx.requestPath || "/",
     title: ctx.title || "Markdown Document",
     themes: Array.isArray(ctx.themes) ? ctx.themes : [],
@@ -28,191 +26,219 @@
     });
   }
 
-  const markdown = decodeMarkdown(ctx.markdownBase64 || "");
-  const normalizedMarkdown = normalizeMarkdown(markdown, state.tocMarker);
   const writeEl = document.getElementById("write");
-
   if (!writeEl) {
     return;
   }
 
-  if (!normalizedMarkdown.trim()) {
-    writeEl.innerHTML = buildEmptyMessage();
-    return;
-  }
-
-  const md = window.markdownit({
-    html: true,
-    linkify: true,
-    typographer: true,
-    breaks: false,
-  });
-
-  // 不启用 sub/sup 插件，避免在 $$ 内改写 \_ / ^，导致 KaTeX 解析失败
-  if (window.markdownitMark) md.use(window.markdownitMark);
-  if (window.markdownitFootnote) md.use(window.markdownitFootnote);
-  if (window.markdownitTaskLists)
-    md.use(window.markdownitTaskLists, { label: true, labelAfter: true });
-
-  let rendered = md.render(normalizedMarkdown);
-    const tocHtml = '<div id="md-toc" data-toc-placeholder="1"></div>';
-    const tocMarkers = [
-      state.tocMarker,
-      "__MD_TOC_PLACEHOLDER__",
-      "MD_TOC_PLACEHOLDER",
-      "MD_TOC_PLACEHOLDER__"
-    ].filter(Boolean);
-
-    tocMarkers.forEach((marker) => {
-      rendered = rendered.split(marker).join(tocHtml);
-    });
-
-    rendered = rendered.replace(
-      /<p>\s*(<div id="md-toc" data-toc-placeholder="1"><\/div>)\s*<\/p>/gi,
-      "$1"
-    );
+  // 正文（标题 ID、目录、提示块、代码高亮）已由服务端渲染，这里只补充 Mermaid 与 KaTeX
+  hydrateArticle(writeEl, ctx.hydrate || {}, state);
 
-  writeEl.innerHTML = rendered;
-
-  const frontTitle = state.frontMatter.title || state.title;
-  document.title = `${frontTitle} - Markdown Preview`;
-  renderFrontMatterMeta(state.frontMatter, state.requestPath);
-
-  applyHeadingIds(writeEl);
-  buildToc(writeEl);
-  transformCallouts(writeEl);
-  transformMermaid(writeEl, state.theme);
-  highlightCode(writeEl);
-  renderMath(writeEl);
-  restyleMermaid(writeEl);
+  if (ctx.edit) {
+    setupEditor(ctx.edit, writeEl, state);
+  } else {
+    watchSource(state, () => window.location.reload());
+  }
 })();
 
-function decodeMarkdown(base64) {
-  if (!base64) return "";
-  try {
-    const binary = atob(base64);
-    if (window.TextDecoder) {
-      const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
-      return new TextDecoder("utf-8").decode(bytes);
-    }
-    return decodeURIComponent(escape(binary));
-  } catch (err) {
-    console.warn("Failed to decode markdown payload", err);
-    return "";
+function hydrateArticle(root, hydrate, state) {
+  const theme = document.documentElement.getAttribute("data-theme") || state.theme;
+  const tasks = [];
+  if (hydrate.mermaid) {
+    tasks.push(loadScript(`${state.assetsMount}/vendor/mermaid.min.js`, () => window.mermaid)
+      .then(() => hydrateMermaid(root, theme)));
   }
+  if (hydrate.math) {
+    loadStylesheet("katex-stylesheet", `${state.assetsMount}/vendor/katex.min.css`);
+    tasks.push(loadScript(`${state.assetsMount}/vendor/katex.min.js`, () => window.katex)
+      .then(() => loadScript(`${state.assetsMount}/vendor/auto-render.min.js`, () => window.renderMathInElement))
+      .then(() => renderMath(root)));
+  }
+  return Promise.all(tasks.map((task) => task.catch((err) => console.warn(err.message))))
+    .then(() => restyleMermaid(root));
 }
 
-function normalizeMarkdown(markdown, tocMarker) {
-  const body = stripFrontMatter(markdown).body;
-  return body.replace(/\[toc\]/gi, tocMarker || "MD-T0C-T0KEN");
-}
-
-function stripFrontMatter(markdown) {
-  const frontMatterRegex = /^---\s*\r?\n([\s\S]*?)\r?\n---\s*\r?\n?/;
-  const match = markdown.match(frontMatterRegex);
-  if (!match) return { body: markdown, frontMatter: {} };
-  return { body: markdown.replace(frontMatterRegex, ""), frontMatter: {} };
+// 编辑时正文才开始使用图表或公式，按需载入对应脚本（页面已包含时直接返回）
+function loadScript(src, ready) {
+  if (ready()) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    script.src = src;
+    script.onload = () => resolve();
+    script.onerror = () => reject(new Error(`加载失败: ${src}`));
+    document.head.appendChild(script);
+  });
 }
 
-function buildEmptyMessage() {
-  return [
-    '<div class="empty-state">',
-    "<p>没有可渲染的 Markdown 内容。</p>",
-    "<p>请通过文件服务访问 .md 文件以载入内容。</p>",
-    "</div>",
-  ].join("");
+function loadStylesheet(id, href) {
+  if (document.getElementById(id) || document.querySelector(`link[href="${href}"]`)) return;
+  const link = document.createElement("link");
+  link.id = id;
+  link.rel = "stylesheet";
+  link.href = href;
+  document.head.appendChild(link);
 }
 
-function slugify(text) {
-  return (text || "")
-    .trim()
-    .toLowerCase()
-    .replace(/[^\p{L}\p{N}\s-]/gu, "")
-    .replace(/\s+/g, "-")
-    .replace(/-+/g, "-");
-}
+// 订阅 files.changed，当前文件在其他页面或其他途径被修改时回调
+function watchSource(state, onChange) {
+  if (!window.WebSocket) return;
+  let target;
+  try {
+    target = decodeURIComponent(state.requestPath);
+  } catch (_) {
+    return;
+  }
 
-function applyHeadingIds(root) {
-  const used = new Map();
-  root.querySelectorAll("h1, h2, h3, h4, h5, h6").forEach((el) => {
-    const baseId = slugify(el.textContent || "heading");
-    let candidate = baseId || "heading";
-    let counter = 1;
-    while (used.has(candidate)) {
-      candidate = `${baseId || "heading"}-${counter++}`;
-    }
-    used.set(candidate, true);
-    el.id = candidate;
-  });
+  let retries = 0;
+  const connect = () => {
+    const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+    const socket = new WebSocket(`${protocol}//${window.location.host}/ws`);
+    socket.addEventListener("open", () => {
+      retries = 0;
+      socket.send(JSON.stringify({ type: "subscribe", channel: "files.changed" }));
+    });
+    socket.addEventListener("message", (evt) => {
+      let message;
+      try {
+        message = JSON.parse(evt.data);
+      } catch (_) {
+        return;
+      }
+      const data = message && message.type === "event" && message.channel === "files.changed" ? message.data : null;
+      if (data && data.path === target && data.action !== "delete") onChange(data);
+    });
+    // 断线后逐步放慢重连，最多尝试 5 次
+    socket.addEventListener("close", () => {
+      if (retries < 5) setTimeout(connect, 2000 * 2 ** retries++);
+    });
+  };
+  connect();
 }
 
-function buildToc(root) {
-  const tocHost = root.querySelector("[data-toc-placeholder]");
-  if (!tocHost) return;
-
-  const headings = root.querySelectorAll("h1, h2, h3, h4, h5, h6");
-  if (!headings.length) return;
-
-  const list = document.createElement("ul");
-  list.className = "toc-list";
-
-  headings.forEach((node) => {
-    const level = Number(node.tagName.replace("H", ""));
-    const item = document.createElement("li");
-    item.className = `toc-item toc-level-${level}`;
+function setupEditor(edit, writeEl, state) {
+  const sourceEl = document.getElementById("editor-source");
+  const saveEl = document.getElementById("editor-save");
+  const statusEl = document.getElementById("editor-status");
+  const titleEl = document.getElementById("page-title");
+  const metaEl = document.getElementById("frontmatter-meta");
+  if (!sourceEl) return;
+
+  const editState = {
+    etag: edit.etag,
+    mtime: edit.mtime,
+    eol: edit.eol === "\r\n" ? "\r\n" : "\n",
+    saved: sourceEl.value,
+    saving: false,
+    previewTimer: null,
+    previewSeq: 0,
+  };
+  const dirty = () => sourceEl.value !== editState.saved;
+  const setStatus = (text, kind) => {
+    if (!statusEl) return;
+    statusEl.textContent = text;
+    statusEl.dataset.kind = kind || "";
+  };
 
-    const link = document.createElement("a");
-    link.href = `#${node.id}`;
-    link.textContent = node.textContent || "";
+  // 预览由服务端渲染（与只读页面同一渲染管线），只采用最后一次请求的结果
+  const refreshPreview = () => {
+    const seq = ++editState.previewSeq;
+    fetch(`${state.requestPath}?preview=1`, {
+      method: "POST",
+      headers: { "Content-Type": "text/markdown; charset=utf-8" },
+      body: sourceEl.value,
+    })
+      .then((res) => res.json().then((body) => {
+        if (!res.ok || !body.success) throw new Error(body.message || `预览失败 (${res.status})`);
+        return body;
+      }))
+      .then((body) => {
+        if (seq !== editState.previewSeq) return;
+        writeEl.innerHTML = body.html;
+        if (titleEl) titleEl.textContent = body.title || state.title;
+        if (metaEl) metaEl.innerHTML = body.meta;
+        hydrateArticle(writeEl, body.hydrate || {}, state);
+      })
+      .catch((err) => {
+        if (seq === editState.previewSeq) setStatus(err.message, "error");
+      });
+  };
 
-    item.appendChild(link);
-    list.appendChild(item);
+  sourceEl.addEventListener("input", () => {
+    setStatus(dirty() ? "未保存" : "已保存", dirty() ? "dirty" : "");
+    clearTimeout(editState.previewTimer);
+    editState.previewTimer = setTimeout(refreshPreview, 300);
   });
 
-  tocHost.classList.add("md-toc");
-  tocHost.innerHTML = "";
-  tocHost.appendChild(list);
-}
+  const save = () => {
+    if (editState.saving) return;
+    if (!dirty()) {
+      setStatus("已保存");
+      return;
+    }
+    editState.saving = true;
+    const text = sourceEl.value;
+    setStatus("保存中…", "busy");
+    fetch(state.requestPath, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "text/markdown; charset=utf-8",
+        "If-Match": editState.etag,
+      },
+      // 文本框统一使用 \n，写回时还原文件原有的换行符
+      body: editState.eol === "\n" ? text : text.replace(/\n/g, editState.eol),
+    })
+      .then((res) => res.json().then((body) => ({ res, body })))
+      .then(({ res, body }) => {
+        if (res.status === 412) {
+          setStatus("文件已在其他位置修改，请复制修改内容后重新载入", "error");
+          return;
+        }
+        if (!res.ok || !body.success) throw new Error(body.message || `保存失败 (${res.status})`);
+        editState.etag = body.etag;
+        editState.mtime = body.mtime;
+        editState.saved = text;
+        setStatus(dirty() ? "未保存" : "已保存", dirty() ? "dirty" : "");
+      })
+      .catch((err) => setStatus(err.message || "保存失败", "error"))
+      .finally(() => {
+        editState.saving = false;
+      });
+  };
 
-function transformCallouts(root) {
-  const pattern = /^\s*\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)]\s*/i;
-  root.querySelectorAll("blockquote").forEach((block) => {
-    const first = block.firstElementChild;
-    if (!first || first.tagName !== "P") return;
-
-    const html = first.innerHTML || "";
-    const match = html.match(pattern);
-    if (!match) return;
-
-    const type = match[1].toLowerCase();
-    first.innerHTML = html.replace(pattern, "").trim();
-    const labelMap = {
-      note: "NOTE",
-      tip: "TIP",
-      important: "IMPORTANT",
-      warning: "WARNING",
-      caution: "CAUTION",
-    };
-
-    block.classList.add("md-callout", `md-callout-${type}`);
-    block.setAttribute("data-callout-label", labelMap[type] || type.toUpperCase());
+  if (saveEl) saveEl.addEventListener("click", save);
+  document.addEventListener("keydown", (evt) => {
+    if ((evt.ctrlKey || evt.metaKey) && evt.key.toLowerCase() === "s") {
+      evt.preventDefault();
+      save();
+    }
+  });
+  // Tab 在文本框内插入缩进而不是移走焦点
+  sourceEl.addEventListener("keydown", (evt) => {
+    if (evt.key !== "Tab" || evt.ctrlKey || evt.altKey || evt.metaKey || evt.shiftKey) return;
+    evt.preventDefault();
+    const { selectionStart, selectionEnd } = sourceEl;
+    sourceEl.setRangeText("  ", selectionStart, selectionEnd, "end");
+    sourceEl.dispatchEvent(new Event("input"));
+  });
+  window.addEventListener("beforeunload", (evt) => {
+    if (!dirty()) return;
+    evt.preventDefault();
+    evt.returnValue = "";
   });
-}
-
-function transformMermaid(root, theme) {
-  const mermaidBlocks = [];
-  root.querySelectorAll("pre code.language-mermaid").forEach((code) => {
-    const wrapper = document.createElement("div");
-    wrapper.className = "mermaid";
-    wrapper.textContent = code.textContent || "";
 
-    const pre = code.parentElement;
-    if (pre && pre.parentElement) {
-      pre.parentElement.replaceChild(wrapper, pre);
+  // 其他页面保存了同一文件：没有未保存的修改时直接重新载入，否则只提示
+  watchSource(state, (change) => {
+    if (editState.saving || change.mtime === editState.mtime) return;
+    if (dirty()) {
+      setStatus("文件已在其他位置修改", "error");
+    } else {
+      window.location.reload();
     }
-    mermaidBlocks.push(wrapper);
   });
+}
 
+function hydrateMermaid(root, theme) {
+  const mermaidBlocks = Array.from(root.querySelectorAll("div.mermaid"));
   if (!mermaidBlocks.length || !window.mermaid) return;
 
   try {
@@ -231,17 +257,6 @@ function transformMermaid(root, theme) {
   }
 }
 
-function highlightCode(root) {
-  if (!window.hljs) return;
-  root.querySelectorAll("pre code").forEach((block) => {
-    try {
-      window.hljs.highlightElement(block);
-    } catch (err) {
-      console.warn("Highlight.js failed", err);
-    }
-  });
-}
-
 function renderMath(root) {
   if (!window.renderMathInElement) return;
   try {
@@ -259,47 +274,6 @@ function renderMath(root) {
   }
 }
 
-function renderFrontMatterMeta(frontMatter, requestPath) {
-  const metaEl = document.getElementById("frontmatter-meta");
-  if (!metaEl) return;
-
-  metaEl.innerHTML = "";
-  const pairs = [];
-
-  if (frontMatter && frontMatter.author) {
-    pairs.push({ label: "Author", value: frontMatter.author });
-  }
-  if (frontMatter && frontMatter.date) {
-    pairs.push({ label: "Date", value: frontMatter.date });
-  }
-  if (frontMatter && Array.isArray(frontMatter.tags) && frontMatter.tags.length) {
-    pairs.push({ label: "Tags", value: frontMatter.tags.join(", ") });
-  }
-  if (requestPath) {
-    pairs.push({ label: "Path", value: requestPath });
-  }
-
-  if (!pairs.length) return;
-
-  const list = document.createElement("ul");
-  list.className = "meta-list";
-
-  pairs.forEach((item) => {
-    const li = document.createElement("li");
-    const label = document.createElement("span");
-    const value = document.createElement("span");
-    label.className = "meta-label";
-    value.className = "meta-value";
-    label.textContent = item.label;
-    value.textContent = item.value;
-    li.appendChild(label);
-    li.appendChild(value);
-    list.appendChild(li);
-  });
-
-  metaEl.appendChild(list);
-}
-
 function populateThemeSelect(selectEl, state) {
   if (!selectEl) return;
   if (!Array.isArray(state.themes) || state.themes.length === 0) return;
@@ -352,6 +326,11 @@ function applyTheme(theme, state, linkEl, skipPersist) {
     linkEl.href = `${state.assetsMount}/themes/${safeTheme}.css?v=${state.version}`;
   }
   document.documentElement.setAttribute("data-theme", safeTheme);
+  // HTML 导出沿用当前主题
+  const exportLink = document.getElementById("export-html");
+  if (exportLink) {
+    exportLink.href = `${state.requestPath}?export=html&theme=${encodeURIComponent(safeTheme)}`;
+  }
   if (!skipPersist) {
     try {
       window.localStorage.setItem("md-theme", safeTheme);
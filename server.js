@@ -35,6 +35,19 @@ const ServiceFactory = require('./src/services/service-factory');
 const Router = require('./src/routes/router');
 const WebSocketManager = require('./src/services/websocket-manager');
 const PerformanceCollector = require('./src/utils/performance-collector');
+const { RateLimitManager } = require('./src/middleware/rate-limiter');
+const { AuthManager } = require('./src/middleware/auth');
+const { SessionStore } = require('./src/middleware/session');
+const RequestQueue = require('./src/utils/request-queue');
+const TusUploadStore = require('./src/services/tus-upload-store');
+const UploadIndex = require('./src/services/upload-index');
+const UploadLedger = require('./src/services/upload-ledger');
+const TrashService = require('./src/services/trash-service');
+const ThumbnailService = require('./src/services/thumbnail-service');
+const WebDavLockManager = require('./src/services/webdav-lock-manager');
+const ShareService = require('./src/services/share-service');
+const NoteIndex = require('./src/services/note-index');
+const { cleanupUploadTemp } = require('./src/routes/upload-routes');
 const { notifyAll } = require('./src/services/notification-service');
 
 // 加载配置
@@ -55,12 +68,155 @@ wss.on('connection', (ws) => {
 const serviceFactory = new ServiceFactory(config, appRoot, appendLog, wsManager);
 let initResults = null;
 
+// 解析配置中 mount 字段对应的挂载路径（限流、认证规则共用）
+const resolveMount = (mountName) => {
+  if (mountName === 'assets') return (config.assets && config.assets.enabled && config.assets.mount) || null;
+  if (mountName === 'webdav') return (config.webdav && config.webdav.enabled && config.webdav.mount) || null;
+  if (mountName === 'shares') return (config.shares && config.shares.enabled && config.shares.mount) || null;
+  return serviceFactory.getServiceMount(mountName);
+};
+
+// 初始化限流管理器（跨请求共享，按路由前缀分策略）
+const rateLimiter = new RateLimitManager(config.rateLimit, appendLog, resolveMount, perfCollector);
+
+// 初始化认证管理器（API Key 作用域校验）
+const authManager = new AuthManager(
+  config.auth,
+  appendLog,
+  resolveMount,
+  !!(config.rateLimit && config.rateLimit.trustProxy)
+);
+
+// 初始化请求队列（Markdown 渲染、搜索、上传等重型处理的并发与背压控制）
+const requestQueue = config.queue && config.queue.enabled
+  ? new RequestQueue(config.queue.maxConcurrent, config.queue.maxQueueSize, config.queue.requestTimeoutMs)
+  : null;
+
+// 可选：浏览器登录会话（保护内置 UI）
+let sessionStore = null;
+if (config.login && config.login.enabled) {
+  const sessionFile = config.login.sessionFile
+    ? (path.isAbsolute(config.login.sessionFile) ? config.login.sessionFile : path.join(appRoot, config.login.sessionFile))
+    : null;
+  sessionStore = new SessionStore({
+    ttlMs: config.login.sessionTtlHours * 60 * 60 * 1000,
+    filePath: sessionFile
+  }, appendLog);
+  authManager.enableSessions(sessionStore, config.login);
+}
+
+// 上传内容索引（相同内容重复上传时复用已有文件）
+const uploadIndexFile = config.upload && config.upload.indexFile;
+const uploadIndex = new UploadIndex({
+  filePath: uploadIndexFile
+    ? (path.isAbsolute(uploadIndexFile) ? uploadIndexFile : path.join(appRoot, uploadIndexFile))
+    : null
+}, appendLog);
+
+// 上传 / 删除台账（JSONL，记录上传者与删除人）
+const ledgerFile = config.upload && config.upload.ledgerFile;
+const uploadLedger = ledgerFile
+  ? new UploadLedger({
+    filePath: path.isAbsolute(ledgerFile) ? ledgerFile : path.join(appRoot, ledgerFile),
+    trustProxy: !!(config.rateLimit && config.rateLimit.trustProxy)
+  }, appendLog)
+  : null;
+
+// 回收站（删除的文件移入各映射的 .trash，定时清理过期条目）
+const trashService = config.trash && config.trash.enabled
+  ? new TrashService({
+    directories: config.directories.map(d => ({
+      route: d.route,
+      basePath: path.isAbsolute(d.path) ? d.path : path.join(appRoot, d.path)
+    })),
+    retentionDays: config.trash.retentionDays,
+    purgeIntervalMinutes: config.trash.purgeIntervalMinutes
+  }, appendLog)
+  : null;
+if (trashService) {
+  trashService.startPurgeTimer();
+}
+
+// 清理上次运行中断后残留的上传临时文件
+cleanupUploadTemp(config, appendLog).catch(err => {
+  appendLog('WARN', '清理上传临时文件失败', err.message);
+});
+
+// 断点续传上传存储（tus，未完成的上传保存在 data/ 下）
+const tusCfg = config.upload && config.upload.tus;
+const tusStore = tusCfg && tusCfg.enabled
+  ? new TusUploadStore({
+    dir: path.isAbsolute(tusCfg.dir) ? tusCfg.dir : path.join(appRoot, tusCfg.dir),
+    expirationMs: tusCfg.expirationHours * 60 * 60 * 1000
+  }, appendLog)
+  : null;
+
+// 图片缩略图服务（派生图缓存在 data/ 下）
+const thumbCfg = config.thumbnails;
+const thumbnailService = thumbCfg && thumbCfg.enabled
+  ? new ThumbnailService({
+    ...thumbCfg,
+    cacheDir: path.isAbsolute(thumbCfg.cacheDir) ? thumbCfg.cacheDir : path.join(appRoot, thumbCfg.cacheDir)
+  }, appendLog)
+  : null;
+
+// WebDAV 锁（仅保存在内存中）；挂载点下的 401 附带 Basic 质询
+const webdavLocks = config.webdav && config.webdav.enabled
+  ? new WebDavLockManager({ maxTimeoutSeconds: config.webdav.lockTimeoutSeconds })
+  : null;
+if (webdavLocks) {
+  authManager.enableBasicChallenge(config.webdav.mount);
+}
+
+// 分享链接（记录与自动生成的签名密钥保存在 data/ 下）
+const shareService = config.shares && config.shares.enabled
+  ? new ShareService({
+    filePath: path.isAbsolute(config.shares.file) ? config.shares.file : path.join(appRoot, config.shares.file),
+    secret: config.shares.secret,
+    defaultExpiryHours: config.shares.defaultExpiryHours,
+    maxExpiryHours: config.shares.maxExpiryHours
+  }, appendLog)
+  : null;
+
+// 笔记索引（Wiki 链接、反向链接、标签与草稿，索引保存在 data/ 下）
+const mdCfg = config.markdown;
+const noteIndex = mdCfg && mdCfg.enabled
+  ? new NoteIndex({
+    filePath: path.isAbsolute(mdCfg.linkIndexFile) ? mdCfg.linkIndexFile : path.join(appRoot, mdCfg.linkIndexFile),
+    directories: config.directories.map(d => ({
+      route: d.route,
+      basePath: path.resolve(appRoot, d.path),
+      mapping: d
+    }))
+  }, appendLog)
+  : null;
+
+// 路由分发器（启动时创建一次，所有请求共享）
+const router = new Router(config, serviceFactory, appendLog, appRoot, perfCollector, {
+  wsManager,
+  rateLimiter,
+  authManager,
+  requestQueue,
+  uploadIndex,
+  uploadLedger,
+  trashService,
+  tusStore,
+  thumbnailService,
+  webdavLocks,
+  shareService,
+  noteIndex
+});
+
 (async () => {
   try {
     initResults = await serviceFactory.initializeAll();
     if (initResults.errors.length > 0) {
       appendLog('WARN', `服务初始化有 ${initResults.errors.length} 个错误，部分功能可能不可用`);
     }
+    // 文件变化时增量更新笔记索引
+    if (noteIndex && initResults.fileWatcher) {
+      noteIndex.attachWatcher(initResults.fileWatcher);
+    }
   } catch (err) {
     appendLog('ERROR', '服务初始化异常', err.message);
   }
@@ -99,9 +255,6 @@ function requestHandler(req, res) {
   };
 
   // 使用路由分发器处理请求
-  const router = new Router(config, serviceFactory, appendLog, appRoot, perfCollector);
-  // 注入 WebSocket 管理器
-  router.setWebSocketManager(wsManager);
   router.handle(req, res);
 }
 
@@ -333,10 +486,14 @@ process.on('unhandledRejection', (reason) => {
 });
 
 /**
- * 优雅关闭
+ * 优雅关闭（SIGINT 与 SIGTERM 共用，重复信号忽略）
  */
-process.on('SIGINT', async () => {
-  appendLog('INFO', '接收到 SIGINT 信号，正在关闭服务器...');
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  appendLog('INFO', `接收到 ${signal} 信号，正在关闭服务器...`);
 
   // 关闭 WebSocket 连接
   try {
@@ -368,52 +525,74 @@ process.on('SIGINT', async () => {
     appendLog('WARN', '性能收集器关闭异常', err.message);
   }
 
-  // 关闭并行 HTTP 服务（如果存在）
+  // 清理限流器
   try {
-    if (extraHttpServer) {
-      extraHttpServer.close();
+    if (rateLimiter) {
+      rateLimiter.shutdown();
     }
   } catch (err) {
-    appendLog('WARN', 'HTTP 并行服务关闭异常', err.message);
+    appendLog('WARN', '限流器关闭异常', err.message);
   }
 
-  server.close(() => {
-    appendLog('INFO', '服务器已关闭');
-    process.exit(0);
-  });
-});
+  // 会话落盘
+  try {
+    if (sessionStore) {
+      sessionStore.shutdown();
+    }
+  } catch (err) {
+    appendLog('WARN', '会话存储关闭异常', err.message);
+  }
 
-process.on('SIGTERM', async () => {
-  appendLog('INFO', '接收到 SIGTERM 信号，正在关闭服务器...');
+  // 清空请求队列
+  try {
+    if (requestQueue) {
+      requestQueue.shutdown();
+    }
+  } catch (err) {
+    appendLog('WARN', '请求队列关闭异常', err.message);
+  }
 
-  // 关闭 WebSocket 连接
+  // 上传索引落盘
   try {
-    if (wsManager) {
-      await wsManager.shutdown();
+    uploadIndex.shutdown();
+  } catch (err) {
+    appendLog('WARN', '上传索引关闭异常', err.message);
+  }
+
+  // 停止续传清理定时器
+  try {
+    if (tusStore) {
+      tusStore.shutdown();
     }
-    if (wss) {
-      wss.close();
+  } catch (err) {
+    appendLog('WARN', '续传存储关闭异常', err.message);
+  }
+
+  // 停止回收站清理定时器
+  try {
+    if (trashService) {
+      trashService.shutdown();
     }
   } catch (err) {
-    appendLog('WARN', 'WebSocket 关闭异常', err.message);
+    appendLog('WARN', '回收站关闭异常', err.message);
   }
 
-  // 优雅关闭服务
+  // 分享记录落盘
   try {
-    if (serviceFactory) {
-      await serviceFactory.shutdown();
+    if (shareService) {
+      shareService.shutdown();
     }
   } catch (err) {
-    appendLog('WARN', '服务关闭异常', err.message);
+    appendLog('WARN', '分享服务关闭异常', err.message);
   }
 
-  // 清理性能收集器
+  // 笔记索引落盘
   try {
-    if (perfCollector) {
-      perfCollector.shutdown();
+    if (noteIndex) {
+      noteIndex.shutdown();
     }
   } catch (err) {
-    appendLog('WARN', '性能收集器关闭异常', err.message);
+    appendLog('WARN', '笔记索引关闭异常', err.message);
   }
 
   // 关闭并行 HTTP 服务（如果存在）
@@ -429,4 +608,7 @@ process.on('SIGTERM', async () => {
     appendLog('INFO', '服务器已关闭');
     process.exit(0);
   });
-});
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
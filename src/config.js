@@ -7,6 +7,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { NAMING_MODES } = require('./utils/upload-naming');
+const { parseIpRule } = require('./utils/directory-policy');
 
 // 基础校验规则
 const validationRules = {
@@ -25,7 +27,56 @@ const defaultConfig = {
     cors: true,
     showIndex: true,
     projectName: '本地轻量级后端',
-    tls: null
+    tls: null,
+    rateLimit: {
+      enabled: false,
+      trustProxy: false,
+      default: { maxRequests: 600, windowMs: 60000 },
+      rules: [
+        { name: 'telegram-start', mount: 'telegram', prefix: '/api/start', methods: ['POST'], maxRequests: 5, windowMs: 60000 },
+        { name: 'telegram-verify', mount: 'telegram', prefix: '/api/verify', methods: ['POST'], maxRequests: 10, windowMs: 60000 },
+        { name: 'telegram-send', mount: 'telegram', prefix: '/api/sendNow', methods: ['POST'], maxRequests: 20, windowMs: 60000 },
+        { name: 'upload', prefix: '/upload', methods: ['POST'], maxRequests: 30, windowMs: 60000 },
+        { name: 'delete', prefix: '/delete', methods: ['POST'], maxRequests: 30, windowMs: 60000 },
+        { name: 'login', prefix: '/login', methods: ['POST'], maxRequests: 10, windowMs: 60000 },
+        { name: 'assets', mount: 'assets', maxRequests: 3000, windowMs: 60000 },
+        { name: 'webdav', mount: 'webdav', maxRequests: 3000, windowMs: 60000 },
+        { name: 'share-unlock', mount: 'shares', methods: ['POST'], maxRequests: 10, windowMs: 60000 }
+      ]
+    },
+    auth: {
+      enabled: false,
+      queryParam: 'token',
+      methods: ['POST', 'PUT', 'PATCH', 'DELETE'],
+      protect: [{ prefix: '/api/uploads' }, { prefix: '/api/trash' }, { prefix: '/api/shares' }],
+      public: [],
+      keys: []
+    },
+    queue: {
+      enabled: true,
+      maxConcurrent: 4,
+      maxQueueSize: 100,
+      requestTimeoutMs: 60000,
+      retryAfterSeconds: 5,
+      priorities: { markdown: 10, thumbnail: 3, archive: 2, search: 1 }
+    },
+    login: {
+      enabled: false,
+      cookieName: 'lbs_session',
+      sessionTtlHours: 12,
+      sessionFile: './data/sessions.json',
+      users: [],
+      protect: [
+        { prefix: '/', exact: true },
+        { mount: 'telegram' },
+        { mount: 'powershellHistory' },
+        { mount: 'fileService' },
+        { prefix: '/api/uploads' },
+        { prefix: '/api/trash' },
+        { prefix: '/api/shares' },
+        { prefix: '/api/notes' }
+      ]
+    }
   },
   paths: {
     directories: [{ route: '/', path: './public' }],
@@ -40,7 +91,59 @@ const defaultConfig = {
   features: {
     markdown: {
       enabled: true,
-      theme: 'anonymous-dark.css'
+      theme: 'anonymous-dark.css',
+      wikiLinks: true,
+      linkIndexFile: './data/note-index.json',
+      tagsMount: '/tags'
+    },
+    upload: {
+      maxFileSizeMB: 1024,
+      maxTotalSizeMB: 2048,
+      naming: 'overwrite',
+      indexFile: './data/upload-index.json',
+      ledgerFile: './data/upload-ledger.jsonl',
+      allow: [],
+      deny: ['executable', 'script'],
+      tus: {
+        enabled: true,
+        dir: './data/tus',
+        expirationHours: 24
+      }
+    },
+    thumbnails: {
+      enabled: true,
+      cacheDir: './data/thumbnails',
+      maxWidth: 2048,
+      maxHeight: 2048,
+      quality: 80,
+      maxSourcePixels: 50000000,
+      maxSourceSizeMB: 50,
+      gridSize: 240
+    },
+    trash: {
+      enabled: true,
+      retentionDays: 30,
+      purgeIntervalMinutes: 60
+    },
+    webdav: {
+      enabled: false,
+      mount: '/dav',
+      lockTimeoutSeconds: 3600
+    },
+    shares: {
+      enabled: true,
+      mount: '/s',
+      file: './data/shares.json',
+      secret: '',
+      defaultExpiryHours: 24,
+      maxExpiryHours: 720
+    },
+    compression: {
+      enabled: true,
+      brotli: true,
+      precompressed: true,
+      minSizeBytes: 1024,
+      maxSizeMB: 10
     },
     startpage: {
       searchEngines: [],
@@ -76,9 +179,19 @@ const createDefaultFlat = () => ({
   cors: defaultConfig.server.cors,
   showIndex: defaultConfig.server.showIndex,
   projectName: defaultConfig.server.projectName,
+  rateLimit: clone(defaultConfig.server.rateLimit),
+  auth: clone(defaultConfig.server.auth),
+  login: clone(defaultConfig.server.login),
+  queue: clone(defaultConfig.server.queue),
   directories: clone(defaultConfig.paths.directories),
   uploadDir: defaultConfig.paths.uploadDir,
   markdown: clone(defaultConfig.features.markdown),
+  upload: clone(defaultConfig.features.upload),
+  thumbnails: clone(defaultConfig.features.thumbnails),
+  trash: clone(defaultConfig.features.trash),
+  webdav: clone(defaultConfig.features.webdav),
+  shares: clone(defaultConfig.features.shares),
+  compression: clone(defaultConfig.features.compression),
   assets: clone(defaultConfig.paths.assets),
   startpage: clone(defaultConfig.features.startpage),
   services: clone(defaultConfig.services)
@@ -137,11 +250,55 @@ function _mergeRawConfig(raw) {
       ...base.markdown,
       ...(featuresCfg.markdown || raw.markdown || {})
     },
+    upload: {
+      ...base.upload,
+      ...(featuresCfg.upload || raw.upload || {}),
+      tus: {
+        ...base.upload.tus,
+        ...((featuresCfg.upload || raw.upload || {}).tus || {})
+      }
+    },
+    thumbnails: {
+      ...base.thumbnails,
+      ...(featuresCfg.thumbnails || raw.thumbnails || {})
+    },
+    trash: {
+      ...base.trash,
+      ...(featuresCfg.trash || raw.trash || {})
+    },
+    webdav: {
+      ...base.webdav,
+      ...(featuresCfg.webdav || raw.webdav || {})
+    },
+    shares: {
+      ...base.shares,
+      ...(featuresCfg.shares || raw.shares || {})
+    },
+    compression: {
+      ...base.compression,
+      ...(featuresCfg.compression || raw.compression || {})
+    },
     assets: {
       ...base.assets,
       ...(pathsCfg.assets || raw.assets || {})
     },
     tls: serverCfg.tls ?? raw.tls ?? null,
+    rateLimit: {
+      ...base.rateLimit,
+      ...(serverCfg.rateLimit || raw.rateLimit || {})
+    },
+    auth: {
+      ...base.auth,
+      ...(serverCfg.auth || raw.auth || {})
+    },
+    login: {
+      ...base.login,
+      ...(serverCfg.login || raw.login || {})
+    },
+    queue: {
+      ...base.queue,
+      ...(serverCfg.queue || raw.queue || {})
+    },
     startpage: {
       ...base.startpage,
       ...(featuresCfg.startpage || raw.startpage || {})
@@ -301,6 +458,298 @@ function _validateConfig(config, appRoot, logger) {
     }
   }
 
+  if (config.rateLimit) {
+    const rl = config.rateLimit;
+    const isPositive = (val) => typeof val === 'number' && val > 0;
+
+    if (rl.default && !(isPositive(rl.default.maxRequests) && isPositive(rl.default.windowMs))) {
+      issues.push('rateLimit.default 需包含正数 maxRequests/windowMs，已回退默认值');
+      rl.default = clone(base.rateLimit.default);
+    }
+
+    if (!Array.isArray(rl.rules)) {
+      issues.push('rateLimit.rules 需为数组，已回退默认规则');
+      rl.rules = clone(base.rateLimit.rules);
+    }
+
+    rl.rules = rl.rules.filter((rule) => {
+      const valid = rule && typeof rule === 'object' &&
+        isPositive(rule.maxRequests) && isPositive(rule.windowMs) &&
+        (rule.mount || String(rule.prefix || '').startsWith('/'));
+      if (!valid) {
+        issues.push(`rateLimit 规则无效，已忽略: ${JSON.stringify(rule)}`);
+      }
+      return valid;
+    });
+  }
+
+  if (config.auth) {
+    const authCfg = config.auth;
+    ['protect', 'public', 'keys'].forEach((field) => {
+      if (!Array.isArray(authCfg[field])) {
+        issues.push(`auth.${field} 需为数组，已重置为空`);
+        authCfg[field] = [];
+      }
+    });
+
+    authCfg.keys = authCfg.keys.filter((entry) => {
+      const hasSecret = entry && (
+        (typeof entry.key === 'string' && entry.key.length >= 16) ||
+        (typeof entry.keyHash === 'string' && /^[a-f0-9]{64}$/i.test(entry.keyHash))
+      );
+      if (!hasSecret) {
+        issues.push(`auth.keys 条目 ${entry && entry.name ? entry.name : '(未命名)'} 缺少有效 key（至少 16 位）或 keyHash（SHA-256 hex），已忽略`);
+      }
+      return hasSecret;
+    });
+
+    if (authCfg.enabled && authCfg.keys.length === 0) {
+      issues.push('auth 已启用但未配置任何有效 key，所有受保护请求都将被拒绝');
+    }
+  }
+
+  if (config.upload) {
+    const uploadCfg = config.upload;
+    const isPositive = (val) => typeof val === 'number' && val > 0;
+    if (!isPositive(uploadCfg.maxFileSizeMB)) uploadCfg.maxFileSizeMB = base.upload.maxFileSizeMB;
+    if (!isPositive(uploadCfg.maxTotalSizeMB)) uploadCfg.maxTotalSizeMB = base.upload.maxTotalSizeMB;
+    if (uploadCfg.maxTotalSizeMB < uploadCfg.maxFileSizeMB) {
+      issues.push('upload.maxTotalSizeMB 小于 maxFileSizeMB，已调整为相同值');
+      uploadCfg.maxTotalSizeMB = uploadCfg.maxFileSizeMB;
+    }
+    if (!isPositive(uploadCfg.tus.expirationHours)) {
+      issues.push('upload.tus.expirationHours 需为正数，已重置为默认值');
+      uploadCfg.tus.expirationHours = base.upload.tus.expirationHours;
+    }
+    if (uploadCfg.ledgerFile && typeof uploadCfg.ledgerFile !== 'string') {
+      issues.push('upload.ledgerFile 需为字符串路径，已重置为默认值');
+      uploadCfg.ledgerFile = base.upload.ledgerFile;
+    }
+    if (!uploadCfg.tus.dir || typeof uploadCfg.tus.dir !== 'string') {
+      uploadCfg.tus.dir = base.upload.tus.dir;
+    }
+    for (const field of ['allow', 'deny']) {
+      if (!Array.isArray(uploadCfg[field])) {
+        issues.push(`upload.${field} 需为数组，已回退默认值`);
+        uploadCfg[field] = clone(base.upload[field]);
+      }
+    }
+    if (!NAMING_MODES.includes(uploadCfg.naming)) {
+      issues.push(`upload.naming 无效: ${uploadCfg.naming}，可选 ${NAMING_MODES.join('/')}，已回退为 ${base.upload.naming}`);
+      uploadCfg.naming = base.upload.naming;
+    }
+  }
+
+  // 目录映射的上传配置（命名、类型策略）
+  for (const dir of config.directories) {
+    if (!dir.upload) continue;
+    if (typeof dir.upload !== 'object') {
+      issues.push(`directories[${dir.route}].upload 需为对象，已忽略`);
+      delete dir.upload;
+      continue;
+    }
+    if (dir.upload.naming !== undefined && !NAMING_MODES.includes(dir.upload.naming)) {
+      issues.push(`directories[${dir.route}].upload.naming 无效: ${dir.upload.naming}，已忽略`);
+      delete dir.upload.naming;
+    }
+    if (dir.upload.template !== undefined && (typeof dir.upload.template !== 'string' || !dir.upload.template.trim())) {
+      issues.push(`directories[${dir.route}].upload.template 需为非空字符串，已忽略`);
+      delete dir.upload.template;
+    }
+    for (const field of ['allow', 'deny']) {
+      if (dir.upload[field] !== undefined && !Array.isArray(dir.upload[field])) {
+        issues.push(`directories[${dir.route}].upload.${field} 需为数组，已忽略`);
+        delete dir.upload[field];
+      }
+    }
+    if (dir.upload.maxFileSizeMB !== undefined && !(typeof dir.upload.maxFileSizeMB === 'number' && dir.upload.maxFileSizeMB > 0)) {
+      issues.push(`directories[${dir.route}].upload.maxFileSizeMB 需为正数，已忽略`);
+      delete dir.upload.maxFileSizeMB;
+    }
+  }
+
+  // 目录映射的访问规则（只读、列表、认证、隐藏、IP 白名单）
+  const hasIdentities = (config.auth?.keys || []).length > 0 || (config.login?.enabled && (config.login.users || []).length > 0);
+  for (const dir of config.directories) {
+    if (dir.readOnly !== undefined && typeof dir.readOnly !== 'boolean') {
+      issues.push(`directories[${dir.route}].readOnly 需为布尔值，已按只读处理`);
+      dir.readOnly = true;
+    }
+    if (dir.listing !== undefined && typeof dir.listing !== 'boolean') {
+      issues.push(`directories[${dir.route}].listing 需为布尔值，已忽略`);
+      delete dir.listing;
+    }
+    if (dir.auth !== undefined && typeof dir.auth !== 'boolean') {
+      const valid = dir.auth && typeof dir.auth === 'object' &&
+        ['keys', 'users'].every(field => dir.auth[field] === undefined || Array.isArray(dir.auth[field]));
+      if (!valid) {
+        // 配置有误时按“任意已认证身份”处理，避免意外公开
+        issues.push(`directories[${dir.route}].auth 需为 true 或 { keys: [], users: [] }，已按任意已认证身份处理`);
+        dir.auth = true;
+      }
+    }
+    if (dir.auth && !hasIdentities) {
+      issues.push(`directories[${dir.route}] 要求认证，但未配置 auth.keys 或登录用户，该目录将无法访问`);
+    }
+    if (dir.hidden !== undefined && !(Array.isArray(dir.hidden) && dir.hidden.every(p => typeof p === 'string'))) {
+      issues.push(`directories[${dir.route}].hidden 需为字符串数组，已忽略`);
+      delete dir.hidden;
+    }
+    if (dir.ipAllow !== undefined) {
+      // 无效条目被忽略；全部无效时拒绝所有来源，避免意外公开
+      const invalid = [].concat(dir.ipAllow).filter(rule => !parseIpRule(rule));
+      if (invalid.length) {
+        issues.push(`directories[${dir.route}].ipAllow 含无效条目: ${invalid.join(', ')}，已忽略这些条目`);
+      }
+    }
+  }
+
+  if (config.queue) {
+    const queueCfg = config.queue;
+    const toNumberOrDefault = (val, def) => (typeof val === 'number' && val > 0 ? val : def);
+    queueCfg.maxConcurrent = toNumberOrDefault(queueCfg.maxConcurrent, base.queue.maxConcurrent);
+    queueCfg.maxQueueSize = toNumberOrDefault(queueCfg.maxQueueSize, base.queue.maxQueueSize);
+    queueCfg.requestTimeoutMs = toNumberOrDefault(queueCfg.requestTimeoutMs, base.queue.requestTimeoutMs);
+    queueCfg.retryAfterSeconds = toNumberOrDefault(queueCfg.retryAfterSeconds, base.queue.retryAfterSeconds);
+    queueCfg.priorities = { ...base.queue.priorities, ...(queueCfg.priorities || {}) };
+  }
+
+  if (config.thumbnails) {
+    const thumbCfg = config.thumbnails;
+    const isPositive = (val) => typeof val === 'number' && val > 0;
+    ['maxWidth', 'maxHeight', 'maxSourcePixels', 'maxSourceSizeMB', 'gridSize'].forEach((field) => {
+      if (!isPositive(thumbCfg[field])) {
+        issues.push(`thumbnails.${field} 需为正数，已重置为默认值`);
+        thumbCfg[field] = base.thumbnails[field];
+      }
+    });
+    if (!Number.isInteger(thumbCfg.quality) || thumbCfg.quality < 1 || thumbCfg.quality > 100) {
+      issues.push('thumbnails.quality 需为 1-100 的整数，已重置为默认值');
+      thumbCfg.quality = base.thumbnails.quality;
+    }
+    if (!thumbCfg.cacheDir || typeof thumbCfg.cacheDir !== 'string') {
+      thumbCfg.cacheDir = base.thumbnails.cacheDir;
+    }
+  }
+
+  if (config.trash) {
+    const trashCfg = config.trash;
+    ['retentionDays', 'purgeIntervalMinutes'].forEach((field) => {
+      if (typeof trashCfg[field] !== 'number' || trashCfg[field] <= 0) {
+        issues.push(`trash.${field} 需为正数，已重置为默认值`);
+        trashCfg[field] = base.trash[field];
+      }
+    });
+  }
+
+  if (config.webdav) {
+    const davCfg = config.webdav;
+    const mount = String(davCfg.mount || '').trim().replace(/\/+$/, '');
+    const reserved = ['/upload', '/delete', '/api', '/ws'];
+    if (!mount.startsWith('/') || reserved.some(r => mount === r || mount.startsWith(r + '/'))) {
+      issues.push(`webdav.mount ${davCfg.mount} 无效或与保留路由冲突，已回退为 ${base.webdav.mount}`);
+      davCfg.mount = base.webdav.mount;
+    } else {
+      davCfg.mount = mount;
+    }
+    if (typeof davCfg.lockTimeoutSeconds !== 'number' || davCfg.lockTimeoutSeconds <= 0) {
+      issues.push('webdav.lockTimeoutSeconds 需为正数，已重置为默认值');
+      davCfg.lockTimeoutSeconds = base.webdav.lockTimeoutSeconds;
+    }
+  }
+
+  if (config.shares) {
+    const shareCfg = config.shares;
+    const mount = String(shareCfg.mount || '').trim().replace(/\/+$/, '');
+    const reserved = ['/upload', '/delete', '/api', '/ws', '/login', '/logout', '/search'];
+    if (!mount.startsWith('/') || reserved.some(r => mount === r || mount.startsWith(r + '/'))) {
+      issues.push(`shares.mount ${shareCfg.mount} 无效或与保留路由冲突，已回退为 ${base.shares.mount}`);
+      shareCfg.mount = base.shares.mount;
+    } else {
+      shareCfg.mount = mount;
+    }
+    ['defaultExpiryHours', 'maxExpiryHours'].forEach((field) => {
+      if (typeof shareCfg[field] !== 'number' || shareCfg[field] <= 0) {
+        issues.push(`shares.${field} 需为正数，已重置为默认值`);
+        shareCfg[field] = base.shares[field];
+      }
+    });
+    if (shareCfg.defaultExpiryHours > shareCfg.maxExpiryHours) {
+      issues.push('shares.defaultExpiryHours 超过 maxExpiryHours，已按上限处理');
+      shareCfg.defaultExpiryHours = shareCfg.maxExpiryHours;
+    }
+    if (typeof shareCfg.secret !== 'string') {
+      issues.push('shares.secret 需为字符串，已改为自动生成');
+      shareCfg.secret = '';
+    }
+    if (!shareCfg.file || typeof shareCfg.file !== 'string') {
+      shareCfg.file = base.shares.file;
+    }
+  }
+
+  if (config.markdown) {
+    const markdownCfg = config.markdown;
+    if (typeof markdownCfg.wikiLinks !== 'boolean') {
+      markdownCfg.wikiLinks = base.markdown.wikiLinks;
+    }
+    if (!markdownCfg.linkIndexFile || typeof markdownCfg.linkIndexFile !== 'string') {
+      markdownCfg.linkIndexFile = base.markdown.linkIndexFile;
+    }
+    if (markdownCfg.tagsMount) {
+      const mount = String(markdownCfg.tagsMount).trim().replace(/\/+$/, '');
+      const reserved = ['/upload', '/delete', '/api', '/ws', '/login', '/logout', '/search'];
+      if (!mount.startsWith('/') || reserved.some(r => mount === r || mount.startsWith(r + '/'))) {
+        issues.push(`markdown.tagsMount ${markdownCfg.tagsMount} 无效或与保留路由冲突，已回退为 ${base.markdown.tagsMount}`);
+        markdownCfg.tagsMount = base.markdown.tagsMount;
+      } else {
+        markdownCfg.tagsMount = mount;
+      }
+    } else {
+      markdownCfg.tagsMount = null;
+    }
+  }
+
+  if (config.compression) {
+    const compressionCfg = config.compression;
+    if (typeof compressionCfg.minSizeBytes !== 'number' || compressionCfg.minSizeBytes < 0) {
+      issues.push('compression.minSizeBytes 需为非负数，已重置为默认值');
+      compressionCfg.minSizeBytes = base.compression.minSizeBytes;
+    }
+    if (typeof compressionCfg.maxSizeMB !== 'number' || compressionCfg.maxSizeMB <= 0) {
+      issues.push('compression.maxSizeMB 需为正数，已重置为默认值');
+      compressionCfg.maxSizeMB = base.compression.maxSizeMB;
+    }
+  }
+
+  if (config.login) {
+    const loginCfg = config.login;
+    if (typeof loginCfg.sessionTtlHours !== 'number' || loginCfg.sessionTtlHours <= 0) {
+      loginCfg.sessionTtlHours = base.login.sessionTtlHours;
+    }
+    if (!/^[A-Za-z0-9_-]+$/.test(String(loginCfg.cookieName || ''))) {
+      issues.push('login.cookieName 含非法字符，已回退默认值');
+      loginCfg.cookieName = base.login.cookieName;
+    }
+    if (!Array.isArray(loginCfg.protect)) {
+      loginCfg.protect = clone(base.login.protect);
+    }
+    if (!Array.isArray(loginCfg.users)) {
+      loginCfg.users = [];
+    }
+
+    loginCfg.users = loginCfg.users.filter((user) => {
+      const valid = user && user.username && /^scrypt\$\d+\$[^$]+\$[^$]+$/.test(String(user.passwordHash || ''));
+      if (!valid) {
+        issues.push(`login.users 条目 ${user && user.username ? user.username : '(未命名)'} 缺少有效 passwordHash（scrypt 格式），已忽略`);
+      }
+      return valid;
+    });
+
+    if (loginCfg.enabled && loginCfg.users.length === 0) {
+      issues.push('login 已启用但未配置任何有效用户，受保护页面将无法访问');
+    }
+  }
+
   if (config.services && config.services.systemMetrics) {
     const sysCfg = config.services.systemMetrics;
     const toNumberOrDefault = (val, def) => (typeof val === 'number' && val > 0 ? val : def);
@@ -330,13 +779,33 @@ function getConfigSummary(config) {
   const summary = {
     host: config.host,
     port: config.port,
-    directories: config.directories.map(d => `${d.route} -> ${d.path}`),
+    directories: config.directories.map(d => {
+      const rules = [
+        d.readOnly && '只读',
+        d.listing === false && '禁止列表',
+        d.auth && '需认证',
+        d.ipAllow && 'IP 白名单',
+        d.hidden && d.hidden.length && `隐藏 ${d.hidden.length} 条`
+      ].filter(Boolean);
+      return `${d.route} -> ${d.path}${rules.length ? `（${rules.join('，')}）` : ''}`;
+    }),
     uploadDir: config.uploadDir || '（未配置）',
     cors: config.cors ? '启用' : '禁用',
     showIndex: config.showIndex ? '启用' : '禁用',
-    markdown: config.markdown?.enabled ? '启用' : '禁用',
+    markdown: config.markdown?.enabled ? `启用${config.markdown.wikiLinks ? '（Wiki 链接）' : ''}` : '禁用',
+    uploadLedger: config.upload?.ledgerFile || '禁用',
+    resumableUpload: config.upload?.tus?.enabled ? `启用（${config.upload.tus.dir}）` : '禁用',
+    trash: config.trash?.enabled ? `启用（保留 ${config.trash.retentionDays} 天）` : '禁用',
+    thumbnails: config.thumbnails?.enabled ? `启用（${config.thumbnails.cacheDir}）` : '禁用',
+    webdav: config.webdav?.enabled ? `启用（${config.webdav.mount}）` : '禁用',
+    shares: config.shares?.enabled ? `启用（${config.shares.mount}）` : '禁用',
+    compression: config.compression?.enabled ? `启用（${config.compression.brotli === false ? 'gzip' : 'br/gzip'}）` : '禁用',
     telegram: config.services?.telegram?.enabled ? '启用' : '禁用',
     systemMetrics: config.services?.systemMetrics?.enabled ? '启用' : '禁用',
+    auth: config.auth?.enabled ? `启用（${(config.auth.keys || []).length} 个 key）` : '禁用',
+    login: config.login?.enabled ? `启用（${(config.login.users || []).length} 个用户）` : '禁用',
+    queue: config.queue?.enabled ? `启用（并发 ${config.queue.maxConcurrent}，队列 ${config.queue.maxQueueSize}）` : '禁用',
+    rateLimit: config.rateLimit?.enabled ? `启用（${(config.rateLimit.rules || []).length} 条规则）` : '禁用',
     notifications: (config.services?.notifications || []).length
   };
   return JSON.stringify(summary, null, 2);
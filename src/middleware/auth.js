@@ -0,0 +1,531 @@
+/**
+ * 认证中间件
+ *
+ * 功能：
+ * - 多个命名 API Key，按路由前缀与方法限定作用域
+ * - 支持 Authorization: Bearer 头与查询参数两种传递方式；Basic 认证的密码可为 API Key 或登录用户密码（供 WebDAV 客户端使用）
+ * - 默认保护所有变更类请求（POST/PUT/PATCH/DELETE），可额外保护只读前缀
+ * - 浏览器登录会话（Cookie），未登录访问内置页面时跳转 /login
+ * - 拒绝时记录日志并返回 401/403
+ */
+
+const crypto = require('crypto');
+const { getClientIP } = require('./rate-limiter');
+const { parseCookies, serializeCookie, verifyPassword, hashPassword } = require('./session');
+
+const LOGIN_PATH = '/login';
+const LOGOUT_PATH = '/logout';
+
+// 用户不存在时也执行一次哈希校验，避免通过响应时间枚举用户名
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// WebDAV 写方法，认证要求与 PUT 相同
+const WEBDAV_WRITE_METHODS = ['MKCOL', 'COPY', 'MOVE', 'LOCK', 'UNLOCK', 'PROPPATCH'];
+
+// Basic 认证校验结果缓存（WebDAV 客户端每个请求都携带凭据，避免重复执行 scrypt）
+const BASIC_CACHE_TTL_MS = 5 * 60 * 1000;
+// 校验失败的结果只缓存较短时间，防止同一错误凭据反复触发 scrypt
+const BASIC_FAILURE_TTL_MS = 30 * 1000;
+const BASIC_CACHE_MAX = 100;
+
+/**
+ * 判断请求路径是否落在前缀内（按路径段匹配）
+ *
+ * @param {string} requestPath - 请求路径
+ * @param {string} prefix - 路径前缀
+ * @returns {boolean}
+ */
+function matchesPrefix(requestPath, prefix) {
+  if (prefix === '/') return true;
+  return requestPath === prefix ||
+    requestPath.startsWith(prefix.endsWith('/') ? prefix : prefix + '/');
+}
+
+/**
+ * 计算字符串的 SHA-256 摘要
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value), 'utf8').digest();
+}
+
+/**
+ * 解析 Authorization: Basic 头
+ *
+ * @param {string} header - Authorization 头
+ * @returns {{ username: string, password: string }|null}
+ */
+function parseBasicAuth(header) {
+  const match = String(header || '').match(/^Basic\s+([A-Za-z0-9+/=]+)\s*$/i);
+  if (!match) return null;
+  const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+  const colon = decoded.indexOf(':');
+  if (colon === -1) return null;
+  return { username: decoded.slice(0, colon), password: decoded.slice(colon + 1) };
+}
+
+/**
+ * 提取请求方信息（用于台账、回收站等审计记录）
+ *
+ * @param {http.IncomingMessage} req - 请求对象（认证通过后带有 req.auth）
+ * @param {boolean} trustProxy - 是否信任 X-Forwarded-For
+ * @returns {{ ip: string, user: string|null, authType: string|null }}
+ */
+function getRequester(req, trustProxy = false) {
+  return {
+    ip: getClientIP(req, trustProxy),
+    user: (req.auth && req.auth.name) || null,
+    authType: (req.auth && req.auth.type) || null
+  };
+}
+
+/**
+ * 认证管理器类
+ */
+class AuthManager {
+  /**
+   * @param {Object} options - server.auth 配置
+   * @param {Function} logger - 日志函数
+   * @param {Function} resolveMount - (mountName) => 挂载路径，用于解析 mount 字段
+   * @param {boolean} trustProxy - 记录客户端 IP 时是否信任 X-Forwarded-For
+   */
+  constructor(options = {}, logger = null, resolveMount = null, trustProxy = false) {
+    this.enabled = !!options.enabled;
+    this.logger = logger;
+    this.trustProxy = trustProxy;
+    this.queryParam = options.queryParam || 'token';
+    this.protectedMethods = (Array.isArray(options.methods) && options.methods.length
+      ? options.methods
+      : MUTATING_METHODS).map(m => String(m).toUpperCase());
+
+    // 额外需要认证的前缀（不区分方法），如 Telegram 账号查询接口
+    this.protectedPrefixes = (options.protect || [])
+      .map(rule => this._compileScope(rule, resolveMount))
+      .filter(Boolean);
+
+    // 不需要认证的前缀（优先级最高）
+    this.publicPrefixes = (options.public || [])
+      .map(rule => this._compileScope(rule, resolveMount))
+      .filter(Boolean);
+
+    this.keys = (options.keys || []).map(entry => ({
+      name: entry.name || 'unnamed',
+      digest: entry.keyHash
+        ? Buffer.from(String(entry.keyHash), 'hex')
+        : (entry.key ? sha256(entry.key) : null),
+      scopes: (entry.scopes && entry.scopes.length ? entry.scopes : [{ prefix: '/' }])
+        .map(scope => this._compileScope(scope, resolveMount))
+        .filter(Boolean)
+    })).filter(k => k.digest && k.digest.length === 32);
+
+    this.stats = { allowed: 0, unauthorized: 0, forbidden: 0, redirected: 0 };
+
+    // 会话认证（enableSessions 后启用）
+    this.sessions = null;
+    this.users = [];
+    this.uiPrefixes = [];
+    this.cookieName = 'lbs_session';
+    this._resolveMount = resolveMount;
+
+    // 401 时额外发送 Basic 质询的前缀（WebDAV 挂载点）
+    this.basicPrefixes = [];
+    this.basicCache = new Map();
+  }
+
+  /**
+   * 在指定前缀下的 401 响应中发送 Basic 质询（WebDAV 客户端据此弹出登录框）
+   *
+   * @param {string} prefix - 路径前缀
+   */
+  enableBasicChallenge(prefix) {
+    if (prefix && !this.basicPrefixes.includes(prefix)) {
+      this.basicPrefixes.push(prefix);
+    }
+  }
+
+  /**
+   * 启用浏览器会话认证
+   *
+   * @param {SessionStore} sessionStore - 会话存储
+   * @param {Object} loginOptions - server.login 配置
+   */
+  enableSessions(sessionStore, loginOptions = {}) {
+    this.sessions = sessionStore;
+    this.cookieName = loginOptions.cookieName || 'lbs_session';
+    this.users = (loginOptions.users || []).map(user => ({
+      username: String(user.username),
+      passwordHash: user.passwordHash,
+      scopes: (user.scopes && user.scopes.length ? user.scopes : [{ prefix: '/' }])
+        .map(scope => this._compileScope(scope, this._resolveMount))
+        .filter(Boolean)
+    }));
+    this.uiPrefixes = (loginOptions.protect || [])
+      .map(rule => this._compileScope(rule, this._resolveMount))
+      .filter(Boolean);
+  }
+
+  /**
+   * 是否启用了会话认证
+   */
+  get sessionsEnabled() {
+    return !!this.sessions;
+  }
+
+  /**
+   * 校验本地用户密码
+   *
+   * @param {string} username - 用户名
+   * @param {string} password - 明文密码
+   * @returns {Object|null} 用户条目
+   */
+  verifyUser(username, password) {
+    const user = this.users.find(u => u.username === String(username || ''));
+    const ok = verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+    return ok && user ? user : null;
+  }
+
+  /**
+   * 为用户创建会话并返回 Set-Cookie 值
+   *
+   * @param {http.IncomingMessage} req - 请求对象
+   * @param {Object} user - verifyUser 返回的用户
+   * @returns {{ cookie: string, expiresAt: number }}
+   */
+  login(req, user) {
+    const session = this.sessions.create(user.username, { ip: getClientIP(req, this.trustProxy) });
+    const cookie = serializeCookie(this.cookieName, session.id, {
+      maxAge: (session.expiresAt - Date.now()) / 1000,
+      secure: !!(req.socket && req.socket.encrypted)
+    });
+    return { cookie, expiresAt: session.expiresAt };
+  }
+
+  /**
+   * 注销当前会话并返回清除 Cookie 的 Set-Cookie 值
+   *
+   * @param {http.IncomingMessage} req - 请求对象
+   * @returns {string}
+   */
+  logout(req) {
+    const id = parseCookies(req.headers.cookie)[this.cookieName];
+    if (this.sessions) this.sessions.destroy(id);
+    return serializeCookie(this.cookieName, '', {
+      maxAge: 0,
+      secure: !!(req.socket && req.socket.encrypted)
+    });
+  }
+
+  /**
+   * 读取请求携带的有效会话
+   *
+   * @param {http.IncomingMessage} req - 请求对象
+   * @returns {Object|null} 会话
+   */
+  getSession(req) {
+    if (!this.sessions) return null;
+    const id = parseCookies(req.headers.cookie)[this.cookieName];
+    return this.sessions.get(id);
+  }
+
+  /**
+   * 解析作用域规则 { prefix, mount, methods }
+   * @private
+   */
+  _compileScope(scope, resolveMount) {
+    if (!scope) return null;
+    const rule = typeof scope === 'string' ? { prefix: scope } : scope;
+    let prefix = String(rule.prefix || '');
+
+    if (rule.mount) {
+      const mountPath = resolveMount ? resolveMount(rule.mount) : null;
+      if (!mountPath) return null;
+      prefix = mountPath.replace(/\/$/, '') + (prefix || '');
+    }
+
+    if (!prefix) prefix = '/';
+    if (!prefix.startsWith('/')) return null;
+
+    const methods = Array.isArray(rule.methods) && rule.methods.length && !rule.methods.includes('*')
+      ? rule.methods.map(m => String(m).toUpperCase())
+      : null;
+
+    return { prefix, methods, exact: !!rule.exact };
+  }
+
+  /**
+   * 判断作用域列表是否覆盖该请求
+   * @private
+   */
+  _scopeMatches(scopes, method, requestPath) {
+    return scopes.some(scope =>
+      (!scope.methods || scope.methods.includes(method)) &&
+      (scope.exact ? requestPath === scope.prefix : matchesPrefix(requestPath, scope.prefix))
+    );
+  }
+
+  /**
+   * 判断请求是否需要认证
+   *
+   * @param {string} method - HTTP 方法
+   * @param {string} requestPath - 请求路径
+   * @returns {boolean}
+   */
+  requiresAuth(method, requestPath) {
+    if (this._scopeMatches(this.publicPrefixes, method, requestPath)) return false;
+    if (this.sessions && this._scopeMatches(this.uiPrefixes, method, requestPath)) return true;
+    if (!this.enabled) return false;
+    if (this.protectedMethods.includes(WEBDAV_WRITE_METHODS.includes(method) ? 'PUT' : method)) return true;
+    return this._scopeMatches(this.protectedPrefixes, method, requestPath);
+  }
+
+  /**
+   * 识别请求身份：API Key 优先，其次 Basic 用户名密码，最后会话 Cookie
+   *
+   * Basic 凭据会被浏览器自动携带，与会话一样需要做同源校验（basic=true）。
+   * @private
+   */
+  _identify(req, queryString) {
+    const token = this.extractToken(req, queryString);
+    const basic = parseBasicAuth(req.headers['authorization']);
+    const entry = this.findKey(token);
+    if (entry) {
+      return { type: 'apiKey', name: entry.name, scopes: entry.scopes, token, basic: !!basic };
+    }
+
+    if (basic && this.users.length) {
+      const user = this._verifyBasic(basic.username, basic.password);
+      if (user) {
+        return { type: 'basic', name: user.username, scopes: user.scopes, token, basic: true };
+      }
+    }
+
+    const session = this.getSession(req);
+    if (session) {
+      const user = this.users.find(u => u.username === session.username);
+      if (user) {
+        return { type: 'session', name: user.username, scopes: user.scopes, token };
+      }
+    }
+
+    return { type: null, token };
+  }
+
+  /**
+   * 校验 Basic 用户名密码（成功与失败结果均短时缓存）
+   * @private
+   */
+  _verifyBasic(username, password) {
+    const cacheKey = sha256(`${username}\n${password}`).toString('hex');
+    const cached = this.basicCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.username ? this.users.find(u => u.username === cached.username) || null : null;
+    }
+
+    const user = this.verifyUser(username, password);
+    this.basicCache.delete(cacheKey);
+    if (this.basicCache.size >= BASIC_CACHE_MAX) {
+      this.basicCache.delete(this.basicCache.keys().next().value);
+    }
+    this.basicCache.set(cacheKey, user
+      ? { username: user.username, expiresAt: Date.now() + BASIC_CACHE_TTL_MS }
+      : { username: null, expiresAt: Date.now() + BASIC_FAILURE_TTL_MS });
+    return user;
+  }
+
+  /**
+   * 会话认证的变更请求需同源，防止跨站请求伪造
+   * @private
+   */
+  _isSameOrigin(req) {
+    const origin = req.headers.origin || req.headers.referer;
+    if (!origin) return true;
+    try {
+      return new URL(origin).host === req.headers.host;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * 从请求中提取凭据（Bearer 头优先，其次 Basic 密码，最后查询参数）
+   *
+   * @param {http.IncomingMessage} req - 请求对象
+   * @param {string} queryString - 查询字符串
+   * @returns {string|null} 凭据字符串
+   */
+  extractToken(req, queryString) {
+    const header = req.headers['authorization'] || '';
+    const bearer = String(header).match(/^Bearer\s+(.+)$/i);
+    if (bearer) return bearer[1].trim();
+
+    const basic = parseBasicAuth(header);
+    if (basic) return basic.password;
+
+    if (queryString) {
+      const value = new URLSearchParams(queryString).get(this.queryParam);
+      if (value) return value;
+    }
+    return null;
+  }
+
+  /**
+   * 根据凭据查找 API Key（常量时间比较）
+   *
+   * @param {string} token - 凭据
+   * @returns {Object|null} Key 条目 { name, scopes }
+   */
+  findKey(token) {
+    if (!token) return null;
+    const digest = sha256(token);
+    let found = null;
+    for (const entry of this.keys) {
+      if (crypto.timingSafeEqual(entry.digest, digest) && !found) {
+        found = entry;
+      }
+    }
+    return found;
+  }
+
+  /**
+   * 对请求执行认证；未通过时直接写出 401/403 响应
+   *
+   * 认证通过后在 req.auth 上记录 { type, name }，供后续处理器使用。
+   * 无需认证的路径不在此处校验凭据，req.auth 在首次读取时才识别（目录映射的
+   * 认证规则、审计记录等），避免公开路径上任意请求都触发 scrypt。
+   *
+   * @param {http.IncomingMessage} req - 请求对象
+   * @param {http.ServerResponse} res - 响应对象
+   * @param {string} requestPath - 请求路径
+   * @param {string} queryString - 查询字符串
+   * @returns {boolean} true 表示允许继续处理
+   */
+  authorize(req, res, requestPath, queryString) {
+    if (!this.requiresAuth(req.method, requestPath)) {
+      this._identifyLazily(req, queryString);
+      return true;
+    }
+
+    const identity = this._identify(req, queryString);
+    if (identity.type) {
+      req.auth = { type: identity.type, name: identity.name };
+    }
+
+    const clientIP = getClientIP(req, this.trustProxy);
+
+    if (!identity.type) {
+      // 浏览器访问受保护页面：跳转登录页
+      if (this.sessions && this._isPageNavigation(req) &&
+          this._scopeMatches(this.uiPrefixes, req.method, requestPath)) {
+        this.stats.redirected++;
+        const next = requestPath + (queryString ? `?${queryString}` : '');
+        res.writeHead(302, { Location: `${LOGIN_PATH}?next=${encodeURIComponent(next)}` });
+        res.end();
+        return false;
+      }
+
+      this.stats.unauthorized++;
+      this._log(`认证失败（${identity.token ? '无效凭据' : '缺少凭据'}）: ${clientIP} ${req.method} ${requestPath}`);
+      const challenges = this.basicPrefixes.some(prefix => matchesPrefix(requestPath, prefix))
+        ? ['Basic realm="LocalBackendServer", charset="UTF-8"', 'Bearer realm="LocalBackendServer"']
+        : 'Bearer realm="LocalBackendServer"';
+      res.writeHead(401, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'WWW-Authenticate': challenges
+      });
+      res.end(JSON.stringify({ success: false, message: '未授权' }));
+      return false;
+    }
+
+    if (!this._scopeMatches(identity.scopes, req.method, requestPath)) {
+      this.stats.forbidden++;
+      this._log(`认证越权: ${identity.type}=${identity.name} ${clientIP} ${req.method} ${requestPath}`);
+      res.writeHead(403, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ success: false, message: '凭据无权访问该路径' }));
+      return false;
+    }
+
+    if ((identity.type === 'session' || identity.basic) &&
+        (MUTATING_METHODS.includes(req.method) || WEBDAV_WRITE_METHODS.includes(req.method)) &&
+        !this._isSameOrigin(req)) {
+      this.stats.forbidden++;
+      this._log(`跨站请求被拒绝: user=${identity.name} ${clientIP} ${req.method} ${requestPath}`, req.headers.origin || req.headers.referer);
+      res.writeHead(403, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ success: false, message: '跨站请求被拒绝' }));
+      return false;
+    }
+
+    this.stats.allowed++;
+    return true;
+  }
+
+  /**
+   * 将 req.auth 定义为首次读取时识别身份的属性
+   * @private
+   */
+  _identifyLazily(req, queryString) {
+    let auth;
+    let resolved = false;
+    Object.defineProperty(req, 'auth', {
+      configurable: true,
+      enumerable: true,
+      get: () => {
+        if (!resolved) {
+          const identity = this._identify(req, queryString);
+          auth = identity.type ? { type: identity.type, name: identity.name } : undefined;
+          resolved = true;
+        }
+        return auth;
+      },
+      set: (value) => {
+        auth = value;
+        resolved = true;
+      }
+    });
+  }
+
+  /**
+   * 判断是否为浏览器页面导航（而非 API 调用）
+   * @private
+   */
+  _isPageNavigation(req) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+    if (req.headers['authorization']) return false;
+    const accept = String(req.headers.accept || '');
+    return accept.includes('text/html');
+  }
+
+  /**
+   * 私有方法：记录拒绝日志
+   */
+  _log(message, extra) {
+    if (this.logger) {
+      this.logger('WARN', message, extra);
+    }
+  }
+
+  /**
+   * 获取统计信息（不含密钥）
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      keys: this.keys.map(k => ({ name: k.name, scopes: k.scopes })),
+      ...(this.sessions && {
+        sessions: this.sessions.getStats(),
+        users: this.users.map(u => u.username)
+      }),
+      ...this.stats
+    };
+  }
+}
+
+module.exports = {
+  AuthManager,
+  matchesPrefix,
+  getRequester,
+  MUTATING_METHODS,
+  WEBDAV_WRITE_METHODS,
+  LOGIN_PATH,
+  LOGOUT_PATH
+};
@@ -14,8 +14,11 @@
 function applyCorsHeaders(res, enabled) {
   if (enabled) {
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS');
+    // 通配符不覆盖 Authorization，需要显式列出
+    res.setHeader('Access-Control-Allow-Headers', '*, Authorization');
+    // 断点续传（tus）客户端需要读取的响应头；ETag 供 Markdown 写回（PUT + If-Match）使用
+    res.setHeader('Access-Control-Expose-Headers', 'ETag, Location, Upload-Offset, Upload-Length, Upload-Metadata, Upload-Expires, Tus-Resumable, Tus-Version, Tus-Extension, Tus-Max-Size, X-Upload-Url');
   }
 }
 
@@ -6,10 +6,18 @@
  * - UTF-8 编码的文件名（RFC 5987）
  * - 多文件上传
  * - 表单字段解析
+ * - 流式解析：文件部分边接收边写入临时文件，按字节实时校验大小上限
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
 const querystring = require('querystring');
-const MAX_BODY_SIZE = 80 * 1024 * 1024; // 80MB 防御性上限
+const { SNIFF_BYTES } = require('../utils/file-sniffer');
+const MAX_HEADER_SIZE = 16 * 1024; // 单个 part 头部上限
+const MAX_FIELD_SIZE = 1024 * 1024; // 单个普通字段上限
+const MAX_PARTS = 1000; // 单次请求 part 数上限
 
 /**
  * 解析 JSON 或表单编码的请求体
@@ -53,98 +61,314 @@ function parseJsonBody(req) {
 }
 
 /**
- * 解析 multipart/form-data 请求
- * 正确处理 UTF-8 编码的文件名
- * 
+ * 从 part 头部解析文件名（兼容 RFC 5987 filename*= 与 UTF-8 原始字节）
+ *
+ * @param {string} disposition - Content-Disposition 头（latin1 解码）
+ * @returns {string|null} 文件名，非文件字段返回 null
+ */
+function parseFilename(disposition) {
+  const filenameStarMatch = disposition.match(/filename\*=(?:UTF-8'')?([^\r\n;]+)/i);
+  if (filenameStarMatch) {
+    try {
+      return decodeURIComponent(filenameStarMatch[1]);
+    } catch (e) {
+      return filenameStarMatch[1];
+    }
+  }
+
+  const filenameMatch = disposition.match(/filename="([^"]*)"/is);
+  if (filenameMatch) {
+    try {
+      return Buffer.from(filenameMatch[1], 'binary').toString('utf-8');
+    } catch (e) {
+      return filenameMatch[1];
+    }
+  }
+
+  return /filename=/i.test(disposition) ? 'unknown' : null;
+}
+
+/**
+ * 创建带状态码的解析错误
+ */
+function multipartError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * 删除解析产生的临时文件（忽略错误）
+ *
+ * @param {Array} files - parseMultipartStream 返回的文件列表
+ */
+async function removeTempFiles(files) {
+  for (const file of files || []) {
+    if (file && file.tempPath) {
+      await fs.promises.unlink(file.tempPath).catch(() => {});
+    }
+  }
+}
+
+/**
+ * 流式解析 multipart/form-data 请求
+ *
+ * 文件部分不进入内存，按到达顺序直接写入 tempDir 下的临时文件（.upload-*.part）；
+ * 超出单文件或总量上限时立即中止并返回 statusCode=413 的错误。
+ * 写入的同时计算 SHA-256（file.sha256）并保留开头字节（file.head），供去重、命名与类型识别使用。
+ * 成功后由调用方负责将 tempPath 重命名到最终位置或删除。
+ *
  * @param {http.IncomingMessage} req - HTTP 请求对象
- * @returns {Promise<Object>} 返回 {fields: Object, files: Array}
+ * @param {Object} options - 解析选项
+ * @param {number|Function} options.maxFileSize - 单文件字节上限，或 (fieldsSoFar) => 字节上限（按目标目录区分时使用）
+ * @param {number} options.maxTotalSize - 请求体字节上限
+ * @param {Function} options.tempDir - (fieldsSoFar) => 临时文件目录（应与目标目录同盘以便原子重命名，且不对外提供访问）
+ * @returns {Promise<Object>} {fields: Object, files: Array<{filename, fieldName, mimeType, tempPath, size, sha256, head}>}
  */
-function parseMultipart(req) {
+function parseMultipartStream(req, options = {}) {
+  const fileSizeLimit = typeof options.maxFileSize === 'function'
+    ? options.maxFileSize
+    : () => options.maxFileSize || Infinity;
+  const maxTotalSize = options.maxTotalSize || Infinity;
+
   return new Promise((resolve, reject) => {
     const contentType = req.headers['content-type'] || '';
-    const boundary = contentType.split('boundary=')[1];
-    
+    const boundaryMatch = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+    const boundary = boundaryMatch && (boundaryMatch[1] || boundaryMatch[2]).trim();
+
     if (!boundary) {
-      reject(new Error('无效的 boundary'));
+      reject(multipartError('无效的 boundary'));
       return;
     }
-    
-    let data = Buffer.alloc(0);
-    
-    req.on('data', chunk => {
-      data = Buffer.concat([data, chunk]);
-      if (data.length > MAX_BODY_SIZE) {
-        reject(new Error('请求体过大'));
-        req.destroy();
+
+    const declaredLength = parseInt(req.headers['content-length'] || '0', 10);
+    if (declaredLength > maxTotalSize) {
+      reject(multipartError('请求体过大', 413));
+      return;
+    }
+
+    // 所有分隔符统一视为 "\r\n--boundary"，因此在流开头补一个 CRLF
+    const delimiter = Buffer.from(`\r\n--${boundary}`);
+    const headerEnd = Buffer.from('\r\n\r\n');
+    const fields = {};
+    const files = [];
+
+    let buffer = Buffer.from('\r\n');
+    let state = 'preamble'; // preamble | boundary | headers | body | done
+    let received = 0;
+    let partCount = 0;
+    let current = null; // { type: 'file'|'field', ... }
+    let finished = false;
+    let pendingWrites = 0;
+    let ended = false;
+    let waitingDrain = false;
+
+    const fail = (err) => {
+      if (finished) return;
+      finished = true;
+      req.removeListener('data', onData);
+      req.removeListener('end', onEnd);
+      req.pause();
+      if (current && current.stream) {
+        current.stream.destroy();
       }
-    });
-    
-    req.on('end', () => {
-      const parts = data.toString('binary').split('--' + boundary);
-      const fields = {};
-      const files = [];
-      
-      for (let i = 1; i < parts.length - 1; i++) {
-        const part = parts[i];
-        const isFile = part.includes('filename=');
-        
-        if (isFile) {
-          let filename = 'unknown';
-          
-          // 尝试从 filename*= 获取 UTF-8 编码的文件名（RFC 5987）
-          const filenameStarMatch = part.match(/filename\*=(?:UTF-8'')?([^\r\n;]+)/);
-          if (filenameStarMatch) {
-            try {
-              // 解码百分比编码
-              filename = decodeURIComponent(filenameStarMatch[1]);
-            } catch (e) {
-              // 如果解码失败，尝试直接使用
-              filename = filenameStarMatch[1];
-            }
-          } else {
-            // 尝试从标准 filename= 获取（可能是UTF-8编码的二进制数据）
-            const filenameMatch = part.match(/filename="([^"]*)"/s);
-            if (filenameMatch) {
-              const rawFilename = filenameMatch[1];
-              // 尝试将二进制字符串转换为UTF-8
-              try {
-                filename = Buffer.from(rawFilename, 'binary').toString('utf-8');
-              } catch (e) {
-                filename = rawFilename;
-              }
-            }
+      removeTempFiles(current && current.tempPath ? [...files, current] : files)
+        .finally(() => reject(err));
+    };
+
+    const resumeReading = () => {
+      if (!waitingDrain) return;
+      waitingDrain = false;
+      if (!finished) req.resume();
+    };
+
+    const maybeResolve = () => {
+      if (finished || !ended || pendingWrites > 0) return;
+      if (state !== 'done') {
+        fail(multipartError('multipart 请求体不完整'));
+        return;
+      }
+      finished = true;
+      resolve({ fields, files });
+    };
+
+    const startPart = (rawHeaders) => {
+      partCount++;
+      if (partCount > MAX_PARTS) {
+        throw multipartError('表单字段过多');
+      }
+
+      const headerText = rawHeaders.toString('latin1');
+      const dispositionLine = headerText.split('\r\n').find(l => /^content-disposition:/i.test(l)) || '';
+      const typeLine = headerText.split('\r\n').find(l => /^content-type:/i.test(l)) || '';
+      const nameMatch = dispositionLine.match(/\bname="([^"]*)"/i);
+      const fieldName = nameMatch ? Buffer.from(nameMatch[1], 'binary').toString('utf-8') : '';
+      const filename = parseFilename(dispositionLine);
+
+      if (filename === null) {
+        current = { type: 'field', name: fieldName, chunks: [], size: 0 };
+        return;
+      }
+
+      const dir = options.tempDir ? options.tempDir(fields) : os.tmpdir();
+      fs.mkdirSync(dir, { recursive: true });
+      const tempPath = path.join(dir, `.upload-${crypto.randomBytes(8).toString('hex')}.part`);
+      const stream = fs.createWriteStream(tempPath, { flags: 'wx' });
+
+      current = {
+        type: 'file',
+        filename,
+        fieldName,
+        maxSize: fileSizeLimit(fields) || Infinity,
+        mimeType: typeLine.replace(/^content-type:\s*/i, '').trim() || 'application/octet-stream',
+        tempPath,
+        size: 0,
+        hash: crypto.createHash('sha256'),
+        head: Buffer.alloc(0),
+        stream
+      };
+
+      stream.on('error', (err) => fail(err));
+      stream.on('drain', resumeReading);
+      stream.on('finish', resumeReading);
+    };
+
+    const writePartData = (data) => {
+      if (!data.length || !current) return;
+
+      if (current.type === 'field') {
+        current.size += data.length;
+        if (current.size > MAX_FIELD_SIZE) {
+          throw multipartError('表单字段过大', 413);
+        }
+        current.chunks.push(data);
+        return;
+      }
+
+      current.size += data.length;
+      if (current.size > current.maxSize) {
+        throw multipartError(`文件过大: ${current.filename}`, 413);
+      }
+      current.hash.update(data);
+      if (current.head.length < SNIFF_BYTES) {
+        current.head = Buffer.concat([current.head, data.subarray(0, SNIFF_BYTES - current.head.length)]);
+      }
+      if (!current.stream.write(data)) {
+        // 背压：磁盘写入跟不上时暂停读取，drain/finish 后恢复
+        waitingDrain = true;
+        req.pause();
+      }
+    };
+
+    const endPart = () => {
+      if (!current) return;
+      if (current.type === 'field') {
+        if (current.name) {
+          fields[current.name] = Buffer.concat(current.chunks).toString('utf8');
+        }
+      } else {
+        const file = current;
+        pendingWrites++;
+        file.stream.end(() => {
+          pendingWrites--;
+          maybeResolve();
+        });
+        delete file.stream;
+        file.sha256 = file.hash.digest('hex');
+        delete file.hash;
+        delete file.maxSize;
+        files.push(file);
+      }
+      current = null;
+    };
+
+    const processBuffer = () => {
+      while (!finished) {
+        if (state === 'preamble' || state === 'body') {
+          const idx = buffer.indexOf(delimiter);
+          if (idx === -1) {
+            // 保留可能跨块的分隔符前缀
+            const keep = Math.min(buffer.length, delimiter.length - 1);
+            if (state === 'body') writePartData(buffer.subarray(0, buffer.length - keep));
+            buffer = buffer.subarray(buffer.length - keep);
+            return;
           }
-          
-          const fileContentStart = part.indexOf('\r\n\r\n') + 4;
-          const fileContentEnd = part.lastIndexOf('\r\n');
-          const fileContent = part.slice(fileContentStart, fileContentEnd);
-          
-          files.push({
-            filename: filename,
-            content: Buffer.from(fileContent, 'binary'),
-            size: fileContent.length
-          });
-        } else {
-          // 解析表单字段
-          const nameMatch = part.match(/name="([^"]+)"/);
-          if (nameMatch) {
-            const fieldName = nameMatch[1];
-            const fieldStart = part.indexOf('\r\n\r\n') + 4;
-            const fieldEnd = part.lastIndexOf('\r\n');
-            const fieldValue = part.slice(fieldStart, fieldEnd);
-            fields[fieldName] = fieldValue;
+          if (state === 'body') {
+            writePartData(buffer.subarray(0, idx));
+            endPart();
           }
+          buffer = buffer.subarray(idx + delimiter.length);
+          state = 'boundary';
         }
+
+        if (state === 'boundary') {
+          if (buffer.length < 2) return;
+          if (buffer[0] === 0x2d && buffer[1] === 0x2d) { // "--" 结束标记
+            state = 'done';
+            buffer = Buffer.alloc(0);
+            return;
+          }
+          // 跳过边界后的空白与 CRLF
+          const lineEnd = buffer.indexOf('\r\n');
+          if (lineEnd === -1) {
+            if (buffer.length > 256) throw multipartError('multipart 边界格式错误');
+            return;
+          }
+          buffer = buffer.subarray(lineEnd + 2);
+          state = 'headers';
+        }
+
+        if (state === 'headers') {
+          // 头部为空时 "\r\n\r\n" 的前半已被边界行消费，需要兼容
+          if (buffer.length >= 2 && buffer[0] === 0x0d && buffer[1] === 0x0a) {
+            startPart(Buffer.alloc(0));
+            buffer = buffer.subarray(2);
+            state = 'body';
+            continue;
+          }
+          const idx = buffer.indexOf(headerEnd);
+          if (idx === -1) {
+            if (buffer.length > MAX_HEADER_SIZE) throw multipartError('multipart 头部过大', 431);
+            return;
+          }
+          startPart(buffer.subarray(0, idx));
+          buffer = buffer.subarray(idx + headerEnd.length);
+          state = 'body';
+        }
+
+        if (state === 'done') return;
       }
-      
-      resolve({ fields, files });
-    });
-    
-    req.on('error', reject);
+    };
+
+    const onData = (chunk) => {
+      if (finished) return;
+      received += chunk.length;
+      if (received > maxTotalSize) {
+        fail(multipartError('请求体过大', 413));
+        return;
+      }
+      try {
+        buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+        processBuffer();
+      } catch (err) {
+        fail(err);
+      }
+    };
+
+    const onEnd = () => {
+      ended = true;
+      maybeResolve();
+    };
+
+    req.on('data', onData);
+    req.on('end', onEnd);
+    req.on('error', fail);
+    req.on('aborted', () => fail(multipartError('客户端中止上传')));
   });
 }
 
 module.exports = {
   parseJsonBody,
-  parseMultipart
+  parseMultipartStream,
+  removeTempFiles
 };
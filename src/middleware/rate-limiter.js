@@ -5,6 +5,7 @@
  * - 基于 IP 的请求限流
  * - 时间窗口控制
  * - 实时限流信息查询
+ * - 按路由前缀的多策略限流（RateLimitManager）
  */
 
 /**
@@ -139,19 +140,82 @@ class RateLimiter {
   }
 }
 
+/**
+ * 获取客户端 IP
+ *
+ * 仅在 trustProxy 开启时才信任 X-Forwarded-For，
+ * 否则客户端可以伪造该头部绕过限流。
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {boolean} trustProxy - 是否信任代理头
+ * @returns {string} 客户端 IP
+ */
+function getClientIP(req, trustProxy = false) {
+  if (trustProxy) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded) {
+      const first = String(forwarded).split(',')[0].trim();
+      if (first) return first;
+    }
+  }
+  return (req.socket && req.socket.remoteAddress) || '0.0.0.0';
+}
+
+/**
+ * 写入限流响应头（X-RateLimit-*）
+ *
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {RateLimiter} limiter - 限流器实例
+ * @param {Object|null} info - getClientInfo 返回值
+ */
+function applyRateLimitHeaders(res, limiter, info) {
+  if (!info || res.headersSent) return;
+  res.setHeader('X-RateLimit-Limit', limiter.maxRequests);
+  res.setHeader('X-RateLimit-Remaining', Math.max(0, limiter.maxRequests - info.requests));
+  res.setHeader('X-RateLimit-Reset', info.resetIn);
+}
+
+/**
+ * 发送 429 响应
+ *
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {RateLimiter} limiter - 限流器实例
+ * @param {Object} info - getClientInfo 返回值
+ * @param {string} [policy] - 命中的策略名
+ */
+function sendTooManyRequests(res, limiter, info, policy) {
+  res.writeHead(429, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Retry-After': Math.max(1, Math.ceil(info.resetIn)),
+    'X-RateLimit-Limit': limiter.maxRequests,
+    'X-RateLimit-Remaining': 0,
+    'X-RateLimit-Reset': info.resetIn
+  });
+
+  res.end(JSON.stringify({
+    success: false,
+    message: '请求过于频繁，请稍后重试',
+    retryAfter: info.resetIn,
+    rateLimit: {
+      policy: policy || undefined,
+      limit: limiter.maxRequests,
+      current: info.requests,
+      window: limiter.windowMs
+    }
+  }));
+}
+
 /**
  * 创建速率限制中间件
  * 
  * @param {RateLimiter} limiter - 限流器实例
  * @param {Function} logger - 日志函数
+ * @param {boolean} trustProxy - 是否信任 X-Forwarded-For
  * @returns {Function} 中间件函数
  */
-function createRateLimitMiddleware(limiter, logger) {
+function createRateLimitMiddleware(limiter, logger, trustProxy = false) {
   return function rateLimitMiddleware(req, res) {
-    // 获取客户端 IP
-    const clientIP = req.headers['x-forwarded-for']?.split(',')[0].trim() ||
-                     req.socket.remoteAddress ||
-                     '0.0.0.0';
+    const clientIP = getClientIP(req, trustProxy);
 
     // 检查是否超限
     if (!limiter.check(clientIP)) {
@@ -161,31 +225,172 @@ function createRateLimitMiddleware(limiter, logger) {
         logger('WARN', `速率限制触发: ${clientIP} - ${info.requests}/${limiter.maxRequests}`);
       }
 
-      // 返回 429 Too Many Requests
-      res.writeHead(429, {
-        'Content-Type': 'application/json; charset=utf-8',
-        'Retry-After': Math.ceil(info.resetIn)
-      });
-
-      res.end(JSON.stringify({
-        success: false,
-        message: '请求过于频繁，请稍后重试',
-        retryAfter: info.resetIn,
-        rateLimit: {
-          limit: limiter.maxRequests,
-          current: info.requests,
-          window: limiter.windowMs
-        }
-      }));
-
+      sendTooManyRequests(res, limiter, info);
       return true; // 表示请求被限流
     }
 
+    applyRateLimitHeaders(res, limiter, limiter.getClientInfo(clientIP));
     return false; // 表示请求被允许
   };
 }
 
+/**
+ * 按路由划分的多策略限流管理器
+ *
+ * 每条策略拥有独立的 RateLimiter 实例，按 IP 计数：
+ * - prefix：绝对路径前缀（如 /upload）
+ * - mount + prefix：相对于服务挂载点的前缀（如 telegram + /api/verify）
+ * - methods：可选，仅对指定方法生效
+ *
+ * 请求匹配前缀最长的策略；均未命中时使用 default 策略。
+ */
+class RateLimitManager {
+  /**
+   * @param {Object} options - server.rateLimit 配置（enabled 为 true 时才生效）
+   * @param {Function} logger - 日志函数
+   * @param {Function} resolveMount - (mountName) => 挂载路径，用于解析 mount 字段
+   * @param {PerformanceCollector} perfCollector - 性能收集器（可选）
+   */
+  constructor(options = {}, logger = null, resolveMount = null, perfCollector = null) {
+    this.enabled = !!options.enabled;
+    this.trustProxy = !!options.trustProxy;
+    this.logger = logger;
+    this.perfCollector = perfCollector;
+    this.policies = [];
+    this.defaultPolicy = null;
+
+    if (!this.enabled) return;
+
+    for (const rule of options.rules || []) {
+      const prefix = this._resolvePrefix(rule, resolveMount);
+      if (!prefix) continue;
+
+      this.policies.push({
+        name: rule.name || prefix,
+        prefix,
+        methods: Array.isArray(rule.methods) && rule.methods.length
+          ? rule.methods.map(m => String(m).toUpperCase())
+          : null,
+        limiter: new RateLimiter(rule.maxRequests, rule.windowMs)
+      });
+    }
+
+    // 更具体（更长）的前缀优先匹配
+    this.policies.sort((a, b) => b.prefix.length - a.prefix.length);
+
+    if (options.default && options.default.maxRequests > 0) {
+      this.defaultPolicy = {
+        name: 'default',
+        prefix: '/',
+        methods: null,
+        limiter: new RateLimiter(options.default.maxRequests, options.default.windowMs)
+      };
+    }
+  }
+
+  /**
+   * 解析策略的路径前缀
+   * @private
+   */
+  _resolvePrefix(rule, resolveMount) {
+    let prefix = String(rule.prefix || '');
+
+    if (rule.mount) {
+      const mountPath = resolveMount ? resolveMount(rule.mount) : null;
+      if (!mountPath) return null;
+      prefix = mountPath.replace(/\/$/, '') + prefix;
+    }
+
+    if (!prefix.startsWith('/')) return null;
+    return prefix;
+  }
+
+  /**
+   * 查找请求对应的策略
+   *
+   * @param {string} method - HTTP 方法
+   * @param {string} requestPath - 请求路径
+   * @returns {Object|null} 策略或 null
+   */
+  match(method, requestPath) {
+    for (const policy of this.policies) {
+      if (policy.methods && !policy.methods.includes(method)) continue;
+      if (requestPath === policy.prefix ||
+          requestPath.startsWith(policy.prefix.endsWith('/') ? policy.prefix : policy.prefix + '/')) {
+        return policy;
+      }
+    }
+    return this.defaultPolicy;
+  }
+
+  /**
+   * 对请求执行限流检查；超限时直接写出 429 响应
+   *
+   * @param {http.IncomingMessage} req - 请求对象
+   * @param {http.ServerResponse} res - 响应对象
+   * @param {string} requestPath - 请求路径
+   * @returns {boolean} true 表示请求已被限流并响应
+   */
+  apply(req, res, requestPath) {
+    if (!this.enabled) return false;
+
+    const policy = this.match(req.method, requestPath || '/');
+    if (!policy) return false;
+
+    const clientIP = getClientIP(req, this.trustProxy);
+    const { limiter } = policy;
+
+    if (!limiter.check(clientIP)) {
+      const info = limiter.getClientInfo(clientIP);
+
+      if (this.logger) {
+        this.logger('WARN', `速率限制触发 [${policy.name}]: ${clientIP} ${req.method} ${requestPath}`, `${info.requests}/${limiter.maxRequests}`);
+      }
+      if (this.perfCollector) {
+        this.perfCollector.recordRateLimited(policy.name);
+      }
+
+      sendTooManyRequests(res, limiter, info, policy.name);
+      return true;
+    }
+
+    applyRateLimitHeaders(res, limiter, limiter.getClientInfo(clientIP));
+    return false;
+  }
+
+  /**
+   * 获取各策略统计
+   */
+  getStats() {
+    const all = this.defaultPolicy ? [...this.policies, this.defaultPolicy] : this.policies;
+    return {
+      enabled: this.enabled,
+      trustProxy: this.trustProxy,
+      policies: all.map(p => ({
+        name: p.name,
+        prefix: p.prefix,
+        methods: p.methods,
+        ...p.limiter.getStats()
+      }))
+    };
+  }
+
+  /**
+   * 关闭所有限流器的清理定时器
+   */
+  shutdown() {
+    for (const policy of this.policies) {
+      policy.limiter.shutdown();
+    }
+    if (this.defaultPolicy) {
+      this.defaultPolicy.limiter.shutdown();
+    }
+  }
+}
+
 module.exports = {
   RateLimiter,
-  createRateLimitMiddleware
+  RateLimitManager,
+  createRateLimitMiddleware,
+  getClientIP
 };
@@ -0,0 +1,274 @@
+/**
+ * 会话中间件
+ *
+ * 功能：
+ * - 服务端会话存储（内存 + 可选文件持久化，重启后保持登录）
+ * - scrypt 密码哈希与校验
+ * - Cookie 解析与序列化（HttpOnly / SameSite / Secure）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SCRYPT_KEYLEN = 32;
+const SCRYPT_COST = 16384;
+
+/**
+ * 生成密码哈希（格式：scrypt$N$salt$hash，salt/hash 为 base64）
+ *
+ * 可在命令行生成：
+ *   node -e "console.log(require('./src/middleware/session').hashPassword('你的密码'))"
+ *
+ * @param {string} password - 明文密码
+ * @returns {string} 哈希字符串
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN, { N: SCRYPT_COST });
+  return `scrypt$${SCRYPT_COST}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * 校验密码（常量时间比较）
+ *
+ * @param {string} password - 明文密码
+ * @param {string} stored - hashPassword 生成的哈希
+ * @returns {boolean}
+ */
+function verifyPassword(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 4 || parts[0] !== 'scrypt') return false;
+
+  const cost = parseInt(parts[1], 10);
+  const salt = Buffer.from(parts[2], 'base64');
+  const expected = Buffer.from(parts[3], 'base64');
+  if (!cost || !salt.length || expected.length !== SCRYPT_KEYLEN) return false;
+
+  try {
+    const actual = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN, { N: cost });
+    return crypto.timingSafeEqual(actual, expected);
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * 解析 Cookie 头
+ *
+ * @param {string} header - Cookie 请求头
+ * @returns {Object} name -> value
+ */
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach((pair) => {
+    const idx = pair.indexOf('=');
+    if (idx <= 0) return;
+    const name = pair.slice(0, idx).trim();
+    const value = pair.slice(idx + 1).trim();
+    if (!name || cookies[name] !== undefined) return;
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (_) {
+      cookies[name] = value;
+    }
+  });
+  return cookies;
+}
+
+/**
+ * 序列化 Set-Cookie 头
+ *
+ * @param {string} name - Cookie 名称
+ * @param {string} value - Cookie 值
+ * @param {Object} options - { maxAge(秒), secure, sameSite, path }
+ * @returns {string}
+ */
+function serializeCookie(name, value, options = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`];
+  parts.push(`Path=${options.path || '/'}`);
+  if (typeof options.maxAge === 'number') {
+    parts.push(`Max-Age=${Math.max(0, Math.floor(options.maxAge))}`);
+  }
+  parts.push('HttpOnly');
+  parts.push(`SameSite=${options.sameSite || 'Lax'}`);
+  if (options.secure) parts.push('Secure');
+  return parts.join('; ');
+}
+
+/**
+ * 会话存储类
+ *
+ * 会话 ID 只返回给客户端，存储侧仅保留其 SHA-256 摘要，
+ * 因此持久化文件泄露也无法直接冒用会话。
+ */
+class SessionStore {
+  /**
+   * @param {Object} options - { ttlMs, filePath }
+   * @param {Function} logger - 日志函数
+   */
+  constructor(options = {}, logger = null) {
+    this.ttlMs = options.ttlMs || 12 * 60 * 60 * 1000;
+    this.filePath = options.filePath || null;
+    this.logger = logger;
+    this.sessions = new Map(); // digest -> { username, createdAt, expiresAt, ip }
+    this.persistTimer = null;
+
+    this._load();
+    this.cleanupInterval = setInterval(() => this._cleanup(), 10 * 60 * 1000);
+  }
+
+  /**
+   * 计算会话 ID 摘要
+   * @private
+   */
+  _digest(id) {
+    return crypto.createHash('sha256').update(String(id)).digest('hex');
+  }
+
+  /**
+   * 创建会话
+   *
+   * @param {string} username - 用户名
+   * @param {Object} meta - 附加信息（如 ip）
+   * @returns {Object} { id, username, expiresAt }
+   */
+  create(username, meta = {}) {
+    const id = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const session = {
+      username,
+      createdAt: now,
+      expiresAt: now + this.ttlMs,
+      ip: meta.ip || null
+    };
+    this.sessions.set(this._digest(id), session);
+    this._schedulePersist();
+    return { id, username, expiresAt: session.expiresAt };
+  }
+
+  /**
+   * 查询有效会话
+   *
+   * @param {string} id - 会话 ID
+   * @returns {Object|null} 会话或 null
+   */
+  get(id) {
+    if (!id) return null;
+    const digest = this._digest(id);
+    const session = this.sessions.get(digest);
+    if (!session) return null;
+    if (Date.now() >= session.expiresAt) {
+      this.sessions.delete(digest);
+      this._schedulePersist();
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * 销毁会话
+   *
+   * @param {string} id - 会话 ID
+   */
+  destroy(id) {
+    if (!id) return;
+    if (this.sessions.delete(this._digest(id))) {
+      this._schedulePersist();
+    }
+  }
+
+  /**
+   * 清理过期会话
+   * @private
+   */
+  _cleanup() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [digest, session] of this.sessions) {
+      if (now >= session.expiresAt) {
+        this.sessions.delete(digest);
+        removed++;
+      }
+    }
+    if (removed > 0) this._schedulePersist();
+  }
+
+  /**
+   * 从文件加载会话
+   * @private
+   */
+  _load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const now = Date.now();
+      for (const [digest, session] of Object.entries(data || {})) {
+        if (session && session.expiresAt > now) {
+          this.sessions.set(digest, session);
+        }
+      }
+    } catch (err) {
+      if (this.logger) this.logger('WARN', '会话文件读取失败，已忽略', err.message);
+    }
+  }
+
+  /**
+   * 延迟写入，合并短时间内的多次变更
+   * @private
+   */
+  _schedulePersist() {
+    if (!this.filePath || this.persistTimer) return;
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this._persist();
+    }, 1000);
+  }
+
+  /**
+   * 写入会话文件
+   * @private
+   */
+  _persist() {
+    if (!this.filePath) return;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmp = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(this.sessions)), 'utf8');
+      fs.renameSync(tmp, this.filePath);
+    } catch (err) {
+      if (this.logger) this.logger('WARN', '会话文件写入失败', err.message);
+    }
+  }
+
+  /**
+   * 获取统计信息
+   */
+  getStats() {
+    return {
+      active: this.sessions.size,
+      ttlMs: this.ttlMs,
+      persisted: !!this.filePath
+    };
+  }
+
+  /**
+   * 关闭定时器并落盘
+   */
+  shutdown() {
+    clearInterval(this.cleanupInterval);
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+    }
+    this._persist();
+  }
+}
+
+module.exports = {
+  SessionStore,
+  hashPassword,
+  verifyPassword,
+  parseCookies,
+  serializeCookie
+};
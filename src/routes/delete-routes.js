@@ -5,12 +5,17 @@
  * - 批量删除
  * - URL 到本地路径映射
  * - 安全检查（仅删除映射目录内的文件）
+ * - 回收站（启用时文件移入所属映射的 .trash，可恢复）
+ * - 目录映射的访问规则（只读、IP 白名单、认证要求；隐藏路径按未映射处理）
  * - PicList 兼容格式
  */
 
 const fs = require('fs');
 const { parseJsonBody } = require('../middleware/multipart-parser');
 const { mapUrlToLocalPath } = require('../utils/path-resolver');
+const { getRequester } = require('../middleware/auth');
+const { findDirectoryMapping } = require('../utils/upload-naming');
+const { checkAccess } = require('../utils/directory-policy');
 
 /**
  * 处理文件删除请求（PicList 兼容）
@@ -19,8 +24,9 @@ const { mapUrlToLocalPath } = require('../utils/path-resolver');
  * @param {http.ServerResponse} res - 响应对象
  * @param {Object} config - 服务器配置
  * @param {Function} logger - 日志函数
+ * @param {Object} options - { ledger: 上传台账（可选）, trash: 回收站服务（可选，启用后移入回收站而非直接删除）, trustProxy }
  */
-async function handleDelete(req, res, config, logger) {
+async function handleDelete(req, res, config, logger, options = {}) {
   try {
     const body = await parseJsonBody(req);
     const list = Array.isArray(body?.list)
@@ -76,10 +82,39 @@ async function handleDelete(req, res, config, logger) {
         continue;
       }
 
+      const denied = checkAccess(req, findDirectoryMapping(config, localPath), { write: true, trustProxy: options.trustProxy });
+      if (denied) {
+        results.push({ success: false, target, message: denied.message });
+        continue;
+      }
+
       try {
         if (fs.existsSync(localPath)) {
-          fs.unlinkSync(localPath);
+          const stat = fs.statSync(localPath);
+          if (stat.isDirectory()) {
+            results.push({ success: false, target, path: localPath, message: '不能删除目录' });
+            continue;
+          }
+          const size = stat.size;
+          let trashId;
+          if (options.trash) {
+            // 移入回收站（可通过 /api/trash/restore 恢复）
+            const meta = await options.trash.moveToTrash(localPath, getRequester(req, options.trustProxy));
+            trashId = meta.id;
+          } else {
+            fs.unlinkSync(localPath);
+          }
           results.push({ success: true, target, path: localPath });
+          if (options.ledger) {
+            options.ledger.record(req, {
+              action: 'delete',
+              via: 'api',
+              url: target,
+              filePath: localPath,
+              size,
+              ...(trashId && { trashId })
+            });
+          }
         } else {
           results.push({ success: false, target, path: localPath, message: '文件不存在' });
         }
@@ -10,84 +10,139 @@ const path = require('path');
 const url = require('url');
 const { getMimeType } = require('../utils/mime');
 const { globalCache } = require('../utils/cache-manager');
-const { generateDirectoryListing } = require('../services/file-service/directory-listing');
+const {
+  readDirectoryEntries,
+  parseListingQuery,
+  queryListing,
+  listingToJson,
+  renderDirectoryListing,
+  createListingItem
+} = require('../services/file-service/directory-listing');
 const { generateMarkdownPage, MARKDOWN_PAGE_VERSION } = require('../services/file-service/markdown-page');
+const { exportMarkdown, EXPORT_FORMATS } = require('../services/file-service/markdown-export');
+const { serveMarkdownEditor } = require('./markdown-edit-routes');
+const { sendZip, contentDisposition } = require('../services/file-service/zip-archive');
+const { findArchive, getArchiveIndex, lookupEntry } = require('../services/file-service/archive-browser');
+const { openEntryStream } = require('../utils/archive-reader');
+const { sendFile, sendBuffer, fileEtag, contentEtag, evaluatePreconditions } = require('../utils/http-conditional');
+const { isHiddenPath, isListingAllowed, isRestricted } = require('../utils/directory-policy');
+const { resolveAccessPath } = require('../utils/path-resolver');
 
 // 常量
-const LARGE_FILE_THRESHOLD = 10 * 1024 * 1024; // 10MB 以上用流式传输
 const CACHE_TTL = 5 * 60 * 1000; // 5 分钟缓存
+const MAX_ARCHIVE_MARKDOWN = 5 * 1024 * 1024; // 包内 Markdown 渲染上限，超过按原文返回
+// 包内条目来自上传的压缩包，可执行内容一律按纯文本返回
+const ARCHIVE_UNSAFE_TYPES = ['text/html', 'image/svg+xml', 'application/xhtml+xml', 'text/xml', 'application/xml', 'application/javascript', 'text/javascript'];
 
 /**
- * 提供原始文件（支持流式传输和范围请求）
+ * 提供原始文件（支持流式传输、条件请求和范围请求）
  * 
  * @param {string} filePath - 文件路径
  * @param {http.ServerResponse} res - 响应对象
  * @param {string} mimeType - MIME 类型
  * @param {Object} stat - 文件统计信息
- * @param {http.IncomingMessage} req - 请求对象（可选，用于范围请求）
+ * @param {http.IncomingMessage} req - 请求对象（可选，用于条件请求和范围请求）
+ * @param {Object} compression - 压缩配置（可选）
+ * @param {string} cacheControl - Cache-Control 头（可选，分享链接等不允许共享缓存时传入）
  */
-function serveRawFile(filePath, res, mimeType, stat, req = null) {
-  const fileSize = stat.size;
-
-  // 处理 HTTP Range 请求（用于断点续传和快进）
-  if (req && req.headers.range) {
-    const rangeMatch = req.headers.range.match(/bytes=(\d+)-(\d*)/);
-    if (rangeMatch) {
-      const start = parseInt(rangeMatch[1], 10);
-      const end = rangeMatch[2] ? parseInt(rangeMatch[2], 10) : fileSize - 1;
-
-      if (start >= 0 && start < fileSize && end >= start && end < fileSize) {
-        res.writeHead(206, {
-          'Content-Type': mimeType,
-          'Content-Length': end - start + 1,
-          'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-          'Accept-Ranges': 'bytes',
-          'Cache-Control': 'public, max-age=3600'
-        });
-
-        fs.createReadStream(filePath, { start, end }).pipe(res);
-        return;
-      }
-    }
-  }
-
-  // 标准文件提供（使用流式传输）
-  res.writeHead(200, {
+function serveRawFile(filePath, res, mimeType, stat, req = null, compression = null, cacheControl = 'public, max-age=3600') {
+  sendFile(req, res, filePath, stat, {
     'Content-Type': mimeType,
-    'Content-Length': fileSize,
-    'Accept-Ranges': 'bytes',
-    'Cache-Control': 'public, max-age=3600',
-    'ETag': `"${stat.ino}-${stat.mtime.getTime()}"`
-  });
+    'Cache-Control': cacheControl
+  }, { compression });
+}
 
-  // 大文件使用流式传输，小文件直接读取
-  if (fileSize > LARGE_FILE_THRESHOLD) {
-    // 流式传输（适合大文件）
-    const stream = fs.createReadStream(filePath, {
-      highWaterMark: 64 * 1024 // 64KB 缓冲
-    });
+/**
+ * 缓存 HTML 压缩结果的适配器（键为 HTML 缓存键 + 编码）
+ *
+ * @private
+ * @param {string} cacheKey - HTML 的缓存键
+ * @param {string} namespace - 缓存命名空间
+ * @returns {{ get: Function, set: Function }}
+ */
+function compressedCache(cacheKey, namespace) {
+  return {
+    get: encoding => globalCache.get(`${cacheKey}:${encoding}`, namespace),
+    set: (encoding, buffer) => globalCache.set(`${cacheKey}:${encoding}`, buffer, CACHE_TTL, namespace)
+  };
+}
 
-    stream.on('error', err => {
-      if (!res.headersSent) {
-        res.writeHead(500);
-      }
-      res.end();
-    });
+/**
+ * 提供渲染后的 Markdown 页面（ETag 按页面内容计算，Last-Modified 取源文件修改时间）
+ *
+ * @private
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {Object} page - { html, etag }
+ * @param {Date} lastModified - 源文件修改时间
+ * @param {boolean} hit - 是否命中缓存
+ * @param {string} cacheKey - 页面缓存键（压缩结果随之缓存）
+ * @param {Object} compression - 压缩配置（可选）
+ */
+function sendMarkdownPage(req, res, page, lastModified, hit, cacheKey, compression) {
+  sendBuffer(req, res, page.html, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'private, max-age=300',
+    'ETag': page.etag,
+    'Last-Modified': lastModified.toUTCString(),
+    'X-Cache': hit ? 'HIT' : 'MISS'
+  }, { compression, cache: compressedCache(cacheKey, 'markdown') });
+}
 
-    stream.pipe(res);
-  } else {
-    // 小文件直接读取
-    fs.readFile(filePath, (err, data) => {
-      if (err) {
-        if (!res.headersSent) {
-          res.writeHead(500);
-        }
-        res.end();
-        return;
-      }
-      res.end(data);
-    });
+/**
+ * 排队渲染失败：请求队列已写出 503 时忽略，其余返回 500
+ *
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {Error} err - 错误
+ * @param {string} message - 响应与日志信息
+ * @param {Function} logger - 日志函数（可选）
+ * @param {string} subject - 日志中的请求路径（可选）
+ */
+function sendRenderError(res, err, message, logger = null, subject = '') {
+  if (err && err.handled) return;
+  if (logger) logger('ERROR', subject ? `${message}: ${subject}` : message, err && err.message);
+  if (res.headersSent) {
+    res.destroy();
+    return;
   }
+  res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(message);
+}
+
+/**
+ * 提供图片缩略图（缓存命中直接返回，未命中经请求队列生成；失败时回退为原图）
+ *
+ * @param {string} filePath - 源文件路径
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {Object} stat - 源文件统计信息
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {Object} params - 缩略图参数（ThumbnailService.parseParams 的结果）
+ * @param {ThumbnailService} thumbnails - 缩略图服务
+ * @param {Function} schedule - 可选，(kind, task) => Promise，通过请求队列执行编码
+ */
+function serveThumbnail(filePath, res, stat, req, params, thumbnails, schedule = null) {
+  const serveOriginal = () => {
+    if (!res.headersSent) serveRawFile(filePath, res, getMimeType(filePath, { sniff: true }), stat, req);
+  };
+
+  thumbnails.lookup(filePath, stat, params).then((cached) => {
+    if (cached) {
+      res.setHeader('X-Cache', 'HIT');
+      serveRawFile(cached.path, res, cached.mimeType, cached.stat, req);
+      return;
+    }
+
+    // 只有编码阶段占用请求队列，传输缩略图时已释放；执行超时时终止生成线程
+    const generate = signal => thumbnails.getThumbnail(filePath, stat, params, signal);
+    (schedule ? schedule('thumbnail', generate) : generate())
+      .then((result) => {
+        res.setHeader('X-Cache', 'MISS');
+        serveRawFile(result.path, res, result.mimeType, result.stat, req);
+      })
+      .catch((err) => {
+        if (!err || !err.handled) serveOriginal();
+      });
+  }).catch(serveOriginal);
 }
 
 /**
@@ -100,9 +155,13 @@ function serveRawFile(filePath, res, mimeType, stat, req = null) {
  * @param {Object} markdownConfig - Markdown 配置
  * @param {Object} stat - 文件统计信息
  * @param {http.IncomingMessage} req - 请求对象
+ * @param {string} assetsMount - 静态资源挂载点
+ * @param {Function} schedule - 可选，(kind, task) => Promise，通过请求队列执行渲染
+ * @param {Object} compression - 可选，压缩配置
+ * @param {Object} notes - 可选，笔记索引 { index: NoteIndex, filter: (访问路径) => 反向链接是否可展示 }
  */
-function serveFile(filePath, res, requestPath, queryString, markdownConfig, stat, req, assetsMount = '/public') {
-  const mimeType = getMimeType(filePath);
+function serveFile(filePath, res, requestPath, queryString, markdownConfig, stat, req, assetsMount = '/public', schedule = null, compression = null, notes = null) {
+  const mimeType = getMimeType(filePath, { sniff: true });
   const ext = path.extname(filePath).toLowerCase();
 
   // 检查是否是 Markdown 文件且启用了渲染
@@ -123,26 +182,26 @@ function serveFile(filePath, res, requestPath, queryString, markdownConfig, stat
     }
 
     if (useRaw) {
-      serveRawFile(filePath, res, mimeType, stat, req);
+      serveRawFile(filePath, res, mimeType, stat, req, compression);
       return;
     }
 
-    // 生成缓存 key（基于文件路径、主题和修改时间）
-    const cacheKey = `md:${filePath}:${theme}:${stat.mtime.getTime()}:${MARKDOWN_PAGE_VERSION}`;
+    // 链接目标与反向链接随其他笔记变化，页面缓存同时以索引版本区分
+    if (notes) {
+      notes.index.refresh(filePath, stat);
+    }
+
+    // 生成缓存 key（基于文件路径、主题、修改时间和笔记索引版本）
+    const cacheKey = `md:${filePath}:${theme}:${stat.mtime.getTime()}:${notes ? notes.index.generation : '-'}:${MARKDOWN_PAGE_VERSION}`;
 
     // 检查缓存
-    const cachedHtml = globalCache.get(cacheKey, 'markdown');
-    if (cachedHtml) {
-      res.writeHead(200, {
-        'Content-Type': 'text/html; charset=utf-8',
-        'Cache-Control': 'private, max-age=300',
-        'X-Cache': 'HIT'
-      });
-      res.end(cachedHtml);
+    const cachedPage = globalCache.get(cacheKey, 'markdown');
+    if (cachedPage) {
+      sendMarkdownPage(req, res, cachedPage, stat.mtime, true, cacheKey, compression);
       return;
     }
 
-    // 读取并渲染 Markdown
+    // 读取后渲染 Markdown（缓存未命中时渲染阶段才进入请求队列）
     fs.readFile(filePath, 'utf8', (err, content) => {
       if (err) {
         res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
@@ -150,28 +209,294 @@ function serveFile(filePath, res, requestPath, queryString, markdownConfig, stat
         return;
       }
 
-      const title = path.basename(filePath, '.md');
-      const html = generateMarkdownPage(
-        title,
-        content,
-        requestPath || '/',
-        theme,
-        undefined,
-        assetsMount
-      );
+      const render = () => {
+        const notePath = notes && notes.index.accessPathOf(filePath);
+        const html = generateMarkdownPage(
+          path.basename(filePath, '.md'),
+          content,
+          requestPath || '/',
+          theme,
+          undefined,
+          assetsMount,
+          notes && {
+            tagsMount: markdownConfig.tagsMount || null,
+            ...(markdownConfig.wikiLinks && {
+              resolve: notes.index.resolver(notePath),
+              backlinks: notePath ? notes.index.backlinks(notePath, notes.filter) : []
+            })
+          }
+        );
+        // 缓存渲染结果（连同 ETag，命中时无需重新计算）
+        const page = { html, etag: contentEtag(html) };
+        globalCache.set(cacheKey, page, CACHE_TTL, 'markdown');
+        return page;
+      };
+
+      (schedule ? schedule('markdown', render) : Promise.resolve().then(render))
+        .then(page => sendMarkdownPage(req, res, page, stat.mtime, false, cacheKey, compression))
+        .catch(renderErr => sendRenderError(res, renderErr, 'Markdown 渲染失败'));
+    });
+  } else {
+    serveRawFile(filePath, res, mimeType, stat, req, compression);
+  }
+}
+
+/**
+ * 导出 Markdown 为自包含 HTML 或 PDF（?export=html|pdf），以附件下载
+ *
+ * 图片只内联同一映射或不受限映射中的文件，与反向链接的展示规则一致。
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {string} filePath - Markdown 文件路径
+ * @param {string} requestPath - 请求路径
+ * @param {string} format - 导出格式
+ * @param {URLSearchParams} params - 查询参数（theme）
+ * @param {Object} config - 服务器配置
+ * @param {Object} mapping - 文件所属目录映射
+ * @param {Object} options - { schedule, logger }
+ */
+function serveMarkdownExport(req, res, filePath, requestPath, format, params, config, mapping, options = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(`不支持的导出格式，可选：${EXPORT_FORMATS.join(', ')}`);
+    return;
+  }
+
+  const resolveAsset = (accessPath) => {
+    const target = resolveAccessPath(accessPath, config.directories);
+    return target && (target.mapping === mapping || !isRestricted(target.mapping)) ? target.fullPath : null;
+  };
+
+  fs.readFile(filePath, 'utf8', (err, content) => {
+    if (err) {
+      res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('读取文件失败');
+      return;
+    }
+
+    const run = () => exportMarkdown(format, {
+      markdown: content,
+      name: path.basename(filePath, path.extname(filePath)),
+      requestPath,
+      theme: params.get('theme') || config.markdown.theme
+    }, { resolveAsset });
+
+    (options.schedule ? options.schedule('markdown', run) : Promise.resolve().then(run))
+      .then((result) => {
+        const body = Buffer.isBuffer(result.body) ? result.body : Buffer.from(result.body, 'utf8');
+        res.writeHead(200, {
+          'Content-Type': result.contentType,
+          'Content-Length': body.length,
+          'Content-Disposition': contentDisposition(result.filename),
+          'Cache-Control': 'private, no-cache'
+        });
+        res.end(req.method === 'HEAD' ? undefined : body);
+      })
+      .catch(exportErr => sendRenderError(res, exportErr, 'Markdown 导出失败', options.logger, requestPath));
+  });
+}
+
+/**
+ * 判断客户端是否要求 JSON 列表（?format=json，或 Accept 明确要 JSON 而不要 HTML）
+ * @private
+ */
+function wantsJson(req, params) {
+  const format = params.get('format');
+  if (format) return format === 'json';
+  const accept = String(req.headers.accept || '').toLowerCase();
+  return accept.includes('application/json') && !accept.includes('text/html');
+}
+
+/**
+ * 发送目录列表（真实目录与压缩包内的虚拟目录共用）
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {Object[]} entries - 原始条目 [{ name, isDir, size, mtime }]
+ * @param {string} requestPath - 请求路径
+ * @param {string} route - 路由前缀
+ * @param {string} queryString - 查询字符串（排序、过滤、分页、视图、格式）
+ * @param {Object} options - { compression, thumbnailSize, zipDownload, resolved: 用于过滤隐藏条目的解析结果 { fullPath, basePath, mapping },
+ *                           cacheControl: 覆盖 Cache-Control, browseArchives: 是否提供压缩包浏览链接（默认 true）,
+ *                           standalone: 独立页面（无文件服务入口，route 根目录不显示返回上级） }
+ */
+function sendListing(req, res, entries, requestPath, route, queryString, options = {}) {
+  const params = new URLSearchParams(queryString || '');
+  const query = parseListingQuery(params);
+  const { resolved } = options;
+  const relativeDir = resolved ? path.relative(resolved.basePath, resolved.fullPath) : '';
+  const visible = resolved
+    ? entries.filter(entry => !isHiddenPath(resolved.mapping, path.join(relativeDir, entry.name)))
+    : entries;
+  const listing = queryListing(visible, query);
+  // 受限目录的列表不允许共享缓存
+  const restricted = resolved && isRestricted(resolved.mapping);
+  const headers = {
+    'Cache-Control': options.cacheControl || `${restricted ? 'private' : 'public'}, max-age=60`,
+    'Vary': 'Accept'
+  };
+
+  if (wantsJson(req, params)) {
+    sendBuffer(req, res, JSON.stringify(listingToJson(listing, requestPath, query)), {
+      ...headers,
+      'Content-Type': 'application/json; charset=utf-8'
+    }, { compression: options.compression });
+    return;
+  }
+
+  const items = listing.entries.map(entry => createListingItem(entry, requestPath));
+  if (options.browseArchives === false) {
+    items.forEach(item => { item.browseHref = null; });
+  }
+  const html = renderDirectoryListing(items, requestPath, route, {
+    query,
+    pagination: listing,
+    thumbnailSize: options.thumbnailSize,
+    zipDownload: options.zipDownload,
+    standalone: options.standalone
+  });
+  sendBuffer(req, res, html, { ...headers, 'Content-Type': 'text/html; charset=utf-8' }, { compression: options.compression });
+}
 
-      // 缓存渲染结果
-      globalCache.set(cacheKey, html, CACHE_TTL, 'markdown');
+/**
+ * 读取整个条目内容
+ * @private
+ */
+async function readEntry(archivePath, entry) {
+  const chunks = [];
+  for await (const chunk of await openEntryStream(archivePath, entry)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * 发送压缩包相关错误
+ * @private
+ */
+function sendArchiveError(res, err, logger) {
+  // 请求队列已写出 503
+  if (err.handled) return;
+  if (!err.statusCode && logger) logger('ERROR', '压缩包读取失败', err.message);
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+  res.writeHead(err.statusCode || 500, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(err.statusCode ? err.message : '读取压缩包失败');
+}
 
-      res.writeHead(200, {
-        'Content-Type': 'text/html; charset=utf-8',
-        'Cache-Control': 'private, max-age=300',
-        'X-Cache': 'MISS'
+/**
+ * 提供压缩包内的虚拟路径（目录列表 / 单个条目 / Markdown 渲染）
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {Object} archive - findArchive 的结果 { archivePath, innerPath, stat }
+ * @param {string} requestPath - 请求路径
+ * @param {string} queryString - 查询字符串
+ * @param {Object} config - 服务器配置
+ * @param {Object} resolved - 请求路径的解析结果 { fullPath, basePath, route, mapping }
+ * @param {Function} logger - 日志函数（可选）
+ * @param {Function} schedule - 可选，(kind, task) => Promise，读取索引与渲染 Markdown 经请求队列执行（传输条目不占用队列）
+ */
+async function serveArchivePath(req, res, archive, requestPath, queryString, config, resolved, logger = null, schedule = null) {
+  const { archivePath, innerPath, stat } = archive;
+  const { route } = resolved;
+  const params = new URLSearchParams(queryString || '');
+  const run = (kind, task) => (schedule ? schedule(kind, task) : task());
+
+  try {
+    const node = lookupEntry(await run('archive', () => getArchiveIndex(archivePath, stat)), innerPath);
+    if (!node) {
+      res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end('<h1>404 - 未找到</h1><p>压缩包内不存在该路径</p>');
+      return;
+    }
+
+    if (node.type === 'directory') {
+      if (!isListingAllowed(resolved.mapping, config)) {
+        res.writeHead(403, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('目录列表已禁用');
+        return;
+      }
+      if (!requestPath.endsWith('/')) {
+        res.writeHead(301, { 'Location': requestPath + '/' + (queryString ? `?${queryString}` : '') });
+        res.end();
+        return;
+      }
+      sendListing(req, res, node.children, requestPath, route, queryString, {
+        compression: config.compression,
+        zipDownload: false,
+        resolved
       });
-      res.end(html);
+      return;
+    }
+
+    const entry = node.entry;
+    const ext = path.extname(entry.name).toLowerCase();
+    const markdownConfig = config.markdown;
+
+    // 包内 Markdown：与普通文件相同的主题与缓存规则
+    if (ext === '.md' && markdownConfig && markdownConfig.enabled && params.get('raw') !== '1' &&
+        entry.size <= MAX_ARCHIVE_MARKDOWN) {
+      const theme = params.get('theme') || markdownConfig.theme || 'anonymous-dark';
+      const cacheKey = `md:${archivePath}:${stat.mtimeMs}:${entry.name}:${theme}:${MARKDOWN_PAGE_VERSION}`;
+      let page = globalCache.get(cacheKey, 'markdown');
+      const hit = !!page;
+      if (!page) {
+        const content = (await readEntry(archivePath, entry)).toString('utf8');
+        const html = await run('markdown', () => generateMarkdownPage(
+          path.basename(entry.name, '.md'),
+          content,
+          requestPath,
+          theme,
+          undefined,
+          (config.assets && config.assets.mount) || '/public'
+        ));
+        page = { html, etag: contentEtag(html) };
+        globalCache.set(cacheKey, page, CACHE_TTL, 'markdown');
+      }
+      sendMarkdownPage(req, res, page, new Date(entry.mtime), hit, cacheKey, config.compression);
+      return;
+    }
+
+    let mimeType = getMimeType(entry.name);
+    if (ARCHIVE_UNSAFE_TYPES.includes(mimeType.split(';')[0])) {
+      mimeType = 'text/plain; charset=utf-8';
+    }
+    // 条目随压缩包一起变化，校验器由压缩包 ETag 与条目名派生；条目需解压读取，不支持范围请求
+    const validators = {
+      etag: contentEtag(`${fileEtag(stat)}:${entry.name}`),
+      lastModified: new Date(entry.mtime)
+    };
+    const status = evaluatePreconditions(req, validators);
+    if (status !== 200) {
+      res.writeHead(status, status === 304
+        ? { 'ETag': validators.etag, 'Cache-Control': 'public, max-age=3600' }
+        : { 'Content-Length': 0 });
+      res.end();
+      return;
+    }
+
+    const stream = await openEntryStream(archivePath, entry);
+    res.writeHead(200, {
+      'Content-Type': mimeType,
+      'Content-Length': entry.size,
+      'Cache-Control': 'public, max-age=3600',
+      'ETag': validators.etag,
+      'Last-Modified': validators.lastModified.toUTCString(),
+      'Accept-Ranges': 'none',
+      'X-Content-Type-Options': 'nosniff'
     });
-  } else {
-    serveRawFile(filePath, res, mimeType, stat, req);
+    if (req.method === 'HEAD') {
+      stream.destroy();
+      res.end();
+      return;
+    }
+    res.on('close', () => stream.destroy());
+    stream.on('error', err => sendArchiveError(res, err, logger));
+    stream.pipe(res);
+  } catch (err) {
+    sendArchiveError(res, err, logger);
   }
 }
 
@@ -180,16 +505,39 @@ function serveFile(filePath, res, requestPath, queryString, markdownConfig, stat
  * 
  * @param {http.IncomingMessage} req - 请求对象
  * @param {http.ServerResponse} res - 响应对象
- * @param {Object} resolved - 解析后的路径信息 {fullPath, basePath, route}
+ * @param {Object} resolved - 解析后的路径信息 {fullPath, basePath, route, mapping}
  * @param {string} requestPath - 请求路径
  * @param {string} queryString - 查询字符串
  * @param {Object} config - 服务器配置
+ * @param {Object} options - 可选 { schedule: 请求队列调度函数, thumbnails: 缩略图服务, notes: 笔记链接索引, logger: 日志函数, trustProxy: 是否信任 X-Forwarded-For }
  */
-function handleFileRequest(req, res, resolved, requestPath, queryString, config) {
-  const { fullPath, basePath, route } = resolved;
+function handleFileRequest(req, res, resolved, requestPath, queryString, config, options = {}) {
+  const { fullPath, basePath, route, mapping } = resolved;
+  const listingAllowed = isListingAllowed(mapping, config);
+  const schedule = options.schedule || null;
+  const thumbnails = options.thumbnails || null;
+  // 页面缓存不区分访问者，反向链接只展示同一映射或不受限映射中的笔记
+  const notes = options.notes
+    ? {
+      index: options.notes,
+      filter: (source) => {
+        const target = resolveAccessPath(source, config.directories);
+        return !!target && (target.mapping === mapping || !isRestricted(target.mapping));
+      }
+    }
+    : null;
 
-  fs.stat(fullPath, (err, stats) => {
+  fs.stat(fullPath, async (err, stats) => {
     if (err) {
+      // 路径穿过 zip / tar 文件时按压缩包内的虚拟路径处理
+      const archive = (err.code === 'ENOENT' || err.code === 'ENOTDIR')
+        ? await findArchive(fullPath, basePath)
+        : null;
+      if (archive) {
+        serveArchivePath(req, res, archive, requestPath, queryString, config, resolved, options.logger, schedule);
+        return;
+      }
+
       res.writeHead(404, {
         'Content-Type': 'text/html; charset=utf-8'
       });
@@ -198,6 +546,25 @@ function handleFileRequest(req, res, resolved, requestPath, queryString, config)
     }
 
     if (stats.isDirectory()) {
+      // 打包下载整个目录（?download=zip），与目录列表共用开关
+      const params = new URLSearchParams(queryString || '');
+      if (params.get('download') === 'zip') {
+        if (!listingAllowed) {
+          res.writeHead(403, { 'Content-Type': 'text/plain; charset=utf-8' });
+          res.end('目录列表已禁用');
+          return;
+        }
+        const name = fullPath === basePath
+          ? (route.replace(/^\/+|\/+$/g, '') || 'files')
+          : path.basename(fullPath);
+        sendZip(req, res, [{ fullPath, basePath, name, mapping }], name, {
+          compression: params.get('compression') || 'auto',
+          logger: options.logger,
+          schedule
+        });
+        return;
+      }
+
       // 确保目录路径以 / 结尾
       if (!requestPath.endsWith('/')) {
         res.writeHead(301, { 'Location': requestPath + '/' });
@@ -218,32 +585,38 @@ function handleFileRequest(req, res, resolved, requestPath, queryString, config)
               config.markdown,
               indexStats,
               req,
-              (config.assets && config.assets.mount) || '/public'
+              (config.assets && config.assets.mount) || '/public',
+              schedule,
+              config.compression
             );
           }
         });
         return;
       }
 
-      // 显示目录列表（缓存整个目录列表）
-      if (config.showIndex) {
+      // 显示目录列表（缓存目录条目，排序、过滤与分页按请求参数处理）
+      if (listingAllowed) {
         const cacheKey = `dir:${fullPath}:${stats.mtime.getTime()}`;
-        let html = globalCache.get(cacheKey, 'directory');
+        let entries = globalCache.get(cacheKey, 'directory');
 
-        if (!html) {
-          html = generateDirectoryListing(fullPath, requestPath, route);
-          if (html) {
+        if (!entries) {
+          entries = await readDirectoryEntries(fullPath).catch(() => null);
+          if (entries) {
             // 缓存 5 分钟
-            globalCache.set(cacheKey, html, CACHE_TTL, 'directory');
+            globalCache.set(cacheKey, entries, CACHE_TTL, 'directory');
           }
         }
 
-        if (html) {
-          res.writeHead(200, {
-            'Content-Type': 'text/html; charset=utf-8',
-            'Cache-Control': 'public, max-age=60'
+        if (entries) {
+          // 草稿（front matter 中 draft: true）不出现在目录列表中，直接访问不受影响
+          if (notes) {
+            entries = entries.filter(entry => entry.isDir || !notes.index.isDraft(path.join(fullPath, entry.name)));
+          }
+          sendListing(req, res, entries, requestPath, route, queryString, {
+            compression: config.compression,
+            thumbnailSize: thumbnails && config.thumbnails ? config.thumbnails.gridSize : 0,
+            resolved
           });
-          res.end(html);
         } else {
           res.writeHead(500, {
             'Content-Type': 'text/plain; charset=utf-8'
@@ -255,6 +628,42 @@ function handleFileRequest(req, res, resolved, requestPath, queryString, config)
         res.end('目录列表已禁用');
       }
     } else {
+      // Markdown 编辑页（?edit=1）与导出（?export=html|pdf）
+      const markdownParams = queryString && config.markdown && config.markdown.enabled && path.extname(fullPath).toLowerCase() === '.md'
+        ? new URLSearchParams(queryString)
+        : null;
+      if (markdownParams && markdownParams.get('edit') === '1') {
+        serveMarkdownEditor(req, res, fullPath, requestPath, stats, markdownParams, config, mapping, {
+          notes: options.notes,
+          trustProxy: options.trustProxy
+        });
+        return;
+      }
+      const exportFormat = markdownParams && markdownParams.get('export');
+      if (exportFormat) {
+        serveMarkdownExport(req, res, fullPath, requestPath, exportFormat, new URLSearchParams(queryString), config, mapping, {
+          schedule,
+          logger: options.logger
+        });
+        return;
+      }
+
+      // 图片缩略图（?w=&h=&fit=&format=）
+      if (thumbnails && queryString && thumbnails.isSupported(fullPath)) {
+        let params;
+        try {
+          params = thumbnails.parseParams(new URLSearchParams(queryString), fullPath);
+        } catch (err) {
+          res.writeHead(err.statusCode || 400, { 'Content-Type': 'text/plain; charset=utf-8' });
+          res.end(err.message);
+          return;
+        }
+        if (params) {
+          serveThumbnail(fullPath, res, stats, req, params, thumbnails, schedule);
+          return;
+        }
+      }
+
       serveFile(
         fullPath,
         res,
@@ -263,7 +672,10 @@ function handleFileRequest(req, res, resolved, requestPath, queryString, config)
         config.markdown,
         stats,
         req,
-        (config.assets && config.assets.mount) || '/public'
+        (config.assets && config.assets.mount) || '/public',
+        schedule,
+        config.compression,
+        notes
       );
     }
   });
@@ -271,6 +683,9 @@ function handleFileRequest(req, res, resolved, requestPath, queryString, config)
 
 module.exports = {
   handleFileRequest,
+  serveArchivePath,
   serveFile,
-  serveRawFile
+  serveRawFile,
+  serveThumbnail,
+  sendListing
 };
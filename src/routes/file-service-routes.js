@@ -2,10 +2,125 @@
  * 文件服务路由处理器
  * 
  * 处理文件服务页面请求和 API
+ *
+ * 文件管理端点（路径均为访问路径，如 /uploads/docs）：
+ * - GET  {mount}/api/list?path=   列出目录
+ * - POST {mount}/api/mkdir        { path }
+ * - POST {mount}/api/rename       { path, name, overwrite }
+ * - POST {mount}/api/move         { from, to, overwrite }（可跨映射）
+ * - POST {mount}/api/copy         { from, to, overwrite }（可跨映射）
+ * - POST {mount}/api/delete       { path, recursive }（启用回收站时移入 .trash）
+ * - POST {mount}/api/extract      { path, to, overwrite }（解压 zip / tar / tar.gz，to 默认为同级同名目录）
+ * - POST {mount}/api/batch        { operations: [{ op, ... }], stopOnError }
  */
 
 const fs = require('fs');
 const path = require('path');
+const FileManager = require('../services/file-service/file-manager');
+const { parseJsonBody } = require('../middleware/multipart-parser');
+const { getRequester } = require('../middleware/auth');
+const { getUploadLimits, getTypePolicy } = require('./upload-routes');
+const { checkAccess } = require('../utils/directory-policy');
+
+const MANAGER_ACTIONS = ['list', 'mkdir', 'rename', 'move', 'copy', 'delete', 'extract', 'batch'];
+
+/**
+ * 发送 JSON 响应
+ * @private
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * 删除成功后写入上传台账
+ * @private
+ */
+function recordDelete(req, ledger, result) {
+  if (!ledger || !result.localPath) return;
+  ledger.record(req, {
+    action: 'delete',
+    via: 'file-manager',
+    url: result.path,
+    filePath: result.localPath,
+    size: result.size,
+    ...(result.trashId && { trashId: result.trashId })
+  });
+}
+
+/**
+ * 对外返回的结果不包含本地路径
+ * @private
+ */
+function publicResult(result) {
+  const { localPath, ...rest } = result;
+  return rest;
+}
+
+/**
+ * 处理文件管理 API
+ * @private
+ */
+async function handleFileManagerApi(req, res, action, queryString, fileService, logger, options) {
+  const config = fileService.config;
+  // 解压与上传共用总大小上限和类型策略；每个路径按所属目录映射的访问规则校验
+  const manager = new FileManager(config.directories, {
+    trash: options.trash,
+    access: (mapping, { write }) => checkAccess(req, mapping, { write, trustProxy: options.trustProxy }),
+    extract: {
+      maxBytes: getUploadLimits(config).maxTotalSize,
+      typePolicy: targetDir => getTypePolicy(config, targetDir)
+    }
+  }, logger);
+
+  try {
+    if (action === 'list') {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.setHeader('Allow', 'GET, HEAD');
+        return sendJson(res, 405, { success: false, message: '方法不允许' });
+      }
+      const params = new URLSearchParams(queryString || '');
+      const listing = await manager.list(params.get('path') || '/');
+      return sendJson(res, 200, { success: true, ...listing });
+    }
+
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return sendJson(res, 405, { success: false, message: '方法不允许' });
+    }
+
+    const body = await parseJsonBody(req);
+    if (!body || typeof body !== 'object') {
+      return sendJson(res, 400, { success: false, message: '请求体必须为 JSON 对象' });
+    }
+    const requester = getRequester(req, options.trustProxy);
+
+    if (action === 'batch') {
+      const results = await manager.runBatch(body.operations, {
+        stopOnError: body.stopOnError === true,
+        requester,
+        onResult: (operation, result) => {
+          if (operation.op === 'delete') recordDelete(req, options.ledger, result);
+        }
+      });
+      const successCount = results.filter(r => r.success).length;
+      return sendJson(res, successCount > 0 ? 200 : (results.length === 1 ? results[0].status : 400), {
+        success: successCount > 0,
+        successCount,
+        total: results.length,
+        results: results.map(publicResult)
+      });
+    }
+
+    const result = await manager.run({ ...body, op: action }, requester);
+    if (action === 'delete') recordDelete(req, options.ledger, result);
+    sendJson(res, action === 'delete' ? 200 : 201, { success: true, ...publicResult(result) });
+  } catch (err) {
+    if (!err.statusCode) logger('ERROR', `文件管理请求失败: ${action}`, err.message);
+    sendJson(res, err.statusCode || 500, { success: false, message: err.message });
+  }
+}
 
 /**
  * 处理文件服务请求
@@ -16,16 +131,23 @@ const path = require('path');
  * @param {Object} fileService - 文件服务实例
  * @param {Function} logger - 日志函数
  * @param {string} mount - 挂载路径
+ * @param {Object} options - { queryString, trash: 回收站服务（可选）, ledger: 上传台账（可选）, shares: 分享服务（可选）, trustProxy }
  */
-function handleFileService(req, res, requestPath, fileService, logger, mount = '/file') {
+function handleFileService(req, res, requestPath, fileService, logger, mount = '/file', options = {}) {
   try {
     // API 路由：获取配置
     if (requestPath === mount + '/api/config') {
-      const config = fileService.getConfig();
+      const config = { ...fileService.getConfig(), trashEnabled: !!options.trash, sharesEnabled: !!options.shares };
       res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
       res.end(JSON.stringify({ success: true, config }));
       return;
     }
+
+    // API 路由：文件管理
+    const action = requestPath.startsWith(mount + '/api/') ? requestPath.slice(mount.length + 5) : null;
+    if (MANAGER_ACTIONS.includes(action)) {
+      return handleFileManagerApi(req, res, action, options.queryString, fileService, logger, options);
+    }
     
     // 页面路由：返回 HTML 文件
     if (requestPath === mount || requestPath === mount + '/') {
@@ -0,0 +1,128 @@
+/**
+ * 登录路由处理器
+ *
+ * 处理内置 UI 的会话登录：
+ * - GET  /login   登录页面
+ * - POST /login   表单或 JSON 登录，成功后写入 HttpOnly Cookie
+ * - GET|POST /logout 注销并清除 Cookie
+ */
+
+const { parseJsonBody } = require('../middleware/multipart-parser');
+const { getClientIP } = require('../middleware/rate-limiter');
+const { LOGIN_PATH, LOGOUT_PATH } = require('../middleware/auth');
+const { generateLoginPage } = require('../views/login-page');
+
+/**
+ * 规范化登录后跳转地址，仅允许站内相对路径
+ *
+ * @param {string} next - 原始跳转地址
+ * @returns {string} 安全的站内路径
+ */
+function sanitizeNext(next) {
+  const value = String(next || '');
+  if (!value.startsWith('/') || value.startsWith('//') || value.startsWith('/\\')) return '/';
+  if (value === LOGIN_PATH || value.startsWith(LOGIN_PATH + '?')) return '/';
+  return value;
+}
+
+/**
+ * 判断请求是否期望 JSON 响应
+ */
+function wantsJson(req) {
+  const contentType = String(req.headers['content-type'] || '');
+  const accept = String(req.headers.accept || '');
+  return contentType.includes('application/json') || (accept.includes('application/json') && !accept.includes('text/html'));
+}
+
+/**
+ * 处理登录/注销请求
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {string} requestPath - 请求路径
+ * @param {string} queryString - 查询字符串
+ * @param {AuthManager} authManager - 认证管理器（已启用会话）
+ * @param {Object} config - 服务器配置
+ * @param {Function} logger - 日志函数
+ */
+async function handleLogin(req, res, requestPath, queryString, authManager, config, logger) {
+  try {
+    // 注销
+    if (requestPath === LOGOUT_PATH) {
+      const session = authManager.getSession(req);
+      const cookie = authManager.logout(req);
+      if (session) {
+        logger('INFO', `用户注销: ${session.username}`);
+      }
+      if (wantsJson(req)) {
+        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Set-Cookie': cookie });
+        res.end(JSON.stringify({ success: true }));
+      } else {
+        res.writeHead(303, { Location: LOGIN_PATH, 'Set-Cookie': cookie });
+        res.end();
+      }
+      return;
+    }
+
+    const params = new URLSearchParams(queryString || '');
+
+    // 登录页
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      const next = sanitizeNext(params.get('next'));
+      if (authManager.getSession(req)) {
+        res.writeHead(302, { Location: next });
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end(req.method === 'HEAD' ? undefined : generateLoginPage(config, { next }));
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.writeHead(405, { 'Content-Type': 'application/json; charset=utf-8', Allow: 'GET, POST' });
+      res.end(JSON.stringify({ success: false, message: '方法不允许' }));
+      return;
+    }
+
+    // 提交登录
+    const body = await parseJsonBody(req);
+    const username = String((body && body.username) || '').trim();
+    const password = String((body && body.password) || '');
+    const next = sanitizeNext((body && body.next) || params.get('next'));
+    const json = wantsJson(req);
+
+    const user = username && password ? authManager.verifyUser(username, password) : null;
+    if (!user) {
+      logger('WARN', `登录失败: ${username || '(空用户名)'} from ${getClientIP(req, authManager.trustProxy)}`);
+      if (json) {
+        res.writeHead(401, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ success: false, message: '用户名或密码错误' }));
+      } else {
+        res.writeHead(401, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+        res.end(generateLoginPage(config, { next, username, error: '用户名或密码错误' }));
+      }
+      return;
+    }
+
+    const { cookie, expiresAt } = authManager.login(req, user);
+    logger('INFO', `用户登录: ${user.username} from ${getClientIP(req, authManager.trustProxy)}`);
+
+    if (json) {
+      res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Set-Cookie': cookie });
+      res.end(JSON.stringify({ success: true, user: user.username, expiresAt: new Date(expiresAt).toISOString() }));
+    } else {
+      res.writeHead(303, { Location: next, 'Set-Cookie': cookie });
+      res.end();
+    }
+  } catch (err) {
+    logger('ERROR', '登录处理异常', err && (err.stack || err.message));
+    res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify({ success: false, message: '服务器内部错误' }));
+  }
+}
+
+module.exports = {
+  handleLogin,
+  sanitizeNext
+};
@@ -0,0 +1,300 @@
+/**
+ * Markdown 在线编辑路由处理器
+ *
+ * - GET  <文件>.md?edit=1      分栏编辑页（左侧源文本，右侧实时预览）
+ * - POST <文件>.md?preview=1   渲染预览，请求体为 Markdown 原文，返回 { html, hydrate, title, meta }
+ * - PUT  <文件>.md             写回文件，请求体为 Markdown 原文
+ *
+ * 写回使用乐观并发：必须携带 If-Match（编辑页载入时的 ETag），文件已被其他途径修改时返回 412。
+ * 旧版本在替换前移入回收站（未启用回收站时另存为同目录下的 <文件名>.bak），
+ * 保存后推送 files.changed，已打开该文件的其他页面据此重新载入。
+ * 编辑页与写回需要目录映射的写权限（只读映射返回 403），预览只需读权限。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getRequester } = require('../middleware/auth');
+const { resolveFilePath } = require('../utils/path-resolver');
+const { checkAccess, sendAccessDenied, getPolicy, isRestricted } = require('../utils/directory-policy');
+const { fileEtag, evaluatePreconditions } = require('../utils/http-conditional');
+const { generateMarkdownEditorPage, renderMarkdownPreview } = require('../services/file-service/markdown-page');
+
+const MAX_EDIT_SIZE = 5 * 1024 * 1024; // 可在线编辑的文件上限（与包内 Markdown 渲染上限一致）
+const MARKDOWN_EXT = /\.md$/i;
+
+/**
+ * 发送 JSON 响应
+ * @private
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * 判断是否为编辑端点（PUT 写回或 POST ?preview=1 预览 .md 文件）
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {string} requestPath - 请求路径
+ * @param {string} queryString - 查询字符串
+ * @returns {boolean}
+ */
+function isMarkdownEditRequest(req, requestPath, queryString) {
+  if (!MARKDOWN_EXT.test(requestPath)) return false;
+  if (req.method === 'PUT') return true;
+  return req.method === 'POST' && new URLSearchParams(queryString || '').get('preview') === '1';
+}
+
+/**
+ * 单个文件的写入上限（目录映射的 maxFileSize 更小时以其为准）
+ * @private
+ */
+function editLimit(mapping) {
+  const { maxFileSize } = getPolicy(mapping);
+  return maxFileSize ? Math.min(maxFileSize, MAX_EDIT_SIZE) : MAX_EDIT_SIZE;
+}
+
+/**
+ * 读取文本请求体（超过上限时抛出 413）
+ * @private
+ */
+function readText(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        req.removeAllListeners('data');
+        req.resume();
+        const err = new Error('文件超过大小限制');
+        err.statusCode = 413;
+        reject(err);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 编辑页与预览使用的笔记上下文（与只读页面一致：解析 Wiki 链接，不展示反向链接）
+ * @private
+ */
+function noteContext(notes, config, fullPath) {
+  if (!notes || !config.markdown.wikiLinks) return null;
+  return { resolve: notes.resolver(notes.accessPathOf(fullPath)) };
+}
+
+/**
+ * 提供编辑页（?edit=1）
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {string} filePath - Markdown 文件路径
+ * @param {string} requestPath - 请求路径
+ * @param {fs.Stats} stat - 文件状态
+ * @param {URLSearchParams} params - 查询参数（theme）
+ * @param {Object} config - 服务器配置
+ * @param {Object} mapping - 文件所属目录映射
+ * @param {Object} options - { notes: NoteIndex, trustProxy }
+ */
+function serveMarkdownEditor(req, res, filePath, requestPath, stat, params, config, mapping, options = {}) {
+  const denied = checkAccess(req, mapping, { write: true, trustProxy: options.trustProxy });
+  if (denied) {
+    return sendAccessDenied(res, denied);
+  }
+  if (stat.size > editLimit(mapping)) {
+    res.writeHead(413, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('文件过大，不支持在线编辑');
+    return;
+  }
+
+  fs.readFile(filePath, 'utf8', (err, content) => {
+    if (err) {
+      res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('读取文件失败');
+      return;
+    }
+
+    const html = generateMarkdownEditorPage(
+      path.basename(filePath, path.extname(filePath)),
+      content,
+      requestPath,
+      params.get('theme') || config.markdown.theme,
+      (config.assets && config.assets.mount) || '/public',
+      {
+        etag: fileEtag(stat),
+        mtime: stat.mtimeMs,
+        eol: content.includes('\r\n') ? '\r\n' : '\n',
+        notes: noteContext(options.notes, config, filePath)
+      }
+    );
+    const body = Buffer.from(html, 'utf8');
+    res.writeHead(200, {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Length': body.length,
+      'Cache-Control': 'private, no-store'
+    });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  });
+}
+
+/**
+ * 保留旧版本：移入回收站，未启用回收站时复制为 .bak
+ * @private
+ */
+async function backupPrevious(fullPath, req, options) {
+  if (options.trash) {
+    const meta = await options.trash.moveToTrash(fullPath, getRequester(req, options.trustProxy));
+    return { trashId: meta.id };
+  }
+  const backupPath = `${fullPath}.bak`;
+  await fs.promises.copyFile(fullPath, backupPath);
+  return { file: path.basename(backupPath) };
+}
+
+/**
+ * 写回文件（PUT）
+ * @private
+ */
+async function saveMarkdown(req, res, resolved, requestPath, logger, options) {
+  const { fullPath, mapping } = resolved;
+
+  let stat;
+  try {
+    stat = await fs.promises.stat(fullPath);
+  } catch (_) {
+    return sendJson(res, 404, { success: false, message: '文件不存在' });
+  }
+  if (!stat.isFile()) {
+    return sendJson(res, 404, { success: false, message: '文件不存在' });
+  }
+
+  // 乐观并发：只接受基于当前版本的修改
+  if (req.headers['if-match'] === undefined) {
+    return sendJson(res, 428, { success: false, message: '缺少 If-Match 请求头' });
+  }
+  if (evaluatePreconditions(req, { etag: fileEtag(stat), lastModified: stat.mtime }) !== 200) {
+    return sendJson(res, 412, { success: false, message: '文件已被修改，请重新载入后再保存' }, { 'ETag': fileEtag(stat) });
+  }
+
+  let body;
+  try {
+    body = await readText(req, editLimit(mapping));
+  } catch (err) {
+    return sendJson(res, err.statusCode || 400, { success: false, message: err.message });
+  }
+
+  // 先写临时文件，确认期间未被修改后再替换，保留原文件权限
+  const tempPath = path.join(path.dirname(fullPath), `.${path.basename(fullPath)}.${crypto.randomBytes(4).toString('hex')}.edittmp`);
+  await fs.promises.writeFile(tempPath, body, { mode: stat.mode & 0o777 });
+
+  let backup;
+  try {
+    const current = await fs.promises.stat(fullPath);
+    if (fileEtag(current) !== fileEtag(stat)) {
+      await fs.promises.unlink(tempPath).catch(() => {});
+      return sendJson(res, 412, { success: false, message: '文件已被修改，请重新载入后再保存' }, { 'ETag': fileEtag(current) });
+    }
+    backup = await backupPrevious(fullPath, req, options);
+  } catch (err) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw err;
+  }
+
+  try {
+    await fs.promises.rename(tempPath, fullPath);
+  } catch (err) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    // 旧版本已移入回收站：放回原位，避免文件丢失
+    if (backup.trashId) await options.trash.restore(backup.trashId).catch(() => {});
+    throw err;
+  }
+
+  const saved = await fs.promises.stat(fullPath);
+  if (options.notes) options.notes.refresh(fullPath, saved);
+
+  // 与文件监听服务的推送格式一致；受限映射的变更不推送
+  if (options.wsManager && !isRestricted(mapping)) {
+    options.wsManager.publish('files.changed', {
+      path: decodeURIComponent(requestPath),
+      action: 'modify',
+      eventType: 'change',
+      timestamp: new Date().toISOString(),
+      size: saved.size,
+      isFile: true,
+      mtime: saved.mtimeMs
+    });
+  }
+
+  logger('INFO', `Markdown 已保存: ${decodeURIComponent(requestPath)}`, `${saved.size} bytes${backup.trashId ? `，旧版本 ${backup.trashId}` : ''}`);
+  sendJson(res, 200, {
+    success: true,
+    etag: fileEtag(saved),
+    mtime: saved.mtimeMs,
+    size: saved.size,
+    backup
+  }, { 'ETag': fileEtag(saved) });
+}
+
+/**
+ * 渲染预览（POST ?preview=1）
+ * @private
+ */
+async function previewMarkdown(req, res, resolved, requestPath, config, options) {
+  let body;
+  try {
+    body = await readText(req, editLimit(resolved.mapping));
+  } catch (err) {
+    return sendJson(res, err.statusCode || 400, { success: false, message: err.message });
+  }
+
+  // 只有渲染阶段经请求队列执行
+  const render = () => renderMarkdownPreview(body.toString('utf8'), requestPath, noteContext(options.notes, config, resolved.fullPath));
+  const preview = options.schedule ? await options.schedule('markdown', render) : render();
+  sendJson(res, 200, { success: true, ...preview });
+}
+
+/**
+ * 处理编辑端点
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {string} requestPath - 请求路径
+ * @param {Object} config - 服务器配置
+ * @param {Function} logger - 日志函数
+ * @param {Object} options - { schedule: 请求队列调度函数（预览渲染）, trash: TrashService, notes: NoteIndex, wsManager, trustProxy }
+ */
+async function handleMarkdownEdit(req, res, requestPath, config, logger, options = {}) {
+  let resolved;
+  try {
+    resolved = resolveFilePath(requestPath, config.directories);
+  } catch (_) {
+    return sendJson(res, 400, { success: false, message: '路径编码无效' });
+  }
+  if (!resolved) {
+    return sendJson(res, 404, { success: false, message: '请求的路径未配置目录映射' });
+  }
+
+  const write = req.method === 'PUT';
+  const denied = checkAccess(req, resolved.mapping, { write, trustProxy: options.trustProxy });
+  if (denied) {
+    logger('WARN', `Markdown 编辑被拒绝: ${req.method} ${requestPath}`, denied.message);
+    return sendAccessDenied(res, denied);
+  }
+
+  if (write) {
+    return saveMarkdown(req, res, resolved, requestPath, logger, options);
+  }
+  return previewMarkdown(req, res, resolved, requestPath, config, options);
+}
+
+module.exports = {
+  isMarkdownEditRequest,
+  handleMarkdownEdit,
+  serveMarkdownEditor
+};
@@ -0,0 +1,73 @@
+/**
+ * 笔记链接路由处理器
+ *
+ * 端点：
+ * - GET /api/notes/graph  Wiki 链接关系图 { nodes, edges, broken }
+ *
+ * 只输出请求者可访问的映射中的笔记（按目录映射的认证与 IP 规则过滤）。
+ */
+
+const { resolveAccessPath } = require('../utils/path-resolver');
+const { checkAccess } = require('../utils/directory-policy');
+
+const GRAPH_PATH = '/api/notes/graph';
+
+/**
+ * 发送 JSON 响应
+ * @private
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * 判断是否为笔记链接端点
+ *
+ * @param {string} requestPath - 请求路径
+ * @returns {boolean}
+ */
+function isNoteApiPath(requestPath) {
+  return requestPath === GRAPH_PATH;
+}
+
+/**
+ * 处理笔记链接请求
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {NoteIndex|null} notes - 笔记链接索引
+ * @param {Object} config - 服务器配置
+ * @param {Object} options - { trustProxy }
+ */
+function handleNoteApi(req, res, notes, config, options = {}) {
+  if (!notes) {
+    return sendJson(res, 503, { success: false, message: 'Wiki 链接未启用' });
+  }
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD');
+    return sendJson(res, 405, { success: false, message: '方法不允许' });
+  }
+
+  // 同一映射只检查一次访问规则
+  const allowed = new Map();
+  const graph = notes.graph((accessPath) => {
+    const resolved = resolveAccessPath(accessPath, config.directories);
+    if (!resolved) return false;
+    if (!allowed.has(resolved.mapping)) {
+      allowed.set(resolved.mapping, !checkAccess(req, resolved.mapping, { trustProxy: options.trustProxy }));
+    }
+    return allowed.get(resolved.mapping);
+  });
+
+  sendJson(res, 200, {
+    success: true,
+    total: graph.nodes.length,
+    ...graph
+  });
+}
+
+module.exports = {
+  handleNoteApi,
+  isNoteApiPath
+};
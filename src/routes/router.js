@@ -24,18 +24,63 @@ const { handleSearch } = require('./search-routes');
 const { handleBingDaily } = require('./bing-routes');
 const { handleStaticAssets } = require('./static-routes');
 const { handleSystemMetrics } = require('./system-metrics-routes');
+const { handleLogin } = require('./login-routes');
+const { handleTus, handleTusOptions, isTusPath } = require('./tus-routes');
+const { handleUploadHistory, isUploadHistoryPath } = require('./upload-history-routes');
+const { handleTrash, isTrashApiPath } = require('./trash-routes');
+const { handleWebDav, handleWebDavOptions, isWebDavPath } = require('./webdav-routes');
+const { handleZipRequest, isZipApiPath } = require('./zip-routes');
+const { handleShareApi, handleShareAccess, isShareApiPath, isSharePath } = require('./share-routes');
+const { handleNoteApi, isNoteApiPath } = require('./note-routes');
+const { handleTags, isTagPath } = require('./tag-routes');
+const { handleMarkdownEdit, isMarkdownEditRequest } = require('./markdown-edit-routes');
+const { LOGIN_PATH, LOGOUT_PATH } = require('../middleware/auth');
+const { checkAccess, sendAccessDenied } = require('../utils/directory-policy');
+
+// 请求队列自身的拒绝（其余错误来自任务本身）
+const QUEUE_ERRORS = ['QUEUE_FULL', 'QUEUE_TIMEOUT', 'TASK_TIMEOUT', 'QUEUE_CLOSED'];
 
 /**
  * 路由分发器类
  */
 class Router {
-  constructor(config, serviceFactory, logger, appRoot, perfCollector = null) {
+  /**
+   * 启动时创建一次，所有请求共享同一实例
+   *
+   * @param {Object} config - 服务器配置
+   * @param {ServiceFactory} serviceFactory - 服务工厂
+   * @param {Function} logger - 日志函数
+   * @param {string} appRoot - 应用根目录
+   * @param {PerformanceCollector} perfCollector - 性能收集器（可选）
+   * @param {Object} services - 跨请求共享的服务，未启用的功能传 null：
+   *   wsManager（WebSocket 管理器）、rateLimiter（限流）、authManager（认证）、
+   *   requestQueue（请求队列，选项取自 config.queue）、uploadIndex（上传去重索引）、
+   *   uploadLedger（上传台账）、trashService（回收站）、tusStore（断点续传）、
+   *   thumbnailService（缩略图）、webdavLocks（WebDAV 锁，提供时启用 WebDAV 挂载点）、
+   *   shareService（分享，提供时启用分享挂载点）、
+   *   noteIndex（笔记索引，提供时 Markdown 页面解析 Wiki 链接、隐藏草稿并提供标签页）
+   */
+  constructor(config, serviceFactory, logger, appRoot, perfCollector = null, services = {}) {
     this.config = config;
     this.serviceFactory = serviceFactory;
     this.logger = logger;
     this.appRoot = appRoot;
     this.perfCollector = perfCollector; // 性能收集器（可选）
 
+    this.wsManager = services.wsManager || null;
+    this.rateLimiter = services.rateLimiter || null;
+    this.authManager = services.authManager || null;
+    this.requestQueue = services.requestQueue || null;
+    this.queueOptions = config.queue || {};
+    this.uploadIndex = services.uploadIndex || null;
+    this.uploadLedger = services.uploadLedger || null;
+    this.trashService = services.trashService || null;
+    this.tusStore = services.tusStore || null;
+    this.thumbnailService = services.thumbnailService || null;
+    this.webdavLocks = services.webdavLocks || null;
+    this.shareService = services.shareService || null;
+    this.noteIndex = services.noteIndex || null;
+
     // 解析服务挂载点
     this.telegramMount = serviceFactory.getServiceMount('telegram');
     this.psHistoryMount = serviceFactory.getServiceMount('powershellHistory');
@@ -43,13 +88,6 @@ class Router {
     this.systemMetricsMount = serviceFactory.getServiceMount('systemMetrics');
   }
 
-  /**
-   * 设置 WebSocket 管理器引用（后期注入）
-   */
-  setWebSocketManager(wsManager) {
-    this.wsManager = wsManager;
-  }
-
   /**
    * 主分发处理器
    */
@@ -65,10 +103,63 @@ class Router {
       // 应用 CORS 头
       applyCorsHeaders(res, this.config.cors);
 
+      const isTus = !!this.tusStore && isTusPath(requestPath);
+      const isWebDav = !!this.webdavLocks && isWebDavPath(requestPath, this.config.webdav.mount);
+
       // 按优先级分发路由
-      // 1. OPTIONS 预检请求
+      // 1. OPTIONS 预检请求（续传端点附带 tus 能力信息，WebDAV 挂载点附带 DAV 能力信息）
       if (req.method === 'OPTIONS') {
-        return handleOptionsRequest(res);
+        if (isWebDav) return handleWebDavOptions(res);
+        return isTus ? handleTusOptions(res, this.config) : handleOptionsRequest(res);
+      }
+
+      // 1.1 速率限制（超限时已写出 429）
+      if (this.rateLimiter && this.rateLimiter.apply(req, res, requestPath)) {
+        return;
+      }
+
+      // 1.2 登录/注销（无需认证）
+      if (this.authManager && this.authManager.sessionsEnabled &&
+          (requestPath === LOGIN_PATH || requestPath === LOGOUT_PATH)) {
+        return this._handleRoute('handleLogin', res, () =>
+          handleLogin(req, res, requestPath, queryString, this.authManager, this.config, this.logger));
+      }
+
+      // 1.2.1 分享链接访问（令牌即凭据，无需认证；密码表单提交也在此处理）
+      if (this.shareService && isSharePath(requestPath, this.config.shares.mount)) {
+        return this._handleRoute('handleShareAccess', res, () =>
+          handleShareAccess(req, res, requestPath, queryString, this.shareService, this.config, this.logger, {
+            mount: this.config.shares.mount,
+            trustProxy: this._trustProxy()
+          })
+        );
+      }
+
+      // 1.3 认证（未通过时已写出 401/403 或跳转登录页）
+      if (this.authManager && !this.authManager.authorize(req, res, requestPath, queryString)) {
+        return;
+      }
+
+      // 1.4 断点续传（tus 1.0）：数据传输不经请求队列
+      if (isTus) {
+        return this._handleRoute('handleTus', res, () =>
+          handleTus(req, res, requestPath, this.tusStore, this.config, this.logger, {
+            uploadIndex: this.uploadIndex,
+            ledger: this.uploadLedger,
+            trustProxy: this._trustProxy()
+          }));
+      }
+
+      // 1.5 WebDAV：数据传输不经请求队列
+      if (isWebDav) {
+        return this._handleRoute('handleWebDav', res, () =>
+          handleWebDav(req, res, requestPath, this.config, this.logger, {
+            mount: this.config.webdav.mount,
+            locks: this.webdavLocks,
+            trash: this.trashService,
+            ledger: this.uploadLedger,
+            trustProxy: this._trustProxy()
+          }));
       }
 
       // 2. POST/PUT/DELETE API 端点
@@ -79,7 +170,7 @@ class Router {
           if (!telegramService) {
             return this._serviceNotAvailable(res, 'Telegram');
           }
-          return handleTelegram(
+          return this._handleRoute('handleTelegram', res, () => handleTelegram(
             req,
             res,
             requestPath,
@@ -87,7 +178,7 @@ class Router {
             this.appRoot,
             this.logger,
             this.telegramMount
-          );
+          ));
         }
 
         // 2.2 PowerShell History 服务路由
@@ -96,14 +187,14 @@ class Router {
           if (!psService) {
             return this._serviceNotAvailable(res, 'PowerShell History');
           }
-          return handlePowerShellHistory(
+          return this._handleRoute('handlePowerShellHistory', res, () => handlePowerShellHistory(
             req,
             res,
             requestPath,
             psService,
             this.logger,
             this.psHistoryMount
-          );
+          ));
         }
 
         // 2.3 文件服务路由
@@ -112,30 +203,75 @@ class Router {
           if (!fileService) {
             return this._serviceNotAvailable(res, '文件服务');
           }
-          return handleFileService(
+          return this._handleRoute('handleFileService', res, () => handleFileService(
             req,
             res,
             requestPath,
             fileService,
             this.logger,
-            this.fileMount
-          );
+            this.fileMount,
+            {
+              queryString,
+              trash: this.trashService,
+              ledger: this.uploadLedger,
+              shares: this.shareService,
+              trustProxy: this._trustProxy()
+            }
+          ));
         }
 
         // 2.4 上传处理
         if (req.method === 'POST' && (requestPath === '/upload' || requestPath.startsWith('/upload/'))) {
-          return this._handleRoute('handleUpload', () =>
-            handleUpload(req, res, this.config, this.logger)
-          );
+          return this._handleRoute('handleUpload', res, () =>
+            handleUpload(req, res, this.config, this.logger, {
+              uploadIndex: this.uploadIndex,
+              ledger: this.uploadLedger,
+              trustProxy: this._trustProxy()
+            }));
         }
 
         // 2.5 删除处理
         if (req.method === 'POST' && requestPath === '/delete') {
-          return this._handleRoute('handleDelete', () =>
-            handleDelete(req, res, this.config, this.logger)
+          return this._handleRoute('handleDelete', res, () =>
+            handleDelete(req, res, this.config, this.logger, {
+              ledger: this.uploadLedger,
+              trash: this.trashService,
+              trustProxy: this._trustProxy()
+            })
           );
         }
 
+        // 2.5.1 回收站恢复
+        if (isTrashApiPath(requestPath)) {
+          return this._handleTrash(req, res, requestPath, queryString);
+        }
+
+        // 2.5.2 分享链接创建与撤销
+        if (isShareApiPath(requestPath)) {
+          return this._handleShares(req, res, requestPath);
+        }
+
+        // 2.5.3 多文件打包下载（遍历目录走请求队列）
+        if (isZipApiPath(requestPath)) {
+          return this._handleRoute('handleZipRequest', res, () =>
+            handleZipRequest(req, res, this.config, this.logger, {
+              schedule: (kind, task) => this._runQueued(req, res, kind, task),
+              trustProxy: this._trustProxy()
+            }));
+        }
+
+        // 2.5.4 Markdown 在线编辑：PUT 写回文件，POST ?preview=1 渲染预览（渲染走请求队列）
+        if (this.config.markdown && this.config.markdown.enabled && isMarkdownEditRequest(req, requestPath, queryString)) {
+          return this._handleRoute('handleMarkdownEdit', res, () =>
+            handleMarkdownEdit(req, res, requestPath, this.config, this.logger, {
+              schedule: (kind, task) => this._runQueued(req, res, kind, task),
+              trash: this.trashService,
+              notes: this.noteIndex || null,
+              wsManager: this.wsManager,
+              trustProxy: this._trustProxy()
+            }));
+        }
+
         // 2.6 POST/PUT/DELETE 请求到其他路径不支持
         res.writeHead(405, { 'Content-Type': 'application/json; charset=utf-8' });
         res.end(
@@ -154,7 +290,7 @@ class Router {
         // 3.0 内置静态资源（只读）：用于 /public 下的 CSS/主题 等
         const assetsCfg = (this.config && this.config.assets) || { enabled: true, mount: '/public', path: './public' };
         if (assetsCfg && assetsCfg.enabled) {
-          const handled = handleStaticAssets(req, res, requestPath, this.appRoot, this.logger, assetsCfg);
+          const handled = handleStaticAssets(req, res, requestPath, this.appRoot, this.logger, assetsCfg, this.config && this.config.compression);
           if (handled) return;
         }
 
@@ -164,7 +300,7 @@ class Router {
           if (!telegramService) {
             return this._serviceNotAvailable(res, 'Telegram');
           }
-          return handleTelegram(
+          return this._handleRoute('handleTelegram', res, () => handleTelegram(
             req,
             res,
             requestPath,
@@ -173,7 +309,7 @@ class Router {
             this.logger,
             this.telegramMount,
             (this.config.assets && this.config.assets.mount) || '/public'
-          );
+          ));
         }
 
         // 3.2 PowerShell History 服务路由
@@ -182,7 +318,7 @@ class Router {
           if (!psService) {
             return this._serviceNotAvailable(res, 'PowerShell History');
           }
-          return handlePowerShellHistory(
+          return this._handleRoute('handlePowerShellHistory', res, () => handlePowerShellHistory(
             req,
             res,
             requestPath,
@@ -190,7 +326,7 @@ class Router {
             this.logger,
             this.psHistoryMount,
             (this.config.assets && this.config.assets.mount) || '/public'
-          );
+          ));
         }
 
         // 3.3 文件服务路由
@@ -199,14 +335,21 @@ class Router {
           if (!fileService) {
             return this._serviceNotAvailable(res, '文件服务');
           }
-          return handleFileService(
+          return this._handleRoute('handleFileService', res, () => handleFileService(
             req,
             res,
             requestPath,
             fileService,
             this.logger,
-            this.fileMount
-          );
+            this.fileMount,
+            {
+              queryString,
+              trash: this.trashService,
+              ledger: this.uploadLedger,
+              shares: this.shareService,
+              trustProxy: this._trustProxy()
+            }
+          ));
         }
 
         // 3.3.1 系统监控路由
@@ -228,7 +371,43 @@ class Router {
 
         // 3.4 站内搜索
         if (requestPath === '/search') {
-          return handleSearch(req, res, queryString, this.config, this.logger);
+          return this._handleRoute('handleSearch', res, () =>
+            handleSearch(req, res, queryString, this.config, this.logger, {
+              schedule: (kind, task) => this._runQueued(req, res, kind, task),
+              trustProxy: this._trustProxy()
+            }));
+        }
+
+        // 3.4.1 上传历史（台账查询、删除视图、CSV 导出）
+        if (isUploadHistoryPath(requestPath)) {
+          if (!this._requireAuthentication(req, res, requestPath, '上传历史')) return;
+          return this._handleRoute('handleUploadHistory', res, () =>
+            handleUploadHistory(req, res, requestPath, queryString, this.uploadLedger, this.logger)
+          );
+        }
+
+        // 3.4.2 回收站列表
+        if (isTrashApiPath(requestPath)) {
+          return this._handleTrash(req, res, requestPath, queryString);
+        }
+
+        // 3.4.3 分享链接列表
+        if (isShareApiPath(requestPath)) {
+          return this._handleShares(req, res, requestPath);
+        }
+
+        // 3.4.4 笔记链接关系图
+        if (isNoteApiPath(requestPath)) {
+          return this._handleRoute('handleNoteApi', res, () =>
+            handleNoteApi(req, res, this.config.markdown.wikiLinks ? this.noteIndex : null, this.config, { trustProxy: this._trustProxy() })
+          );
+        }
+
+        // 3.4.5 标签页（front matter tags 汇总）
+        if (this.noteIndex && isTagPath(requestPath, this.config.markdown.tagsMount)) {
+          return this._handleRoute('handleTags', res, () =>
+            handleTags(req, res, requestPath, queryString, this.noteIndex, this.config, { trustProxy: this._trustProxy() })
+          );
         }
 
         // 3.5 Bing 每日图片代理
@@ -260,7 +439,7 @@ class Router {
         }
 
         // 3.10 默认文件请求处理
-        return this._handleRoute('handleFileRequest', () => {
+        return this._handleRoute('handleFileRequest', res, () => {
           const { resolveFilePath } = require('../utils/path-resolver');
           const resolved = resolveFilePath(requestPath, this.config.directories);
 
@@ -274,13 +453,27 @@ class Router {
             return;
           }
 
+          // 目录映射的访问规则（IP 白名单、认证要求）
+          const denied = checkAccess(req, resolved.mapping, { trustProxy: this._trustProxy() });
+          if (denied) {
+            this.logger('WARN', `目录访问被拒绝: ${req.method} ${requestPath}`, denied.message);
+            return sendAccessDenied(res, denied);
+          }
+
           return handleFileRequest(
             req,
             res,
             resolved,
             requestPath,
             queryString,
-            this.config
+            this.config,
+            {
+              schedule: (kind, task) => this._runQueued(req, res, kind, task),
+              thumbnails: this.thumbnailService || null,
+              notes: this.noteIndex || null,
+              logger: this.logger,
+              trustProxy: this._trustProxy()
+            }
           );
         });
       }
@@ -311,23 +504,131 @@ class Router {
    */
   _logRequest(req, requestPath, queryString) {
     try {
-      const qs = queryString ? `?${queryString}` : '';
+      let qs = queryString ? `?${queryString}` : '';
+      // 避免凭据写入日志
+      const tokenParam = this.authManager && this.authManager.queryParam;
+      if (tokenParam && qs.includes(`${tokenParam}=`)) {
+        const params = new URLSearchParams(queryString);
+        params.set(tokenParam, '***');
+        qs = `?${params.toString()}`;
+      }
       this.logger('INFO', `Request ${req.method} ${requestPath || '/'}${qs}`);
     } catch (e) {
       // 忽略日志错误
     }
   }
 
+  /**
+   * 私有方法：是否信任代理头（记录客户端 IP 时使用）
+   */
+  _trustProxy() {
+    return !!(this.config.rateLimit && this.config.rateLimit.trustProxy);
+  }
+
+  /**
+   * 私有方法：回收站端点
+   */
+  _handleTrash(req, res, requestPath, queryString) {
+    return this._handleRoute('handleTrash', res, () =>
+      handleTrash(req, res, requestPath, queryString, this.trashService, this.logger, {
+        ledger: this.uploadLedger,
+        trustProxy: this._trustProxy()
+      })
+    );
+  }
+
+  /**
+   * 私有方法：分享管理端点
+   */
+  _handleShares(req, res, requestPath) {
+    if (!this._requireAuthentication(req, res, requestPath, '分享管理')) return;
+    return this._handleRoute('handleShareApi', res, () =>
+      handleShareApi(req, res, requestPath, this.shareService, this.config, this.logger, {
+        mount: this.config.shares && this.config.shares.mount,
+        trustProxy: this._trustProxy()
+      })
+    );
+  }
+
   /**
    * 私有方法：处理异步路由
+   *
+   * 错误在此收尾，不向外抛出（handle 不等待返回的 Promise）：
+   * 请求队列已写出 503 的错误直接忽略，其余错误记录日志并返回 500（已开始响应时断开连接）。
    */
-  async _handleRoute(name, handler) {
+  async _handleRoute(name, res, handler) {
     try {
       return await handler();
     } catch (err) {
-      this.logger('ERROR', `${name} 处理失败`, err.message);
+      if (err && err.handled) return;
+      this.logger('ERROR', `${name} 处理失败`, err && (err.stack || err.message));
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ success: false, message: '内部服务器错误' }));
+      } else if (!res.writableEnded) {
+        res.destroy();
+      }
+    }
+  }
+
+  /**
+   * 私有方法：通过请求队列执行 CPU 密集阶段（并发限制 + 优先级 + 背压）
+   *
+   * 只排队渲染、搜索、缩略图编码、打包遍历等计算阶段：task 返回的 Promise 结束即释放并发槽位，
+   * 读取请求体与向客户端传输数据不占用槽位。执行超时时 task 收到的 signal 被中止。
+   * 队列已满、排队超时或执行超时时写出 503 + Retry-After（尚未响应时），并以 err.handled 拒绝；
+   * task 自身的错误原样传出，由调用方处理。
+   *
+   * @param {http.IncomingMessage} req - 请求对象
+   * @param {http.ServerResponse} res - 响应对象
+   * @param {string} kind - 任务类型（用于查找优先级，如 markdown/thumbnail/search）
+   * @param {Function} task - (signal: AbortSignal|null) => 计算结果或 Promise
+   * @returns {Promise<*>} task 的结果
+   */
+  _runQueued(req, res, kind, task) {
+    if (!this.requestQueue) {
+      return Promise.resolve().then(() => task(null));
+    }
+
+    const priorities = (this.queueOptions && this.queueOptions.priorities) || {};
+    const priority = typeof priorities[kind] === 'number' ? priorities[kind] : 0;
+
+    return this.requestQueue.enqueue(signal => task(signal), priority).catch((err) => {
+      if (!QUEUE_ERRORS.includes(err.code)) throw err;
+
+      const retryAfter = (this.queueOptions && this.queueOptions.retryAfterSeconds) || 5;
+      this.logger('WARN', `请求队列拒绝 ${kind}: ${err.message}`, `${req.method} ${req.url}`);
+      if (!res.headersSent) {
+        res.writeHead(503, {
+          'Content-Type': 'application/json; charset=utf-8',
+          'Retry-After': retryAfter
+        });
+        res.end(JSON.stringify({
+          success: false,
+          message: err.code === 'QUEUE_FULL' ? '服务器繁忙，请稍后重试'
+            : err.code === 'TASK_TIMEOUT' ? '处理超时，请稍后重试' : '排队超时，请稍后重试',
+          retryAfter
+        }));
+      }
+      err.handled = true;
       throw err;
+    });
+  }
+
+  /**
+   * 私有方法：仅在请求经过认证时放行（台账、分享令牌等敏感端点）
+   *
+   * 认证关闭或该路径被配置为无需认证时返回 403，不对匿名访问者开放。
+   *
+   * @returns {boolean} true 表示允许继续处理
+   */
+  _requireAuthentication(req, res, requestPath, feature) {
+    if (this.authManager && this.authManager.requiresAuth(req.method, requestPath)) {
+      return true;
     }
+    res.writeHead(403, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify({ success: false, message: `${feature}需要启用认证（server.auth 或 server.login）并保护该路径` }));
+    return false;
   }
 
   /**
@@ -361,7 +662,14 @@ class Router {
         rss: Math.round(process.memoryUsage().rss / 1024 / 1024), // MB
         heapUsed: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
         heapTotal: Math.round(process.memoryUsage().heapTotal / 1024 / 1024)
-      }
+      },
+      ...(this.requestQueue && {
+        queue: {
+          ...this.requestQueue.getHealth(),
+          running: this.requestQueue.running,
+          queued: this.requestQueue.queue.length
+        }
+      })
     };
 
     res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
@@ -414,6 +722,67 @@ class Router {
         }
       },
 
+      // 请求队列指标
+      ...(this.requestQueue && {
+        queue: {
+          ...this.requestQueue.getStats(),
+          health: this.requestQueue.getHealth()
+        }
+      }),
+
+      // 上传去重索引指标
+      ...(this.uploadIndex && {
+        uploadIndex: this.uploadIndex.getStats()
+      }),
+
+      // 上传台账指标
+      ...(this.uploadLedger && {
+        uploadLedger: this.uploadLedger.getStats()
+      }),
+
+      // 回收站指标
+      ...(this.trashService && {
+        trash: this.trashService.getStats()
+      }),
+
+      // 断点续传指标
+      ...(this.tusStore && {
+        resumableUploads: this.tusStore.getStats()
+      }),
+
+      // 缩略图指标
+      ...(this.thumbnailService && {
+        thumbnails: this.thumbnailService.getStats()
+      }),
+
+      // WebDAV 锁指标
+      ...(this.webdavLocks && {
+        webdavLocks: this.webdavLocks.getStats()
+      }),
+
+      // 分享链接指标
+      ...(this.shareService && {
+        shares: this.shareService.getStats()
+      }),
+
+      // 笔记链接指标
+      ...(this.noteIndex && {
+        notes: this.noteIndex.getStats()
+      }),
+
+      // 认证指标
+      ...(this.authManager && {
+        auth: this.authManager.getStats()
+      }),
+
+      // 限流指标
+      ...(this.rateLimiter && {
+        rateLimit: {
+          ...this.rateLimiter.getStats(),
+          ...(this.perfCollector && perfMetrics.rateLimit)
+        }
+      }),
+
       // WebSocket 指标
       ...(this.wsManager && {
         websocket: this.wsManager.getStats()
@@ -3,13 +3,19 @@
  * 
  * 功能：
  * - 搜索所有配置目录下的 Markdown 文件
- * - 全文搜索（文件名 + 内容）
+ * - 全文搜索（文件名、front matter 标题与标签 + 正文）
+ * - 跳过 front matter 标记为 draft: true 的草稿
  * - 返回搜索结果页面
+ *
+ * 目录遍历与文件读取均为异步；遍历阶段可经请求队列执行，执行超时时在目录之间中止。
  */
 
 const fs = require('fs');
 const path = require('path');
 const { generateSearchResultsPage } = require('../views/search-results-page');
+const { TRASH_DIR } = require('../utils/path-resolver');
+const { checkAccess, isHiddenPath } = require('../utils/directory-policy');
+const { parseFrontMatter, noteMeta } = require('../utils/front-matter');
 
 /**
  * 递归搜索目录下的 Markdown 文件
@@ -19,36 +25,51 @@ const { generateSearchResultsPage } = require('../views/search-results-page');
  * @param {string} baseRoute - 基础路由
  * @param {Array} results - 结果数组
  * @param {string} rootDir - 根目录路径（用于计算相对路径）
+ * @param {Object} mapping - 所属目录映射（跳过其 hidden 规则命中的路径）
+ * @param {AbortSignal} signal - 可选，中止时在进入下一个目录前抛出
  */
-function searchMarkdownFiles(dir, query, baseRoute, results, rootDir) {
+async function searchMarkdownFiles(dir, query, baseRoute, results, rootDir, mapping = null, signal = null) {
+  if (signal) signal.throwIfAborted();
   try {
-    if (!fs.existsSync(dir)) return;
-    
     // 首次调用时，rootDir 就是 dir
     if (!rootDir) rootDir = dir;
     
-    const items = fs.readdirSync(dir);
+    const items = await fs.promises.readdir(dir);
     const lowerQuery = query.toLowerCase();
     
     for (const item of items) {
       const fullPath = path.join(dir, item);
+      if (isHiddenPath(mapping, path.relative(rootDir, fullPath))) continue;
       
       try {
-        const stats = fs.statSync(fullPath);
+        const stats = await fs.promises.stat(fullPath);
         
         if (stats.isDirectory()) {
+          if (item === TRASH_DIR) continue; // 跳过回收站
           // 递归搜索子目录，传递 rootDir
-          searchMarkdownFiles(fullPath, query, baseRoute, results, rootDir);
+          await searchMarkdownFiles(fullPath, query, baseRoute, results, rootDir, mapping, signal);
         } else if (stats.isFile() && /\.md$/i.test(item)) {
           // 检查文件名是否匹配
-          const nameMatch = item.toLowerCase().includes(lowerQuery);
+          let nameMatch = item.toLowerCase().includes(lowerQuery);
           
           // 读取文件内容检查是否匹配
           let contentMatch = false;
           let excerpt = '';
+          let title = null;
           
           try {
-            const content = fs.readFileSync(fullPath, 'utf8');
+            const { body, frontMatter } = parseFrontMatter(await fs.promises.readFile(fullPath, 'utf8'));
+            const meta = noteMeta(frontMatter);
+            if (meta.draft) continue; // 草稿不出现在搜索结果中
+            title = meta.title;
+            
+            // 标题与标签视同文件名匹配
+            if ((title && title.toLowerCase().includes(lowerQuery)) ||
+                meta.tags.some(tag => tag.toLowerCase().includes(lowerQuery))) {
+              nameMatch = true;
+            }
+            
+            const content = body;
             const lowerContent = content.toLowerCase();
             
             if (lowerContent.includes(lowerQuery)) {
@@ -83,6 +104,7 @@ function searchMarkdownFiles(dir, query, baseRoute, results, rootDir) {
             
             results.push({
               name: item,
+              title: title,
               path: urlPath,
               nameMatch: nameMatch,
               contentMatch: contentMatch,
@@ -92,14 +114,40 @@ function searchMarkdownFiles(dir, query, baseRoute, results, rootDir) {
           }
         }
       } catch (err) {
-        // 忽略无法访问的文件/目录
+        // 中止向上传递，其余忽略（无法访问的文件/目录）
+        if (signal && signal.aborted) throw err;
       }
     }
   } catch (err) {
-    // 忽略无法访问的目录
+    if (signal && signal.aborted) throw err;
+    // 忽略不存在或无法访问的目录
   }
 }
 
+/**
+ * 搜索所有配置的目录（跳过当前请求无权访问的映射），按相关性排序
+ * @private
+ */
+async function collectResults(req, query, config, options, signal) {
+  const results = [];
+  for (const dir of config.directories || []) {
+    if (checkAccess(req, dir, { trustProxy: options.trustProxy })) continue;
+    const dirPath = path.isAbsolute(dir.path) 
+      ? dir.path 
+      : path.resolve(process.cwd(), dir.path);
+    
+    await searchMarkdownFiles(dirPath, query, dir.route, results, null, dir, signal);
+  }
+  
+  // 按相关性排序（文件名匹配优先）
+  results.sort((a, b) => {
+    if (a.nameMatch && !b.nameMatch) return -1;
+    if (!a.nameMatch && b.nameMatch) return 1;
+    return a.name.localeCompare(b.name);
+  });
+  return results;
+}
+
 /**
  * 处理搜索请求
  * 
@@ -108,8 +156,9 @@ function searchMarkdownFiles(dir, query, baseRoute, results, rootDir) {
  * @param {string} queryString - 查询字符串
  * @param {Object} config - 服务器配置
  * @param {Function} logger - 日志函数
+ * @param {Object} options - { schedule: 请求队列调度函数（遍历阶段）, trustProxy }
  */
-function handleSearch(req, res, queryString, config, logger) {
+async function handleSearch(req, res, queryString, config, logger, options = {}) {
   try {
     // 解析查询参数
     const params = new URLSearchParams(queryString);
@@ -125,22 +174,9 @@ function handleSearch(req, res, queryString, config, logger) {
     const trimmedQuery = query.trim();
     logger('INFO', `站内搜索: "${trimmedQuery}"`);
     
-    // 搜索所有配置的目录
-    const results = [];
-    for (const dir of config.directories || []) {
-      const dirPath = path.isAbsolute(dir.path) 
-        ? dir.path 
-        : path.resolve(process.cwd(), dir.path);
-      
-      searchMarkdownFiles(dirPath, trimmedQuery, dir.route, results);
-    }
-    
-    // 按相关性排序（文件名匹配优先）
-    results.sort((a, b) => {
-      if (a.nameMatch && !b.nameMatch) return -1;
-      if (!a.nameMatch && b.nameMatch) return 1;
-      return a.name.localeCompare(b.name);
-    });
+    // 只有遍历阶段经请求队列执行
+    const collect = signal => collectResults(req, trimmedQuery, config, options, signal);
+    const results = await (options.schedule ? options.schedule('search', collect) : collect(null));
     
     logger('INFO', `搜索完成: 找到 ${results.length} 个结果`);
     
@@ -150,6 +186,7 @@ function handleSearch(req, res, queryString, config, logger) {
     res.end(html);
     
   } catch (err) {
+    if (err && err.handled) return; // 请求队列已响应 503
     logger('ERROR', '搜索错误', err && (err.stack || err.message));
     res.writeHead(500, { 'Content-Type': 'text/html; charset=utf-8' });
     res.end(`<h1>500 - 服务器错误</h1><p>${err.message}</p>`);
@@ -0,0 +1,377 @@
+/**
+ * 分享链接路由处理器
+ *
+ * 管理端点（需认证，认证关闭时由路由器拒绝）：
+ * - GET    /api/shares          列出未过期的分享
+ * - POST   /api/shares          创建分享，请求体 { path, expiresInHours, maxDownloads, password }
+ * - POST   /api/shares/revoke   撤销分享，请求体 { ids: [...] } 或 { id }
+ * - DELETE /api/shares/<id>     撤销单个分享
+ *
+ * 公开访问（挂载点默认 /s，不经过认证与目录访问规则，隐藏规则仍然生效）：
+ * - GET|HEAD /s/<token>[/子路径]  下载文件或浏览目录（目录分享可继续访问其中的文件）
+ * - POST     /s/<token>[/子路径]  提交访问密码，通过后写入限定该分享路径的 Cookie
+ *
+ * 设置密码的分享也可通过 X-Share-Password 请求头直接访问（便于命令行下载）。
+ * 下载次数按完整下载计数（不含 HEAD 与续传的后续分段），目录分享累计其中各文件的下载。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseJsonBody } = require('../middleware/multipart-parser');
+const { getRequester } = require('../middleware/auth');
+const { parseCookies, serializeCookie } = require('../middleware/session');
+const { resolveAccessPath } = require('../utils/path-resolver');
+const { checkAccess, sendAccessDenied, isListingAllowed } = require('../utils/directory-policy');
+const { getMimeType } = require('../utils/mime');
+const { readDirectoryEntries } = require('../services/file-service/directory-listing');
+const { contentDisposition } = require('../services/file-service/zip-archive');
+const { generateSharePage } = require('../views/share-page');
+const { serveRawFile, sendListing } = require('./file-routes');
+
+const SHARES_PATH = '/api/shares';
+const REVOKE_PATH = '/api/shares/revoke';
+const NO_STORE = 'private, no-store';
+
+/**
+ * 发送 JSON 响应
+ * @private
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * 发送纯文本响应（公开访问端点与文件路由保持一致）
+ * @private
+ */
+function sendText(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(message);
+}
+
+/**
+ * 判断是否为分享管理端点
+ *
+ * @param {string} requestPath - 请求路径
+ * @returns {boolean}
+ */
+function isShareApiPath(requestPath) {
+  return requestPath === SHARES_PATH || requestPath.startsWith(SHARES_PATH + '/');
+}
+
+/**
+ * 判断是否为分享访问路径
+ *
+ * @param {string} requestPath - 请求路径
+ * @param {string} mount - 分享挂载点（如 /s）
+ * @returns {boolean}
+ */
+function isSharePath(requestPath, mount) {
+  return !!mount && requestPath.startsWith(mount + '/');
+}
+
+/**
+ * 对外返回的分享信息（附访问路径）
+ * @private
+ */
+function toResponse(service, share, mount) {
+  const info = service.describe(share);
+  return { ...info, url: `${mount}/${info.token}` };
+}
+
+/**
+ * 创建分享
+ * @private
+ */
+async function createShare(req, res, service, config, logger, options) {
+  const body = await parseJsonBody(req);
+  const rawPath = typeof body?.path === 'string' ? body.path.trim() : '';
+  const resolved = resolveAccessPath(rawPath, config.directories);
+  if (!resolved) {
+    return sendJson(res, 404, { success: false, message: '分享目标不存在' });
+  }
+
+  let stat;
+  try {
+    stat = await fs.promises.stat(resolved.fullPath);
+  } catch (_) {
+    return sendJson(res, 404, { success: false, message: '分享目标不存在' });
+  }
+  if (!stat.isFile() && !stat.isDirectory()) {
+    return sendJson(res, 400, { success: false, message: '仅支持分享文件或目录' });
+  }
+
+  // 创建者自身需能读取目标；分享后的访问不再受目录认证与 IP 规则约束
+  const denied = checkAccess(req, resolved.mapping, { trustProxy: options.trustProxy });
+  if (denied) {
+    return sendAccessDenied(res, denied);
+  }
+  if (stat.isDirectory() && !isListingAllowed(resolved.mapping, config)) {
+    return sendJson(res, 403, { success: false, message: '目录列表已禁用，无法分享目录' });
+  }
+
+  const normalized = path.posix.normalize(rawPath);
+  const share = service.create({
+    path: normalized.length > 1 ? normalized.replace(/\/+$/, '') : normalized,
+    isDir: stat.isDirectory(),
+    expiresInHours: body.expiresInHours,
+    maxDownloads: body.maxDownloads,
+    password: body.password ? String(body.password) : null,
+    createdBy: getRequester(req, options.trustProxy).user
+  });
+
+  logger('INFO', `创建分享: ${share.path}`, `id=${share.id}`);
+  sendJson(res, 201, { success: true, share: toResponse(service, share, options.mount) });
+}
+
+/**
+ * 撤销分享
+ * @private
+ */
+async function revokeShares(req, res, ids, service, logger) {
+  if (!ids.length) {
+    return sendJson(res, 400, { success: false, message: '缺少 ids' });
+  }
+
+  const results = ids.map(id => ({ id, success: service.revoke(id) }));
+  const successCount = results.filter(r => r.success).length;
+  if (successCount) {
+    logger('INFO', `撤销分享: ${results.filter(r => r.success).map(r => r.id).join(', ')}`);
+  }
+  sendJson(res, successCount > 0 ? 200 : 404, {
+    success: successCount > 0,
+    successCount,
+    total: results.length,
+    results
+  });
+}
+
+/**
+ * 处理分享管理请求
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {string} requestPath - 请求路径
+ * @param {ShareService|null} service - 分享服务
+ * @param {Object} config - 服务器配置
+ * @param {Function} logger - 日志函数
+ * @param {Object} options - { mount: 分享挂载点, trustProxy }
+ */
+async function handleShareApi(req, res, requestPath, service, config, logger, options = {}) {
+  if (!service) {
+    return sendJson(res, 503, { success: false, message: '分享功能未启用' });
+  }
+
+  try {
+    if (requestPath === REVOKE_PATH) {
+      if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return sendJson(res, 405, { success: false, message: '方法不允许' });
+      }
+      const body = await parseJsonBody(req);
+      const ids = Array.isArray(body?.ids) ? body.ids : (body?.id ? [body.id] : []);
+      return await revokeShares(req, res, ids.map(String), service, logger);
+    }
+
+    if (requestPath !== SHARES_PATH) {
+      if (req.method !== 'DELETE') {
+        res.setHeader('Allow', 'DELETE');
+        return sendJson(res, 405, { success: false, message: '方法不允许' });
+      }
+      return await revokeShares(req, res, [decodeURIComponent(requestPath.slice(SHARES_PATH.length + 1))], service, logger);
+    }
+
+    if (req.method === 'POST') {
+      return await createShare(req, res, service, config, logger, options);
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD, POST');
+      return sendJson(res, 405, { success: false, message: '方法不允许' });
+    }
+
+    const items = service.list().map(info => ({ ...info, url: `${options.mount}/${info.token}` }));
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(req.method === 'HEAD' ? undefined : JSON.stringify({ success: true, total: items.length, items }));
+  } catch (err) {
+    if (!err.statusCode) logger('ERROR', '分享请求处理失败', err.message);
+    sendJson(res, err.statusCode || 500, { success: false, message: err.statusCode ? err.message : '分享请求处理失败' });
+  }
+}
+
+/**
+ * 将分享内的子路径映射为访问路径（越出分享根目录时返回 null）
+ * @private
+ */
+function resolveSharedPath(share, subPath) {
+  if (!subPath || subPath === '/') return share.path;
+  if (!share.isDir) return null;
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(subPath);
+  } catch (_) {
+    return null;
+  }
+  const target = path.posix.normalize(`${share.path}/${decoded}`).replace(/\/+$/, '') || '/';
+  const rootPrefix = share.path === '/' ? '/' : share.path + '/';
+  return target === share.path || target.startsWith(rootPrefix) ? target : null;
+}
+
+/**
+ * 是否为完整下载（计入下载次数）：GET 且无 Range 或从首字节开始
+ * @private
+ */
+function isCountedDownload(req) {
+  if (req.method !== 'GET') return false;
+  const range = String(req.headers.range || '').trim();
+  return !range || /^bytes=0-/.test(range);
+}
+
+/**
+ * 处理分享密码：已解锁返回 true，否则写出密码页或跳转并返回 false
+ * @private
+ */
+async function unlockShare(req, res, share, service, config, logger, options) {
+  const basePath = `${options.mount}/${options.token}`;
+  const cookieName = `lbs_share_${share.id}`;
+
+  if (req.method === 'POST') {
+    const body = await parseJsonBody(req);
+    if (service.checkPassword(share, body?.password)) {
+      res.writeHead(303, {
+        Location: basePath + (options.subPath || ''),
+        'Set-Cookie': serializeCookie(cookieName, service.unlockToken(share), {
+          path: basePath,
+          maxAge: (share.expiresAt - Date.now()) / 1000,
+          secure: !!(req.socket && req.socket.encrypted)
+        })
+      });
+      res.end();
+      return false;
+    }
+    logger('WARN', `分享密码错误: ${share.id}`, getRequester(req, options.trustProxy).ip);
+    sendPasswordPage(req, res, share, config, options, '密码错误');
+    return false;
+  }
+
+  const headerPassword = req.headers['x-share-password'];
+  if (headerPassword !== undefined) {
+    if (service.checkPassword(share, String(headerPassword))) return true;
+    sendText(res, 401, '分享密码错误');
+    return false;
+  }
+
+  if (service.isUnlocked(share, parseCookies(req.headers.cookie)[cookieName])) return true;
+  sendPasswordPage(req, res, share, config, options, '');
+  return false;
+}
+
+/**
+ * 写出分享密码页
+ * @private
+ */
+function sendPasswordPage(req, res, share, config, options, error) {
+  res.writeHead(401, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(req.method === 'HEAD' ? undefined : generateSharePage(config, {
+    action: `${options.mount}/${options.token}${options.subPath || ''}`,
+    name: path.posix.basename(share.path) || '/',
+    error
+  }));
+}
+
+/**
+ * 处理分享访问请求
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {string} requestPath - 请求路径（/s/<token>[/子路径]）
+ * @param {string} queryString - 查询字符串（目录分享的排序、过滤、分页）
+ * @param {ShareService|null} service - 分享服务
+ * @param {Object} config - 服务器配置
+ * @param {Function} logger - 日志函数
+ * @param {Object} options - { mount: 分享挂载点, trustProxy }
+ */
+async function handleShareAccess(req, res, requestPath, queryString, service, config, logger, options = {}) {
+  if (!service) {
+    return sendText(res, 404, '分享链接无效或已撤销');
+  }
+  if (req.method !== 'GET' && req.method !== 'HEAD' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, HEAD, POST');
+    return sendText(res, 405, '方法不允许');
+  }
+
+  const rest = requestPath.slice(options.mount.length + 1);
+  const slash = rest.indexOf('/');
+  const token = slash < 0 ? rest : rest.slice(0, slash);
+  const subPath = slash < 0 ? '' : rest.slice(slash);
+  const shareOptions = { ...options, token, subPath };
+
+  let share;
+  try {
+    share = service.verify(token);
+  } catch (err) {
+    return sendText(res, err.statusCode || 404, err.message);
+  }
+
+  if (share.passwordHash) {
+    if (!await unlockShare(req, res, share, service, config, logger, shareOptions)) return;
+  } else if (req.method === 'POST') {
+    res.setHeader('Allow', 'GET, HEAD');
+    return sendText(res, 405, '方法不允许');
+  }
+
+  const target = resolveSharedPath(share, subPath);
+  const resolved = target && resolveAccessPath(target, config.directories);
+  if (!resolved) {
+    return sendText(res, 404, '文件或目录不存在');
+  }
+
+  let stat;
+  try {
+    stat = await fs.promises.stat(resolved.fullPath);
+  } catch (_) {
+    return sendText(res, 404, '文件或目录不存在');
+  }
+
+  if (stat.isDirectory()) {
+    if (!share.isDir) {
+      return sendText(res, 404, '文件或目录不存在');
+    }
+    if (!requestPath.endsWith('/')) {
+      res.writeHead(301, { Location: requestPath + '/' + (queryString ? `?${queryString}` : '') });
+      res.end();
+      return;
+    }
+    const entries = await readDirectoryEntries(resolved.fullPath).catch(() => null);
+    if (!entries) {
+      return sendText(res, 500, '无法读取目录');
+    }
+    return sendListing(req, res, entries, requestPath, `${options.mount}/${token}`, queryString, {
+      compression: config.compression,
+      resolved,
+      cacheControl: NO_STORE,
+      zipDownload: false,
+      browseArchives: false,
+      standalone: true
+    });
+  }
+
+  if (!stat.isFile()) {
+    return sendText(res, 404, '文件或目录不存在');
+  }
+
+  if (isCountedDownload(req)) {
+    service.recordDownload(share);
+    logger('INFO', `分享下载: ${target}`, `id=${share.id} 第 ${share.downloads} 次`);
+  }
+  res.setHeader('Content-Disposition', contentDisposition(path.basename(resolved.fullPath)));
+  serveRawFile(resolved.fullPath, res, getMimeType(resolved.fullPath, { sniff: true }), stat, req, config.compression, NO_STORE);
+}
+
+module.exports = {
+  handleShareApi,
+  handleShareAccess,
+  isShareApiPath,
+  isSharePath
+};
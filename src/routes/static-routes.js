@@ -8,11 +8,13 @@
  * - 仅支持 GET/HEAD
  * - 禁止目录索引
  * - 路径安全校验（normalize + 基路径限制）
+ * - 支持条件请求（304）、范围请求与 br / gzip 压缩
  */
 
 const fs = require('fs');
 const path = require('path');
 const { getMimeType } = require('../utils/mime');
+const { sendFile } = require('../utils/http-conditional');
 
 /**
  * 处理静态资源请求
@@ -22,8 +24,9 @@ const { getMimeType } = require('../utils/mime');
  * @param {string} appRoot - 应用根目录
  * @param {Function} logger - 日志函数(level, ...args)
  * @param {Object} assetsConfig - 配置对象 { mount, path, cacheMaxAge }
+ * @param {Object} compression - 压缩配置（可选；vendor 下的大体积脚本可放置 .br / .gz 预压缩文件）
  */
-function handleStaticAssets(req, res, requestPath, appRoot, logger, assetsConfig) {
+function handleStaticAssets(req, res, requestPath, appRoot, logger, assetsConfig, compression = null) {
   try {
     if (req.method !== 'GET' && req.method !== 'HEAD') {
       res.writeHead(405, { 'Content-Type': 'application/json; charset=utf-8' });
@@ -70,26 +73,10 @@ function handleStaticAssets(req, res, requestPath, appRoot, logger, assetsConfig
         return;
       }
 
-      const mime = getMimeType(fullPath);
-      const headers = {
-        'Content-Type': mime,
-        'Cache-Control': `public, max-age=${cacheMaxAge}`,
-        'ETag': `"${stat.ino}-${stat.mtime.getTime()}"`
-      };
-
-      if (req.method === 'HEAD') {
-        res.writeHead(200, headers);
-        res.end();
-        return;
-      }
-
-      res.writeHead(200, headers);
-      const stream = fs.createReadStream(fullPath);
-      stream.on('error', () => {
-        if (!res.headersSent) res.writeHead(500);
-        res.end();
-      });
-      stream.pipe(res);
+      sendFile(req, res, fullPath, stat, {
+        'Content-Type': getMimeType(fullPath),
+        'Cache-Control': `public, max-age=${cacheMaxAge}`
+      }, { compression });
     });
 
     return true;
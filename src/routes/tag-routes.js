@@ -0,0 +1,101 @@
+/**
+ * 标签页路由处理器
+ *
+ * 端点（挂载点由 markdown.tagsMount 配置，默认 /tags）：
+ * - GET /tags/        全部标签及笔记数
+ * - GET /tags/<tag>   带有该标签的笔记（不区分大小写，层级标签 a 同时匹配 a/b）
+ * 两者均支持 ?format=json。
+ *
+ * 汇总所有目录映射中的 Markdown，跳过草稿与请求者无权访问的映射。
+ */
+
+const { generateTagIndexPage, generateTagPage } = require('../views/tag-page');
+const { resolveAccessPath } = require('../utils/path-resolver');
+const { checkAccess } = require('../utils/directory-policy');
+const { normalizeTag } = require('../utils/front-matter');
+
+/**
+ * 判断是否为标签页路径
+ *
+ * @param {string} requestPath - 请求路径
+ * @param {string|null} mount - 标签页挂载点
+ * @returns {boolean}
+ */
+function isTagPath(requestPath, mount) {
+  return !!mount && (requestPath === mount || requestPath.startsWith(mount + '/'));
+}
+
+/**
+ * 发送响应（HTML 或 JSON）
+ * @private
+ */
+function send(res, status, type, body) {
+  res.writeHead(status, {
+    'Content-Type': `${type}; charset=utf-8`,
+    'Cache-Control': 'no-cache'
+  });
+  res.end(body);
+}
+
+/**
+ * 处理标签页请求
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {string} requestPath - 请求路径
+ * @param {string} queryString - 查询字符串
+ * @param {NoteIndex} notes - 笔记索引
+ * @param {Object} config - 服务器配置
+ * @param {Object} options - { trustProxy }
+ */
+function handleTags(req, res, requestPath, queryString, notes, config, options = {}) {
+  const mount = config.markdown.tagsMount;
+  if (requestPath === mount) {
+    res.writeHead(301, { 'Location': `${mount}/${queryString ? `?${queryString}` : ''}` });
+    res.end();
+    return;
+  }
+
+  let tag;
+  try {
+    tag = normalizeTag(decodeURIComponent(requestPath.slice(mount.length + 1)));
+  } catch (_) {
+    send(res, 400, 'text/plain', '标签编码无效');
+    return;
+  }
+
+  // 同一映射只检查一次访问规则
+  const allowed = new Map();
+  const filter = (accessPath) => {
+    const resolved = resolveAccessPath(accessPath, config.directories);
+    if (!resolved) return false;
+    if (!allowed.has(resolved.mapping)) {
+      allowed.set(resolved.mapping, !checkAccess(req, resolved.mapping, { trustProxy: options.trustProxy }));
+    }
+    return allowed.get(resolved.mapping);
+  };
+  const json = new URLSearchParams(queryString || '').get('format') === 'json';
+
+  if (!tag) {
+    const tags = notes.tags(filter);
+    if (json) {
+      send(res, 200, 'application/json', JSON.stringify({ success: true, total: tags.length, tags }));
+    } else {
+      send(res, 200, 'text/html', generateTagIndexPage(tags, config, mount));
+    }
+    return;
+  }
+
+  const items = notes.notesWithTag(tag, filter);
+  const status = items.length ? 200 : 404;
+  if (json) {
+    send(res, status, 'application/json', JSON.stringify({ success: items.length > 0, tag, total: items.length, notes: items }));
+  } else {
+    send(res, status, 'text/html', generateTagPage(tag, items, config, mount));
+  }
+}
+
+module.exports = {
+  handleTags,
+  isTagPath
+};
@@ -0,0 +1,131 @@
+/**
+ * 回收站路由处理器
+ *
+ * 端点：
+ * - GET  /api/trash          列出回收站条目（?route= 指定映射，?q= 按原路径过滤）
+ * - POST /api/trash/restore  恢复条目，请求体 { ids: [...] } 或 { id }，可选 overwrite
+ */
+
+const { parseJsonBody } = require('../middleware/multipart-parser');
+const { getRequester } = require('../middleware/auth');
+
+const TRASH_PATH = '/api/trash';
+const RESTORE_PATH = '/api/trash/restore';
+
+/**
+ * 发送 JSON 响应
+ * @private
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * 判断是否为回收站端点
+ *
+ * @param {string} requestPath - 请求路径
+ * @returns {boolean}
+ */
+function isTrashApiPath(requestPath) {
+  return requestPath === TRASH_PATH || requestPath === RESTORE_PATH;
+}
+
+/**
+ * 由映射路由与原路径拼出访问路径
+ * @private
+ */
+function buildUrlPath(route, originalPath) {
+  return route === '/' ? `/${originalPath}` : `${route}/${originalPath}`;
+}
+
+/**
+ * 恢复回收站条目
+ * @private
+ */
+async function restoreItems(req, res, trash, logger, options) {
+  const body = await parseJsonBody(req);
+  const ids = Array.isArray(body?.ids) ? body.ids : (body?.id ? [body.id] : []);
+  if (!ids.length) {
+    return sendJson(res, 400, { success: false, message: '缺少 ids' });
+  }
+
+  const requester = getRequester(req, options.trustProxy);
+  const results = [];
+  for (const id of ids) {
+    try {
+      const { meta, localPath } = await trash.restore(String(id), { overwrite: body.overwrite === true, requester });
+      results.push({ id, success: true, url: buildUrlPath(meta.route, meta.originalPath) });
+      if (options.ledger) {
+        options.ledger.record(req, {
+          action: 'restore',
+          via: 'trash',
+          filename: meta.name,
+          filePath: localPath,
+          size: meta.size,
+          trashId: meta.id
+        });
+      }
+    } catch (err) {
+      if (!err.statusCode && logger) logger('ERROR', `回收站恢复失败: ${id}`, err.message);
+      results.push({ id, success: false, status: err.statusCode || 500, message: err.message });
+    }
+  }
+
+  const successCount = results.filter(r => r.success).length;
+  sendJson(res, successCount > 0 ? 200 : (results.length === 1 ? results[0].status : 400), {
+    success: successCount > 0,
+    successCount,
+    total: results.length,
+    results
+  });
+}
+
+/**
+ * 处理回收站请求
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {string} requestPath - 请求路径
+ * @param {string} queryString - 查询字符串
+ * @param {TrashService|null} trash - 回收站服务
+ * @param {Function} logger - 日志函数
+ * @param {Object} options - { ledger: 上传台账（可选）, trustProxy }
+ */
+async function handleTrash(req, res, requestPath, queryString, trash, logger, options = {}) {
+  if (!trash) {
+    return sendJson(res, 503, { success: false, message: '回收站未启用' });
+  }
+
+  try {
+    if (requestPath === RESTORE_PATH) {
+      if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return sendJson(res, 405, { success: false, message: '方法不允许' });
+      }
+      return await restoreItems(req, res, trash, logger, options);
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      return sendJson(res, 405, { success: false, message: '方法不允许' });
+    }
+
+    const params = new URLSearchParams(queryString || '');
+    const items = await trash.list({ route: params.get('route'), q: params.get('q') });
+    sendJson(res, 200, {
+      success: true,
+      total: items.length,
+      totalSize: items.reduce((sum, item) => sum + (item.size || 0), 0),
+      items: items.map(item => ({ ...item, url: buildUrlPath(item.route, item.originalPath) }))
+    });
+  } catch (err) {
+    if (logger) logger('ERROR', '回收站请求处理失败', err.message);
+    sendJson(res, err.statusCode || 500, { success: false, message: err.message });
+  }
+}
+
+module.exports = {
+  handleTrash,
+  isTrashApiPath
+};
@@ -0,0 +1,422 @@
+/**
+ * 断点续传上传路由处理器（tus 1.0 核心协议）
+ *
+ * 端点：
+ * - OPTIONS /upload/tus        能力发现（Tus-Version / Tus-Extension / Tus-Max-Size）
+ * - POST    /upload/tus        创建上传（creation，支持 creation-with-upload）
+ * - HEAD    /upload/tus/<id>   查询当前偏移量
+ * - PATCH   /upload/tus/<id>   追加数据
+ * - DELETE  /upload/tus/<id>   终止上传（termination）
+ *
+ * Upload-Metadata 支持 filename（或 name）、route、subdir，
+ * 收到足够的开头数据后按内容识别类型（不通过则删除上传并返回 415），
+ * 上传完成后按与 POST /upload 相同的目录映射与命名模式落盘并生成访问 URL（X-Upload-Url 头）。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+const {
+  resolveUploadDir,
+  getUploadLimits,
+  buildAccessUrl,
+  getTypePolicy,
+  getMaxFileSize,
+  assertWritable
+} = require('./upload-routes');
+const { getNamingOptions, hashFile, placeUpload } = require('../utils/upload-naming');
+const { SNIFF_BYTES, checkUploadType } = require('../utils/file-sniffer');
+
+const TUS_PATH = '/upload/tus';
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,creation-with-upload,expiration,termination';
+const OFFSET_CONTENT_TYPE = 'application/offset+octet-stream';
+
+/**
+ * 判断请求路径是否属于续传端点
+ */
+function isTusPath(requestPath) {
+  return requestPath === TUS_PATH || requestPath.startsWith(TUS_PATH + '/');
+}
+
+/**
+ * 发送错误响应
+ */
+function sendError(res, status, message, headers = {}) {
+  if (res.headersSent) return;
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify({ success: false, message }));
+}
+
+/**
+ * 解析 Upload-Metadata 头（"key base64value,key2 base64value2"）
+ *
+ * @param {string} header - 原始头部
+ * @returns {Object|null} 解码后的键值，格式错误返回 null
+ */
+function parseMetadata(header) {
+  const metadata = {};
+  if (!header) return metadata;
+  for (const pair of String(header).split(',')) {
+    const [key, value, extra] = pair.trim().split(' ');
+    if (!key || extra !== undefined || metadata[key] !== undefined) return null;
+    if (value && !/^[A-Za-z0-9+/]*={0,2}$/.test(value)) return null;
+    metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+  return metadata;
+}
+
+/**
+ * 解析非负整数头部
+ */
+function parseNonNegativeInt(value) {
+  if (value === undefined || !/^\d+$/.test(String(value))) return null;
+  const num = Number(value);
+  return Number.isSafeInteger(num) ? num : null;
+}
+
+/**
+ * 从元数据中获取安全的文件名
+ */
+function getSafeFilename(metadata) {
+  const name = path.basename(String(metadata.filename || metadata.name || ''));
+  return name && name !== '.' && name !== '..' ? name : null;
+}
+
+/**
+ * 将请求体追加到数据文件
+ *
+ * 客户端中途断开时已写入的数据保留，偏移量以文件大小为准，可继续续传。
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {string} dataPath - 数据文件路径
+ * @param {number} remaining - 剩余可写字节数
+ * @returns {Promise<void>}
+ */
+function appendBody(req, dataPath, remaining) {
+  let received = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > remaining) {
+        const err = new Error('数据超出 Upload-Length');
+        err.statusCode = 413;
+        return callback(err);
+      }
+      callback(null, chunk);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    pipeline(req, limiter, fs.createWriteStream(dataPath, { flags: 'a' }), (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+/**
+ * 上传完成后按命名模式落盘并生成访问 URL
+ *
+ * @returns {Promise<string>} 访问 URL
+ */
+async function finalizeUpload(req, info, store, config, logger, options) {
+  const fields = { route: info.metadata.route, subdir: info.metadata.subdir };
+  const { rootDir, targetDir } = resolveUploadDir(config, fields);
+  const safeFilename = getSafeFilename(info.metadata);
+  const dataPath = store.dataPath(info.id);
+
+  const sha256 = await hashFile(dataPath);
+  const placed = await placeUpload(dataPath, {
+    filename: safeFilename,
+    size: info.length,
+    sha256
+  }, { rootDir, targetDir, naming: getNamingOptions(config, rootDir), index: options.uploadIndex });
+
+  const relativeName = path.relative(targetDir, placed.filePath).split(path.sep).join('/');
+  const url = buildAccessUrl(req, config, path.dirname(placed.filePath), placed.filePath, fields, relativeName);
+  info.completed = { url, finishedAt: Date.now(), ...(placed.deduplicated && { deduplicated: true }) };
+  store.save(info);
+
+  if (options.ledger) {
+    options.ledger.record(req, {
+      action: 'upload',
+      via: 'tus',
+      filename: safeFilename,
+      filePath: placed.filePath,
+      url,
+      size: info.length,
+      sha256,
+      ...(placed.deduplicated && { deduplicated: true })
+    });
+  }
+
+  if (logger) {
+    logger('INFO', placed.deduplicated
+      ? `断点续传上传完成（内容已存在，复用）: ${safeFilename} -> ${relativeName}`
+      : `断点续传上传完成: ${safeFilename} -> ${relativeName}`, `${info.length} bytes`);
+  }
+  return url;
+}
+
+/**
+ * 读取已上传的开头字节并校验内容类型
+ *
+ * @returns {Promise<Object>} checkUploadType 结果
+ */
+async function verifyContentType(info, store, config) {
+  const { rootDir } = resolveUploadDir(config, { route: info.metadata.route, subdir: info.metadata.subdir });
+  const handle = await fs.promises.open(store.dataPath(info.id), 'r');
+  try {
+    const head = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(head, 0, SNIFF_BYTES, 0);
+    return checkUploadType(getSafeFilename(info.metadata), head.subarray(0, bytesRead), getTypePolicy(config, rootDir));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * 追加数据并在完成时落盘（PATCH 与 creation-with-upload 共用）
+ *
+ * @returns {Promise<number|null>} 新偏移量；已写出错误响应时返回 null
+ */
+async function writeChunk(req, res, info, offset, store, config, logger, options) {
+  const contentLength = parseNonNegativeInt(req.headers['content-length']);
+  if (contentLength !== null && offset + contentLength > info.length) {
+    sendError(res, 413, '数据超出 Upload-Length', { Connection: 'close' });
+    res.once('finish', () => req.destroy());
+    return null;
+  }
+
+  try {
+    await appendBody(req, store.dataPath(info.id), info.length - offset);
+  } catch (err) {
+    if (err.statusCode) {
+      sendError(res, err.statusCode, err.message, { Connection: 'close' });
+      res.once('finish', () => req.destroy());
+      return null;
+    }
+    // 客户端断开：保留已写入部分，等待下次续传
+    if (logger) logger('WARN', `续传数据中断: ${info.id}`, err.message);
+    store.touch(info);
+    if (!res.headersSent && !res.destroyed) {
+      sendError(res, 400, '请求体读取中断');
+    }
+    return null;
+  }
+
+  const newOffset = await store.getOffset(info);
+
+  // 开头数据到齐后识别内容类型，不通过则直接终止上传
+  if (!info.typeChecked && (newOffset >= SNIFF_BYTES || newOffset === info.length)) {
+    const typeCheck = await verifyContentType(info, store, config);
+    if (!typeCheck.ok) {
+      store.remove(info.id);
+      if (logger) logger('WARN', `拒绝断点续传上传: ${getSafeFilename(info.metadata)}`, typeCheck.message);
+      sendError(res, 415, typeCheck.message);
+      return null;
+    }
+    info.typeChecked = true;
+  }
+
+  store.touch(info);
+  if (newOffset === info.length) {
+    await finalizeUpload(req, info, store, config, logger, options);
+  }
+  return newOffset;
+}
+
+/**
+ * 公共响应头
+ */
+function uploadHeaders(info, offset) {
+  const headers = {
+    'Upload-Offset': String(offset),
+    'Upload-Expires': new Date(info.expiresAt).toUTCString()
+  };
+  if (info.completed) headers['X-Upload-Url'] = encodeURI(info.completed.url);
+  return headers;
+}
+
+/**
+ * 处理 OPTIONS 能力发现请求
+ *
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {Object} config - 服务器配置
+ */
+function handleTusOptions(res, config) {
+  res.writeHead(204, {
+    'Tus-Resumable': TUS_VERSION,
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': TUS_EXTENSIONS,
+    'Tus-Max-Size': String(getUploadLimits(config).maxFileSize)
+  });
+  res.end();
+}
+
+/**
+ * 创建上传（POST）
+ * @private
+ */
+async function createUpload(req, res, store, config, logger, options) {
+  if (req.headers['upload-defer-length'] !== undefined) {
+    return sendError(res, 400, '不支持 Upload-Defer-Length');
+  }
+  const length = parseNonNegativeInt(req.headers['upload-length']);
+  if (length === null) {
+    return sendError(res, 400, '缺少或无效的 Upload-Length');
+  }
+  const rawMetadata = req.headers['upload-metadata'] || '';
+  const metadata = parseMetadata(rawMetadata);
+  if (!metadata) {
+    return sendError(res, 400, '无效的 Upload-Metadata');
+  }
+  const safeFilename = getSafeFilename(metadata);
+  if (!safeFilename) {
+    return sendError(res, 400, '缺少文件名（Upload-Metadata filename）');
+  }
+  // 提前校验目录映射与子目录（含访问规则与单文件上限），以及按扩展名即可判定的禁止类型
+  const { rootDir, targetDir } = resolveUploadDir(config, { route: metadata.route, subdir: metadata.subdir });
+  assertWritable(req, config, targetDir, { trustProxy: options.trustProxy, filename: safeFilename });
+  if (length > getMaxFileSize(config, rootDir)) {
+    return sendError(res, 413, '文件超出大小限制');
+  }
+  const extensionCheck = checkUploadType(safeFilename, Buffer.alloc(0), { deny: getTypePolicy(config, rootDir).deny });
+  if (!extensionCheck.ok) {
+    return sendError(res, 400, extensionCheck.message);
+  }
+
+  const info = store.create({ length, metadata, rawMetadata });
+  const location = `${TUS_PATH}/${info.id}`;
+  if (logger) {
+    logger('INFO', `创建断点续传上传: ${safeFilename}`, `${info.id} (${length} bytes)`);
+  }
+
+  let offset = 0;
+  const hasBody = String(req.headers['content-type'] || '').startsWith(OFFSET_CONTENT_TYPE);
+  if (hasBody) {
+    store.acquire(info.id);
+    try {
+      offset = await writeChunk(req, res, info, 0, store, config, logger, options);
+    } finally {
+      store.release(info.id);
+    }
+    if (offset === null) return;
+  } else if (length === 0) {
+    await finalizeUpload(req, info, store, config, logger, options);
+  }
+
+  res.writeHead(201, {
+    Location: location,
+    ...uploadHeaders(info, offset)
+  });
+  res.end();
+}
+
+/**
+ * 处理断点续传请求
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {string} requestPath - 请求路径
+ * @param {TusUploadStore} store - 续传存储
+ * @param {Object} config - 服务器配置
+ * @param {Function} logger - 日志函数
+ * @param {Object} options - { uploadIndex: 上传内容索引（可选）, ledger: 上传台账（可选）, trustProxy }
+ */
+async function handleTus(req, res, requestPath, store, config, logger, options = {}) {
+  // 部分环境不支持 PATCH/DELETE，允许通过 X-HTTP-Method-Override 覆盖
+  const method = String(req.headers['x-http-method-override'] || req.method).toUpperCase();
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+
+  try {
+    if (req.headers['tus-resumable'] !== TUS_VERSION) {
+      return sendError(res, 412, '不支持的 tus 协议版本', { 'Tus-Version': TUS_VERSION });
+    }
+
+    if (requestPath === TUS_PATH || requestPath === TUS_PATH + '/') {
+      if (method !== 'POST') {
+        return sendError(res, 405, '方法不允许', { Allow: 'OPTIONS, POST' });
+      }
+      return await createUpload(req, res, store, config, logger, options);
+    }
+
+    const id = requestPath.slice(TUS_PATH.length + 1);
+    const info = store.get(id);
+    if (!info) {
+      return sendError(res, 404, '上传不存在或已过期', { 'Cache-Control': 'no-store' });
+    }
+
+    if (method === 'HEAD') {
+      const offset = await store.getOffset(info);
+      const headers = {
+        'Upload-Length': String(info.length),
+        'Cache-Control': 'no-store',
+        ...uploadHeaders(info, offset)
+      };
+      if (info.rawMetadata) headers['Upload-Metadata'] = info.rawMetadata;
+      res.writeHead(200, headers);
+      res.end();
+      return;
+    }
+
+    if (method === 'DELETE') {
+      if (!store.acquire(id)) {
+        return sendError(res, 423, '上传正在写入中');
+      }
+      store.remove(id);
+      if (logger) logger('INFO', `终止断点续传上传: ${id}`);
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    if (method !== 'PATCH') {
+      return sendError(res, 405, '方法不允许', { Allow: 'HEAD, PATCH, DELETE' });
+    }
+
+    if (!String(req.headers['content-type'] || '').startsWith(OFFSET_CONTENT_TYPE)) {
+      return sendError(res, 415, `Content-Type 必须为 ${OFFSET_CONTENT_TYPE}`);
+    }
+    const clientOffset = parseNonNegativeInt(req.headers['upload-offset']);
+    if (clientOffset === null) {
+      return sendError(res, 400, '缺少或无效的 Upload-Offset');
+    }
+    if (!store.acquire(id)) {
+      return sendError(res, 423, '上传正在写入中');
+    }
+
+    try {
+      const currentOffset = await store.getOffset(info);
+      if (clientOffset !== currentOffset) {
+        return sendError(res, 409, '偏移量不匹配', { 'Upload-Offset': String(currentOffset) });
+      }
+      if (info.completed) {
+        res.writeHead(204, uploadHeaders(info, currentOffset));
+        res.end();
+        return;
+      }
+
+      const newOffset = await writeChunk(req, res, info, currentOffset, store, config, logger, options);
+      if (newOffset === null) return;
+      res.writeHead(204, uploadHeaders(info, newOffset));
+      res.end();
+    } finally {
+      store.release(id);
+    }
+  } catch (err) {
+    if (logger) {
+      logger('ERROR', '断点续传处理错误', err && err.message);
+    }
+    sendError(res, (err && err.statusCode) || 500, err.message);
+  }
+}
+
+module.exports = {
+  handleTus,
+  handleTusOptions,
+  isTusPath,
+  parseMetadata,
+  TUS_PATH
+};
@@ -0,0 +1,93 @@
+/**
+ * 上传历史路由处理器
+ *
+ * 端点：
+ * - GET /api/uploads            上传与删除台账（过滤、分页，?format=csv 导出）
+ * - GET /api/uploads/deletions  删除视图：删除记录附带原上传者与上传时间
+ *
+ * 过滤参数：action、via、user、ip、sha256（前缀）、q（文件名/路径/URL 子串）、
+ * from、to（ISO 日期或毫秒时间戳）；分页参数：page、pageSize、order（asc/desc）。
+ */
+
+const UPLOADS_PATH = '/api/uploads';
+const DELETIONS_PATH = '/api/uploads/deletions';
+
+/**
+ * 发送 JSON 响应
+ * @private
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * 判断是否为上传历史端点
+ *
+ * @param {string} requestPath - 请求路径
+ * @returns {boolean}
+ */
+function isUploadHistoryPath(requestPath) {
+  return requestPath === UPLOADS_PATH || requestPath === DELETIONS_PATH;
+}
+
+/**
+ * 处理上传历史查询
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {string} requestPath - 请求路径
+ * @param {string} queryString - 查询字符串
+ * @param {UploadLedger|null} ledger - 上传台账
+ * @param {Function} logger - 日志函数
+ */
+async function handleUploadHistory(req, res, requestPath, queryString, ledger, logger) {
+  if (!ledger) {
+    return sendJson(res, 503, { success: false, message: '上传台账未启用' });
+  }
+
+  try {
+    const params = new URLSearchParams(queryString || '');
+    if (requestPath === DELETIONS_PATH) params.set('action', 'delete');
+    const query = ledger.parseQuery(params);
+
+    if (params.get('format') === 'csv') {
+      const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+      const name = requestPath === DELETIONS_PATH ? 'deletions' : 'uploads';
+      res.writeHead(200, {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${name}-${stamp}.csv"`,
+        'Cache-Control': 'no-store'
+      });
+      if (req.method === 'HEAD') return res.end();
+      await ledger.exportCsv(query, res);
+      res.end();
+      return;
+    }
+
+    const result = await ledger.query(query);
+    sendJson(res, 200, {
+      success: true,
+      total: result.total,
+      page: result.page,
+      pageSize: result.pageSize,
+      pages: Math.ceil(result.total / result.pageSize),
+      items: result.items
+    });
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return sendJson(res, 400, { success: false, message: err.message });
+    }
+    if (logger) logger('ERROR', '上传台账查询失败', err.message);
+    if (!res.headersSent) {
+      sendJson(res, 500, { success: false, message: err.message });
+    } else {
+      res.destroy();
+    }
+  }
+}
+
+module.exports = {
+  handleUploadHistory,
+  isUploadHistoryPath
+};
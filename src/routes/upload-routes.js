@@ -6,43 +6,267 @@
  * - UTF-8 文件名
  * - 子目录创建
  * - PicList 兼容格式
+ * - 按文件内容（魔数）识别类型，校验允许/禁止列表与扩展名一致性
+ * - 流式落盘（不在内存中缓冲文件内容）
+ * - 按目录映射的访问规则拒绝只读、受限或隐藏的上传目标，并应用映射的单文件上限
+ * - 临时文件写入所属映射的 .trash/.tmp（不出现在目录列表、搜索与笔记索引中），启动时清理残留
  */
 
 const fs = require('fs');
 const path = require('path');
-const { parseMultipart } = require('../middleware/multipart-parser');
-const { appRoot } = require('../utils/path-resolver');
-const MAX_FILE_SIZE = 50 * 1024 * 1024; // 单文件上限 50MB
-const MAX_TOTAL_SIZE = 80 * 1024 * 1024; // 单次请求总上限 80MB
-const BLOCKED_EXTS = ['.exe', '.bat', '.cmd', '.sh', '.ps1', '.js', '.mjs', '.cjs'];
-
-function writeBufferToFile(targetPath, buffer) {
-  return new Promise((resolve, reject) => {
-    const stream = fs.createWriteStream(targetPath);
-    stream.on('error', reject);
-    stream.on('finish', resolve);
-    stream.end(buffer);
+const { parseMultipartStream, removeTempFiles } = require('../middleware/multipart-parser');
+const { getNamingOptions, placeUpload, findDirectoryMapping } = require('../utils/upload-naming');
+const { checkUploadType } = require('../utils/file-sniffer');
+const { appRoot, isConcealedPath, uploadTempDir } = require('../utils/path-resolver');
+const { getPolicy, checkAccess, accessError } = require('../utils/directory-policy');
+const MB = 1024 * 1024;
+const DEFAULT_MAX_FILE_SIZE_MB = 1024; // 单文件默认上限 1GB
+const DEFAULT_MAX_TOTAL_SIZE_MB = 2048; // 单次请求默认上限 2GB
+const DEFAULT_DENY_TYPES = ['executable', 'script'];
+const HIDDEN_NAME_MESSAGE = '文件名命中目录的隐藏规则';
+
+/**
+ * 读取上传大小限制（features.upload 配置，单位 MB）
+ *
+ * @param {Object} config - 服务器配置
+ * @returns {{ maxFileSize: number, maxTotalSize: number }} 字节数
+ */
+function getUploadLimits(config) {
+  const uploadCfg = config.upload || {};
+  return {
+    maxFileSize: (uploadCfg.maxFileSizeMB || DEFAULT_MAX_FILE_SIZE_MB) * MB,
+    maxTotalSize: (uploadCfg.maxTotalSizeMB || DEFAULT_MAX_TOTAL_SIZE_MB) * MB
+  };
+}
+
+/**
+ * 读取上传目录的单文件上限（目录映射 upload.maxFileSizeMB 优先，缺省取 features.upload）
+ *
+ * @param {Object} config - 服务器配置
+ * @param {string} rootDir - 上传根目录（绝对路径）
+ * @returns {number} 字节数
+ */
+function getMaxFileSize(config, rootDir) {
+  return getPolicy(findDirectoryMapping(config, rootDir)).maxFileSize || getUploadLimits(config).maxFileSize;
+}
+
+/**
+ * 目录映射根目录（绝对路径）
+ * @private
+ */
+function mappingBase(mapping) {
+  return path.normalize(path.isAbsolute(mapping.path) ? mapping.path : path.join(appRoot, mapping.path));
+}
+
+/**
+ * 上传目标目录对应的临时文件目录（所属映射的 .trash/.tmp；不在任何映射内时为目标目录下的 .trash/.tmp）
+ * @private
+ */
+function tempDirFor(config, targetDir) {
+  const mapping = findDirectoryMapping(config, targetDir);
+  return uploadTempDir(mapping ? mappingBase(mapping) : targetDir);
+}
+
+/**
+ * 清理上次运行残留的上传临时文件（启动时调用，此时没有进行中的上传）
+ *
+ * @param {Object} config - 服务器配置
+ * @param {Function} logger - 日志函数
+ * @returns {Promise<number>} 删除的文件数
+ */
+async function cleanupUploadTemp(config, logger = null) {
+  const dirs = new Set((config.directories || []).map(mapping => uploadTempDir(mappingBase(mapping))));
+  let removed = 0;
+  for (const dir of dirs) {
+    let names;
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch (_) {
+      continue;
+    }
+    for (const name of names) {
+      if (!name.endsWith('.part')) continue;
+      try {
+        await fs.promises.unlink(path.join(dir, name));
+        removed++;
+      } catch (_) {
+        // 忽略无法删除的文件
+      }
+    }
+  }
+  if (removed && logger) logger('INFO', `已清理 ${removed} 个残留的上传临时文件`);
+  return removed;
+}
+
+/**
+ * 判断路径是否落在所属目录映射的回收站或隐藏规则内
+ * @private
+ */
+function isConcealedTarget(config, targetPath) {
+  const mapping = findDirectoryMapping(config, targetPath);
+  if (!mapping) return false;
+  return isConcealedPath(mapping, path.relative(mappingBase(mapping), targetPath));
+}
+
+/**
+ * 校验上传目标可写（目录映射的只读、IP 白名单、认证要求与隐藏规则）
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {Object} config - 服务器配置
+ * @param {string} targetDir - 目标目录（绝对路径）
+ * @param {Object} options - { trustProxy, filename: 同时校验的文件名（可选） }
+ * @throws {Error} 不可写时抛出（statusCode=400/401/403）
+ */
+function assertWritable(req, config, targetDir, options = {}) {
+  const denied = checkAccess(req, findDirectoryMapping(config, targetDir), { write: true, trustProxy: options.trustProxy });
+  if (denied) throw accessError(denied);
+
+  const concealed = isConcealedTarget(config, targetDir)
+    ? '不允许的子目录'
+    : (options.filename && isConcealedTarget(config, path.join(targetDir, options.filename)) ? HIDDEN_NAME_MESSAGE : null);
+  if (concealed) {
+    const err = new Error(concealed);
+    err.statusCode = 400;
+    throw err;
+  }
+}
+
+/**
+ * 读取上传目录的类型策略（目录映射 upload.allow/deny 优先，缺省取 features.upload）
+ *
+ * @param {Object} config - 服务器配置
+ * @param {string} rootDir - 上传根目录（绝对路径）
+ * @returns {{ allow: string[], deny: string[] }}
+ */
+function getTypePolicy(config, rootDir) {
+  const mapping = findDirectoryMapping(config, rootDir);
+  const mappingCfg = (mapping && mapping.upload) || {};
+  const globalCfg = config.upload || {};
+  return {
+    allow: mappingCfg.allow || globalCfg.allow || [],
+    deny: mappingCfg.deny || globalCfg.deny || DEFAULT_DENY_TYPES
+  };
+}
+
+/**
+ * 根据配置与表单字段确定上传目录
+ *
+ * @param {Object} config - 服务器配置
+ * @param {Object} fields - 表单字段（route、subdir）
+ * @returns {{ rootDir: string, targetDir: string }} 上传根目录与目标目录（绝对路径）
+ * @throws {Error} subdir 越界时抛出（statusCode=400）
+ */
+function resolveUploadDir(config, fields = {}) {
+  let uploadDir = null;
+
+  // 首先检查config中是否配置了uploadDir
+  if (config.uploadDir) {
+    uploadDir = config.uploadDir;
+  }
+  // 如果查询参数中指定了目录路由，使用该目录
+  else if (fields.route) {
+    const dirConfig = config.directories.find(d => d.route === fields.route);
+    if (dirConfig) {
+      uploadDir = dirConfig.path;
+    }
+  }
+
+  // 如果还没有确定，使用第一个目录映射的路径
+  if (!uploadDir) {
+    uploadDir = config.directories[0]?.path || './public';
+  }
+
+  // 规范化路径，使用appRoot作为相对路径的基准
+  const rootDir = path.normalize(path.isAbsolute(uploadDir) ? uploadDir : path.join(appRoot, uploadDir));
+
+  // 如果提供了子目录路径，必须仍位于上传根目录内
+  const targetDir = fields.subdir ? path.normalize(path.join(rootDir, fields.subdir)) : rootDir;
+  if (targetDir !== rootDir && !targetDir.startsWith(rootDir + path.sep)) {
+    const err = new Error('不允许的子目录');
+    err.statusCode = 400;
+    throw err;
+  }
+
+  return { rootDir, targetDir };
+}
+
+/**
+ * 根据目录映射生成上传文件的完整访问 URL
+ *
+ * @param {http.IncomingMessage} req - 请求对象（用于判断协议）
+ * @param {Object} config - 服务器配置
+ * @param {string} normalizedBase - 文件所在目录（绝对路径）
+ * @param {string} normalizedPath - 文件完整路径（绝对路径）
+ * @param {Object} fields - 上传字段（subdir）
+ * @param {string} safeFilename - 文件名
+ * @returns {string} 完整 URL
+ */
+function buildAccessUrl(req, config, normalizedBase, normalizedPath, fields, safeFilename) {
+  // 生成访问URL
+  let accessUrl = `/${safeFilename}`;
+  
+  // 查找匹配的路由
+  const matchedRoute = config.directories.find(d => {
+    const dirPath = path.isAbsolute(d.path) ? d.path : path.join(appRoot, d.path);
+    const normalizedDirPath = path.normalize(dirPath);
+    return normalizedBase.startsWith(normalizedDirPath);
   });
+  
+  if (matchedRoute) {
+    // 计算相对于匹配路由的路径
+    const routePath = path.isAbsolute(matchedRoute.path) 
+      ? matchedRoute.path 
+      : path.join(appRoot, matchedRoute.path);
+    const normalizedRoutePath = path.normalize(routePath);
+    const relativePath = path.relative(normalizedRoutePath, normalizedPath);
+    const urlPath = relativePath.split(path.sep).join('/');
+    
+    // 构建完整的 URL
+    if (matchedRoute.route === '/') {
+      accessUrl = `/${urlPath}`;
+    } else {
+      accessUrl = `${matchedRoute.route}/${urlPath}`;
+    }
+  } else if (fields.subdir) {
+    accessUrl = `/upload/${fields.subdir}/${safeFilename}`;
+  }
+  
+  // 构建完整的绝对 URL
+  const protocol = req.connection.encrypted ? 'https' : 'http';
+  const portSuffix = (config.port === 80 && protocol === 'http') || (config.port === 443 && protocol === 'https') 
+    ? '' 
+    : `:${config.port}`;
+  return `${protocol}://${config.host}${portSuffix}${accessUrl}`;
 }
 
 /**
  * 处理文件上传请求
  * 
+ * 请求体以流式方式解析，文件先写入所属映射的临时文件目录，
+ * 校验通过后按目录映射的命名模式落盘（相同内容直接返回已有文件）。
+ *
  * @param {http.IncomingMessage} req - 请求对象
  * @param {http.ServerResponse} res - 响应对象
  * @param {Object} config - 服务器配置
  * @param {Function} logger - 日志函数
+ * @param {Object} options - { uploadIndex: 上传内容索引（可选）, ledger: 上传台账（可选）, trustProxy }
  */
-async function handleUpload(req, res, config, logger) {
+async function handleUpload(req, res, config, logger, options = {}) {
+  let files = [];
   try {
-    const { fields, files } = await parseMultipart(req);
-
-    const totalSize = (files || []).reduce((sum, f) => sum + (f.size || 0), 0);
-    if (totalSize > MAX_TOTAL_SIZE) {
-      res.writeHead(413, { 'Content-Type': 'application/json; charset=utf-8' });
-      res.end(JSON.stringify({ success: false, message: '总上传大小超出限制' }));
-      return;
-    }
+    const limits = getUploadLimits(config);
+    const parsed = await parseMultipartStream(req, {
+      maxFileSize: (fieldsSoFar) => getMaxFileSize(config, resolveUploadDir(config, fieldsSoFar).rootDir),
+      maxTotalSize: limits.maxTotalSize,
+      // 首个文件落盘前即按已到达的字段校验目标可写，避免向只读目录写入临时文件
+      tempDir: (fieldsSoFar) => {
+        const { targetDir } = resolveUploadDir(config, fieldsSoFar);
+        assertWritable(req, config, targetDir, options);
+        return tempDirFor(config, targetDir);
+      }
+    });
+    const fields = parsed.fields;
+    files = parsed.files;
     
     if (!files || files.length === 0) {
       res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
@@ -50,34 +274,11 @@ async function handleUpload(req, res, config, logger) {
       return;
     }
     
-    // 确定上传目录
-    let uploadDir = null;
-    
-    // 首先检查config中是否配置了uploadDir
-    if (config.uploadDir) {
-      uploadDir = config.uploadDir;
-    }
-    // 如果查询参数中指定了目录路由，使用该目录
-    else if (fields.route) {
-      const dirConfig = config.directories.find(d => d.route === fields.route);
-      if (dirConfig) {
-        uploadDir = dirConfig.path;
-      }
-    }
-    
-    // 如果还没有确定，使用第一个目录映射的路径
-    if (!uploadDir) {
-      uploadDir = config.directories[0]?.path || './public';
-    }
-    
-    // 如果提供了子目录路径
-    if (fields.subdir) {
-      uploadDir = path.join(uploadDir, fields.subdir);
-    }
-    
-    // 规范化路径，使用appRoot作为相对路径的基准
-    const basePath = path.isAbsolute(uploadDir) ? uploadDir : path.join(appRoot, uploadDir);
-    const normalizedBase = path.normalize(basePath);
+    // 确定上传目录（字段可能出现在文件之后，这里按完整字段重新计算）
+    const { rootDir, targetDir: normalizedBase } = resolveUploadDir(config, fields);
+    assertWritable(req, config, normalizedBase, options);
+    const naming = getNamingOptions(config, rootDir);
+    const typePolicy = getTypePolicy(config, rootDir);
     
     // 创建目录（如果不存在）
     if (!fs.existsSync(normalizedBase)) {
@@ -90,6 +291,7 @@ async function handleUpload(req, res, config, logger) {
       // 安全检查文件名（防止路径遍历）
       const safeFilename = path.basename(file.filename);
       if (!safeFilename || safeFilename === '.') {
+        await removeTempFiles([file]);
         results.push({
           success: false,
           filename: file.filename,
@@ -98,88 +300,69 @@ async function handleUpload(req, res, config, logger) {
         continue;
       }
 
-      const ext = path.extname(safeFilename).toLowerCase();
-      if (BLOCKED_EXTS.includes(ext)) {
+      if (isConcealedTarget(config, path.join(normalizedBase, safeFilename))) {
+        await removeTempFiles([file]);
         results.push({
           success: false,
           filename: safeFilename,
-          message: '文件类型不允许'
+          message: HIDDEN_NAME_MESSAGE
         });
         continue;
       }
 
-      if (file.size > MAX_FILE_SIZE) {
+      const typeCheck = checkUploadType(safeFilename, file.head, typePolicy);
+      if (!typeCheck.ok) {
+        await removeTempFiles([file]);
+        if (logger) {
+          logger('WARN', `拒绝上传: ${safeFilename}`, typeCheck.message);
+        }
         results.push({
           success: false,
           filename: safeFilename,
-          message: '文件过大'
+          message: typeCheck.message
         });
         continue;
       }
-      
-      const filePath = path.join(normalizedBase, safeFilename);
-      const normalizedPath = path.normalize(filePath);
-      
-      // 检查路径安全
-      if (!normalizedPath.startsWith(normalizedBase)) {
-        results.push({
-          success: false,
-          filename: file.filename,
-          message: '不允许的路径'
-        });
-        continue;
-      }
-      
+
       try {
-        await writeBufferToFile(filePath, file.content);
-        
-        // 生成访问URL
-        let accessUrl = `/${safeFilename}`;
-        
-        // 查找匹配的路由
-        const matchedRoute = config.directories.find(d => {
-          const dirPath = path.isAbsolute(d.path) ? d.path : path.join(appRoot, d.path);
-          const normalizedDirPath = path.normalize(dirPath);
-          return normalizedBase.startsWith(normalizedDirPath);
-        });
-        
-        if (matchedRoute) {
-          // 计算相对于匹配路由的路径
-          const routePath = path.isAbsolute(matchedRoute.path) 
-            ? matchedRoute.path 
-            : path.join(appRoot, matchedRoute.path);
-          const normalizedRoutePath = path.normalize(routePath);
-          const relativePath = path.relative(normalizedRoutePath, normalizedPath);
-          const urlPath = relativePath.split(path.sep).join('/');
-          
-          // 构建完整的 URL
-          if (matchedRoute.route === '/') {
-            accessUrl = `/${urlPath}`;
-          } else {
-            accessUrl = `${matchedRoute.route}/${urlPath}`;
-          }
-        } else if (fields.subdir) {
-          accessUrl = `/upload/${fields.subdir}/${safeFilename}`;
-        }
+        const placed = await placeUpload(file.tempPath, {
+          filename: safeFilename,
+          size: file.size,
+          sha256: file.sha256
+        }, { rootDir, targetDir: normalizedBase, naming, index: options.uploadIndex });
+        file.tempPath = null;
         
-        // 构建完整的绝对 URL
-        const protocol = req.connection.encrypted ? 'https' : 'http';
-        const portSuffix = (config.port === 80 && protocol === 'http') || (config.port === 443 && protocol === 'https') 
-          ? '' 
-          : `:${config.port}`;
-        const fullUrl = `${protocol}://${config.host}${portSuffix}${accessUrl}`;
+        const relativeName = path.relative(normalizedBase, placed.filePath).split(path.sep).join('/');
+        const fullUrl = buildAccessUrl(req, config, path.dirname(placed.filePath), placed.filePath, fields, relativeName);
         
         results.push({
           success: true,
           filename: safeFilename,
           url: fullUrl,
-          size: file.size
+          size: file.size,
+          ...(placed.deduplicated && { deduplicated: true })
         });
+
+        if (options.ledger) {
+          options.ledger.record(req, {
+            action: 'upload',
+            via: 'form',
+            filename: safeFilename,
+            filePath: placed.filePath,
+            url: fullUrl,
+            size: file.size,
+            sha256: file.sha256,
+            ...(placed.deduplicated && { deduplicated: true })
+          });
+        }
         
         if (logger) {
-          logger('INFO', `文件上传成功: ${safeFilename}`);
+          logger('INFO', placed.deduplicated
+            ? `文件内容已存在，复用: ${safeFilename} -> ${relativeName}`
+            : `文件上传成功: ${safeFilename}${relativeName !== safeFilename ? ` -> ${relativeName}` : ''}`);
         }
       } catch (err) {
+        await removeTempFiles([file]);
         results.push({
           success: false,
           filename: safeFilename,
@@ -218,18 +401,34 @@ async function handleUpload(req, res, config, logger) {
       }));
     }
   } catch (err) {
+    await removeTempFiles(files);
     if (logger) {
       logger('ERROR', '上传处理错误', err && err.message);
     }
-    const status = err && err.message && err.message.includes('过大') ? 413 : 500;
-    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
-    res.end(JSON.stringify({
-      success: false,
-      message: err.message
-    }));
+    const status = (err && err.statusCode) || 500;
+    const headers = { 'Content-Type': 'application/json; charset=utf-8' };
+    if (!req.complete) {
+      // 请求体未读完（如超限提前中止）：响应后断开连接，避免继续接收
+      headers['Connection'] = 'close';
+      res.once('finish', () => req.destroy());
+    }
+    if (!res.headersSent) {
+      res.writeHead(status, headers);
+      res.end(JSON.stringify({
+        success: false,
+        message: err.message
+      }));
+    }
   }
 }
 
 module.exports = {
-  handleUpload
+  handleUpload,
+  buildAccessUrl,
+  getTypePolicy,
+  getMaxFileSize,
+  assertWritable,
+  resolveUploadDir,
+  getUploadLimits,
+  cleanupUploadTemp
 };
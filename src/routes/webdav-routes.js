@@ -0,0 +1,943 @@
+/**
+ * WebDAV 路由处理器（RFC 4918 class 1/2）
+ *
+ * 在 webdav.mount（默认 /dav）下以 WebDAV 协议暴露 paths.directories：
+ * - /dav/<访问路径> 经 resolveAccessPath 映射到本地文件，越界与回收站规则与文件浏览一致
+ * - 多个映射的上级路径显示为只读的虚拟集合；映射根目录不可删除、移动或覆盖
+ * - 支持 OPTIONS、PROPFIND、PROPPATCH、GET/HEAD、PUT、DELETE、MKCOL、COPY、MOVE、LOCK/UNLOCK
+ * - PUT 流式写入临时文件后替换，大小受 upload.maxFileSizeMB 限制，内容类型与上传接口同样校验，并记录到上传台账
+ * - DELETE 与被覆盖的目标在启用回收站时移入 .trash
+ *
+ * 认证在分发前由 AuthManager 完成（写方法与上传同等要求，支持 Basic）。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { STATUS_CODES } = require('http');
+const { resolveAccessPath, TRASH_DIR } = require('../utils/path-resolver');
+const { getMimeType } = require('../utils/mime');
+const { escapeHtml } = require('../utils/html-escape');
+const { parseXml, findChild, serializeXml, escapeXml } = require('../utils/xml');
+const { movePath, copyPath, pathSize, isSameOrInside } = require('../utils/fs-ops');
+const { getRequester } = require('../middleware/auth');
+const { getMaxFileSize, getTypePolicy } = require('./upload-routes');
+const { SNIFF_BYTES, checkUploadType } = require('../utils/file-sniffer');
+const { checkAccess, isHiddenPath } = require('../utils/directory-policy');
+const { serveRawFile } = require('./file-routes');
+const { fileEtag } = require('../utils/http-conditional');
+
+const DAV_NS = 'DAV:';
+const WIN32_NS = 'urn:schemas-microsoft-com:';
+const MAX_XML_BODY = 1024 * 1024; // PROPFIND / PROPPATCH / LOCK 请求体上限
+const ALLOW = 'OPTIONS, GET, HEAD, PUT, DELETE, PROPFIND, PROPPATCH, MKCOL, COPY, MOVE, LOCK, UNLOCK';
+// 修改请求目标的方法（只读映射拒绝；COPY 只写入目标，单独检查）
+const WRITE_METHODS = ['PUT', 'DELETE', 'MKCOL', 'MOVE', 'PROPPATCH', 'LOCK', 'UNLOCK'];
+
+const LIVE_PROPS = [
+  'creationdate', 'displayname', 'getcontentlength', 'getcontenttype', 'getetag',
+  'getlastmodified', 'lockdiscovery', 'resourcetype', 'supportedlock'
+];
+
+/**
+ * 创建带状态码的错误
+ *
+ * @private
+ * @param {number} statusCode - HTTP 状态码
+ * @param {string} message - 错误信息
+ * @param {Object} condition - 可选，WebDAV 前置条件 { name, href }，以 DAV:error 响应体返回
+ */
+function davError(statusCode, message, condition = null) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.condition = condition;
+  return err;
+}
+
+/**
+ * 判断是否为 WebDAV 路径
+ *
+ * @param {string} requestPath - 请求路径
+ * @param {string} mount - WebDAV 挂载点
+ * @returns {boolean}
+ */
+function isWebDavPath(requestPath, mount) {
+  return !!mount && (requestPath === mount || requestPath.startsWith(mount + '/'));
+}
+
+/**
+ * 将请求路径转换为 WebDAV 命名空间内的解码路径（根为 /，不以 / 结尾）
+ * @private
+ */
+function toDavPath(requestPath, mount) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(requestPath.slice(mount.length) || '/');
+  } catch (_) {
+    throw davError(400, '路径编码无效');
+  }
+  if (decoded.includes('\0')) throw davError(400, '路径无效');
+  const normalized = path.posix.normalize('/' + decoded);
+  return normalized.length > 1 ? normalized.replace(/\/+$/, '') : '/';
+}
+
+/**
+ * 由 WebDAV 路径生成编码后的 URL 路径（不含挂载点）
+ * @private
+ */
+function encodeDavPath(davPath) {
+  return davPath.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * 生成响应中的 href（集合以 / 结尾）
+ * @private
+ */
+function hrefFor(mount, davPath, isCollection = false) {
+  const encoded = encodeDavPath(davPath);
+  return mount + (isCollection && !encoded.endsWith('/') ? encoded + '/' : encoded);
+}
+
+/**
+ * 拼接子路径
+ * @private
+ */
+function joinDav(parent, name) {
+  return parent === '/' ? `/${name}` : `${parent}/${name}`;
+}
+
+/**
+ * 解析 WebDAV 路径对应的资源
+ *
+ * @private
+ * @param {string} davPath - WebDAV 路径
+ * @param {Object} config - 服务器配置
+ * @returns {Promise<Object>} { davPath, fullPath, basePath, mapping, stat, virtualChildren, exists, isCollection, protected }
+ *   fullPath 为 null 表示未映射（虚拟集合或越界）；protected 表示映射根或其上级，不可删除、移动或覆盖
+ */
+async function resolveResource(davPath, config) {
+  const routes = (config.directories || []).map(d => (d.route === '/' ? '/' : d.route.replace(/\/$/, '')));
+  const prefix = davPath === '/' ? '/' : davPath + '/';
+
+  // 映射路由的上级路径作为虚拟集合，下一级路径段为其成员
+  const virtualChildren = new Set();
+  for (const route of routes) {
+    if (route !== davPath && route.startsWith(prefix)) {
+      virtualChildren.add(route.slice(prefix.length).split('/')[0]);
+    }
+  }
+
+  // 复用文件浏览的路径解析（越界与回收站路径返回 null）
+  const resolved = resolveAccessPath(davPath, config.directories);
+  const stat = resolved ? await fs.promises.stat(resolved.fullPath).catch(() => null) : null;
+
+  return {
+    davPath,
+    fullPath: resolved ? resolved.fullPath : null,
+    basePath: resolved ? resolved.basePath : null,
+    mapping: resolved ? resolved.mapping : null,
+    stat,
+    virtualChildren,
+    exists: !!stat || virtualChildren.size > 0,
+    isCollection: stat ? stat.isDirectory() : virtualChildren.size > 0,
+    protected: routes.includes(davPath) || virtualChildren.size > 0
+  };
+}
+
+/**
+ * 按资源所属目录映射的访问规则校验请求
+ * @private
+ */
+function assertAccess(ctx, resource, write) {
+  if (!resource.mapping) return;
+  const denied = checkAccess(ctx.req, resource.mapping, { write, trustProxy: ctx.options.trustProxy });
+  if (denied) throw davError(denied.status, denied.message);
+}
+
+/**
+ * 列出集合成员（隐藏映射根下的回收站目录，以及当前请求无权访问的映射）
+ * @private
+ */
+async function listMembers(resource, ctx) {
+  const { config } = ctx;
+  const names = new Set(resource.virtualChildren);
+  if (resource.stat && resource.stat.isDirectory()) {
+    for (const name of await fs.promises.readdir(resource.fullPath)) {
+      if (name === TRASH_DIR && resource.fullPath === resource.basePath) continue;
+      names.add(name);
+    }
+  }
+
+  const members = [];
+  for (const name of [...names].sort()) {
+    const member = await resolveResource(joinDav(resource.davPath, name), config);
+    if (!member.exists) continue;
+    if (member.mapping && checkAccess(ctx.req, member.mapping, { trustProxy: ctx.options.trustProxy })) continue;
+    members.push(member);
+  }
+  return members;
+}
+
+/**
+ * 读取请求体（XML 请求体限制大小）
+ * @private
+ */
+function readBody(req, limit = MAX_XML_BODY) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        req.removeAllListeners('data');
+        req.resume();
+        reject(davError(413, '请求体过大'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 请求是否携带请求体
+ * @private
+ */
+function hasBody(req) {
+  return Number(req.headers['content-length']) > 0 || !!req.headers['transfer-encoding'];
+}
+
+/**
+ * 读取并解析 XML 请求体，校验根元素
+ * @private
+ */
+async function readXmlBody(req, rootName) {
+  const text = await readBody(req);
+  if (!text.trim()) return null;
+  const root = parseXml(text);
+  if (root.name !== rootName || root.ns !== DAV_NS) {
+    throw davError(400, `请求体根元素应为 DAV:${rootName}`);
+  }
+  return root;
+}
+
+/**
+ * 提取 If 头中提交的锁令牌（忽略 Not 条件）
+ * @private
+ */
+function submittedTokens(req) {
+  const header = String(req.headers['if'] || '');
+  const tokens = [];
+  const listPattern = /\(([^)]*)\)/g;
+  let list;
+  while ((list = listPattern.exec(header))) {
+    const tokenPattern = /(Not\s+)?<([^>]+)>/gi;
+    let match;
+    while ((match = tokenPattern.exec(list[1]))) {
+      if (!match[1]) tokens.push(match[2]);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * 写操作前检查锁；If 头只携带失效令牌时返回 412
+ *
+ * @private
+ * @param {Object} ctx - 请求上下文
+ * @param {Array} targets - [{ path: WebDAV 路径, deep: 是否检查子树 }]
+ */
+function checkLocks(ctx, targets) {
+  const { req, locks, mount } = ctx;
+  const tokens = submittedTokens(req);
+  if (tokens.length && !tokens.some(token => locks.hasToken(token))) {
+    throw davError(412, '锁令牌无效或已过期');
+  }
+  for (const target of targets) {
+    const lock = locks.findBlockingLock(target.path, tokens, target.deep);
+    if (lock) {
+      throw davError(423, '资源已被锁定', { name: 'lock-token-submitted', href: hrefFor(mount, lock.path) });
+    }
+  }
+}
+
+/**
+ * 目标必须是映射目录内、非映射根的路径
+ * @private
+ */
+function assertWritable(resource) {
+  if (!resource.fullPath || resource.protected) {
+    throw davError(403, '该路径不可写');
+  }
+}
+
+/**
+ * 父集合必须存在
+ * @private
+ */
+async function assertParent(resource) {
+  const parent = await fs.promises.stat(path.dirname(resource.fullPath)).catch(() => null);
+  if (!parent || !parent.isDirectory()) {
+    throw davError(409, '父集合不存在');
+  }
+}
+
+/**
+ * 父路径（用于检查集合成员变更的锁）
+ * @private
+ */
+function parentOf(davPath) {
+  return path.posix.dirname(davPath);
+}
+
+/**
+ * 删除已有资源（启用回收站时移入 .trash）
+ * @private
+ */
+async function removeResource(ctx, resource) {
+  const { req, options } = ctx;
+  if (options.trash) {
+    const meta = await options.trash.moveToTrash(resource.fullPath, getRequester(req, options.trustProxy));
+    return { size: meta.size, trashId: meta.id };
+  }
+  const size = await pathSize(resource.fullPath);
+  await fs.promises.rm(resource.fullPath, { recursive: true, force: true });
+  return { size };
+}
+
+/**
+ * 发送错误响应（前置条件以 DAV:error XML 返回，其余为纯文本）
+ * @private
+ */
+function sendError(res, err) {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  const fsStatus = { ENOENT: 404, EEXIST: 405, EACCES: 403, EPERM: 403, ENOTEMPTY: 409, ENOTDIR: 409, ENOSPC: 507 };
+  const status = err.statusCode || fsStatus[err.code] || 500;
+
+  if (err.condition) {
+    const href = err.condition.href ? `<D:href>${escapeXml(err.condition.href)}</D:href>` : '';
+    const body = `<?xml version="1.0" encoding="utf-8"?>\n<D:error xmlns:D="DAV:"><D:${err.condition.name}>${href}</D:${err.condition.name}></D:error>`;
+    res.writeHead(status, { 'Content-Type': 'application/xml; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+    res.end(body);
+    return;
+  }
+
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(status === 500 ? '内部服务器错误' : err.message);
+}
+
+/**
+ * 发送 207 Multi-Status
+ * @private
+ */
+function sendMultistatus(res, responses) {
+  const body = `<?xml version="1.0" encoding="utf-8"?>\n<D:multistatus xmlns:D="DAV:">${responses.join('')}</D:multistatus>`;
+  res.writeHead(207, { 'Content-Type': 'application/xml; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+  res.end(body);
+}
+
+/**
+ * 生成 propstat 片段
+ * @private
+ */
+function propstat(props, status) {
+  return `<D:propstat><D:prop>${props.join('')}</D:prop><D:status>HTTP/1.1 ${status} ${STATUS_CODES[status]}</D:status></D:propstat>`;
+}
+
+/**
+ * 生成 activelock 片段
+ * @private
+ */
+function activeLockXml(lock, mount) {
+  const remaining = Math.max(0, Math.ceil((lock.expiresAt - Date.now()) / 1000));
+  return '<D:activelock>' +
+    '<D:locktype><D:write/></D:locktype>' +
+    `<D:lockscope><D:${lock.scope}/></D:lockscope>` +
+    `<D:depth>${lock.depth === 'infinity' ? 'infinity' : '0'}</D:depth>` +
+    (lock.owner ? `<D:owner>${lock.owner}</D:owner>` : '') +
+    `<D:timeout>Second-${remaining}</D:timeout>` +
+    `<D:locktoken><D:href>${escapeXml(lock.token)}</D:href></D:locktoken>` +
+    `<D:lockroot><D:href>${escapeXml(hrefFor(mount, lock.path))}</D:href></D:lockroot>` +
+    '</D:activelock>';
+}
+
+/**
+ * 生成活属性（不适用于该资源时返回 null）
+ * @private
+ */
+function liveProp(name, resource, ctx) {
+  const { stat } = resource;
+  const isFile = !!stat && !stat.isDirectory();
+
+  switch (name) {
+    case 'creationdate':
+      return stat ? `<D:creationdate>${(stat.birthtimeMs > 0 ? stat.birthtime : stat.ctime).toISOString()}</D:creationdate>` : null;
+    case 'displayname':
+      return `<D:displayname>${escapeXml(resource.davPath === '/' ? '' : path.posix.basename(resource.davPath))}</D:displayname>`;
+    case 'getcontentlength':
+      return isFile ? `<D:getcontentlength>${stat.size}</D:getcontentlength>` : null;
+    case 'getcontenttype':
+      return isFile ? `<D:getcontenttype>${escapeXml(getMimeType(resource.fullPath))}</D:getcontenttype>` : null;
+    case 'getetag':
+      return isFile ? `<D:getetag>${escapeXml(fileEtag(stat))}</D:getetag>` : null;
+    case 'getlastmodified':
+      return stat ? `<D:getlastmodified>${stat.mtime.toUTCString()}</D:getlastmodified>` : null;
+    case 'lockdiscovery':
+      return `<D:lockdiscovery>${ctx.locks.getLocks(resource.davPath).map(lock => activeLockXml(lock, ctx.mount)).join('')}</D:lockdiscovery>`;
+    case 'resourcetype':
+      return resource.isCollection ? '<D:resourcetype><D:collection/></D:resourcetype>' : '<D:resourcetype/>';
+    case 'supportedlock':
+      return '<D:supportedlock>' +
+        '<D:lockentry><D:lockscope><D:exclusive/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockentry>' +
+        '<D:lockentry><D:lockscope><D:shared/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockentry>' +
+        '</D:supportedlock>';
+    default:
+      return null;
+  }
+}
+
+/**
+ * 生成单个资源的 PROPFIND 响应
+ * @private
+ */
+function propfindResponse(resource, request, ctx) {
+  const found = [];
+  const missing = [];
+
+  if (request.mode === 'prop') {
+    for (const prop of request.props) {
+      const value = prop.ns === DAV_NS ? liveProp(prop.name, resource, ctx) : null;
+      if (value !== null) found.push(value);
+      else missing.push(prop.ns === DAV_NS ? `<D:${prop.name}/>` : serializeXml({ ...prop, attrs: {}, children: [], text: '' }));
+    }
+  } else {
+    for (const name of LIVE_PROPS) {
+      const value = liveProp(name, resource, ctx);
+      if (value !== null) found.push(request.mode === 'propname' ? `<D:${name}/>` : value);
+    }
+  }
+
+  const href = hrefFor(ctx.mount, resource.davPath, resource.isCollection);
+  return `<D:response><D:href>${escapeXml(href)}</D:href>` +
+    (found.length || !missing.length ? propstat(found, 200) : '') +
+    (missing.length ? propstat(missing, 404) : '') +
+    '</D:response>';
+}
+
+/**
+ * PROPFIND：Depth 0 / 1（不支持 infinity）
+ * @private
+ */
+async function handlePropfind(ctx) {
+  const { req, res, resource } = ctx;
+  const depth = String(req.headers.depth || 'infinity').toLowerCase();
+  if (depth !== '0' && depth !== '1') {
+    throw davError(403, '不支持 Depth: infinity', { name: 'propfind-finite-depth' });
+  }
+
+  const body = await readXmlBody(req, 'propfind');
+  let request = { mode: 'allprop' };
+  if (body) {
+    const propNode = findChild(body, 'prop', DAV_NS);
+    if (propNode) {
+      request = { mode: 'prop', props: propNode.children.map(p => ({ name: p.name, ns: p.ns })) };
+    } else if (findChild(body, 'propname', DAV_NS)) {
+      request = { mode: 'propname' };
+    } else if (!findChild(body, 'allprop', DAV_NS)) {
+      throw davError(400, 'propfind 请求体无效');
+    }
+  }
+
+  if (!resource.exists) throw davError(404, '资源不存在');
+
+  const resources = [resource];
+  if (depth === '1' && resource.isCollection) {
+    resources.push(...await listMembers(resource, ctx));
+  }
+  sendMultistatus(res, resources.map(r => propfindResponse(r, request, ctx)));
+}
+
+/**
+ * PROPPATCH：只接受 Windows 资源管理器写入的 Win32 时间/属性（应用修改时间），其余属性拒绝
+ * @private
+ */
+async function handleProppatch(ctx) {
+  const { req, res, resource, davPath, mount } = ctx;
+  const body = await readXmlBody(req, 'propertyupdate');
+  if (!body) throw davError(400, '缺少 propertyupdate 请求体');
+  if (!resource.exists) throw davError(404, '资源不存在');
+  if (!resource.fullPath) throw davError(403, '该路径不可写');
+  checkLocks(ctx, [{ path: davPath }]);
+
+  const updates = [];
+  for (const instruction of body.children) {
+    if (instruction.ns !== DAV_NS || (instruction.name !== 'set' && instruction.name !== 'remove')) continue;
+    for (const prop of (findChild(instruction, 'prop', DAV_NS) || { children: [] }).children) {
+      updates.push({ prop, set: instruction.name === 'set', status: prop.ns === WIN32_NS ? 200 : 403 });
+    }
+  }
+
+  // 任一属性失败时整体不生效（RFC 4918 9.2），其余属性返回 424
+  const failed = updates.some(u => u.status !== 200);
+  if (failed) {
+    updates.forEach((u) => { if (u.status === 200) u.status = 424; });
+  } else {
+    const modified = updates.find(u => u.set && u.prop.name === 'Win32LastModifiedTime');
+    const time = modified ? Date.parse(modified.prop.text) : NaN;
+    if (!Number.isNaN(time)) {
+      await fs.promises.utimes(resource.fullPath, resource.stat.atime, new Date(time));
+    }
+  }
+
+  const byStatus = new Map();
+  for (const u of updates) {
+    if (!byStatus.has(u.status)) byStatus.set(u.status, []);
+    byStatus.get(u.status).push(serializeXml({ ...u.prop, attrs: {}, children: [], text: '' }));
+  }
+  const href = hrefFor(mount, davPath, resource.isCollection);
+  sendMultistatus(res, [
+    `<D:response><D:href>${escapeXml(href)}</D:href>${[...byStatus].map(([status, props]) => propstat(props, status)).join('')}</D:response>`
+  ]);
+}
+
+/**
+ * GET / HEAD：文件按原样提供，集合返回简单的 HTML 索引
+ * @private
+ */
+async function handleGet(ctx) {
+  const { req, res, resource, mount, davPath } = ctx;
+  if (!resource.exists) throw davError(404, '资源不存在');
+
+  if (!resource.isCollection) {
+    serveRawFile(resource.fullPath, res, getMimeType(resource.fullPath, { sniff: true }), resource.stat, req);
+    return;
+  }
+
+  const members = await listMembers(resource, ctx);
+  const items = members.map((m) => {
+    const name = path.posix.basename(m.davPath) + (m.isCollection ? '/' : '');
+    return `<li><a href="${escapeHtml(hrefFor(mount, m.davPath, m.isCollection))}">${escapeHtml(name)}</a></li>`;
+  });
+  if (davPath !== '/') {
+    items.unshift(`<li><a href="${escapeHtml(hrefFor(mount, parentOf(davPath), true))}">../</a></li>`);
+  }
+  const title = escapeHtml(`WebDAV ${davPath}`);
+  const html = `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${title}</title></head><body><h1>${title}</h1><ul>${items.join('')}</ul></body></html>`;
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Content-Length': Buffer.byteLength(html) });
+  res.end(req.method === 'HEAD' ? undefined : html);
+}
+
+/**
+ * 将请求体流式写入临时文件（超出大小限制时中止并删除），保留开头字节用于类型识别
+ * @private
+ * @returns {Promise<{ size: number, sha256: string, head: Buffer }>}
+ */
+function writeBody(req, tempPath, maxSize) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const output = fs.createWriteStream(tempPath, { flags: 'wx' });
+    let size = 0;
+    let head = Buffer.alloc(0);
+    let failed = false;
+
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      req.unpipe(output);
+      req.resume();
+      const cleanup = () => fs.promises.unlink(tempPath).catch(() => {}).then(() => reject(err));
+      if (output.closed) cleanup();
+      else output.once('close', cleanup);
+      output.destroy();
+    };
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxSize) {
+        fail(davError(413, '文件超过大小限制'));
+        return;
+      }
+      hash.update(chunk);
+      if (head.length < SNIFF_BYTES) {
+        head = Buffer.concat([head, chunk.subarray(0, SNIFF_BYTES - head.length)]);
+      }
+    });
+    req.on('aborted', () => fail(new Error('请求被中断')));
+    req.on('error', fail);
+    output.on('error', fail);
+    output.on('finish', () => {
+      if (!failed) resolve({ size, sha256: hash.digest('hex'), head });
+    });
+    req.pipe(output);
+  });
+}
+
+/**
+ * PUT：写入文件（不支持 Content-Range 部分写入）
+ * @private
+ */
+async function handlePut(ctx) {
+  const { req, res, resource, config, logger, options, davPath } = ctx;
+  if (req.headers['content-range']) throw davError(400, '不支持 Content-Range 部分写入');
+  assertWritable(resource);
+  if (resource.isCollection) throw davError(405, '目标是集合');
+  await assertParent(resource);
+  checkLocks(ctx, resource.stat ? [{ path: davPath }] : [{ path: davPath }, { path: parentOf(davPath) }]);
+
+  const maxFileSize = getMaxFileSize(config, resource.fullPath);
+  if (Number(req.headers['content-length']) > maxFileSize) {
+    throw davError(413, '文件超过大小限制');
+  }
+
+  const fullPath = resource.fullPath;
+  const tempPath = path.join(path.dirname(fullPath), `.${path.basename(fullPath)}.${crypto.randomBytes(4).toString('hex')}.davtmp`);
+  const { size, sha256, head } = await writeBody(req, tempPath, maxFileSize);
+
+  // 与上传接口一致：按文件头识别内容，并应用映射的 upload.allow / deny
+  const typeCheck = checkUploadType(path.basename(fullPath), head, getTypePolicy(config, path.dirname(fullPath)));
+  if (!typeCheck.ok) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    if (logger) logger('WARN', `WebDAV 拒绝写入: ${davPath}`, typeCheck.message);
+    throw davError(415, typeCheck.message);
+  }
+
+  try {
+    await fs.promises.rename(tempPath, fullPath);
+  } catch (err) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw err;
+  }
+
+  if (options.ledger) {
+    options.ledger.record(req, {
+      action: 'upload',
+      via: 'webdav',
+      filename: path.basename(fullPath),
+      filePath: fullPath,
+      url: encodeDavPath(davPath),
+      size,
+      sha256
+    });
+  }
+  if (logger) logger('INFO', `WebDAV 写入文件: ${davPath}`, `${size} bytes`);
+
+  const stat = await fs.promises.stat(fullPath);
+  res.writeHead(resource.stat ? 204 : 201, { 'ETag': fileEtag(stat), 'Content-Length': 0 });
+  res.end();
+}
+
+/**
+ * DELETE：删除文件或集合（启用回收站时移入 .trash）
+ * @private
+ */
+async function handleDelete(ctx) {
+  const { req, res, resource, logger, options, davPath, locks } = ctx;
+  if (!resource.exists) throw davError(404, '资源不存在');
+  assertWritable(resource);
+  checkLocks(ctx, [{ path: davPath, deep: true }, { path: parentOf(davPath) }]);
+
+  const { size, trashId } = await removeResource(ctx, resource);
+  locks.removeTree(davPath);
+
+  if (options.ledger) {
+    options.ledger.record(req, {
+      action: 'delete',
+      via: 'webdav',
+      url: encodeDavPath(davPath),
+      filePath: resource.fullPath,
+      size,
+      ...(trashId && { trashId })
+    });
+  }
+  if (logger && !options.trash) logger('INFO', `WebDAV 删除: ${davPath}`);
+
+  res.writeHead(204);
+  res.end();
+}
+
+/**
+ * MKCOL：创建集合
+ * @private
+ */
+async function handleMkcol(ctx) {
+  const { req, res, resource, logger, davPath } = ctx;
+  if (hasBody(req)) {
+    req.resume();
+    throw davError(415, 'MKCOL 不支持请求体');
+  }
+  if (resource.exists) throw davError(405, '资源已存在');
+  assertWritable(resource);
+  await assertParent(resource);
+  checkLocks(ctx, [{ path: davPath }, { path: parentOf(davPath) }]);
+
+  await fs.promises.mkdir(resource.fullPath);
+  if (logger) logger('INFO', `WebDAV 创建集合: ${davPath}`);
+  res.writeHead(201, { 'Content-Length': 0 });
+  res.end();
+}
+
+/**
+ * 解析 Destination 头（必须位于同一挂载点内）
+ * @private
+ */
+function parseDestination(req, mount) {
+  const header = req.headers.destination;
+  if (!header) throw davError(400, '缺少 Destination 头');
+  let target;
+  try {
+    target = new URL(header, 'http://localhost');
+  } catch (_) {
+    throw davError(400, 'Destination 头无效');
+  }
+  if (!isWebDavPath(target.pathname, mount)) {
+    throw davError(502, '目标不在 WebDAV 挂载点内');
+  }
+  return toDavPath(target.pathname, mount);
+}
+
+/**
+ * COPY / MOVE
+ * @private
+ */
+async function handleCopyMove(ctx, isMove) {
+  const { req, res, resource, config, logger, davPath, mount, locks } = ctx;
+  const destPath = parseDestination(req, mount);
+  const depth = String(req.headers.depth || 'infinity').toLowerCase();
+  if (depth !== 'infinity' && (isMove || depth !== '0')) {
+    throw davError(400, `${req.method} 不支持 Depth: ${depth}`);
+  }
+
+  if (!resource.exists) throw davError(404, '资源不存在');
+  assertWritable(resource);
+
+  const dest = await resolveResource(destPath, config);
+  assertWritable(dest);
+  assertAccess(ctx, dest, true);
+  if (isSameOrInside(resource.fullPath, dest.fullPath)) {
+    throw davError(403, '目标不能是源路径本身或其子路径');
+  }
+  await assertParent(dest);
+
+  const overwrite = String(req.headers.overwrite || 'T').toUpperCase() !== 'F';
+  if (dest.stat && !overwrite) {
+    throw davError(412, '目标已存在');
+  }
+
+  checkLocks(ctx, [
+    ...(isMove ? [{ path: davPath, deep: true }, { path: parentOf(davPath) }] : []),
+    { path: destPath, deep: true },
+    { path: parentOf(destPath) }
+  ]);
+
+  if (dest.stat) {
+    await removeResource(ctx, dest);
+    locks.removeTree(destPath);
+  }
+
+  if (isMove) {
+    await movePath(resource.fullPath, dest.fullPath);
+    locks.removeTree(davPath);
+  } else if (resource.isCollection && depth === '0') {
+    await fs.promises.mkdir(dest.fullPath);
+  } else {
+    // 源映射中隐藏的条目不随集合一起复制
+    await copyPath(resource.fullPath, dest.fullPath,
+      src => !isHiddenPath(resource.mapping, path.relative(resource.basePath, src)));
+  }
+
+  if (logger) logger('INFO', `WebDAV ${isMove ? '移动' : '复制'}: ${davPath} -> ${destPath}`);
+  res.writeHead(dest.stat ? 204 : 201, { 'Content-Length': 0 });
+  res.end();
+}
+
+/**
+ * 解析 Timeout 头（取第一个可识别的值，Infinite 按上限处理）
+ * @private
+ */
+function parseTimeout(header) {
+  for (const part of String(header || '').split(',')) {
+    const value = part.trim();
+    if (/^infinite$/i.test(value)) return Infinity;
+    const match = /^Second-(\d+)$/i.exec(value);
+    if (match) return Number(match[1]);
+  }
+  return null;
+}
+
+/**
+ * 发送 LOCK 响应
+ * @private
+ */
+function sendLockResponse(res, status, lock, mount) {
+  const body = `<?xml version="1.0" encoding="utf-8"?>\n<D:prop xmlns:D="DAV:"><D:lockdiscovery>${activeLockXml(lock, mount)}</D:lockdiscovery></D:prop>`;
+  res.writeHead(status, {
+    'Content-Type': 'application/xml; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+    'Lock-Token': `<${lock.token}>`
+  });
+  res.end(body);
+}
+
+/**
+ * LOCK：创建或刷新写锁；锁定不存在的资源时创建空文件
+ * @private
+ */
+async function handleLock(ctx) {
+  const { req, res, resource, davPath, mount, locks } = ctx;
+  const timeout = parseTimeout(req.headers.timeout);
+  const body = await readXmlBody(req, 'lockinfo');
+
+  // 无请求体：刷新已有锁
+  if (!body) {
+    const lock = locks.refresh(davPath, submittedTokens(req), timeout);
+    if (!lock) throw davError(412, '锁令牌无效', { name: 'lock-token-matches-request-uri' });
+    return sendLockResponse(res, 200, lock, mount);
+  }
+
+  const scopeNode = findChild(body, 'lockscope', DAV_NS);
+  const scope = findChild(scopeNode, 'exclusive', DAV_NS) ? 'exclusive'
+    : (findChild(scopeNode, 'shared', DAV_NS) ? 'shared' : null);
+  if (!scope || !findChild(findChild(body, 'locktype', DAV_NS), 'write', DAV_NS)) {
+    throw davError(400, 'lockinfo 需包含 lockscope 与 write locktype');
+  }
+  const depth = String(req.headers.depth || 'infinity').toLowerCase();
+  if (depth !== '0' && depth !== 'infinity') throw davError(400, `LOCK 不支持 Depth: ${depth}`);
+  if (!resource.fullPath) throw davError(403, '该路径不可锁定');
+
+  const ownerNode = findChild(body, 'owner', DAV_NS);
+  const owner = ownerNode ? escapeXml(ownerNode.text.trim()) + ownerNode.children.map(serializeXml).join('') : '';
+
+  if (!resource.exists) {
+    assertWritable(resource);
+    await assertParent(resource);
+    checkLocks(ctx, [{ path: parentOf(davPath) }]);
+  }
+
+  let lock;
+  try {
+    lock = locks.lock({
+      path: davPath,
+      depth,
+      scope,
+      owner,
+      timeoutSeconds: timeout,
+      principal: (req.auth && req.auth.name) || null
+    });
+  } catch (err) {
+    if (!err.lock) throw err;
+    throw davError(423, err.message, { name: 'no-conflicting-lock', href: hrefFor(mount, err.lock.path) });
+  }
+
+  if (!resource.exists) {
+    try {
+      await fs.promises.writeFile(resource.fullPath, '', { flag: 'wx' });
+    } catch (err) {
+      locks.unlock(davPath, lock.token);
+      throw err;
+    }
+  }
+  sendLockResponse(res, resource.exists ? 200 : 201, lock, mount);
+}
+
+/**
+ * UNLOCK：释放锁
+ * @private
+ */
+function handleUnlock(ctx) {
+  const { req, res, davPath, locks } = ctx;
+  const match = /^<(.+)>$/.exec(String(req.headers['lock-token'] || '').trim());
+  if (!match) throw davError(400, '缺少 Lock-Token 头');
+  if (!locks.unlock(davPath, match[1])) {
+    throw davError(409, '锁令牌与资源不匹配', { name: 'lock-token-matches-request-uri' });
+  }
+  res.writeHead(204);
+  res.end();
+}
+
+/**
+ * 响应 OPTIONS（声明 class 1/2 能力）
+ *
+ * @param {http.ServerResponse} res - 响应对象
+ */
+function handleWebDavOptions(res) {
+  res.writeHead(200, {
+    'DAV': '1, 2',
+    'MS-Author-Via': 'DAV',
+    'Allow': ALLOW,
+    'Content-Length': 0
+  });
+  res.end();
+}
+
+/**
+ * 处理 WebDAV 请求
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {string} requestPath - 请求路径
+ * @param {Object} config - 服务器配置
+ * @param {Function} logger - 日志函数
+ * @param {Object} options - { mount: 挂载点, locks: WebDavLockManager, trash: 回收站服务（可选）, ledger: 上传台账（可选）, trustProxy }
+ */
+async function handleWebDav(req, res, requestPath, config, logger, options) {
+  try {
+    if (req.method === 'OPTIONS') {
+      return handleWebDavOptions(res);
+    }
+
+    const davPath = toDavPath(requestPath, options.mount);
+    const ctx = {
+      req,
+      res,
+      config,
+      logger,
+      options,
+      davPath,
+      mount: options.mount,
+      locks: options.locks,
+      resource: await resolveResource(davPath, config)
+    };
+    assertAccess(ctx, ctx.resource, WRITE_METHODS.includes(req.method));
+
+    switch (req.method) {
+      case 'GET':
+      case 'HEAD':
+        return await handleGet(ctx);
+      case 'PROPFIND':
+        return await handlePropfind(ctx);
+      case 'PROPPATCH':
+        return await handleProppatch(ctx);
+      case 'PUT':
+        return await handlePut(ctx);
+      case 'DELETE':
+        return await handleDelete(ctx);
+      case 'MKCOL':
+        return await handleMkcol(ctx);
+      case 'COPY':
+        return await handleCopyMove(ctx, false);
+      case 'MOVE':
+        return await handleCopyMove(ctx, true);
+      case 'LOCK':
+        return await handleLock(ctx);
+      case 'UNLOCK':
+        return handleUnlock(ctx);
+      default:
+        res.setHeader('Allow', ALLOW);
+        throw davError(405, '方法不允许');
+    }
+  } catch (err) {
+    if (!err.statusCode && logger) logger('ERROR', `WebDAV ${req.method} 处理失败: ${requestPath}`, err.message);
+    sendError(res, err);
+  }
+}
+
+module.exports = {
+  handleWebDav,
+  handleWebDavOptions,
+  isWebDavPath
+};
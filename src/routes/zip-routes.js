@@ -0,0 +1,96 @@
+/**
+ * ZIP 打包下载路由
+ *
+ * 端点：
+ * - POST /api/zip  打包多个文件 / 目录，请求体 { paths: ['/uploads/a.txt', '/logs/2024'], name, compression }
+ *
+ * 也接受 application/x-www-form-urlencoded（paths 可重复），便于页面用表单直接触发下载。
+ * 单个目录的打包下载见目录 URL 的 ?download=zip。
+ */
+
+const path = require('path');
+const { parseJsonBody } = require('../middleware/multipart-parser');
+const { resolveAccessPath } = require('../utils/path-resolver');
+const { checkAccess, isListingAllowed } = require('../utils/directory-policy');
+const { sendZip } = require('../services/file-service/zip-archive');
+
+const ZIP_PATH = '/api/zip';
+const MAX_PATHS = 1000;
+
+/**
+ * 发送 JSON 错误
+ * @private
+ */
+function sendError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify({ success: false, message }));
+}
+
+/**
+ * 判断是否为打包端点
+ *
+ * @param {string} requestPath - 请求路径
+ * @returns {boolean}
+ */
+function isZipApiPath(requestPath) {
+  return requestPath === ZIP_PATH;
+}
+
+/**
+ * 处理打包下载请求
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {Object} config - 服务器配置
+ * @param {Function} logger - 日志函数
+ * @param {Object} options - { schedule: 请求队列调度函数（遍历阶段）, trustProxy }
+ */
+async function handleZipRequest(req, res, config, logger, options = {}) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return sendError(res, 405, '方法不允许');
+  }
+
+  const body = await parseJsonBody(req);
+  const paths = body && body.paths ? [].concat(body.paths).map(String) : [];
+  if (!paths.length) {
+    return sendError(res, 400, '缺少 paths');
+  }
+  if (paths.length > MAX_PATHS) {
+    return sendError(res, 400, `单次最多 ${MAX_PATHS} 个路径`);
+  }
+
+  const sources = [];
+  for (const accessPath of paths) {
+    const resolved = resolveAccessPath(accessPath, config.directories);
+    if (!resolved) {
+      return sendError(res, 400, `路径无效或未映射: ${accessPath}`);
+    }
+    const denied = checkAccess(req, resolved.mapping, { trustProxy: options.trustProxy });
+    if (denied) {
+      return sendError(res, denied.status, `${denied.message}: ${accessPath}`);
+    }
+    const name = resolved.fullPath === resolved.basePath
+      ? (resolved.route.replace(/^\/+|\/+$/g, '') || 'files')
+      : path.basename(resolved.fullPath);
+    sources.push({ fullPath: resolved.fullPath, basePath: resolved.basePath, name, mapping: resolved.mapping });
+  }
+
+  // 文件名只保留安全字符，默认取单个来源名或 archive
+  const requested = typeof body.name === 'string' ? body.name.replace(/\.zip$/i, '').replace(/[\\/:*?"<>|\0]/g, '').trim() : '';
+  const filename = requested || (sources.length === 1 ? sources[0].name : 'archive');
+  const compression = ['store', 'deflate'].includes(body.compression) ? body.compression : 'auto';
+
+  await sendZip(req, res, sources, filename, {
+    compression,
+    allowDirectories: source => isListingAllowed(source.mapping, config),
+    logger,
+    schedule: options.schedule,
+    sendError: (status, message) => sendError(res, status, message)
+  });
+}
+
+module.exports = {
+  handleZipRequest,
+  isZipApiPath
+};
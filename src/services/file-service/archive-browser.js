@@ -0,0 +1,225 @@
+/**
+ * 压缩包浏览与解压
+ *
+ * 把 zip / tar / tar.gz 当作虚拟目录：
+ * - /uploads/logs.zip/          压缩包根目录列表
+ * - /uploads/logs.zip/app/      包内目录（缺少显式目录条目时由文件路径推断）
+ * - /uploads/logs.zip/app/a.log 单个条目
+ * 条目索引按压缩包路径 + 修改时间 + 大小缓存在 globalCache 的 archive 命名空间。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { globalCache } = require('../../utils/cache-manager');
+const { getArchiveType, readArchiveIndex, forEachEntry } = require('../../utils/archive-reader');
+const { isSameOrInside } = require('../../utils/fs-ops');
+const { SNIFF_BYTES, checkUploadType } = require('../../utils/file-sniffer');
+
+const INDEX_TTL = 5 * 60 * 1000;
+// 单个压缩包最多解压的条目数
+const MAX_EXTRACT_ENTRIES = 100000;
+
+/**
+ * 创建带状态码的错误
+ * @private
+ */
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * 查找路径中作为虚拟目录的压缩包
+ *
+ * 从 fullPath 逐级向上，直到映射根目录；命中的压缩包必须是真实文件。
+ *
+ * @param {string} fullPath - 请求对应的本地路径（不存在）
+ * @param {string} basePath - 映射根目录
+ * @returns {Promise<{ archivePath: string, innerPath: string, stat: fs.Stats }|null>}
+ */
+async function findArchive(fullPath, basePath) {
+  let candidate = path.normalize(fullPath).replace(/[\\/]+$/, '');
+  while (candidate !== basePath && isSameOrInside(basePath, candidate)) {
+    if (getArchiveType(candidate)) {
+      const stat = await fs.promises.stat(candidate).catch(() => null);
+      if (stat && stat.isFile()) {
+        const innerPath = path.relative(candidate, fullPath).split(path.sep).filter(Boolean).join('/');
+        return { archivePath: candidate, innerPath, stat };
+      }
+    }
+    const parent = path.dirname(candidate);
+    if (parent === candidate) break;
+    candidate = parent;
+  }
+  return null;
+}
+
+/**
+ * 读取压缩包条目索引（带缓存）
+ *
+ * @param {string} archivePath - 压缩包路径
+ * @param {fs.Stats} stat - 压缩包 stat
+ * @returns {Promise<Object[]>} 条目列表
+ */
+async function getArchiveIndex(archivePath, stat) {
+  const cacheKey = `${archivePath}:${stat.mtimeMs}:${stat.size}`;
+  const cached = globalCache.get(cacheKey, 'archive');
+  if (cached) return cached;
+
+  const entries = await readArchiveIndex(archivePath, stat);
+  globalCache.set(cacheKey, entries, INDEX_TTL, 'archive');
+  return entries;
+}
+
+/**
+ * 在索引中定位包内路径
+ *
+ * @param {Object[]} entries - 条目列表
+ * @param {string} innerPath - 包内路径（'' 为根目录）
+ * @returns {{ type: 'file', entry: Object }|{ type: 'directory', children: Object[] }|null}
+ *          children 为 [{ name, isDir, size, mtime: Date }]
+ */
+function lookupEntry(entries, innerPath) {
+  if (innerPath) {
+    const file = entries.find(entry => entry.name === innerPath && !entry.isDirectory);
+    if (file) return { type: 'file', entry: file };
+  }
+
+  const prefix = innerPath ? innerPath + '/' : '';
+  const children = new Map();
+  let found = !innerPath;
+  for (const entry of entries) {
+    if (entry.name === innerPath && entry.isDirectory) {
+      found = true;
+      continue;
+    }
+    if (!entry.name.startsWith(prefix)) continue;
+    found = true;
+
+    const rest = entry.name.slice(prefix.length);
+    const slash = rest.indexOf('/');
+    const name = slash < 0 ? rest : rest.slice(0, slash);
+    const isDir = slash >= 0 || entry.isDirectory;
+    const existing = children.get(name);
+    if (!existing || (isDir && !existing.isDir)) {
+      children.set(name, { name, isDir, size: isDir ? 0 : entry.size, mtime: new Date(entry.mtime) });
+    }
+  }
+
+  return found ? { type: 'directory', children: [...children.values()] } : null;
+}
+
+/**
+ * 由压缩包文件名得到默认解压目录名（logs.tar.gz → logs）
+ *
+ * @param {string} filename - 压缩包文件名
+ * @returns {string}
+ */
+function defaultExtractName(filename) {
+  return filename.replace(/\.(zip|tgz|tar\.gz|tar)$/i, '') || filename;
+}
+
+/**
+ * 解压到目录
+ *
+ * 先解压到同级临时目录，全部完成后再重命名为目标目录，失败时清理临时目录。
+ * 包内的 .. / 绝对路径条目与符号链接在建索引时已被忽略。
+ *
+ * @param {string} archivePath - 压缩包路径
+ * @param {string} destPath - 目标目录（不能已存在）
+ * @param {Object} options - { maxBytes: 解压总大小上限, typePolicy: 上传类型策略（可选，逐个文件校验）, logger }
+ * @returns {Promise<Object>} { files, directories, size, skipped: [{ name, message }] }
+ */
+async function extractArchive(archivePath, destPath, options = {}) {
+  const stat = await fs.promises.stat(archivePath);
+  const entries = await getArchiveIndex(archivePath, stat);
+  if (entries.length > MAX_EXTRACT_ENTRIES) {
+    throw httpError(413, `条目过多（上限 ${MAX_EXTRACT_ENTRIES}）`);
+  }
+  const maxBytes = options.maxBytes || Infinity;
+  const declared = entries.reduce((sum, entry) => sum + entry.size, 0);
+  if (declared > maxBytes) {
+    throw httpError(413, `解压后大小 ${declared} 字节超过上限 ${maxBytes} 字节`);
+  }
+
+  const tempPath = path.join(path.dirname(destPath),
+    `.${path.basename(destPath)}.extract-${crypto.randomBytes(4).toString('hex')}`);
+  await fs.promises.mkdir(tempPath);
+
+  const result = { files: 0, directories: 0, size: 0, skipped: [] };
+  try {
+    await forEachEntry(archivePath, entries, async (entry, stream) => {
+      const target = path.join(tempPath, ...entry.name.split('/'));
+      if (!isSameOrInside(tempPath, target)) {
+        result.skipped.push({ name: entry.name, message: '路径越界' });
+        return;
+      }
+
+      if (entry.isDirectory) {
+        await fs.promises.mkdir(target, { recursive: true });
+        result.directories++;
+        return;
+      }
+
+      // 实际字节数超过声明大小（伪造的条目头）视为损坏，总量超限立即中止
+      let written = 0;
+      let head = Buffer.alloc(0);
+      const guard = new Transform({
+        transform(chunk, encoding, callback) {
+          written += chunk.length;
+          if (written > entry.size) return callback(httpError(422, `条目大小与声明不符: ${entry.name}`));
+          if (result.size + written > maxBytes) return callback(httpError(413, '解压总大小超过上限'));
+          if (head.length < SNIFF_BYTES) head = Buffer.concat([head, chunk.subarray(0, SNIFF_BYTES - head.length)]);
+          callback(null, chunk);
+        }
+      });
+
+      try {
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await pipeline(stream, guard, fs.createWriteStream(target));
+      } catch (err) {
+        // 文件 / 目录同名冲突等单个条目问题跳过，其余错误中止
+        if (err.code !== 'EISDIR' && err.code !== 'ENOTDIR' && err.code !== 'EEXIST') throw err;
+        result.skipped.push({ name: entry.name, message: '与已有路径冲突' });
+        return;
+      }
+
+      if (options.typePolicy) {
+        const check = checkUploadType(path.basename(target), head, options.typePolicy);
+        if (!check.ok) {
+          await fs.promises.unlink(target);
+          result.skipped.push({ name: entry.name, message: check.message });
+          return;
+        }
+      }
+
+      const mtime = new Date(entry.mtime);
+      await fs.promises.utimes(target, mtime, mtime).catch(() => {});
+      result.files++;
+      result.size += written;
+    });
+
+    await fs.promises.rename(tempPath, destPath);
+  } catch (err) {
+    await fs.promises.rm(tempPath, { recursive: true, force: true }).catch(() => {});
+    if (err.code === 'Z_DATA_ERROR' || err.code === 'Z_BUF_ERROR') throw httpError(422, '压缩数据损坏');
+    throw err;
+  }
+
+  if (options.logger && result.skipped.length) {
+    options.logger('WARN', `解压跳过 ${result.skipped.length} 个条目: ${archivePath}`);
+  }
+  return result;
+}
+
+module.exports = {
+  findArchive,
+  getArchiveIndex,
+  lookupEntry,
+  extractArchive,
+  defaultExtractName
+};
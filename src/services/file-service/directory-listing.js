@@ -4,12 +4,32 @@
  * 生成美观的文件浏览器界面，包括：
  * - 文件/文件夹图标
  * - 文件大小和修改时间
- * - 排序（目录优先，然后按名称）
+ * - 排序（目录优先，按名称 / 大小 / 修改时间 / 类型，升序或降序）
+ * - glob 过滤、隐藏文件开关与分页
  * - 面包屑导航
+ * - 可选网格视图（图片使用缩略图）
+ * - JSON 输出（listingToJson），供脚本直接使用
  */
 
 const fs = require('fs');
 const path = require('path');
+const { escapeHtml } = require('../../utils/html-escape');
+const { SOURCE_EXTS } = require('../../utils/image');
+const { TRASH_DIR } = require('../../utils/path-resolver');
+const { getArchiveType } = require('../../utils/archive-reader');
+const { isGlob, globToRegExp } = require('../../utils/glob');
+
+// 浏览器可直接显示、但不生成缩略图的图片
+const NATIVE_IMAGE_EXTS = ['.svg', '.webp', '.avif', '.ico'];
+
+const SORT_FIELDS = ['name', 'size', 'mtime', 'type'];
+const SORT_LABELS = { name: '名称', size: '大小', mtime: '时间', type: '类型' };
+const DEFAULT_PAGE_SIZE = 200;
+const MAX_PAGE_SIZE = 1000;
+// 并发 stat 的批大小，避免超大目录一次打开过多句柄
+const STAT_BATCH = 256;
+
+const collator = new Intl.Collator('zh-CN', { numeric: true, sensitivity: 'base' });
 
 /**
  * 格式化文件大小
@@ -46,57 +66,283 @@ function getFileIcon(filename) {
 }
 
 /**
- * 生成目录列表 HTML
- * 
+ * 网格视图中条目的预览图地址
+ *
+ * 可解码的图片使用缩略图（JPEG 源输出 JPEG，其余输出 WebP），
+ * SVG 等浏览器原生格式直接使用原图，其他文件返回 null。
+ *
+ * @param {Object} item - 目录条目
+ * @param {number} thumbnailSize - 缩略图边长，0 表示未启用缩略图
+ * @returns {string|null}
+ */
+function getPreviewUrl(item, thumbnailSize) {
+  if (item.isDir) return null;
+  const ext = path.extname(item.name).toLowerCase();
+  const href = item.href;
+  if (SOURCE_EXTS.includes(ext)) {
+    if (!thumbnailSize) return href;
+    const format = ext === '.jpg' || ext === '.jpeg' || ext === '.jfif' ? 'jpeg' : 'webp';
+    return `${href}?w=${thumbnailSize}&h=${thumbnailSize}&fit=cover&format=${format}`;
+  }
+  return NATIVE_IMAGE_EXTS.includes(ext) ? href : null;
+}
+
+/**
+ * 生成网格视图内容
+ * @private
+ */
+function renderGrid(items, parentPath, thumbnailSize) {
+  const tiles = items.map(item => {
+    const preview = getPreviewUrl(item, thumbnailSize);
+    const visual = preview
+      ? `<img src="${escapeHtml(preview)}" alt="" loading="lazy" decoding="async">`
+      : `<span class="tile-icon">${item.icon}</span>`;
+    return `
+      <a class="tile" href="${escapeHtml(item.href)}" title="${escapeHtml(item.name)}">
+        <div class="thumb">${visual}</div>
+        <div class="tile-name">${escapeHtml(item.name)}</div>
+        <div class="tile-meta">${item.isDir ? '目录' : item.size}</div>
+      </a>`;
+  }).join('');
+
+  return `
+    <div class="grid">${parentPath ? `
+      <a class="tile parent" href="${escapeHtml(parentPath)}">
+        <div class="thumb"><span class="tile-icon">⬆️</span></div>
+        <div class="tile-name">返回上级目录</div>
+      </a>` : ''}${tiles}
+    </div>`;
+}
+
+/**
+ * 构造目录列表条目
+ *
+ * @param {Object} info - { name, isDir, size: 字节数, mtime: Date }
+ * @param {string} requestPath - 所在目录的请求路径（URL 编码形式）
+ * @returns {Object} { name, href: 已编码的链接, isDir, size, mtime, icon, browseHref }
+ */
+function createListingItem(info, requestPath) {
+  const href = path.posix.join(requestPath, encodeURIComponent(info.name)) + (info.isDir ? '/' : '');
+  return {
+    name: info.name,
+    href,
+    isDir: info.isDir,
+    size: info.isDir ? '-' : formatSize(info.size),
+    mtime: info.mtime.toLocaleString('zh-CN'),
+    icon: info.isDir ? '📁' : getFileIcon(info.name),
+    // 压缩包可作为虚拟目录浏览
+    browseHref: !info.isDir && getArchiveType(info.name) ? href + '/' : null
+  };
+}
+
+/**
+ * 读取目录条目（不含 .trash）
+ *
  * @param {string} dirPath - 本地目录路径
+ * @returns {Promise<Object[]>} [{ name, isDir, size, mtime: Date }]；无法 stat 的条目跳过
+ */
+async function readDirectoryEntries(dirPath) {
+  const names = (await fs.promises.readdir(dirPath)).filter(name => name !== TRASH_DIR);
+  const entries = [];
+  for (let i = 0; i < names.length; i += STAT_BATCH) {
+    const batch = await Promise.all(names.slice(i, i + STAT_BATCH).map(async (name) => {
+      const stats = await fs.promises.stat(path.join(dirPath, name)).catch(() => null);
+      return stats && { name, isDir: stats.isDirectory(), size: stats.size, mtime: stats.mtime };
+    }));
+    entries.push(...batch.filter(Boolean));
+  }
+  return entries;
+}
+
+/**
+ * 解析列表查询参数
+ *
+ * @param {URLSearchParams} params - 查询参数
+ * @returns {Object} { sort, order, glob, hidden, page, pageSize, view }
+ */
+function parseListingQuery(params) {
+  const toInt = (value, fallback) => {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+  };
+  return {
+    sort: SORT_FIELDS.includes(params.get('sort')) ? params.get('sort') : 'name',
+    order: params.get('order') === 'desc' ? 'desc' : 'asc',
+    glob: (params.get('glob') || '').trim(),
+    hidden: params.get('hidden') === '1' || params.get('hidden') === 'true',
+    page: toInt(params.get('page'), 1),
+    pageSize: Math.min(toInt(params.get('pageSize'), DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE),
+    view: params.get('view') === 'grid' ? 'grid' : 'list'
+  };
+}
+
+/**
+ * 生成保留当前查询状态的链接（只输出非默认值）
+ *
+ * @param {Object} query - parseListingQuery 的结果
+ * @param {Object} overrides - 要覆盖的字段
+ * @returns {string} 以 ? 开头的查询串，全部为默认值时为 '?'
+ */
+function buildListingQuery(query, overrides = {}) {
+  const merged = { ...query, ...overrides };
+  const params = new URLSearchParams();
+  if (merged.view === 'grid') params.set('view', 'grid');
+  if (merged.sort !== 'name') params.set('sort', merged.sort);
+  if (merged.order === 'desc') params.set('order', 'desc');
+  if (merged.glob) params.set('glob', merged.glob);
+  if (merged.hidden) params.set('hidden', '1');
+  if (merged.pageSize !== DEFAULT_PAGE_SIZE) params.set('pageSize', String(merged.pageSize));
+  if (merged.page > 1) params.set('page', String(merged.page));
+  return '?' + params.toString();
+}
+
+/**
+ * 过滤、排序并分页
+ *
+ * 目录始终排在文件之前；glob 不含通配符时按名称子串匹配（不区分大小写）。
+ *
+ * @param {Object[]} entries - 原始条目 [{ name, isDir, size, mtime }]
+ * @param {Object} query - parseListingQuery 的结果
+ * @returns {Object} { entries: 当前页条目, total, page, pages, pageSize }
+ */
+function queryListing(entries, query) {
+  let result = query.hidden ? entries.slice() : entries.filter(entry => !entry.name.startsWith('.'));
+
+  if (query.glob) {
+    if (isGlob(query.glob)) {
+      const regex = globToRegExp(query.glob);
+      result = result.filter(entry => regex.test(entry.name));
+    } else {
+      const needle = query.glob.toLowerCase();
+      result = result.filter(entry => entry.name.toLowerCase().includes(needle));
+    }
+  }
+
+  const direction = query.order === 'desc' ? -1 : 1;
+  const compareField = {
+    name: () => 0,
+    size: (a, b) => a.size - b.size,
+    mtime: (a, b) => a.mtime - b.mtime,
+    type: (a, b) => collator.compare(path.extname(a.name), path.extname(b.name))
+  }[query.sort];
+  result.sort((a, b) => {
+    if (a.isDir !== b.isDir) return a.isDir ? -1 : 1;
+    return direction * (compareField(a, b) || collator.compare(a.name, b.name));
+  });
+
+  const total = result.length;
+  const pages = Math.max(1, Math.ceil(total / query.pageSize));
+  const page = Math.min(query.page, pages);
+  const start = (page - 1) * query.pageSize;
+  return { entries: result.slice(start, start + query.pageSize), total, page, pages, pageSize: query.pageSize };
+}
+
+/**
+ * 把查询结果转换为 JSON 结构
+ *
+ * @param {Object} listing - queryListing 的结果
+ * @param {string} requestPath - 目录的请求路径
+ * @param {Object} query - parseListingQuery 的结果
+ * @returns {Object} { path, total, page, pages, pageSize, sort, order, items: [{ name, type, size, mtime, href }] }
+ */
+function listingToJson(listing, requestPath, query) {
+  return {
+    path: decodeURIComponentSafe(requestPath),
+    total: listing.total,
+    page: listing.page,
+    pages: listing.pages,
+    pageSize: listing.pageSize,
+    sort: query.sort,
+    order: query.order,
+    items: listing.entries.map(entry => ({
+      name: entry.name,
+      type: entry.isDir ? 'directory' : 'file',
+      size: entry.isDir ? null : entry.size,
+      mtime: entry.mtime.toISOString(),
+      href: createListingItem(entry, requestPath).href
+    }))
+  };
+}
+
+/**
+ * 解码请求路径，非法编码时原样返回
+ * @private
+ */
+function decodeURIComponentSafe(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * 生成分页导航
+ * @private
+ */
+function renderPager(pagination, query) {
+  if (!pagination) return '';
+  const { page, pages, total } = pagination;
+  const link = (target, label) => `<a href="${escapeHtml(buildListingQuery(query, { page: target }))}">${label}</a>`;
+  return `
+    <div class="pager">
+      <span>共 ${total} 项</span>${pages > 1 ? `
+      ${page > 1 ? link(1, '« 首页') + link(page - 1, '‹ 上一页') : ''}
+      <span>第 ${page} / ${pages} 页</span>
+      ${page < pages ? link(page + 1, '下一页 ›') + link(pages, '末页 »') : ''}` : ''}
+    </div>`;
+}
+
+/**
+ * 生成排序链接（再次点击当前字段时切换升降序）
+ * @private
+ */
+function sortLink(label, field, query) {
+  const active = query.sort === field;
+  const order = active && query.order === 'asc' ? 'desc' : 'asc';
+  const arrow = active ? (query.order === 'asc' ? ' ▲' : ' ▼') : '';
+  const href = buildListingQuery(query, { sort: field, order, page: 1 });
+  return `<a href="${escapeHtml(href)}"${active ? ' class="active"' : ''}>${label}${arrow}</a>`;
+}
+
+/**
+ * 渲染目录列表页面（真实目录与压缩包内的虚拟目录共用）
+ *
+ * @param {Object[]} items - createListingItem 生成的条目（已排序、分页）
  * @param {string} requestPath - HTTP 请求路径
  * @param {string} route - 路由前缀
- * @returns {string|null} 目录列表 HTML 或 null（读取失败）
+ * @param {Object} options - 可选 { query: parseListingQuery 的结果, pagination: { page, pages, total },
+ *                           thumbnailSize, zipDownload: 是否显示打包下载（默认 true）,
+ *                           standalone: 独立页面（如分享链接），不链接文件服务页，route 根目录不显示返回上级 }
+ * @returns {string} 目录列表 HTML
  */
-function generateDirectoryListing(dirPath, requestPath, route) {
-  try {
-    const files = fs.readdirSync(dirPath);
-    const items = files.map(file => {
-      const filePath = path.join(dirPath, file);
-      try {
-        const stats = fs.statSync(filePath);
-        const isDir = stats.isDirectory();
-        const size = isDir ? '-' : formatSize(stats.size);
-        const mtime = stats.mtime.toLocaleString('zh-CN');
-        const href = path.posix.join(requestPath, file) + (isDir ? '/' : '');
-        const icon = isDir ? '📁' : getFileIcon(file);
-        
-        return { name: file, href, isDir, size, mtime, icon };
-      } catch {
-        return null;
-      }
-    }).filter(Boolean);
-    
-    // 目录优先，然后按名称排序
-    items.sort((a, b) => {
-      if (a.isDir !== b.isDir) return a.isDir ? -1 : 1;
-      return a.name.localeCompare(b.name, 'zh-CN');
-    });
-    
-    // 计算上级目录路径
-    let parentPath;
-    if (requestPath === route || requestPath === route + '/') {
-      // 在挂载点根目录，返回文件服务页
+function renderDirectoryListing(items, requestPath, route, options = {}) {
+  const query = options.query || parseListingQuery(new URLSearchParams());
+  const view = query.view;
+  const thumbnailSize = options.thumbnailSize || 0;
+  const zipDownload = options.zipDownload !== false;
+  const currentQuery = buildListingQuery(query);
+  const jsonHref = currentQuery === '?' ? '?format=json' : `${currentQuery}&format=json`;
+
+  // 计算上级目录路径
+  let parentPath;
+  if (requestPath === route || requestPath === route + '/') {
+    // 在挂载点根目录，返回文件服务页（独立页面没有上级）
+    parentPath = options.standalone ? null : '/file';
+  } else {
+    parentPath = path.posix.dirname(requestPath);
+    // 如果计算出的上级是根路径，改为返回文件服务页
+    if (parentPath === '/' || parentPath === '') {
       parentPath = '/file';
-    } else {
-      parentPath = path.posix.dirname(requestPath);
-      // 如果计算出的上级是根路径，改为返回文件服务页
-      if (parentPath === '/' || parentPath === '') {
-        parentPath = '/file';
-      }
     }
-    
-    const html = `<!DOCTYPE html>
+  }
+  
+  const html = `<!DOCTYPE html>
 <html lang="zh-CN">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>目录浏览 - ${requestPath}</title>
+  <title>目录浏览 - ${escapeHtml(requestPath)}</title>
   <style>
     * { box-sizing: border-box; }
     :root {
@@ -160,48 +406,120 @@ function generateDirectoryListing(dirPath, requestPath, route) {
     .size, .mtime { color: var(--fg-secondary); font-size: 0.92em; }
     .parent { background: rgba(111,163,239,0.05); }
     .parent a { color: var(--fg-primary); }
+    .browse { margin-left: 8px; font-size: 0.8em; color: var(--fg-secondary); }
+    .view-switch { float: right; font-size: 0.62em; font-weight: 400; margin-top: 6px; }
+    .view-switch a { margin-left: 10px; color: var(--fg-secondary); }
+    .view-switch a.active { color: var(--color-accent); }
+    th a { color: inherit; }
+    th a.active { color: var(--color-accent); }
+    .toolbar {
+      display: flex; flex-wrap: wrap; align-items: center; gap: 10px;
+      padding: 10px 18px;
+      border-bottom: 1px solid rgba(70,75,80,0.6);
+      font-size: 0.9em; color: var(--fg-secondary);
+    }
+    .toolbar input[type="text"] {
+      background: var(--bg-secondary); color: var(--fg-primary);
+      border: 1px solid var(--border-color); border-radius: 6px;
+      padding: 5px 8px; min-width: 200px;
+    }
+    .toolbar button {
+      background: var(--bg-secondary); color: var(--fg-primary);
+      border: 1px solid var(--border-color); border-radius: 6px;
+      padding: 5px 12px; cursor: pointer;
+    }
+    .toolbar .sort-links a { margin-right: 8px; color: var(--fg-secondary); }
+    .toolbar .sort-links a.active { color: var(--color-accent); }
+    .pager { display: flex; gap: 14px; justify-content: center; padding: 14px; color: var(--fg-secondary); font-size: 0.9em; }
+    .grid {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(160px, 1fr));
+      gap: 14px;
+      padding: 18px;
+    }
+    .tile {
+      display: flex; flex-direction: column;
+      background: rgba(40,42,50,0.7);
+      border: 1px solid rgba(70,75,80,0.6);
+      border-radius: 10px;
+      overflow: hidden;
+      color: var(--fg-primary);
+      transition: border-color var(--transition-normal);
+    }
+    .tile:hover { border-color: var(--color-primary); text-decoration: none; }
+    .thumb {
+      aspect-ratio: 1 / 1;
+      display: flex; align-items: center; justify-content: center;
+      background: rgba(27,27,31,0.8);
+    }
+    .thumb img { width: 100%; height: 100%; object-fit: cover; }
+    .tile-icon { font-size: 3em; }
+    .tile-name { padding: 8px 10px 2px; font-size: 0.9em; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .tile-meta { padding: 0 10px 8px; font-size: 0.8em; color: var(--fg-secondary); }
     @media (max-width: 720px) {
       .mtime { display: none; }
       th, td { padding: 10px 12px; }
+      .grid { grid-template-columns: repeat(auto-fill, minmax(120px, 1fr)); gap: 10px; padding: 12px; }
     }
   </style>
 </head>
 <body>
   <div class="container">
     <h1>
-      <a href="/file" style="color: var(--muted); text-decoration: none; margin-right: 12px; font-size: 0.7em;">← 文件服务</a>
-      <span class="path">${requestPath}</span>
+      ${options.standalone ? '' : '<a href="/file" style="color: var(--muted); text-decoration: none; margin-right: 12px; font-size: 0.7em;">← 文件服务</a>'}
+      <span class="path">${escapeHtml(requestPath)}</span>
+      <span class="view-switch">${zipDownload ? `
+        <a href="?download=zip" title="打包下载当前目录">📦 打包下载</a>` : ''}
+        <a href="${escapeHtml(buildListingQuery(query, { view: 'list' }))}"${view === 'list' ? ' class="active"' : ''}>☰ 列表</a>
+        <a href="${escapeHtml(buildListingQuery(query, { view: 'grid' }))}"${view === 'grid' ? ' class="active"' : ''}>▦ 网格</a>
+        <a href="${escapeHtml(jsonHref)}" title="以 JSON 返回当前列表">{ } JSON</a>
+      </span>
     </h1>
-    <table>
+    <form class="toolbar" method="get">
+      ${view === 'grid' ? '<input type="hidden" name="view" value="grid">' : ''}
+      ${query.sort !== 'name' ? `<input type="hidden" name="sort" value="${escapeHtml(query.sort)}">` : ''}
+      ${query.order === 'desc' ? '<input type="hidden" name="order" value="desc">' : ''}
+      ${query.pageSize !== DEFAULT_PAGE_SIZE ? `<input type="hidden" name="pageSize" value="${query.pageSize}">` : ''}
+      <input type="text" name="glob" value="${escapeHtml(query.glob)}" placeholder="过滤，如 *.log 或 report">
+      <label><input type="checkbox" name="hidden" value="1"${query.hidden ? ' checked' : ''}> 显示隐藏文件</label>
+      <button type="submit">筛选</button>
+      <span class="sort-links">排序：${SORT_FIELDS.map(field => sortLink(SORT_LABELS[field], field, query)).join('')}</span>
+    </form>
+    ${view === 'grid' ? renderGrid(items, parentPath, thumbnailSize) : `<table>
       <thead>
         <tr>
-          <th>名称</th>
-          <th>大小</th>
-          <th class="mtime">修改时间</th>
+          <th>${sortLink('名称', 'name', query)}</th>
+          <th>${sortLink('大小', 'size', query)}</th>
+          <th class="mtime">${sortLink('修改时间', 'mtime', query)}</th>
         </tr>
       </thead>
       <tbody>
-        <tr class="parent"><td colspan="3"><a href="${parentPath}">⬆️ 返回上级目录</a></td></tr>
+        ${parentPath ? `<tr class="parent"><td colspan="3"><a href="${parentPath}">⬆️ 返回上级目录</a></td></tr>` : ''}
         ${items.map(item => `
         <tr>
-          <td><span class="icon">${item.icon}</span><a href="${item.href}">${item.name}</a></td>
+          <td><span class="icon">${item.icon}</span><a href="${escapeHtml(item.href)}">${escapeHtml(item.name)}</a>${item.browseHref ? ` <a class="browse" href="${escapeHtml(item.browseHref)}" title="浏览压缩包内容">浏览</a>` : ''}</td>
           <td class="size">${item.size}</td>
           <td class="mtime">${item.mtime}</td>
         </tr>`).join('')}
       </tbody>
-    </table>
+    </table>`}
+    ${renderPager(options.pagination, query)}
   </div>
 </body>
 </html>`;
-    
-    return html;
-  } catch (err) {
-    return null;
-  }
+
+  return html;
 }
 
 module.exports = {
-  generateDirectoryListing,
+  readDirectoryEntries,
+  parseListingQuery,
+  buildListingQuery,
+  queryListing,
+  listingToJson,
+  renderDirectoryListing,
+  createListingItem,
+  getPreviewUrl,
   formatSize,
   getFileIcon
 };
@@ -0,0 +1,354 @@
+/**
+ * 文件管理类
+ *
+ * 为文件服务 API 提供目录映射内的整理操作：
+ * - 列目录、新建目录、重命名、移动、复制（可跨映射）
+ * - 删除（目录需显式 recursive，启用回收站时移入 .trash）
+ * - 解压 zip / tar / tar.gz 到目录
+ * - 批量执行上述操作
+ *
+ * 所有路径均为访问路径（如 /uploads/a.txt），经 resolveAccessPath 校验；
+ * 映射根目录本身不可重命名、移动或删除。目录映射的访问规则（只读、认证、IP 白名单）
+ * 由调用方通过 options.access 提供，隐藏路径按未映射处理且不出现在列表与复制结果中。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveAccessPath, TRASH_DIR } = require('../../utils/path-resolver');
+const { isHiddenPath } = require('../../utils/directory-policy');
+const { movePath, copyPath, pathSize, isSameOrInside } = require('../../utils/fs-ops');
+const { getArchiveType } = require('../../utils/archive-reader');
+const { extractArchive, defaultExtractName } = require('./archive-browser');
+
+const BATCH_OPS = ['mkdir', 'rename', 'move', 'copy', 'delete', 'extract'];
+const MAX_BATCH_SIZE = 200;
+
+/**
+ * 创建带状态码的错误
+ * @private
+ */
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * 文件管理类
+ */
+class FileManager {
+  /**
+   * @param {Array} directories - 目录映射配置数组
+   * @param {Object} options - { trash: 回收站服务（可选）, extract: { maxBytes, typePolicy: (targetDir) => 类型策略 },
+   *                             access: (mapping, { write }) => 拒绝原因 { status, message } 或 null（可选） }
+   * @param {Function} logger - 日志函数
+   */
+  constructor(directories, options = {}, logger = null) {
+    this.directories = directories || [];
+    this.trash = options.trash || null;
+    this.access = options.access || null;
+    this.extractOptions = options.extract || {};
+    this.logger = logger;
+  }
+
+  /**
+   * 解析访问路径
+   *
+   * @private
+   * @param {string} accessPath - 访问路径
+   * @param {boolean} allowRoot - 是否允许映射根目录
+   * @param {boolean} write - 是否为写操作（只读映射拒绝）
+   * @returns {{ fullPath: string, basePath: string, route: string, mapping: Object, accessPath: string }}
+   */
+  _resolve(accessPath, allowRoot = false, write = true) {
+    const resolved = resolveAccessPath(accessPath, this.directories);
+    if (!resolved) throw httpError(400, `路径无效或未映射: ${accessPath}`);
+    const denied = this.access && this.access(resolved.mapping, { write });
+    if (denied) throw httpError(denied.status, denied.message);
+    if (!allowRoot && resolved.fullPath === resolved.basePath) {
+      throw httpError(403, '不能操作映射根目录');
+    }
+    return { ...resolved, accessPath: path.posix.normalize(accessPath).replace(/(.)\/+$/, '$1') };
+  }
+
+  /**
+   * 读取文件信息，不存在时返回 null
+   * @private
+   */
+  async _stat(fullPath) {
+    return fs.promises.lstat(fullPath).catch(() => null);
+  }
+
+  /**
+   * 目标的父目录必须存在
+   * @private
+   */
+  async _assertParent(fullPath) {
+    const parent = await fs.promises.stat(path.dirname(fullPath)).catch(() => null);
+    if (!parent || !parent.isDirectory()) throw httpError(409, '目标父目录不存在');
+  }
+
+  /**
+   * 日志
+   * @private
+   */
+  _log(message) {
+    if (this.logger) this.logger('INFO', `文件管理: ${message}`);
+  }
+
+  /**
+   * 列出目录内容（目录在前，按名称排序；隐藏映射根下的回收站与 hidden 规则命中的条目）
+   *
+   * @param {string} accessPath - 目录访问路径
+   * @returns {Promise<Object>} { path, entries: [{ name, path, isDirectory, size, mtime }] }
+   */
+  async list(accessPath) {
+    const target = this._resolve(accessPath, true, false);
+    const stat = await fs.promises.stat(target.fullPath).catch(() => null);
+    if (!stat) throw httpError(404, '目录不存在');
+    if (!stat.isDirectory()) throw httpError(400, '不是目录');
+
+    const entries = [];
+    for (const dirent of await fs.promises.readdir(target.fullPath, { withFileTypes: true })) {
+      if (dirent.name === TRASH_DIR && target.fullPath === target.basePath) continue;
+      if (isHiddenPath(target.mapping, path.relative(target.basePath, path.join(target.fullPath, dirent.name)))) continue;
+      const entryStat = await fs.promises.stat(path.join(target.fullPath, dirent.name)).catch(() => null);
+      if (!entryStat) continue;
+      entries.push({
+        name: dirent.name,
+        path: path.posix.join(target.accessPath, dirent.name),
+        isDirectory: entryStat.isDirectory(),
+        size: entryStat.isDirectory() ? null : entryStat.size,
+        mtime: entryStat.mtime.toISOString()
+      });
+    }
+
+    entries.sort((a, b) => (b.isDirectory - a.isDirectory) || a.name.localeCompare(b.name));
+    return { path: target.accessPath, entries };
+  }
+
+  /**
+   * 新建目录（自动创建缺失的上级目录）
+   *
+   * @param {string} accessPath - 目录访问路径
+   * @returns {Promise<Object>} { path }
+   */
+  async mkdir(accessPath) {
+    const target = this._resolve(accessPath);
+    if (await this._stat(target.fullPath)) throw httpError(409, '目标已存在');
+    await fs.promises.mkdir(target.fullPath, { recursive: true });
+    this._log(`新建目录 ${target.accessPath}`);
+    return { path: target.accessPath };
+  }
+
+  /**
+   * 重命名（同目录内改名）
+   *
+   * @param {string} accessPath - 源访问路径
+   * @param {string} name - 新名称（不含路径分隔符）
+   * @param {Object} options - { overwrite, requester }
+   * @returns {Promise<Object>} { from, path }
+   */
+  async rename(accessPath, name, options = {}) {
+    const newName = String(name || '');
+    if (!newName || newName === '.' || newName === '..' || /[\\/\0]/.test(newName)) {
+      throw httpError(400, '名称无效');
+    }
+    const source = this._resolve(accessPath);
+    return this.move(source.accessPath, path.posix.join(path.posix.dirname(source.accessPath), newName), options);
+  }
+
+  /**
+   * 移动（可跨映射，跨设备时复制后删除）
+   *
+   * @param {string} from - 源访问路径
+   * @param {string} to - 目标访问路径（含名称）
+   * @param {Object} options - { overwrite: 目标存在时覆盖（原目标移入回收站）, requester }
+   * @returns {Promise<Object>} { from, path, overwritten }
+   */
+  async move(from, to, options = {}) {
+    const { source, target, overwritten } = await this._prepareTransfer(from, to, options);
+    await movePath(source.fullPath, target.fullPath);
+    this._log(`移动 ${source.accessPath} -> ${target.accessPath}`);
+    return { from: source.accessPath, path: target.accessPath, overwritten };
+  }
+
+  /**
+   * 复制文件或目录（递归，保留时间戳，符号链接按链接本身复制）
+   *
+   * @param {string} from - 源访问路径
+   * @param {string} to - 目标访问路径（含名称）
+   * @param {Object} options - { overwrite, requester }
+   * @returns {Promise<Object>} { from, path, overwritten }
+   */
+  async copy(from, to, options = {}) {
+    const { source, target, overwritten } = await this._prepareTransfer(from, to, options, false);
+    // 源映射中隐藏的条目不随目录一起复制
+    await copyPath(source.fullPath, target.fullPath,
+      src => !isHiddenPath(source.mapping, path.relative(source.basePath, src)));
+    this._log(`复制 ${source.accessPath} -> ${target.accessPath}`);
+    return { from: source.accessPath, path: target.accessPath, overwritten };
+  }
+
+  /**
+   * 移动 / 复制前的校验；覆盖时先移除已有目标
+   * @private
+   */
+  async _prepareTransfer(from, to, options, sourceWrite = true) {
+    const source = this._resolve(from, false, sourceWrite);
+    const target = this._resolve(to);
+    if (!await this._stat(source.fullPath)) throw httpError(404, '源文件不存在');
+    if (isSameOrInside(source.fullPath, target.fullPath)) {
+      throw httpError(400, '目标不能是源路径本身或其子路径');
+    }
+    await this._assertParent(target.fullPath);
+
+    const existing = await this._stat(target.fullPath);
+    if (existing) {
+      if (!options.overwrite) throw httpError(409, '目标已存在');
+      await this._removePath(target.fullPath, options.requester);
+    }
+    return { source, target, overwritten: !!existing };
+  }
+
+  /**
+   * 移除文件或目录（启用回收站时移入 .trash）
+   * @private
+   */
+  async _removePath(fullPath, requester) {
+    if (this.trash) {
+      const meta = await this.trash.moveToTrash(fullPath, requester);
+      return { size: meta.size, trashId: meta.id };
+    }
+    const size = await pathSize(fullPath);
+    await fs.promises.rm(fullPath, { recursive: true, force: true });
+    return { size };
+  }
+
+  /**
+   * 删除文件或目录
+   *
+   * @param {string} accessPath - 访问路径
+   * @param {Object} options - { recursive: 允许删除非空目录, requester }
+   * @returns {Promise<Object>} { path, localPath, isDirectory, size, trashId }
+   */
+  async remove(accessPath, options = {}) {
+    const target = this._resolve(accessPath);
+    const stat = await this._stat(target.fullPath);
+    if (!stat) throw httpError(404, '文件不存在');
+
+    const isDirectory = stat.isDirectory();
+    if (isDirectory && !options.recursive && (await fs.promises.readdir(target.fullPath)).length > 0) {
+      throw httpError(409, '目录非空，需指定 recursive');
+    }
+
+    const { size, trashId } = await this._removePath(target.fullPath, options.requester);
+    if (!this.trash) this._log(`删除 ${target.accessPath}`);
+    return { path: target.accessPath, localPath: target.fullPath, isDirectory, size, ...(trashId && { trashId }) };
+  }
+
+  /**
+   * 解压压缩包到目录
+   *
+   * @param {string} accessPath - 压缩包访问路径
+   * @param {string} to - 目标目录访问路径（默认为同级同名目录，如 logs.zip → logs）
+   * @param {Object} options - { overwrite: 目标存在时先移除, requester }
+   * @returns {Promise<Object>} { from, path, files, directories, size, skipped, overwritten }
+   */
+  async extract(accessPath, to, options = {}) {
+    const source = this._resolve(accessPath, false, false);
+    const stat = await fs.promises.stat(source.fullPath).catch(() => null);
+    if (!stat) throw httpError(404, '源文件不存在');
+    if (!stat.isFile() || !getArchiveType(source.fullPath)) {
+      throw httpError(400, '仅支持 .zip / .tar / .tar.gz / .tgz');
+    }
+
+    const targetPath = to || path.posix.join(path.posix.dirname(source.accessPath), defaultExtractName(path.posix.basename(source.accessPath)));
+    const target = this._resolve(targetPath);
+    if (isSameOrInside(source.fullPath, target.fullPath)) {
+      throw httpError(400, '目标不能是源路径本身或其子路径');
+    }
+    await this._assertParent(target.fullPath);
+
+    const existing = await this._stat(target.fullPath);
+    if (existing) {
+      if (!options.overwrite) throw httpError(409, '目标已存在');
+      await this._removePath(target.fullPath, options.requester);
+    }
+
+    const { maxBytes, typePolicy } = this.extractOptions;
+    const result = await extractArchive(source.fullPath, target.fullPath, {
+      maxBytes,
+      typePolicy: typePolicy ? typePolicy(target.fullPath) : null,
+      logger: this.logger
+    });
+    this._log(`解压 ${source.accessPath} -> ${target.accessPath}（${result.files} 个文件，${result.size} 字节）`);
+    return { from: source.accessPath, path: target.accessPath, ...result, overwritten: !!existing };
+  }
+
+  /**
+   * 执行单个操作
+   *
+   * @param {Object} operation - { op: mkdir|rename|move|copy|delete|extract, path, name, from, to, overwrite, recursive }
+   * @param {Object} requester - 请求方信息（回收站记录）
+   * @returns {Promise<Object>} 操作结果
+   */
+  async run(operation, requester = {}) {
+    const op = operation && operation.op;
+    const options = { overwrite: operation && operation.overwrite === true, requester };
+    switch (op) {
+      case 'mkdir':
+        return this.mkdir(operation.path);
+      case 'rename':
+        return this.rename(operation.path, operation.name, options);
+      case 'move':
+        return this.move(operation.from, operation.to, options);
+      case 'copy':
+        return this.copy(operation.from, operation.to, options);
+      case 'delete':
+        return this.remove(operation.path, { recursive: operation.recursive === true, requester });
+      case 'extract':
+        return this.extract(operation.path, operation.to, options);
+      default:
+        throw httpError(400, `不支持的操作: ${op}，可选 ${BATCH_OPS.join('/')}`);
+    }
+  }
+
+  /**
+   * 按顺序批量执行操作
+   *
+   * @param {Object[]} operations - 操作列表
+   * @param {Object} options - { stopOnError: 出错后跳过剩余操作, requester, onResult: (operation, result) => void }
+   * @returns {Promise<Object[]>} 每项 { index, op, success, status?, message?, ...结果 }
+   */
+  async runBatch(operations, options = {}) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw httpError(400, '缺少 operations');
+    }
+    if (operations.length > MAX_BATCH_SIZE) {
+      throw httpError(400, `单次最多 ${MAX_BATCH_SIZE} 个操作`);
+    }
+
+    const results = [];
+    let stopped = false;
+    for (let index = 0; index < operations.length; index++) {
+      const op = operations[index] && operations[index].op;
+      if (stopped) {
+        results.push({ index, op, success: false, status: 424, message: '前序操作失败，已跳过' });
+        continue;
+      }
+      try {
+        const result = await this.run(operations[index], options.requester);
+        results.push({ index, op, success: true, ...result });
+        if (options.onResult) options.onResult(operations[index], result);
+      } catch (err) {
+        if (!err.statusCode && this.logger) this.logger('ERROR', `文件管理操作失败: ${op}`, err.message);
+        results.push({ index, op, success: false, status: err.statusCode || 500, message: err.message });
+        if (options.stopOnError) stopped = true;
+      }
+    }
+    return results;
+  }
+}
+
+module.exports = FileManager;
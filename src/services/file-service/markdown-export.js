@@ -0,0 +1,336 @@
+/**
+ * Markdown 导出
+ *
+ * - ?export=html：单个自包含 HTML 文件，离线打开即可阅读
+ *   - 页面样式与 public/themes 下的主题 CSS 内联，主题引用的字体转为 data URI
+ *   - 公式在服务端用 KaTeX 渲染为 HTML，并内联 KaTeX 样式与 woff2 字体
+ *   - 本地图片转为 data URI；Wiki 链接在导出文件中不可用，保留为文字
+ *   - Mermaid 流程图与时序图在服务端渲染为内联 SVG（见 mermaid-svg）；服务端无法绘出的图表（其他类型、
+ *     subgraph、样式等）保留源码并内联 mermaid.min.js，打开文件时在本地绘制
+ * - ?export=pdf：见 markdown-pdf（纯 JS 排版，不需要浏览器）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('../../utils/html-escape');
+const { getMimeType } = require('../../utils/mime');
+const { parseFrontMatter, noteMeta } = require('../../utils/front-matter');
+const { renderMarkdown } = require('./markdown-renderer');
+const {
+  MARKDOWN_PAGE_VERSION,
+  loadThemeList,
+  sanitizeThemeName,
+  renderFrontMatterMeta,
+  renderTagChips
+} = require('./markdown-page');
+const { renderMarkdownPdf } = require('./markdown-pdf');
+const { renderMermaidSvg } = require('./mermaid-svg');
+
+const PUBLIC_DIR = path.resolve(__dirname, '../../../public');
+const THEMES_DIR = path.join(PUBLIC_DIR, 'themes');
+const VENDOR_DIR = path.join(PUBLIC_DIR, 'vendor');
+const MERMAID_BLOCK = /<div class="mermaid">([\s\S]*?)<\/div>/g;
+const EXPORT_FORMATS = ['html', 'pdf'];
+const MAX_ASSET_SIZE = 10 * 1024 * 1024; // 单个内联资源上限，超过时保留原地址
+// 与浏览器端 auto-render 相同的分隔符（顺序决定优先级）
+const MATH_DELIMITERS = [
+  { left: '$$', right: '$$', display: true },
+  { left: '$', right: '$', display: false },
+  { left: '\\(', right: '\\)', display: false },
+  { left: '\\[', right: '\\]', display: true }
+];
+const WIKILINK_ANCHOR = /<a class="wikilink" data-wikilink="[^"]*" data-anchor="[^"]*">([\s\S]*?)<\/a>/g;
+// 公式替换跳过代码、脚本、Mermaid 源码与标签本身
+const PROTECTED_HTML = /<(pre|code|script|style|textarea)\b[^>]*>[\s\S]*?<\/\1>|<div class="mermaid">[\s\S]*?<\/div>|<[^>]+>/gi;
+
+let katex = null;
+let katexCss = null;
+
+/**
+ * 读取文件为 data URI（不存在或超过上限时返回 null）
+ * @private
+ */
+function dataUri(fullPath) {
+  try {
+    const stat = fs.statSync(fullPath);
+    if (!stat.isFile() || stat.size > MAX_ASSET_SIZE) return null;
+    const mime = getMimeType(fullPath, { sniff: true }).split(';')[0];
+    return `data:${mime};base64,${fs.readFileSync(fullPath).toString('base64')}`;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * 内联 CSS 中的相对 url()（只处理 rootDir 以内的文件），去掉 Typora 专用的 @include-when-export
+ * @private
+ */
+function inlineCssUrls(css, baseDir, rootDir) {
+  return css
+    .replace(/^@include-when-export[^\n]*\n?/gm, '')
+    .replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, ref) => {
+      if (/^(data:|[a-z]+:|\/\/|#)/i.test(ref)) return match;
+      const fullPath = path.resolve(baseDir, ref.split(/[?#]/)[0]);
+      if (!fullPath.startsWith(rootDir + path.sep)) return match;
+      const uri = dataUri(fullPath);
+      return uri ? `url("${uri}")` : match;
+    });
+}
+
+/**
+ * 读取主题 CSS（内联其引用的字体与图片）
+ * @private
+ */
+function loadThemeCss(theme) {
+  const file = path.join(THEMES_DIR, `${theme}.css`);
+  try {
+    return inlineCssUrls(fs.readFileSync(file, 'utf8'), THEMES_DIR, THEMES_DIR);
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * KaTeX 样式：每个字体只保留 woff2 并转为 data URI（首次使用时生成）
+ * @private
+ */
+function loadKatexCss() {
+  if (katexCss !== null) return katexCss;
+  const css = fs.readFileSync(path.join(VENDOR_DIR, 'katex.min.css'), 'utf8');
+  katexCss = css.replace(/src:([^;}]+)/g, (match, sources) => {
+    const woff2 = sources.match(/url\(([^)]+\.woff2)\)/);
+    const uri = woff2 && dataUri(path.join(VENDOR_DIR, woff2[1]));
+    return uri ? `src:url(${uri}) format("woff2")` : match;
+  });
+  return katexCss;
+}
+
+/**
+ * 还原 HTML 实体（公式源码交给 KaTeX 前）
+ * @private
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#0?39;/g, "'").replace(/&amp;/g, '&');
+}
+
+/**
+ * 查找公式结束分隔符（跳过花括号内与反斜杠转义的字符）
+ * @private
+ */
+function findEndOfMath(delimiter, text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (depth <= 0 && text.startsWith(delimiter, i)) return i;
+    if (char === '\\') i++;
+    else if (char === '{') depth++;
+    else if (char === '}') depth--;
+  }
+  return -1;
+}
+
+/**
+ * 渲染一段文本中的公式
+ * @private
+ */
+function renderMathText(text, state) {
+  let out = '';
+  let last = 0;
+  let i = 0;
+  while (i < text.length) {
+    const delimiter = MATH_DELIMITERS.find(d => text.startsWith(d.left, i));
+    if (!delimiter) {
+      i++;
+      continue;
+    }
+    const end = findEndOfMath(delimiter.right, text, i + delimiter.left.length);
+    if (end === -1) {
+      i += delimiter.left.length;
+      continue;
+    }
+    if (!katex) katex = require(path.join(VENDOR_DIR, 'katex.min.js'));
+    const tex = decodeEntities(text.slice(i + delimiter.left.length, end));
+    out += text.slice(last, i) + katex.renderToString(tex, { displayMode: delimiter.display, throwOnError: false });
+    state.count++;
+    i = end + delimiter.right.length;
+    last = i;
+  }
+  return out + text.slice(last);
+}
+
+/**
+ * 在服务端渲染正文中的公式（与浏览器端 auto-render 的规则一致，逐个文本节点处理）
+ * @private
+ */
+function renderMath(html) {
+  const state = { count: 0 };
+  let out = '';
+  let last = 0;
+  for (const match of html.matchAll(PROTECTED_HTML)) {
+    out += renderMathText(html.slice(last, match.index), state) + match[0];
+    last = match.index + match[0].length;
+  }
+  out += renderMathText(html.slice(last), state);
+  return { html: out, count: state.count };
+}
+
+/**
+ * 把 Mermaid 图表替换为服务端渲染的 SVG
+ *
+ * 已渲染的图表标记 data-processed，浏览器端 Mermaid 会跳过；无法渲染的保留源码。
+ * @private
+ * @returns {{ html: string, fallback: number }} fallback 为需要浏览器端绘制的图表数
+ */
+function renderDiagrams(html) {
+  let index = 0;
+  let fallback = 0;
+  const out = html.replace(MERMAID_BLOCK, (match, source) => {
+    const svg = renderMermaidSvg(decodeEntities(source), { id: `mermaid-${index++}` });
+    if (svg) return `<div class="mermaid" data-processed="true">${svg}</div>`;
+    fallback++;
+    return match;
+  });
+  return { html: out, fallback };
+}
+
+/**
+ * 把文档中的图片地址转为本地文件路径（外部地址与 data URI 返回 null）
+ *
+ * @param {string} src - 图片地址（已编码）
+ * @param {string} requestPath - 文档的访问路径
+ * @param {Function} resolveAsset - (访问路径) => 本地路径|null，由调用方做访问控制
+ * @returns {string|null}
+ */
+function localAssetPath(src, requestPath, resolveAsset) {
+  if (!src || !resolveAsset || /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(src)) return null;
+  let target;
+  try {
+    target = decodeURIComponent(src.split(/[?#]/)[0]);
+  } catch (_) {
+    return null;
+  }
+  const accessPath = target.startsWith('/')
+    ? target
+    : path.posix.resolve(path.posix.dirname(requestPath || '/'), target);
+  return resolveAsset(accessPath);
+}
+
+/**
+ * 内联正文中的本地图片
+ * @private
+ */
+function inlineImages(html, requestPath, resolveAsset) {
+  return html.replace(/(<img\b[^>]*?\bsrc=")([^"]*)(")/gi, (match, before, src, after) => {
+    const fullPath = localAssetPath(decodeEntities(src), requestPath, resolveAsset);
+    const uri = fullPath && dataUri(fullPath);
+    return uri && uri.startsWith('data:image/') ? `${before}${uri}${after}` : match;
+  });
+}
+
+/**
+ * 生成自包含 HTML
+ * @private
+ */
+function exportHtml(doc, options) {
+  const themes = loadThemeList();
+  const theme = sanitizeThemeName(doc.theme, themes);
+  const rendered = renderMarkdown(doc.body, { wikiLinks: true });
+  let article = rendered.html.replace(WIKILINK_ANCHOR, '<span class="wikilink">$1</span>');
+  article = inlineImages(article, doc.requestPath, options.resolveAsset);
+  const math = rendered.hydrate.math ? renderMath(article) : { html: article, count: 0 };
+
+  let mermaidScript = '';
+  if (rendered.hydrate.mermaid) {
+    const diagrams = renderDiagrams(math.html);
+    math.html = diagrams.html;
+    if (diagrams.fallback) {
+      const source = fs.readFileSync(path.join(VENDOR_DIR, 'mermaid.min.js'), 'utf8').replace(/<\/(script)/gi, '<\\/$1');
+      mermaidScript = `<script>${source}</script>
+	<script>mermaid.initialize({ startOnLoad: false, theme: ${JSON.stringify(theme.includes('dark') ? 'dark' : 'default')} });
+	mermaid.run({ querySelector: "div.mermaid:not([data-processed])" });</script>`;
+    }
+  }
+
+  let pageCss = '';
+  try {
+    pageCss = inlineCssUrls(fs.readFileSync(path.join(PUBLIC_DIR, 'markdown-page.css'), 'utf8'), PUBLIC_DIR, PUBLIC_DIR);
+  } catch (_) {
+    // 缺少页面样式时只用主题样式
+  }
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN" data-theme="${escapeHtml(theme)}">
+<head>
+	<meta charset="UTF-8" />
+	<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+	<meta name="generator" content="LocalBackendServer markdown-export ${MARKDOWN_PAGE_VERSION}" />
+	<title>${escapeHtml(doc.title)}</title>
+	<style>${pageCss}</style>
+	<style>${loadThemeCss(theme)}</style>
+	${math.count ? `<style>${loadKatexCss()}</style>` : ''}
+</head>
+<body class="typora-export">
+	<div class="page-shell">
+		<header class="page-header">
+			<div class="file-info">
+				<div class="file-title">${escapeHtml(doc.title)}</div>
+				${renderTagChips(doc.meta.tags, null)}
+			</div>
+			<div class="file-meta">${renderFrontMatterMeta(doc.meta, null, null)}</div>
+		</header>
+		<main class="content-wrapper">
+			<article id="write" class="typora-export">${math.html}</article>
+		</main>
+	</div>
+	${mermaidScript}
+</body>
+</html>`;
+}
+
+/**
+ * 导出 Markdown 文档
+ *
+ * @param {string} format - html / pdf
+ * @param {Object} source - { markdown: 原文, name: 文件名（不含扩展名）, requestPath: 访问路径, theme: 主题 }
+ * @param {Object} options - { resolveAsset: (访问路径) => 可内联的本地文件路径|null }
+ * @returns {{ body: string|Buffer, contentType: string, filename: string }}
+ */
+function exportMarkdown(format, source, options = {}) {
+  const { body, frontMatter } = parseFrontMatter(source.markdown || '');
+  const meta = noteMeta(frontMatter);
+  const doc = {
+    title: meta.title || source.name || 'Markdown Document',
+    meta,
+    body,
+    requestPath: source.requestPath,
+    theme: source.theme
+  };
+
+  if (format === 'pdf') {
+    const loadImage = (src) => {
+      const fullPath = localAssetPath(src, source.requestPath, options.resolveAsset);
+      try {
+        return fullPath && fs.statSync(fullPath).size <= MAX_ASSET_SIZE ? fs.readFileSync(fullPath) : null;
+      } catch (_) {
+        return null;
+      }
+    };
+    return {
+      body: renderMarkdownPdf(doc, { loadImage }),
+      contentType: 'application/pdf',
+      filename: `${source.name}.pdf`
+    };
+  }
+
+  return {
+    body: exportHtml(doc, options),
+    contentType: 'text/html; charset=utf-8',
+    filename: `${source.name}.html`
+  };
+}
+
+module.exports = {
+  exportMarkdown,
+  EXPORT_FORMATS
+};
@@ -3,61 +3,25 @@
 const fs = require("fs");
 const path = require("path");
 const { escapeHtml } = require("../../utils/html-escape");
+const { renderMarkdown, linkWikiLinks } = require("./markdown-renderer");
+const { parseFrontMatter, noteMeta } = require("../../utils/front-matter");
 
 /**
  * Bump this when the template/runtime changes so cached pages invalidate.
  */
-const MARKDOWN_PAGE_VERSION = "2026.01.09";
+const MARKDOWN_PAGE_VERSION = "2026.10.19.5";
 
 const DEFAULT_THEME = "anonymous-dark";
 let cachedThemes = null;
-// 使用无 Markdown 特殊符号的标记，避免被 markdown-it 解析为粗体/斜体
-const TOC_MARKER = "MD-T0C-T0KEN";
 
 /**
  * Remove YAML front matter and return the remaining body plus parsed fields.
- * Only shallow key/value pairs and simple dash arrays are parsed to avoid
- * pulling in a YAML dependency.
+ * Parsing is delegated to the dependency-free YAML subset in utils/yaml
+ * (nested maps, quoted strings, inline arrays); on a YAML error the fields
+ * are empty and `error` carries the message.
  */
 function stripFrontMatter(markdown = "") {
-	const frontMatterRegex = /^---\s*\r?\n([\s\S]*?)\r?\n---\s*\r?\n?/;
-	const match = markdown.match(frontMatterRegex);
-
-	if (!match) {
-		return { body: markdown, frontMatter: {}, rawFrontMatter: "" };
-	}
-
-	const rawBlock = match[1] || "";
-	const frontMatter = {};
-	let currentKey = null;
-
-	rawBlock.split(/\r?\n/).forEach((line) => {
-		const trimmed = line.trim();
-		if (!trimmed) return;
-
-		const keyMatch = trimmed.match(/^([A-Za-z0-9_-]+)\s*:\s*(.*)$/);
-		if (keyMatch) {
-			currentKey = keyMatch[1];
-			const value = keyMatch[2];
-			if (value === "") {
-				frontMatter[currentKey] = [];
-			} else {
-				frontMatter[currentKey] = value.trim();
-				currentKey = null;
-			}
-			return;
-		}
-
-		if (currentKey && Array.isArray(frontMatter[currentKey])) {
-			const item = trimmed.replace(/^[-\s]+/, "").trim();
-			if (item) {
-				frontMatter[currentKey].push(item);
-			}
-		}
-	});
-
-	const body = markdown.replace(frontMatterRegex, "");
-	return { body, frontMatter, rawFrontMatter: rawBlock };
+	return parseFrontMatter(markdown);
 }
 
 function normalizeAssetsMount(mount) {
@@ -95,15 +59,93 @@ function loadThemeList() {
 	return cachedThemes;
 }
 
+/**
+ * Render the header meta list (author/date/updated/path) so it is visible
+ * without JavaScript. A front matter parse error is surfaced here too.
+ */
+function renderFrontMatterMeta(meta, requestPath, error) {
+	const pairs = [];
+	if (meta.author) {
+		pairs.push({ label: "Author", value: meta.author });
+	}
+	if (meta.date) {
+		pairs.push({ label: "Date", value: meta.date });
+	}
+	if (meta.updated) {
+		pairs.push({ label: "Updated", value: meta.updated });
+	}
+	if (meta.draft) {
+		pairs.push({ label: "Status", value: "Draft" });
+	}
+	if (error) {
+		pairs.push({ label: "Front matter", value: error });
+	}
+	if (requestPath) {
+		pairs.push({ label: "Path", value: requestPath });
+	}
+	if (!pairs.length) return "";
+
+	const items = pairs
+		.map((item) => `<li><span class="meta-label">${escapeHtml(item.label)}</span><span class="meta-value">${escapeHtml(String(item.value))}</span></li>`)
+		.join("");
+	return `<ul class="meta-list">${items}</ul>`;
+}
+
+/**
+ * Render tags as chips; each links to its tag index page when one is mounted.
+ */
+function renderTagChips(tags, tagsMount) {
+	if (!tags.length) return "";
+	const chips = tags
+		.map((tag) => tagsMount
+			? `<a class="tag-chip" href="${escapeHtml(`${tagsMount}/${encodeURIComponent(tag)}`)}">#${escapeHtml(tag)}</a>`
+			: `<span class="tag-chip">#${escapeHtml(tag)}</span>`)
+		.join("");
+	return `<div class="tag-chips">${chips}</div>`;
+}
 
-function encodeBase64Utf8(text) {
-	return Buffer.from(text || "", "utf8").toString("base64");
+/**
+ * Render the "linked from" panel listing notes that wiki-link to this page.
+ */
+function renderBacklinks(backlinks) {
+	const items = (backlinks || [])
+		.map((link) => `<li><a href="${escapeHtml(link.url)}">${escapeHtml(link.name)}</a><span class="backlink-path">${escapeHtml(link.path)}</span></li>`)
+		.join("");
+	return [
+		'<aside class="md-backlinks" aria-label="反向链接">',
+		`<h2 class="backlinks-title">链接到此页（${(backlinks || []).length}）</h2>`,
+		items ? `<ul class="backlinks-list">${items}</ul>` : '<p class="backlinks-empty">暂无其他笔记链接到此页。</p>',
+		"</aside>",
+	].join("");
 }
 
 /**
- * Build HTML for a markdown document. Rendering is deferred to the browser
- * using markdown-it + plugins so we do not pull markdown dependencies into
- * the server. Assets are loaded from the configured mount (default /public).
+ * Render the article body; wiki links are resolved only when a resolver is given.
+ */
+function renderArticle(body, notes) {
+	const wikiLinks = !!(notes && notes.resolve);
+	const rendered = renderMarkdown(body, { wikiLinks });
+	return {
+		html: wikiLinks ? linkWikiLinks(rendered.html, notes.resolve) : rendered.html,
+		hydrate: rendered.hydrate,
+	};
+}
+
+function buildEmptyMessage() {
+	return [
+		'<div class="empty-state">',
+		"<p>没有可渲染的 Markdown 内容。</p>",
+		"<p>请通过文件服务访问 .md 文件以载入内容。</p>",
+		"</div>",
+	].join("");
+}
+
+/**
+ * Build HTML for a markdown document. The body (heading IDs, TOC, callouts,
+ * highlighted code) is rendered on the server by markdown-renderer, so the
+ * page reads fine without JavaScript; the runtime only hydrates Mermaid and
+ * KaTeX, whose scripts are included only when the document needs them.
+ * Assets are loaded from the configured mount (default /public).
  *
  * @param {string} title - Document title fallback when front matter is empty
  * @param {string} markdownContent - Raw markdown content
@@ -111,6 +153,9 @@ function encodeBase64Utf8(text) {
  * @param {string} theme - Theme name under public/themes (Typora-compatible)
  * @param {string} highlightTheme - Reserved for future highlight theme switch
  * @param {string} assetsMount - Static assets mount (default /public)
+ * @param {Object|null} notes - Note context, all fields optional:
+ *                              { resolve: (target) => href|null, backlinks: [{ path, name, url }], tagsMount };
+ *                              without resolve [[...]] is not parsed, without backlinks the panel is omitted
  * @returns {string} Full HTML page string
  */
 function generateMarkdownPage(
@@ -119,15 +164,17 @@ function generateMarkdownPage(
 	requestPath,
 	theme = DEFAULT_THEME,
 	highlightTheme,
-	assetsMount = "/public"
+	assetsMount = "/public",
+	notes = null
 ) {
 	const themeList = loadThemeList();
-	const { body, frontMatter } = stripFrontMatter(markdownContent || "");
+	const { body, frontMatter, error } = stripFrontMatter(markdownContent || "");
+	const meta = noteMeta(frontMatter);
 	const safeTheme = sanitizeThemeName(theme, themeList);
 	const mount = normalizeAssetsMount(assetsMount);
 	const filePathLabel = requestPath || "/";
-	const preferredTitle =
-		(frontMatter && frontMatter.title) || title || "Markdown Document";
+	const preferredTitle = meta.title || title || "Markdown Document";
+	const { html: articleHtml, hydrate } = renderArticle(body, notes);
 
 	const payload = {
 		version: MARKDOWN_PAGE_VERSION,
@@ -136,9 +183,7 @@ function generateMarkdownPage(
 		theme: safeTheme,
 		themes: themeList,
 		assetsMount: mount,
-		tocMarker: TOC_MARKER,
-		frontMatter,
-		markdownBase64: encodeBase64Utf8(body.replace(/\[toc\]/gi, TOC_MARKER)),
+		hydrate,
 		highlightTheme: highlightTheme || null
 	};
 
@@ -155,7 +200,7 @@ function generateMarkdownPage(
 	<title>${escapeHtml(preferredTitle)} - Markdown Preview</title>
 	<link rel="stylesheet" href="${mount}/markdown-page.css?v=${MARKDOWN_PAGE_VERSION}" />
 	<link id="theme-stylesheet" rel="stylesheet" href="${mount}/themes/${safeTheme}.css?v=${MARKDOWN_PAGE_VERSION}" />
-	<link rel="stylesheet" href="${mount}/vendor/katex.min.css" />
+	${hydrate.math ? `<link rel="stylesheet" href="${mount}/vendor/katex.min.css" />` : ""}
 </head>
 <body class="typora-export">
 	<div class="page-shell">
@@ -163,32 +208,147 @@ function generateMarkdownPage(
 			<div class="file-info">
 				<div class="file-title" id="page-title">${escapeHtml(preferredTitle)}</div>
 				<div class="file-path">${escapeHtml(filePathLabel)}</div>
+				${renderTagChips(meta.tags, notes && notes.tagsMount)}
 			</div>
-			<div class="file-meta" id="frontmatter-meta"></div>
+			<div class="file-meta" id="frontmatter-meta">${renderFrontMatterMeta(meta, filePathLabel, error)}</div>
 			<nav class="header-actions" aria-label="页面操作">
 				<label class="theme-switch" for="theme-switcher">主题</label>
 				<select id="theme-switcher" class="theme-select" aria-label="切换主题">
 					${(themeList || [safeTheme]).map((t) => `<option value="${t}"${t === safeTheme ? " selected" : ""}>${t}</option>`).join("")}
 				</select>
+				<a class="action-link" href="${escapeHtml(filePathLabel)}?edit=1">编辑</a>
 				<a class="action-link" href="${escapeHtml(filePathLabel)}?raw=1">RAW</a>
+				<a class="action-link" id="export-html" href="${escapeHtml(filePathLabel)}?export=html&amp;theme=${encodeURIComponent(safeTheme)}" download>HTML</a>
+				<a class="action-link" href="${escapeHtml(filePathLabel)}?export=pdf" download>PDF</a>
 			</nav>
 		</header>
 		<main class="content-wrapper">
-			<article id="write" class="typora-export"></article>
+			<article id="write" class="typora-export">${articleHtml || buildEmptyMessage()}</article>
+			${notes && notes.backlinks ? renderBacklinks(notes.backlinks) : ""}
+		</main>
+	</div>
+
+	<script>window.__MARKDOWN_PAGE_CONTEXT__ = ${contextJson};</script>
+	${hydrate.mermaid ? `<script src="${mount}/vendor/mermaid.min.js"></script>` : ""}
+	${hydrate.math ? `<script src="${mount}/vendor/katex.min.js"></script>
+	<script src="${mount}/vendor/auto-render.min.js"></script>` : ""}
+	<script src="${mount}/js/markdown-page-runtime.js?v=${MARKDOWN_PAGE_VERSION}"></script>
+</body>
+</html>`;
+}
+
+/**
+ * Render a live preview for the editor: article HTML, the scripts it needs
+ * and the header fields derived from front matter.
+ *
+ * @param {string} markdownContent - Raw markdown content (unsaved editor text)
+ * @param {string} requestPath - Request path shown in the meta list
+ * @param {Object|null} notes - Same note context as generateMarkdownPage
+ * @returns {{ html: string, hydrate: Object, title: string|null, meta: string }}
+ */
+function renderMarkdownPreview(markdownContent, requestPath, notes = null) {
+	const { body, frontMatter, error } = stripFrontMatter(markdownContent || "");
+	const meta = noteMeta(frontMatter);
+	const { html, hydrate } = renderArticle(body, notes);
+	return {
+		html: html || buildEmptyMessage(),
+		hydrate,
+		title: meta.title || null,
+		meta: renderFrontMatterMeta(meta, requestPath || "/", error),
+	};
+}
+
+/**
+ * Build the split-pane editor (?edit=1): source on the left, the rendered
+ * preview on the right. The preview is rendered on the server (POST
+ * ?preview=1) and hydrated by the same runtime as the read-only page, which
+ * loads Mermaid/KaTeX on demand once the text starts using them. Saves are
+ * PUT back with If-Match so a file changed elsewhere is never overwritten.
+ *
+ * @param {string} title - Document title fallback when front matter is empty
+ * @param {string} markdownContent - Raw markdown content
+ * @param {string} requestPath - Request path (save/preview target)
+ * @param {string} theme - Theme name under public/themes
+ * @param {string} assetsMount - Static assets mount (default /public)
+ * @param {Object} edit - { etag, mtime, eol: "\n"|"\r\n", notes: same as generateMarkdownPage }
+ * @returns {string} Full HTML page string
+ */
+function generateMarkdownEditorPage(
+	title,
+	markdownContent,
+	requestPath,
+	theme = DEFAULT_THEME,
+	assetsMount = "/public",
+	edit = {}
+) {
+	const themeList = loadThemeList();
+	const safeTheme = sanitizeThemeName(theme, themeList);
+	const mount = normalizeAssetsMount(assetsMount);
+	const filePathLabel = requestPath || "/";
+	const preview = renderMarkdownPreview(markdownContent, filePathLabel, edit.notes);
+	const preferredTitle = preview.title || title || "Markdown Document";
+	const { hydrate } = preview;
+
+	const payload = {
+		version: MARKDOWN_PAGE_VERSION,
+		title: preferredTitle,
+		requestPath: filePathLabel,
+		theme: safeTheme,
+		themes: themeList,
+		assetsMount: mount,
+		hydrate,
+		edit: {
+			etag: edit.etag || null,
+			mtime: edit.mtime || null,
+			eol: edit.eol === "\r\n" ? "\r\n" : "\n",
+		},
+	};
+
+	const contextJson = JSON.stringify(payload).replace(/<\/(script)/gi, "<\\/$1");
+
+	return `<!DOCTYPE html>
+<html lang="zh-CN" data-theme="${escapeHtml(safeTheme)}">
+<head>
+	<meta charset="UTF-8" />
+	<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+	<meta name="generator" content="LocalBackendServer markdown-page ${MARKDOWN_PAGE_VERSION}" />
+	<meta name="markdown-source" content="${escapeHtml(filePathLabel)}" />
+	<title>${escapeHtml(preferredTitle)} - 编辑</title>
+	<link rel="stylesheet" href="${mount}/markdown-page.css?v=${MARKDOWN_PAGE_VERSION}" />
+	<link id="theme-stylesheet" rel="stylesheet" href="${mount}/themes/${safeTheme}.css?v=${MARKDOWN_PAGE_VERSION}" />
+	${hydrate.math ? `<link id="katex-stylesheet" rel="stylesheet" href="${mount}/vendor/katex.min.css" />` : ""}
+</head>
+<body class="typora-export md-editing">
+	<div class="page-shell">
+		<header class="page-header">
+			<div class="file-info">
+				<div class="file-title" id="page-title">${escapeHtml(preferredTitle)}</div>
+				<div class="file-path">${escapeHtml(filePathLabel)}</div>
+			</div>
+			<div class="file-meta" id="frontmatter-meta">${preview.meta}</div>
+			<nav class="header-actions" aria-label="页面操作">
+				<span class="editor-status" id="editor-status" role="status" aria-live="polite">已保存</span>
+				<label class="theme-switch" for="theme-switcher">主题</label>
+				<select id="theme-switcher" class="theme-select" aria-label="切换主题">
+					${(themeList || [safeTheme]).map((t) => `<option value="${t}"${t === safeTheme ? " selected" : ""}>${t}</option>`).join("")}
+				</select>
+				<button type="button" class="action-link" id="editor-save" title="Ctrl+S">保存</button>
+				<a class="action-link" href="${escapeHtml(filePathLabel)}">完成</a>
+			</nav>
+		</header>
+		<main class="editor-layout">
+			<textarea id="editor-source" class="editor-source" spellcheck="false" aria-label="Markdown 源文本">
+${escapeHtml(markdownContent || "")}</textarea>
+			<div class="content-wrapper editor-preview">
+				<article id="write" class="typora-export">${preview.html}</article>
+			</div>
 		</main>
 	</div>
 
 	<script>window.__MARKDOWN_PAGE_CONTEXT__ = ${contextJson};</script>
-	<script src="${mount}/vendor/markdown-it/markdown-it.min.js"></script>
-	<script src="${mount}/vendor/markdown-it/markdown-it-footnote.min.js"></script>
-	<script src="${mount}/vendor/markdown-it/markdown-it-sub.min.js"></script>
-	<script src="${mount}/vendor/markdown-it/markdown-it-sup.min.js"></script>
-	<script src="${mount}/vendor/markdown-it/markdown-it-mark.min.js"></script>
-	<script src="${mount}/vendor/markdown-it/markdown-it-task-lists.min.js"></script>
-	<script src="${mount}/vendor/highlight.min.js"></script>
-	<script src="${mount}/vendor/mermaid.min.js"></script>
-	<script src="${mount}/vendor/katex.min.js"></script>
-	<script src="${mount}/vendor/auto-render.min.js"></script>
+	${hydrate.mermaid ? `<script src="${mount}/vendor/mermaid.min.js"></script>` : ""}
+	${hydrate.math ? `<script src="${mount}/vendor/katex.min.js"></script>
+	<script src="${mount}/vendor/auto-render.min.js"></script>` : ""}
 	<script src="${mount}/js/markdown-page-runtime.js?v=${MARKDOWN_PAGE_VERSION}"></script>
 </body>
 </html>`;
@@ -196,6 +356,12 @@ function generateMarkdownPage(
 
 module.exports = {
 	generateMarkdownPage,
+	generateMarkdownEditorPage,
+	renderMarkdownPreview,
 	MARKDOWN_PAGE_VERSION,
-	stripFrontMatter
+	stripFrontMatter,
+	loadThemeList,
+	sanitizeThemeName,
+	renderFrontMatterMeta,
+	renderTagChips
 };
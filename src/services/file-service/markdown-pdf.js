@@ -0,0 +1,617 @@
+/**
+ * Markdown 导出为 PDF
+ *
+ * 遍历 markdown-it token 流，用 utils/pdf-writer 直接排版（A4，自动分页，页脚页码），
+ * 不经过 HTML 与浏览器：
+ * - 标题、段落、列表（含任务列表）、引用与提示块、代码块、表格、分隔线、脚注、目录
+ * - 行内粗体、斜体、行内代码与链接（可点击）；中日文逐字断行，西文按单词断行
+ * - 独占一段的本地 JPEG / PNG 图片嵌入页面，其余图片以替代文字显示
+ * - 不支持：Mermaid 图表与 KaTeX 公式不绘制，以源码显示（需要图表与公式时使用 HTML 导出）
+ */
+
+const { PdfWriter } = require('../../utils/pdf-writer');
+const { parseMarkdown } = require('./markdown-renderer');
+
+const MARGIN = 56;
+const BODY_SIZE = 10.5;
+const LINE_HEIGHT = 1.55;
+const HEADING_SIZES = [0, 20, 16.5, 14, 12.5, 11.5, 10.5];
+const LIST_INDENT = 18;
+const QUOTE_INDENT = 14;
+const CODE_SIZE = 8.8;
+const COLORS = {
+  text: [0.13, 0.13, 0.13],
+  muted: [0.42, 0.42, 0.42],
+  link: [0.04, 0.4, 0.8],
+  rule: [0.82, 0.82, 0.82],
+  codeBg: [0.95, 0.95, 0.96],
+  quoteBar: [0.78, 0.8, 0.84],
+  tableHead: [0.93, 0.94, 0.96]
+};
+const CALLOUT_COLORS = {
+  NOTE: [0.04, 0.4, 0.8],
+  TIP: [0.1, 0.55, 0.25],
+  IMPORTANT: [0.5, 0.3, 0.8],
+  WARNING: [0.75, 0.5, 0.05],
+  CAUTION: [0.8, 0.15, 0.15]
+};
+// 断行单元：换行、空白、单个中日韩文字或全角标点、连续的其他字符
+const PIECE_PATTERN = /\n|[^\S\n]+|[\u2E80-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFFEF]|[^\s\u2E80-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFFEF]+/g;
+const PX_TO_PT = 0.75;
+
+/**
+ * 行内样式对应的字体名
+ * @private
+ */
+function fontOf(style) {
+  if (style.mono) return 'mono';
+  if (style.bold && style.italic) return 'boldItalic';
+  if (style.bold) return 'bold';
+  if (style.italic) return 'italic';
+  return 'regular';
+}
+
+/**
+ * 去掉 HTML 标签并还原常见实体
+ * @private
+ */
+function stripHtml(html) {
+  return String(html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#0?39;/g, "'").replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&');
+}
+
+/**
+ * 行内 token 转为带样式的文字片段 [{ text, style }]
+ * @private
+ */
+function inlineRuns(token, base = {}) {
+  const runs = [];
+  const style = { bold: 0, italic: 0, link: [] };
+  const push = (text, extra = {}) => {
+    if (!text) return;
+    runs.push({
+      text,
+      style: {
+        bold: !!(base.bold || style.bold),
+        italic: !!(base.italic || style.italic),
+        mono: !!extra.mono,
+        link: style.link.length ? style.link[style.link.length - 1] : null,
+        size: base.size
+      }
+    });
+  };
+
+  for (const child of token.children || []) {
+    switch (child.type) {
+      case 'text':
+        push(child.content);
+        break;
+      case 'code_inline':
+        push(child.content, { mono: true });
+        break;
+      case 'softbreak':
+        push(' ');
+        break;
+      case 'hardbreak':
+        push('\n');
+        break;
+      case 'strong_open': style.bold++; break;
+      case 'strong_close': style.bold--; break;
+      case 'em_open': style.italic++; break;
+      case 'em_close': style.italic--; break;
+      case 'link_open':
+        style.link.push(child.attrGet('href') || null);
+        break;
+      case 'link_close':
+        style.link.pop();
+        break;
+      case 'image':
+        push(`[图片: ${child.content || child.attrGet('src') || ''}]`);
+        break;
+      case 'wikilink':
+        push(child.meta.label);
+        break;
+      case 'footnote_ref':
+        push(`[${child.meta.id + 1}]`);
+        break;
+      case 'html_inline':
+        if (/type="checkbox"/.test(child.content)) {
+          push(/\bchecked\b/.test(child.content) ? '[x] ' : '[ ] ', { mono: true });
+        } else {
+          push(stripHtml(child.content).replace(/^\s+/, ''));
+        }
+        break;
+      default:
+        break;
+    }
+  }
+  return runs;
+}
+
+/**
+ * 合并同一行中样式相同的相邻单元，减少输出的文字指令
+ * @private
+ */
+function mergePieces(line) {
+  const merged = [];
+  for (const piece of line) {
+    const last = merged[merged.length - 1];
+    if (last && last.font === piece.font && last.size === piece.size && last.link === piece.link) {
+      last.text += piece.text;
+      last.width += piece.width;
+    } else {
+      merged.push({ ...piece });
+    }
+  }
+  return merged;
+}
+
+class MarkdownPdfLayout {
+  /**
+   * @param {PdfWriter} pdf - PDF 写入器
+   * @param {Function|null} loadImage - (src) => Buffer|null，读取本地图片
+   */
+  constructor(pdf, loadImage) {
+    this.pdf = pdf;
+    this.loadImage = loadImage;
+    this.left = MARGIN;
+    this.right = pdf.width - MARGIN;
+    this.bottom = pdf.height - MARGIN;
+    this.bars = [];
+    this.newPage();
+  }
+
+  newPage() {
+    this.pdf.addPage();
+    this.y = MARGIN;
+  }
+
+  /**
+   * 剩余高度不足时换页
+   */
+  ensure(height) {
+    if (this.y + height > this.bottom && this.y > MARGIN) {
+      this.newPage();
+    }
+  }
+
+  space(amount) {
+    this.y = Math.min(this.y + amount, this.bottom);
+  }
+
+  /**
+   * 绘制当前行左侧的引用竖线
+   * @private
+   */
+  drawBars(top, height) {
+    for (const bar of this.bars) {
+      this.pdf.rect(bar.x, top, 2.5, height, { fill: bar.color });
+    }
+  }
+
+  /**
+   * 片段拆分为可断行的单元
+   * @private
+   */
+  pieces(runs, size) {
+    const pieces = [];
+    for (const run of runs) {
+      const font = fontOf(run.style);
+      const pieceSize = run.style.size || (run.style.mono ? size * 0.92 : size);
+      for (const text of run.text.match(PIECE_PATTERN) || []) {
+        if (text === '\n') {
+          pieces.push({ newline: true });
+          continue;
+        }
+        const isSpace = !text.trim();
+        pieces.push({
+          text: isSpace ? ' ' : text,
+          font,
+          size: pieceSize,
+          link: run.style.link,
+          space: isSpace,
+          width: this.pdf.textWidth(isSpace ? ' ' : text, font, pieceSize)
+        });
+      }
+    }
+    return pieces;
+  }
+
+  /**
+   * 过长的单词按字符拆开
+   * @private
+   */
+  splitPiece(piece, maxWidth) {
+    const parts = [];
+    let current = '';
+    for (const char of piece.text) {
+      if (current && this.pdf.textWidth(current + char, piece.font, piece.size) > maxWidth) {
+        parts.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    if (current) parts.push(current);
+    return parts.map(text => ({ ...piece, text, width: this.pdf.textWidth(text, piece.font, piece.size) }));
+  }
+
+  /**
+   * 断行
+   * @private
+   */
+  breakLines(pieces, width) {
+    const lines = [];
+    let line = [];
+    let lineWidth = 0;
+    const flush = () => {
+      while (line.length && line[line.length - 1].space) line.pop();
+      lines.push(line);
+      line = [];
+      lineWidth = 0;
+    };
+    const queue = [...pieces];
+    while (queue.length) {
+      const piece = queue.shift();
+      if (piece.newline) {
+        flush();
+        continue;
+      }
+      if (piece.space && !line.length) continue;
+      if (lineWidth + piece.width > width && line.length) {
+        flush();
+        if (piece.space) continue;
+      }
+      if (piece.width > width) {
+        queue.unshift(...this.splitPiece(piece, width));
+        continue;
+      }
+      line.push(piece);
+      lineWidth += piece.width;
+    }
+    if (line.length) flush();
+    return lines;
+  }
+
+  /**
+   * 排版一段文字
+   *
+   * @param {Object[]} runs - 文字片段
+   * @param {Object} options - { size, indent, color, prefix: 首行左侧的列表标记, after: 段后间距 }
+   */
+  paragraph(runs, options = {}) {
+    const size = options.size || BODY_SIZE;
+    const indent = options.indent || 0;
+    const x = this.left + indent;
+    const width = this.right - x;
+    const lines = this.breakLines(this.pieces(runs, size), width);
+    if (!lines.length && !options.prefix) return;
+
+    lines.forEach((line, index) => {
+      const lineSize = line.reduce((max, piece) => Math.max(max, piece.size), size);
+      const height = lineSize * LINE_HEIGHT;
+      this.ensure(height);
+      const top = this.y;
+      const baseline = top + lineSize * 1.15;
+      this.drawBars(top, height);
+
+      if (index === 0 && options.prefix) {
+        const prefixWidth = this.pdf.textWidth(options.prefix, 'regular', size);
+        this.pdf.text(x - prefixWidth - 5, baseline, options.prefix, { font: 'regular', size, color: options.color || COLORS.text });
+      }
+
+      let cursor = x;
+      for (const piece of mergePieces(line)) {
+        const color = piece.link ? COLORS.link : (options.color || COLORS.text);
+        this.pdf.text(cursor, baseline, piece.text, { font: piece.font, size: piece.size, color });
+        if (piece.link && /^(https?:|mailto:)/i.test(piece.link)) {
+          this.pdf.link(cursor, top, piece.width, height, piece.link);
+        }
+        cursor += piece.width;
+      }
+      this.y += height;
+    });
+    this.space(options.after !== undefined ? options.after : size * 0.6);
+  }
+
+  heading(level, runs) {
+    const size = HEADING_SIZES[level] || BODY_SIZE;
+    this.space(level <= 2 ? size * 0.7 : size * 0.5);
+    this.ensure(size * 3);
+    this.paragraph(runs.map(run => ({ ...run, style: { ...run.style, bold: true } })), { size, after: level <= 2 ? 3 : size * 0.35 });
+    if (level <= 2) {
+      this.pdf.line(this.left, this.y, this.right, this.y, { color: COLORS.rule, lineWidth: 0.6 });
+      this.space(size * 0.5);
+    }
+  }
+
+  /**
+   * 代码块（等宽字体、灰色背景，超宽行折行）
+   */
+  codeBlock(content, indent, caption) {
+    const x = this.left + indent;
+    const width = this.right - x;
+    const padding = 6;
+    const lineHeight = CODE_SIZE * 1.45;
+    const maxWidth = width - padding * 2;
+
+    if (caption) {
+      this.paragraph([{ text: caption, style: { italic: true } }], { indent, size: 9, color: COLORS.muted, after: 2 });
+    }
+
+    const lines = [];
+    for (const raw of String(content).replace(/\n$/, '').split('\n')) {
+      const text = raw.replace(/\t/g, '    ');
+      if (!text) {
+        lines.push('');
+        continue;
+      }
+      let current = '';
+      for (const char of text) {
+        if (current && this.pdf.textWidth(current + char, 'mono', CODE_SIZE) > maxWidth) {
+          lines.push(current);
+          current = '';
+        }
+        current += char;
+      }
+      lines.push(current);
+    }
+
+    this.ensure(lineHeight + padding * 2);
+    this.space(2);
+    lines.forEach((line, index) => {
+      const first = index === 0;
+      const last = index === lines.length - 1;
+      const height = lineHeight + (first ? padding : 0) + (last ? padding : 0);
+      if (this.y + height > this.bottom) this.newPage();
+      this.pdf.rect(x, this.y, width, height, { fill: COLORS.codeBg });
+      this.drawBars(this.y, height);
+      const baseline = this.y + (first ? padding : 0) + CODE_SIZE * 1.1;
+      if (line) this.pdf.text(x + padding, baseline, line, { font: 'mono', size: CODE_SIZE, color: COLORS.text });
+      this.y += height;
+    });
+    this.space(BODY_SIZE * 0.8);
+  }
+
+  rule() {
+    this.ensure(BODY_SIZE * 1.5);
+    this.space(BODY_SIZE * 0.5);
+    this.pdf.line(this.left, this.y, this.right, this.y, { color: COLORS.rule, lineWidth: 0.8 });
+    this.space(BODY_SIZE * 0.8);
+  }
+
+  /**
+   * 表格（等分列宽，单元格内折行）
+   */
+  table(rows, indent) {
+    const columns = rows.reduce((max, row) => Math.max(max, row.cells.length), 0);
+    if (!columns) return;
+    const x = this.left + indent;
+    const width = this.right - x;
+    const columnWidth = width / columns;
+    const padding = 4;
+    const size = BODY_SIZE * 0.92;
+    const lineHeight = size * LINE_HEIGHT;
+
+    this.space(2);
+    for (const row of rows) {
+      const cells = row.cells.map(cell => this.breakLines(
+        this.pieces(row.header ? cell.map(run => ({ ...run, style: { ...run.style, bold: true } })) : cell, size),
+        columnWidth - padding * 2
+      ));
+      const height = Math.max(1, ...cells.map(lines => lines.length)) * lineHeight + padding * 2;
+      if (this.y + height > this.bottom) this.newPage();
+      const top = this.y;
+      for (let c = 0; c < columns; c++) {
+        const cellX = x + c * columnWidth;
+        this.pdf.rect(cellX, top, columnWidth, height, row.header
+          ? { fill: COLORS.tableHead, stroke: COLORS.rule }
+          : { stroke: COLORS.rule });
+        (cells[c] || []).forEach((line, index) => {
+          let cursor = cellX + padding;
+          const baseline = top + padding + index * lineHeight + size * 1.15;
+          for (const piece of mergePieces(line)) {
+            this.pdf.text(cursor, baseline, piece.text, { font: piece.font, size: piece.size, color: piece.link ? COLORS.link : COLORS.text });
+            cursor += piece.width;
+          }
+        });
+      }
+      this.y += height;
+    }
+    this.space(BODY_SIZE * 0.8);
+  }
+
+  /**
+   * 独占一段的图片，无法嵌入时返回 false
+   */
+  image(src, indent) {
+    if (!this.loadImage) return false;
+    const buffer = this.loadImage(src);
+    const image = buffer ? this.pdf.addImage(buffer) : null;
+    if (!image) return false;
+
+    const maxWidth = this.right - this.left - indent;
+    const maxHeight = (this.bottom - MARGIN) * 0.7;
+    const scale = Math.min(1, maxWidth / (image.width * PX_TO_PT), maxHeight / (image.height * PX_TO_PT));
+    const width = image.width * PX_TO_PT * scale;
+    const height = image.height * PX_TO_PT * scale;
+    this.ensure(height);
+    this.pdf.image(image, this.left + indent, this.y, width, height);
+    this.y += height;
+    this.space(BODY_SIZE * 0.8);
+    return true;
+  }
+
+  /**
+   * 排版整篇 token 流
+   *
+   * @param {Object[]} tokens - markdown-it token
+   * @param {Object[]} headings - 标题列表（用于 [toc]）
+   */
+  render(tokens, headings) {
+    const lists = [];
+    let quoteDepth = 0;
+    let marker = null;
+    let label = null;
+    let footnotes = false;
+    const indent = () => lists.length * LIST_INDENT + quoteDepth * QUOTE_INDENT;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      switch (token.type) {
+        case 'heading_open':
+          this.heading(Number(token.tag.slice(1)), inlineRuns(tokens[i + 1]));
+          i += 2;
+          break;
+
+        case 'paragraph_open': {
+          const inline = tokens[i + 1];
+          const children = (inline.children || []).filter(child => child.type !== 'text' || child.content.trim());
+          const tight = token.hidden;
+          const size = footnotes ? BODY_SIZE * 0.85 : BODY_SIZE;
+          const runs = inlineRuns(inline, { size: footnotes ? size : undefined });
+          if (label) {
+            runs.unshift({ text: `${label} `, style: { bold: true } });
+          }
+          const onlyImage = children.length === 1 && children[0].type === 'image' && !marker && !label;
+          if (!onlyImage || !this.image(children[0].attrGet('src'), indent())) {
+            this.paragraph(runs, {
+              size,
+              indent: indent(),
+              prefix: marker,
+              after: tight ? 2 : size * 0.6
+            });
+          }
+          marker = null;
+          label = null;
+          i += 2;
+          break;
+        }
+
+        case 'bullet_list_open':
+        case 'ordered_list_open':
+          lists.push({ ordered: token.type === 'ordered_list_open', next: Number(token.attrGet('start') || 1) });
+          break;
+        case 'bullet_list_close':
+        case 'ordered_list_close':
+          lists.pop();
+          if (!lists.length) this.space(BODY_SIZE * 0.4);
+          break;
+        case 'list_item_open': {
+          const list = lists[lists.length - 1];
+          const task = /task-list-item/.test(token.attrGet('class') || '');
+          marker = task ? null : (list.ordered ? `${list.next++}.` : '•');
+          break;
+        }
+        case 'list_item_close':
+          marker = null;
+          break;
+
+        case 'blockquote_open': {
+          const callout = token.attrGet('data-callout-label');
+          const color = callout ? CALLOUT_COLORS[callout] || COLORS.quoteBar : COLORS.quoteBar;
+          this.bars.push({ x: this.left + indent(), color });
+          quoteDepth++;
+          if (callout) label = callout;
+          break;
+        }
+        case 'blockquote_close':
+          this.bars.pop();
+          quoteDepth--;
+          break;
+
+        case 'fence':
+        case 'code_block': {
+          const lang = String(token.info || '').trim().split(/\s+/)[0].toLowerCase();
+          this.codeBlock(token.content, indent(), lang === 'mermaid' ? 'Mermaid 图表（PDF 中以源码显示）' : null);
+          break;
+        }
+
+        case 'hr':
+          this.rule();
+          break;
+
+        case 'table_open': {
+          const rows = [];
+          let header = false;
+          for (i++; i < tokens.length && tokens[i].type !== 'table_close'; i++) {
+            const inner = tokens[i];
+            if (inner.type === 'thead_open') header = true;
+            else if (inner.type === 'thead_close') header = false;
+            else if (inner.type === 'tr_open') rows.push({ header, cells: [] });
+            else if (inner.type === 'inline') rows[rows.length - 1].cells.push(inlineRuns(inner));
+          }
+          this.table(rows, indent());
+          break;
+        }
+
+        case 'html_block':
+          if (/data-toc-placeholder/.test(token.content)) {
+            for (const heading of headings) {
+              this.paragraph([{ text: heading.text, style: {} }], {
+                indent: indent() + (heading.level - 1) * 12,
+                color: COLORS.link,
+                after: 1
+              });
+            }
+            this.space(BODY_SIZE * 0.6);
+          } else {
+            const text = stripHtml(token.content).trim();
+            if (text) this.paragraph([{ text, style: {} }], { indent: indent() });
+          }
+          break;
+
+        case 'footnote_block_open':
+          footnotes = true;
+          this.rule();
+          break;
+        case 'footnote_open':
+          marker = `[${token.meta.id + 1}]`;
+          break;
+
+        default:
+          break;
+      }
+    }
+  }
+}
+
+/**
+ * 生成 Markdown 文档的 PDF
+ *
+ * @param {Object} doc - { title, meta: noteMeta 的结果, body: 不含 front matter 的正文 }
+ * @param {Object} options - { loadImage: (src) => Buffer|null }
+ * @returns {Buffer}
+ */
+function renderMarkdownPdf(doc, options = {}) {
+  const meta = doc.meta || {};
+  const pdf = new PdfWriter({ title: doc.title, author: meta.author });
+  const layout = new MarkdownPdfLayout(pdf, options.loadImage || null);
+
+  // 文档标题与元信息
+  layout.paragraph([{ text: doc.title || '', style: { bold: true } }], { size: 22, after: 4 });
+  const info = [meta.author, meta.date, meta.updated && `更新于 ${meta.updated}`].filter(Boolean).join(' · ');
+  const tags = (meta.tags || []).map(tag => `#${tag}`).join('  ');
+  if (info) layout.paragraph([{ text: info, style: {} }], { size: 9.5, color: COLORS.muted, after: 2 });
+  if (tags) layout.paragraph([{ text: tags, style: {} }], { size: 9.5, color: COLORS.link, after: 2 });
+  layout.rule();
+
+  const { tokens, headings } = parseMarkdown(doc.body);
+  layout.render(tokens, headings);
+
+  // 页脚页码
+  const total = pdf.pages.length;
+  for (let index = 0; index < total; index++) {
+    pdf.usePage(index);
+    const label = `${index + 1} / ${total}`;
+    const size = 8.5;
+    pdf.text((pdf.width - pdf.textWidth(label, 'regular', size)) / 2, pdf.height - MARGIN / 2, label, { size, color: COLORS.muted });
+  }
+
+  return pdf.toBuffer();
+}
+
+module.exports = {
+  renderMarkdownPdf
+};
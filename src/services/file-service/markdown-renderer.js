@@ -0,0 +1,372 @@
+/**
+ * Markdown 服务端渲染
+ *
+ * 复用 public/vendor 下的 markdown-it（UMD 构建可直接 require）与 highlight.js，
+ * 在服务端输出完整正文 HTML：
+ * - 标题 ID（与旧版浏览器端规则一致，重复时追加 -1、-2）
+ * - 独占一段的 [toc] 替换为目录
+ * - GitHub 风格提示块（> [!NOTE] / [!TIP] / [!IMPORTANT] / [!WARNING] / [!CAUTION]）
+ * - 代码块高亮；mermaid 代码块输出为 <div class="mermaid"> 交由浏览器绘制
+ * - Wiki 链接 [[笔记]] / [[笔记#标题|显示文字]]（输出占位链接，由 linkWikiLinks 按笔记索引补全地址）
+ *
+ * 页面只需在浏览器中补充 Mermaid 与 KaTeX，禁用脚本时正文、目录与高亮照常可读。
+ * 渲染结果按正文摘要缓存在 globalCache 的 markdown 命名空间，不同主题的页面共用。
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { escapeHtml } = require('../../utils/html-escape');
+const { globalCache } = require('../../utils/cache-manager');
+
+// 渲染规则变化时递增，使缓存的渲染结果失效
+const RENDERER_VERSION = 2;
+const VENDOR_DIR = path.resolve(__dirname, '../../../public/vendor');
+const CACHE_TTL = 5 * 60 * 1000;
+const MAX_AUTO_HIGHLIGHT = 20 * 1024; // 未标注语言的代码块超过此长度不做自动识别
+const CALLOUT_PATTERN = /^\s*\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\][ \t]*(?:\r?\n)?/i;
+const TOC_PATTERN = /^\[toc\]$/i;
+const MATH_PATTERN = /\$|\\\(|\\\[/;
+const WIKILINK_PATTERN = /^\[\[([^\[\]\n|]+?)(?:\|([^\[\]\n]+?))?\]\]/;
+const WIKILINK_GLOBAL = /\[\[([^\[\]\n|]+?)(?:\|[^\[\]\n]+?)?\]\]/g;
+const WIKILINK_TAG = /<a class="wikilink" data-wikilink="([^"]*)" data-anchor="([^"]*)">/g;
+
+let parser = null;
+let highlighter = null;
+
+/**
+ * 生成标题锚点（保留各语言文字与数字，空白转为 -）
+ *
+ * @param {string} text - 标题文本
+ * @returns {string}
+ */
+function slugify(text) {
+  return String(text || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-');
+}
+
+/**
+ * 加载 highlight.js（首次使用时加载）
+ * @private
+ */
+function getHighlighter() {
+  if (!highlighter) {
+    highlighter = require(path.join(VENDOR_DIR, 'highlight.min.js'));
+  }
+  return highlighter;
+}
+
+/**
+ * 高亮代码
+ * @private
+ */
+function highlightCode(code, lang) {
+  const hljs = getHighlighter();
+  try {
+    if (lang && hljs.getLanguage(lang)) {
+      return { html: hljs.highlight(code, { language: lang, ignoreIllegals: true }).value, language: lang };
+    }
+    if (!lang && code.length <= MAX_AUTO_HIGHLIGHT) {
+      const result = hljs.highlightAuto(code);
+      return { html: result.value, language: result.language || '' };
+    }
+  } catch (_) {
+    // 高亮失败时按纯文本输出
+  }
+  return { html: escapeHtml(code), language: lang };
+}
+
+/**
+ * 输出代码块（mermaid 保留源码交由浏览器绘制）
+ * @private
+ */
+function renderCodeBlock(content, info, env) {
+  const lang = String(info || '').trim().split(/\s+/)[0];
+  if (lang.toLowerCase() === 'mermaid') {
+    env.hydrate.mermaid = true;
+    return `<div class="mermaid">${escapeHtml(content)}</div>\n`;
+  }
+  const { html, language } = highlightCode(content, lang);
+  const className = language ? `hljs language-${escapeHtml(language)}` : 'hljs';
+  return `<pre><code class="${className}">${html}</code></pre>\n`;
+}
+
+/**
+ * 提取行内 token 的纯文本
+ * @private
+ */
+function inlineText(token) {
+  return (token.children || [])
+    .map(child => {
+      if (child.type === 'text' || child.type === 'code_inline') return child.content;
+      if (child.type === 'softbreak' || child.type === 'hardbreak') return ' ';
+      if (child.type === 'wikilink') return child.meta.label;
+      return '';
+    })
+    .join('');
+}
+
+/**
+ * 核心规则：提示块（在行内解析前去掉 [!TYPE] 标记）
+ * @private
+ */
+function calloutRule(state) {
+  const tokens = state.tokens;
+  for (let i = 0; i < tokens.length - 2; i++) {
+    if (tokens[i].type !== 'blockquote_open' || tokens[i + 1].type !== 'paragraph_open' || tokens[i + 2].type !== 'inline') {
+      continue;
+    }
+    const inline = tokens[i + 2];
+    const match = inline.content.match(CALLOUT_PATTERN);
+    if (!match) continue;
+
+    const type = match[1].toLowerCase();
+    tokens[i].attrJoin('class', `md-callout md-callout-${type}`);
+    tokens[i].attrSet('data-callout-label', type.toUpperCase());
+    inline.content = inline.content.slice(match[0].length).trim();
+    // 标记独占一段时去掉空段落
+    if (!inline.content) {
+      tokens.splice(i + 1, 3);
+    }
+  }
+}
+
+/**
+ * 核心规则：标题 ID（记录到 env.headings 供目录使用）
+ * @private
+ */
+function headingIdRule(state) {
+  const used = new Set();
+  const tokens = state.tokens;
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i].type !== 'heading_open') continue;
+
+    const text = inlineText(tokens[i + 1]);
+    const base = slugify(text) || 'heading';
+    let id = base;
+    for (let counter = 1; used.has(id); counter++) {
+      id = `${base}-${counter}`;
+    }
+    used.add(id);
+    tokens[i].attrSet('id', id);
+    state.env.headings.push({ level: Number(tokens[i].tag.slice(1)), id, text });
+  }
+}
+
+/**
+ * 生成目录 HTML
+ * @private
+ */
+function renderToc(headings) {
+  const items = headings.map(h =>
+    `<li class="toc-item toc-level-${h.level}"><a href="#${escapeHtml(h.id)}">${escapeHtml(h.text)}</a></li>`
+  ).join('');
+  return `<div id="md-toc" class="md-toc" data-toc-placeholder="1">${items ? `<ul class="toc-list">${items}</ul>` : ''}</div>\n`;
+}
+
+/**
+ * 核心规则：独占一段的 [toc] 替换为目录（需在标题 ID 之后执行）
+ * @private
+ */
+function tocRule(state) {
+  const tokens = state.tokens;
+  for (let i = 0; i < tokens.length - 2; i++) {
+    if (tokens[i].type !== 'paragraph_open' || tokens[i + 1].type !== 'inline' || !TOC_PATTERN.test(tokens[i + 1].content.trim())) {
+      continue;
+    }
+    const block = new state.Token('html_block', '', 0);
+    block.content = renderToc(state.env.headings);
+    block.block = true;
+    tokens.splice(i, 3, block);
+  }
+}
+
+/**
+ * 拆分 Wiki 链接目标：笔记名与 # 之后的标题
+ * @private
+ */
+function parseWikiTarget(raw) {
+  const text = String(raw || '').trim();
+  const hashIndex = text.indexOf('#');
+  if (hashIndex === -1) return { target: text, heading: '' };
+  return { target: text.slice(0, hashIndex).trim(), heading: text.slice(hashIndex + 1).trim() };
+}
+
+/**
+ * 行内规则：[[笔记]]、[[笔记|显示文字]]、[[笔记#标题]]、[[#标题]]
+ * @private
+ */
+function wikiLinkRule(state, silent) {
+  if (state.src.charCodeAt(state.pos) !== 0x5B || state.src.charCodeAt(state.pos + 1) !== 0x5B) return false;
+  const match = state.src.slice(state.pos).match(WIKILINK_PATTERN);
+  if (!match) return false;
+
+  const { target, heading } = parseWikiTarget(match[1]);
+  if (!target && !heading) return false;
+  if (!silent) {
+    const token = state.push('wikilink', '', 0);
+    token.meta = { target, heading, label: (match[2] || match[1]).trim() };
+  }
+  state.pos += match[0].length;
+  return true;
+}
+
+/**
+ * 输出 Wiki 链接：仅含标题时直接指向本页锚点，否则输出待补全地址的占位链接
+ * @private
+ */
+function renderWikiLink(tokens, idx) {
+  const { target, heading, label } = tokens[idx].meta;
+  const anchor = heading ? escapeHtml(slugify(heading)) : '';
+  if (!target) {
+    return `<a class="wikilink" href="#${anchor}">${escapeHtml(label)}</a>`;
+  }
+  return `<a class="wikilink" data-wikilink="${escapeHtml(target)}" data-anchor="${anchor}">${escapeHtml(label)}</a>`;
+}
+
+/**
+ * 创建 markdown-it 实例（与旧版浏览器端相同的选项与插件）
+ * @private
+ */
+function getParser() {
+  if (parser) return parser;
+
+  const markdownit = require(path.join(VENDOR_DIR, 'markdown-it/markdown-it.min.js'));
+  const md = markdownit({
+    html: true,
+    linkify: true,
+    typographer: true,
+    breaks: false
+  });
+
+  // 不启用 sub/sup 插件，避免在 $$ 内改写 \_ / ^，导致 KaTeX 解析失败
+  md.use(require(path.join(VENDOR_DIR, 'markdown-it/markdown-it-mark.min.js')));
+  md.use(require(path.join(VENDOR_DIR, 'markdown-it/markdown-it-footnote.min.js')));
+  md.use(require(path.join(VENDOR_DIR, 'markdown-it/markdown-it-task-lists.min.js')), { label: true, labelAfter: true });
+
+  md.inline.ruler.before('link', 'wikilink', wikiLinkRule);
+  md.renderer.rules.wikilink = renderWikiLink;
+
+  md.core.ruler.after('block', 'callouts', calloutRule);
+  md.core.ruler.after('inline', 'heading_ids', headingIdRule);
+  md.core.ruler.after('heading_ids', 'toc', tocRule);
+
+  md.renderer.rules.fence = (tokens, idx, options, env) =>
+    renderCodeBlock(tokens[idx].content, md.utils.unescapeAll(tokens[idx].info || ''), env);
+  md.renderer.rules.code_block = (tokens, idx, options, env) =>
+    renderCodeBlock(tokens[idx].content, '', env);
+
+  parser = md;
+  return parser;
+}
+
+/**
+ * 任务列表插件使用随机 ID，改为按出现顺序编号，保证相同内容的输出（及 ETag）一致
+ * @private
+ */
+function stableTaskIds(html) {
+  const ids = new Map();
+  return html.replace(/task-item-\d+/g, (id) => {
+    if (!ids.has(id)) ids.set(id, `task-item-${ids.size + 1}`);
+    return ids.get(id);
+  });
+}
+
+/**
+ * 渲染 Markdown 正文（不含 front matter）
+ *
+ * @param {string} body - Markdown 正文
+ * @param {Object} options - { wikiLinks: 是否解析 [[...]]（默认 true） }
+ * @returns {{ html: string, headings: Object[], hydrate: { mermaid: boolean, math: boolean } }}
+ *          html 为正文 HTML；headings 为 [{ level, id, text }]；hydrate 表示页面需要加载的浏览器端渲染
+ */
+function renderMarkdown(body, options = {}) {
+  const source = String(body || '');
+  const wikiLinks = options.wikiLinks !== false;
+  const cacheKey = `render:${RENDERER_VERSION}:${wikiLinks ? 'w' : '-'}:${crypto.createHash('sha1').update(source).digest('hex')}`;
+  const cached = globalCache.get(cacheKey, 'markdown');
+  if (cached) return cached;
+
+  const md = getParser();
+  if (wikiLinks) {
+    md.inline.ruler.enable('wikilink');
+  } else {
+    md.inline.ruler.disable('wikilink');
+  }
+
+  const env = { headings: [], hydrate: { mermaid: false, math: false } };
+  const html = source.trim() ? stableTaskIds(md.render(source, env)) : '';
+  env.hydrate.math = MATH_PATTERN.test(source);
+
+  const result = { html, headings: env.headings, hydrate: env.hydrate };
+  globalCache.set(cacheKey, result, CACHE_TTL, 'markdown');
+  return result;
+}
+
+/**
+ * 解析 Markdown 正文为 markdown-it token 流（供 PDF 导出等非 HTML 输出使用）
+ *
+ * 与 renderMarkdown 使用同一套规则（提示块、标题 ID、目录、Wiki 链接），结果不缓存。
+ *
+ * @param {string} body - Markdown 正文
+ * @returns {{ tokens: Object[], headings: Object[] }}
+ */
+function parseMarkdown(body) {
+  const md = getParser();
+  md.inline.ruler.enable('wikilink');
+  const env = { headings: [], hydrate: { mermaid: false, math: false } };
+  const tokens = md.parse(String(body || ''), env);
+  return { tokens, headings: env.headings };
+}
+
+/**
+ * 补全渲染结果中的 Wiki 链接地址
+ *
+ * 渲染结果按正文缓存，而链接目标随其他笔记增删而变化，因此地址在输出页面时再解析。
+ * 无法解析的链接保留文字并标记为 wikilink-broken。
+ *
+ * @param {string} html - renderMarkdown 输出的 HTML
+ * @param {Function|null} resolve - (target) => 访问地址（已编码）或 null
+ * @returns {string}
+ */
+function linkWikiLinks(html, resolve) {
+  return String(html || '').replace(WIKILINK_TAG, (tag, encodedTarget, anchor) => {
+    const target = encodedTarget
+      .replace(/&quot;/g, '"').replace(/&#039;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+    const href = resolve ? resolve(target) : null;
+    if (!href) {
+      return `<a class="wikilink wikilink-broken" data-wikilink="${encodedTarget}" title="未找到笔记：${encodedTarget}">`;
+    }
+    return `<a class="wikilink" href="${escapeHtml(href)}${anchor ? `#${anchor}` : ''}">`;
+  });
+}
+
+/**
+ * 提取 Markdown 中 Wiki 链接的目标笔记名（忽略代码块与行内代码，去重）
+ *
+ * @param {string} markdown - Markdown 原文
+ * @returns {string[]}
+ */
+function extractWikiLinks(markdown) {
+  const text = String(markdown || '')
+    .replace(/^(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^\1[ \t]*$|(?![\s\S]))/gm, '')
+    .replace(/(`+)[^`]*?\1/g, '');
+  const targets = new Set();
+  for (const match of text.matchAll(WIKILINK_GLOBAL)) {
+    const { target } = parseWikiTarget(match[1]);
+    if (target) targets.add(target);
+  }
+  return [...targets];
+}
+
+module.exports = {
+  renderMarkdown,
+  parseMarkdown,
+  linkWikiLinks,
+  extractWikiLinks,
+  slugify,
+  RENDERER_VERSION
+};
@@ -0,0 +1,746 @@
+/**
+ * Mermaid 图表的服务端 SVG 渲染（纯 JS，不依赖浏览器与 DOM）
+ *
+ * 覆盖最常用的两类图表，供 HTML 导出直接内联 SVG：
+ * - flowchart / graph：TB/TD/BT/LR/RL 方向，矩形、圆角、体育场、子程序、圆柱、圆形、菱形、六边形等节点，
+ *   实线/虚线/粗线连线、箭头与连线文字，`A & B --> C` 与链式写法；分层布局（最长路径分层 + 重心排序）
+ * - sequenceDiagram：participant/actor（含 as 别名）、各类消息箭头、自调用、Note left of/right of/over
+ *
+ * 文字宽度按字符估算（中日韩字符 1em，其余 0.6em），不做真实字体测量。
+ * 无法如实绘出的内容返回 null，由调用方改用浏览器端 Mermaid 绘制：其他图表类型、flowchart 的 subgraph 与
+ * classDef/class/style/linkStyle/::: 样式、sequenceDiagram 的 loop/alt/opt 等分组框、激活条与自动编号。
+ */
+
+const { escapeHtml } = require('../../utils/html-escape');
+
+const FONT_SIZE = 14;
+const LINE_HEIGHT = 18;
+const FONT_FAMILY = '"trebuchet ms", verdana, arial, sans-serif';
+const NODE_PADDING_X = 16;
+const NODE_PADDING_Y = 10;
+const RANK_GAP = 50;
+const NODE_GAP = 30;
+const DUMMY_SIZE = 8;
+const MAX_NODES = 500;
+const COLORS = {
+  nodeFill: '#ECECFF',
+  nodeStroke: '#9370DB',
+  line: '#333333',
+  text: '#333333',
+  labelFill: '#E8E8E8',
+  noteFill: '#FFF5AD',
+  noteStroke: '#AAAA33'
+};
+
+// 节点形状：开始符号 → [结束符号, 形状]（长的开始符号在前，优先匹配）
+const SHAPES = [
+  ['(((', ')))', 'circle'],
+  ['([', '])', 'stadium'],
+  ['[[', ']]', 'subroutine'],
+  ['[(', ')]', 'cylinder'],
+  ['((', '))', 'circle'],
+  ['{{', '}}', 'hexagon'],
+  ['[/', '/]', 'rect'],
+  ['[\\', '\\]', 'rect'],
+  ['[', ']', 'rect'],
+  ['(', ')', 'round'],
+  ['{', '}', 'diamond'],
+  ['>', ']', 'rect']
+];
+const NODE_ID = /[\wÀ-￿]+/y;
+// 带文字的连线：-- 文字 -->、-. 文字 .->、== 文字 ==>
+const TEXT_LINK = /\s*(<?)(--|==|-\.)\s+([^\n]*?)\s+(-{2,}[>ox]?|={2,}[>ox]?|\.-+[>ox]?)\s*/y;
+// 普通连线：-->、---、==>、-.->、-->|文字|
+const LINK = /\s*(<?)(-{2,}|={2,}|-\.+-)([>ox]?)\s*(?:\|([^|]*)\|)?\s*/y;
+const SEQUENCE_MESSAGE = /^([^-+>\s:][^:]*?)\s*(-->>|->>|-->|->|--x|-x|--\)|-\))\s*([+-]?)\s*([^:]+?)\s*(?::\s*(.*))?$/;
+
+/**
+ * 估算单行文字宽度（像素）
+ * @private
+ */
+function textWidth(text) {
+  let width = 0;
+  for (const char of text) {
+    width += char.codePointAt(0) >= 0x2e80 ? 1 : 0.6;
+  }
+  return width * FONT_SIZE;
+}
+
+/**
+ * 拆分标签文字（<br> 换行，去掉外层引号与常见实体码）
+ * @private
+ */
+function splitLabel(label) {
+  let text = String(label || '').trim();
+  if (text.length >= 2 && text[0] === '"' && text[text.length - 1] === '"') text = text.slice(1, -1);
+  text = text.replace(/#quot;/g, '"').replace(/#amp;/g, '&').replace(/#lt;/g, '<').replace(/#gt;/g, '>');
+  return text.split(/<br\s*\/?>|\\n/i).map(line => line.trim());
+}
+
+/**
+ * 输出多行文字（以 x, y 为中心）
+ * @private
+ */
+function renderText(lines, x, y, anchor = 'middle') {
+  const top = y - ((lines.length - 1) * LINE_HEIGHT) / 2;
+  const spans = lines.map((line, i) =>
+    `<tspan x="${round(x)}" y="${round(top + i * LINE_HEIGHT)}">${escapeHtml(line)}</tspan>`
+  ).join('');
+  return `<text text-anchor="${anchor}" dominant-baseline="central" fill="${COLORS.text}">${spans}</text>`;
+}
+
+/**
+ * 保留一位小数
+ * @private
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * 完整的 SVG 文档（带箭头标记）
+ * @private
+ */
+function svgDocument(width, height, body, id) {
+  width = Math.ceil(width);
+  height = Math.ceil(height);
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="max-width: 100%; height: auto;" font-family='${FONT_FAMILY}' font-size="${FONT_SIZE}">`
+    + `<defs><marker id="${id}-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">`
+    + `<path class="arrowheadPath" d="M0,0 L10,5 L0,10 z" fill="${COLORS.line}"/></marker></defs>`
+    + body
+    + '</svg>';
+}
+
+/**
+ * 拆分语句：按行与分号，去掉注释与空行
+ * @private
+ */
+function splitStatements(lines) {
+  const statements = [];
+  for (const line of lines) {
+    const text = line.replace(/%%.*$/, '').trim();
+    if (!text) continue;
+    for (const part of text.split(/;\s*(?=(?:[^"]*"[^"]*")*[^"]*$)/)) {
+      if (part.trim()) statements.push(part.trim());
+    }
+  }
+  return statements;
+}
+
+// ---------------------------------------------------------------------------
+// flowchart
+// ---------------------------------------------------------------------------
+
+/**
+ * 从 pos 处解析一个节点（id 与可选的形状文字）
+ * @private
+ */
+function parseNode(text, pos, graph) {
+  while (text[pos] === ' ' || text[pos] === '\t') pos++;
+  NODE_ID.lastIndex = pos;
+  const match = NODE_ID.exec(text);
+  if (!match) return null;
+  const id = match[0];
+  pos = NODE_ID.lastIndex;
+
+  let label = null;
+  let shape = null;
+  for (const [open, close, kind] of SHAPES) {
+    if (!text.startsWith(open, pos)) continue;
+    const start = pos + open.length;
+    let end;
+    if (text[start] === '"') {
+      const quote = text.indexOf('"', start + 1);
+      end = quote === -1 ? -1 : text.indexOf(close, quote + 1);
+    } else {
+      end = text.indexOf(close, start);
+    }
+    if (end === -1) continue;
+    label = text.slice(start, end);
+    shape = kind;
+    pos = end + close.length;
+    break;
+  }
+  let node = graph.nodes.get(id);
+  if (!node) {
+    if (graph.nodes.size >= MAX_NODES) throw new Error('too many nodes');
+    node = { id, label: id, shape: 'rect', order: graph.nodes.size };
+    graph.nodes.set(id, node);
+  }
+  if (label !== null) {
+    node.label = label;
+    node.shape = shape;
+  }
+  return { ids: [id], pos };
+}
+
+/**
+ * 解析 `A & B` 形式的节点组
+ * @private
+ */
+function parseNodeGroup(text, pos, graph) {
+  const first = parseNode(text, pos, graph);
+  if (!first) return null;
+  const ids = first.ids;
+  pos = first.pos;
+  for (;;) {
+    const amp = /^\s*&\s*/.exec(text.slice(pos));
+    if (!amp) break;
+    const next = parseNode(text, pos + amp[0].length, graph);
+    if (!next) break;
+    ids.push(...next.ids);
+    pos = next.pos;
+  }
+  return { ids, pos };
+}
+
+/**
+ * 从 pos 处解析一条连线
+ * @private
+ */
+function parseLink(text, pos) {
+  for (const pattern of [TEXT_LINK, LINK]) {
+    pattern.lastIndex = pos;
+    const match = pattern.exec(text);
+    if (!match) continue;
+    const textForm = pattern === TEXT_LINK;
+    const body = textForm ? match[2] + match[4] : match[2] + match[3];
+    return {
+      pos: pattern.lastIndex,
+      label: (textForm ? match[3] : match[4]) || '',
+      dotted: body.includes('.'),
+      thick: body.includes('='),
+      arrowEnd: /[>ox]$/.test(body),
+      arrowStart: match[1] === '<'
+    };
+  }
+  return null;
+}
+
+/**
+ * 解析 flowchart 源码
+ * @private
+ */
+function parseFlowchart(lines, header) {
+  const direction = (header[2] || 'TB').toUpperCase().replace('TD', 'TB');
+  const graph = { direction, nodes: new Map(), edges: [] };
+
+  for (const statement of splitStatements(lines)) {
+    if (/^click\b/.test(statement)) continue;
+    if (/^(subgraph|end|direction|classDef|class|style|linkStyle)\b/.test(statement) || statement.includes(':::')) return null;
+
+    let left = parseNodeGroup(statement, 0, graph);
+    if (!left) continue;
+    let pos = left.pos;
+    while (pos < statement.length) {
+      const link = parseLink(statement, pos);
+      if (!link) break;
+      const right = parseNodeGroup(statement, link.pos, graph);
+      if (!right) break;
+      for (const from of left.ids) {
+        for (const to of right.ids) {
+          graph.edges.push({ from, to, ...link });
+        }
+      }
+      left = right;
+      pos = right.pos;
+    }
+  }
+  return graph.nodes.size ? graph : null;
+}
+
+/**
+ * 节点尺寸（按形状放大以容纳文字）
+ * @private
+ */
+function measureNode(node) {
+  node.lines = splitLabel(node.label);
+  const textW = Math.max(...node.lines.map(textWidth), FONT_SIZE);
+  const textH = node.lines.length * LINE_HEIGHT;
+  let width = textW + NODE_PADDING_X * 2;
+  let height = textH + NODE_PADDING_Y * 2;
+  switch (node.shape) {
+    case 'circle':
+      width = height = Math.max(width, height);
+      break;
+    case 'diamond':
+      width = textW + height + NODE_PADDING_X;
+      height = Math.max(height * 1.6, width * 0.55);
+      break;
+    case 'hexagon':
+      width += height / 2;
+      break;
+    case 'stadium':
+      width += height / 2;
+      break;
+    case 'cylinder':
+      height += 12;
+      break;
+    default:
+      break;
+  }
+  node.width = width;
+  node.height = height;
+}
+
+/**
+ * 分层：反转深度优先搜索中的回边后按最长路径分层
+ * @private
+ */
+function assignRanks(ids, edges) {
+  const outgoing = new Map(ids.map(id => [id, []]));
+  for (const edge of edges) outgoing.get(edge.from).push(edge);
+
+  const state = new Map();
+  const visit = (start) => {
+    const stack = [[start, 0]];
+    state.set(start, 1);
+    while (stack.length) {
+      const top = stack[stack.length - 1];
+      const list = outgoing.get(top[0]);
+      if (top[1] >= list.length) {
+        state.set(top[0], 2);
+        stack.pop();
+        continue;
+      }
+      const edge = list[top[1]++];
+      const next = state.get(edge.to);
+      if (next === 1) {
+        edge.reversed = true;
+      } else if (!next) {
+        state.set(edge.to, 1);
+        stack.push([edge.to, 0]);
+      }
+    }
+  };
+  for (const id of ids) {
+    if (!state.get(id)) visit(id);
+  }
+
+  const rank = new Map(ids.map(id => [id, 0]));
+  const indegree = new Map(ids.map(id => [id, 0]));
+  const forward = edges.filter(e => e.from !== e.to).map(e => (e.reversed ? { from: e.to, to: e.from } : e));
+  for (const edge of forward) indegree.set(edge.to, indegree.get(edge.to) + 1);
+  const queue = ids.filter(id => indegree.get(id) === 0);
+  while (queue.length) {
+    const id = queue.shift();
+    for (const edge of forward) {
+      if (edge.from !== id) continue;
+      rank.set(edge.to, Math.max(rank.get(edge.to), rank.get(id) + 1));
+      indegree.set(edge.to, indegree.get(edge.to) - 1);
+      if (indegree.get(edge.to) === 0) queue.push(edge.to);
+    }
+  }
+  return rank;
+}
+
+/**
+ * 布局并输出 flowchart
+ * @private
+ */
+function renderFlowchart(graph, id) {
+  const horizontal = graph.direction === 'LR' || graph.direction === 'RL';
+  const reverse = graph.direction === 'BT' || graph.direction === 'RL';
+  const nodes = [...graph.nodes.values()];
+  nodes.forEach(measureNode);
+  const ids = nodes.map(n => n.id);
+  const rank = assignRanks(ids, graph.edges);
+
+  // 跨越多层的连线插入虚拟节点，连线沿虚拟节点折线绕行
+  const layout = new Map(nodes.map(n => [n.id, { node: n, rank: rank.get(n.id), order: n.order }]));
+  const segments = [];
+  graph.edges.forEach((edge, index) => {
+    if (edge.from === edge.to) {
+      edge.chain = [edge.from];
+      return;
+    }
+    const [top, bottom] = edge.reversed ? [edge.to, edge.from] : [edge.from, edge.to];
+    const chain = [top];
+    for (let r = rank.get(top) + 1; r < rank.get(bottom); r++) {
+      const id = `\u0000${index}:${r}`;
+      layout.set(id, { node: null, rank: r, order: nodes.length + index });
+      chain.push(id);
+    }
+    chain.push(bottom);
+    for (let i = 1; i < chain.length; i++) segments.push([chain[i - 1], chain[i]]);
+    edge.chain = edge.reversed ? chain.slice().reverse() : chain;
+  });
+
+  const layers = [];
+  for (const [id, item] of layout) {
+    (layers[item.rank] = layers[item.rank] || []).push(id);
+  }
+  for (const layer of layers) layer.sort((a, b) => layout.get(a).order - layout.get(b).order);
+
+  // 重心排序：上下各扫描数次以减少交叉
+  const neighbours = (id, above) => segments
+    .filter(([a, b]) => (above ? b === id : a === id))
+    .map(([a, b]) => (above ? a : b));
+  for (let pass = 0; pass < 4; pass++) {
+    const down = pass % 2 === 0;
+    for (let r = down ? 1 : layers.length - 2; down ? r < layers.length : r >= 0; r += down ? 1 : -1) {
+      const ref = layers[down ? r - 1 : r + 1];
+      if (!ref || !layers[r]) continue;
+      const position = new Map(ref.map((id, i) => [id, i]));
+      const score = new Map(layers[r].map((id, i) => {
+        const linked = neighbours(id, down).filter(n => position.has(n)).map(n => position.get(n));
+        return [id, linked.length ? linked.reduce((s, v) => s + v, 0) / linked.length : i];
+      }));
+      layers[r].sort((a, b) => score.get(a) - score.get(b));
+    }
+  }
+
+  // 主轴为分层方向，交叉轴为层内顺序
+  const size = (id) => {
+    const node = layout.get(id).node;
+    if (!node) return { main: DUMMY_SIZE, cross: DUMMY_SIZE };
+    return horizontal ? { main: node.width, cross: node.height } : { main: node.height, cross: node.width };
+  };
+  const layerMain = layers.map(layer => Math.max(...(layer || []).map(id => size(id).main), 0));
+  const layerCross = layers.map(layer => (layer || []).reduce((s, id) => s + size(id).cross, 0) + NODE_GAP * Math.max((layer || []).length - 1, 0));
+  const totalCross = Math.max(...layerCross, 0);
+  const position = new Map();
+  let mainOffset = 0;
+  layers.forEach((layer, r) => {
+    let crossOffset = (totalCross - layerCross[r]) / 2;
+    for (const id of layer || []) {
+      const s = size(id);
+      position.set(id, { main: mainOffset + layerMain[r] / 2, cross: crossOffset + s.cross / 2 });
+      crossOffset += s.cross + NODE_GAP;
+    }
+    mainOffset += layerMain[r] + RANK_GAP;
+  });
+  const totalMain = Math.max(mainOffset - RANK_GAP, 0);
+
+  const margin = 8;
+  const point = (id) => {
+    const p = position.get(id);
+    const main = reverse ? totalMain - p.main : p.main;
+    return horizontal ? { x: main + margin, y: p.cross + margin } : { x: p.cross + margin, y: main + margin };
+  };
+
+  let edgesSvg = '';
+  let labelsSvg = '';
+  for (const edge of graph.edges) {
+    const result = renderEdge(edge, edge.chain.map(point), graph.nodes, id);
+    edgesSvg += result.path;
+    labelsSvg += result.label;
+  }
+
+  let nodesSvg = '';
+  for (const node of nodes) {
+    nodesSvg += renderNode(node, point(node.id));
+  }
+
+  const width = (horizontal ? totalMain : totalCross) + margin * 2;
+  const height = (horizontal ? totalCross : totalMain) + margin * 2;
+  return svgDocument(width, height,
+    `<g class="edgePaths">${edgesSvg}</g><g class="nodes">${nodesSvg}</g><g class="edgeLabels">${labelsSvg}</g>`, id);
+}
+
+/**
+ * 连线与节点边界的交点（从节点中心 c 指向 toward 的方向）
+ * @private
+ */
+function clipToNode(node, c, toward) {
+  const dx = toward.x - c.x;
+  const dy = toward.y - c.y;
+  if (!dx && !dy) return c;
+  const w = node.width / 2;
+  const h = node.height / 2;
+  let t;
+  if (node.shape === 'circle') {
+    t = w / Math.hypot(dx, dy);
+  } else if (node.shape === 'diamond') {
+    t = 1 / (Math.abs(dx) / w + Math.abs(dy) / h);
+  } else {
+    t = Math.min(dx ? w / Math.abs(dx) : Infinity, dy ? h / Math.abs(dy) : Infinity);
+  }
+  return { x: c.x + dx * t, y: c.y + dy * t };
+}
+
+/**
+ * 输出一条连线及其文字
+ * @private
+ */
+function renderEdge(edge, points, nodes, id) {
+  const from = nodes.get(edge.from);
+  const to = nodes.get(edge.to);
+  let d;
+  let mid;
+  if (points.length === 1) {
+    // 自环：从节点右侧绕出再回到顶部
+    const c = points[0];
+    const x = c.x + from.width / 2;
+    const y = c.y - from.height / 2;
+    d = `M${round(x)},${round(c.y)} C${round(x + 30)},${round(c.y)} ${round(c.x + 20)},${round(y - 30)} ${round(c.x)},${round(y)}`;
+    mid = { x: x + 16, y: y - 8 };
+  } else {
+    const path = points.slice();
+    path[0] = clipToNode(from, points[0], points[1]);
+    path[path.length - 1] = clipToNode(to, points[points.length - 1], points[points.length - 2]);
+    d = path.map((p, i) => `${i ? 'L' : 'M'}${round(p.x)},${round(p.y)}`).join(' ');
+    const i = Math.floor((path.length - 1) / 2);
+    mid = { x: (path[i].x + path[i + 1].x) / 2, y: (path[i].y + path[i + 1].y) / 2 };
+  }
+
+  const attrs = [
+    `d="${d}"`,
+    'fill="none"',
+    `stroke="${COLORS.line}"`,
+    `stroke-width="${edge.thick ? 3 : 1.5}"`
+  ];
+  if (edge.dotted) attrs.push('stroke-dasharray="3 3"');
+  if (edge.arrowEnd) attrs.push(`marker-end="url(#${id}-arrow)"`);
+  if (edge.arrowStart) attrs.push(`marker-start="url(#${id}-arrow)"`);
+
+  let label = '';
+  const lines = splitLabel(edge.label).filter(Boolean);
+  if (lines.length) {
+    const w = Math.max(...lines.map(textWidth)) + 8;
+    const h = lines.length * LINE_HEIGHT + 4;
+    label = `<g class="edgeLabel"><rect x="${round(mid.x - w / 2)}" y="${round(mid.y - h / 2)}" width="${round(w)}" height="${round(h)}" fill="${COLORS.labelFill}" opacity="0.9"/>${renderText(lines, mid.x, mid.y)}</g>`;
+  }
+  return { path: `<path ${attrs.join(' ')}/>`, label };
+}
+
+/**
+ * 输出一个节点
+ * @private
+ */
+function renderNode(node, c) {
+  const w = node.width / 2;
+  const h = node.height / 2;
+  const style = `fill="${COLORS.nodeFill}" stroke="${COLORS.nodeStroke}" stroke-width="1"`;
+  const poly = (pts) => `<polygon points="${pts.map(([x, y]) => `${round(c.x + x)},${round(c.y + y)}`).join(' ')}" ${style}/>`;
+  let shape;
+  switch (node.shape) {
+    case 'circle':
+      shape = `<circle cx="${round(c.x)}" cy="${round(c.y)}" r="${round(w)}" ${style}/>`;
+      break;
+    case 'diamond':
+      shape = poly([[0, -h], [w, 0], [0, h], [-w, 0]]);
+      break;
+    case 'hexagon': {
+      const inset = h / 2;
+      shape = poly([[-w + inset, -h], [w - inset, -h], [w, 0], [w - inset, h], [-w + inset, h], [-w, 0]]);
+      break;
+    }
+    case 'cylinder': {
+      const ry = 6;
+      shape = `<path d="M${round(c.x - w)},${round(c.y - h + ry)} a${round(w)},${ry} 0 0,0 ${round(w * 2)},0 a${round(w)},${ry} 0 0,0 ${round(-w * 2)},0 l0,${round(node.height - ry * 2)} a${round(w)},${ry} 0 0,0 ${round(w * 2)},0 l0,${round(-(node.height - ry * 2))}" ${style}/>`;
+      break;
+    }
+    default: {
+      const radius = node.shape === 'round' ? 5 : node.shape === 'stadium' ? h : 0;
+      shape = `<rect x="${round(c.x - w)}" y="${round(c.y - h)}" width="${round(node.width)}" height="${round(node.height)}" rx="${round(radius)}" ry="${round(radius)}" ${style}/>`;
+      if (node.shape === 'subroutine') {
+        shape += `<path d="M${round(c.x - w + 8)},${round(c.y - h)} v${round(node.height)} M${round(c.x + w - 8)},${round(c.y - h)} v${round(node.height)}" stroke="${COLORS.nodeStroke}" fill="none"/>`;
+      }
+    }
+  }
+  return `<g class="node">${shape}${renderText(node.lines, c.x, c.y)}</g>`;
+}
+
+// ---------------------------------------------------------------------------
+// sequenceDiagram
+// ---------------------------------------------------------------------------
+
+/**
+ * 解析 sequenceDiagram 源码
+ * @private
+ */
+function parseSequence(lines) {
+  const participants = new Map();
+  const events = [];
+  const participant = (id, alias = null, actor = false) => {
+    id = id.trim();
+    let item = participants.get(id);
+    if (!item) {
+      if (participants.size >= MAX_NODES) throw new Error('too many participants');
+      item = { id, label: id, actor, index: participants.size };
+      participants.set(id, item);
+    }
+    if (alias) item.label = alias.trim();
+    if (actor) item.actor = true;
+    return item;
+  };
+
+  for (const statement of splitStatements(lines)) {
+    let match = /^(participant|actor)\s+(.+?)(?:\s+as\s+(.+))?$/i.exec(statement);
+    if (match) {
+      participant(match[2], match[3], match[1].toLowerCase() === 'actor');
+      continue;
+    }
+    match = /^note\s+(left of|right of|over)\s+([^:]+?)\s*:\s*(.*)$/i.exec(statement);
+    if (match) {
+      const targets = match[2].split(',').map(id => participant(id));
+      events.push({ type: 'note', placement: match[1].toLowerCase(), targets, lines: splitLabel(match[3]) });
+      continue;
+    }
+    match = SEQUENCE_MESSAGE.exec(statement);
+    if (match && !match[3]) {
+      const arrow = match[2];
+      events.push({
+        type: 'message',
+        from: participant(match[1]),
+        to: participant(match[4]),
+        dotted: arrow.startsWith('--'),
+        head: arrow.endsWith('>>') ? 'arrow' : arrow.endsWith('x') ? 'cross' : arrow.endsWith(')') ? 'open' : 'none',
+        lines: splitLabel(match[5] || '')
+      });
+      continue;
+    }
+    // autonumber、activate、loop/alt/opt 等分组框与激活条无法绘出
+    return null;
+  }
+  return participants.size ? { participants: [...participants.values()], events } : null;
+}
+
+/**
+ * 布局并输出 sequenceDiagram
+ * @private
+ */
+function renderSequence(diagram, id) {
+  const { participants, events } = diagram;
+  const margin = 10;
+  const boxHeight = 36;
+  for (const p of participants) {
+    p.lines = splitLabel(p.label);
+    p.width = Math.max(Math.max(...p.lines.map(textWidth)) + 24, 90);
+  }
+
+  // 参与者间距：至少容纳两侧的方框与两者之间的消息文字
+  const x = [];
+  participants.forEach((p, i) => {
+    x[i] = i ? x[i - 1] + Math.max((participants[i - 1].width + p.width) / 2 + 40, 140) : margin + p.width / 2;
+  });
+  const ensureGap = (a, b, gap) => {
+    const [lo, hi] = a < b ? [a, b] : [b, a];
+    const shortfall = gap - (x[hi] - x[lo]);
+    if (shortfall > 0) for (let i = hi; i < x.length; i++) x[i] += shortfall;
+  };
+  for (const event of events) {
+    const width = Math.max(...event.lines.map(textWidth), 0);
+    if (event.type === 'message' && event.from !== event.to) {
+      ensureGap(event.from.index, event.to.index, width + 30);
+    } else if (event.type === 'message' || event.placement === 'right of') {
+      const i = (event.from || event.targets[0]).index;
+      if (i + 1 < x.length) ensureGap(i, i + 1, width + 60);
+    } else if (event.placement === 'left of' && event.targets[0].index > 0) {
+      const i = event.targets[0].index;
+      ensureGap(i - 1, i, width + 60);
+    }
+  }
+
+  let y = margin + boxHeight + 20;
+  let body = '';
+  let minX = 0;
+  let maxX = x[x.length - 1] + participants[participants.length - 1].width / 2 + margin;
+  for (const event of events) {
+    const textH = event.lines.length * LINE_HEIGHT;
+    if (event.type === 'note') {
+      const indexes = event.targets.map(t => t.index);
+      const w = Math.max(...event.lines.map(textWidth)) + 20;
+      let left;
+      let width = w;
+      if (event.placement === 'over') {
+        const lo = x[Math.min(...indexes)];
+        const hi = x[Math.max(...indexes)];
+        width = Math.max(w, hi - lo + 40);
+        left = (lo + hi) / 2 - width / 2;
+      } else if (event.placement === 'left of') {
+        left = x[indexes[0]] - 15 - w;
+      } else {
+        left = x[indexes[0]] + 15;
+      }
+      const h = textH + 12;
+      body += `<g class="note"><rect x="${round(left)}" y="${round(y)}" width="${round(width)}" height="${round(h)}" fill="${COLORS.noteFill}" stroke="${COLORS.noteStroke}"/>${renderText(event.lines, left + width / 2, y + h / 2)}</g>`;
+      minX = Math.min(minX, left - margin);
+      maxX = Math.max(maxX, left + width + margin);
+      y += h + 14;
+      continue;
+    }
+
+    const x1 = x[event.from.index];
+    const x2 = x[event.to.index];
+    const attrs = `fill="none" stroke="${COLORS.line}" stroke-width="1.5"${event.dotted ? ' stroke-dasharray="3 3"' : ''}${event.head === 'arrow' ? ` marker-end="url(#${id}-arrow)"` : ''}`;
+    const labelY = y + textH / 2 - 2;
+    y += textH + 4;
+    let line;
+    let end;
+    if (event.from === event.to) {
+      line = `<path d="M${round(x1)},${round(y)} h40 v24 h-40" ${attrs}/>`;
+      body += renderText(event.lines, x1 + 46, labelY + 2, 'start');
+      maxX = Math.max(maxX, x1 + 50 + Math.max(...event.lines.map(textWidth)) + margin);
+      end = { x: x1, y: y + 24, dir: -1 };
+      y += 24;
+    } else {
+      line = `<path d="M${round(x1)},${round(y)} L${round(x2)},${round(y)}" ${attrs}/>`;
+      body += renderText(event.lines, (x1 + x2) / 2, labelY);
+      end = { x: x2, y, dir: x2 > x1 ? 1 : -1 };
+    }
+    body += line;
+    if (event.head === 'cross') {
+      const cx = end.x - end.dir * 6;
+      body += `<path d="M${round(cx - 4)},${round(end.y - 4)} l8,8 M${round(cx + 4)},${round(end.y - 4)} l-8,8" stroke="${COLORS.line}" stroke-width="1.5"/>`;
+    } else if (event.head === 'open') {
+      body += `<path d="M${round(end.x - end.dir * 8)},${round(end.y - 5)} l${end.dir * 8},5 l${-end.dir * 8},5" fill="none" stroke="${COLORS.line}" stroke-width="1.5"/>`;
+    }
+    y += 18;
+  }
+
+  const bottom = y + 10;
+  let heads = '';
+  let lifelines = '';
+  participants.forEach((p, i) => {
+    lifelines += `<line x1="${round(x[i])}" y1="${margin + boxHeight}" x2="${round(x[i])}" y2="${round(bottom)}" stroke="${COLORS.line}" stroke-width="0.5" stroke-dasharray="4 3"/>`;
+    for (const top of [margin, bottom]) {
+      heads += `<g class="node"><rect x="${round(x[i] - p.width / 2)}" y="${round(top)}" width="${round(p.width)}" height="${boxHeight}" rx="3" ry="3" fill="${COLORS.nodeFill}" stroke="${COLORS.nodeStroke}"/>${renderText(p.lines, x[i], top + boxHeight / 2)}</g>`;
+    }
+  });
+
+  const width = maxX - minX;
+  const height = bottom + boxHeight + margin;
+  const shift = -minX;
+  return svgDocument(width, height, `<g transform="translate(${round(shift)},0)">${lifelines}${heads}${body}</g>`, id);
+}
+
+/**
+ * 把 Mermaid 源码渲染为 SVG
+ *
+ * @param {string} source - Mermaid 源码
+ * @param {Object} options - { id: SVG 内部元素 id 前缀（同一页面内多张图需互不相同） }
+ * @returns {string|null} SVG 文本；不支持的图表类型或无法解析时返回 null
+ */
+function renderMermaidSvg(source, options = {}) {
+  const id = options.id || 'mermaid';
+  const lines = String(source || '')
+    .replace(/^\s*---\n[\s\S]*?\n---\s*\n/, '') // 图表前言（title/config）
+    .split(/\r?\n/)
+    .filter(line => !/^\s*%%/.test(line));
+  const first = lines.findIndex(line => line.trim());
+  if (first === -1) return null;
+  // 首行可用分号接语句：graph TD; A-->B
+  const [header, ...inline] = lines[first].trim().split(';');
+  const rest = [inline.join(';'), ...lines.slice(first + 1)];
+
+  try {
+    const flowchart = /^(graph|flowchart)(?:\s+(TB|TD|BT|LR|RL))?\s*$/i.exec(header);
+    if (flowchart) {
+      const graph = parseFlowchart(rest, flowchart);
+      return graph ? renderFlowchart(graph, id) : null;
+    }
+    if (/^sequenceDiagram\s*$/.test(header.trim())) {
+      const diagram = parseSequence(rest);
+      return diagram ? renderSequence(diagram, id) : null;
+    }
+  } catch (_) {
+    // 超出规模或语法异常：交由调用方保留源码
+  }
+  return null;
+}
+
+module.exports = {
+  renderMermaidSvg
+};
@@ -0,0 +1,242 @@
+/**
+ * ZIP 打包下载
+ *
+ * 把目录或多个文件即时打包为 ZIP 写入响应（不生成临时文件）：
+ * - 先遍历收集条目（可在发送响应头前报错），再逐个流式写入
+ * - 符号链接仅在目标仍位于所属映射根目录内时跟随，否则跳过；目录环路跳过
+ * - 映射根目录下的 .trash 不打包
+ * - 已压缩格式（图片、视频、压缩包等）直接存储，其余 deflate
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ZipWriter } = require('../../utils/zip-writer');
+const { TRASH_DIR } = require('../../utils/path-resolver');
+const { isHiddenPath } = require('../../utils/directory-policy');
+const { isSameOrInside } = require('../../utils/fs-ops');
+
+// 单个归档最多包含的条目数
+const MAX_ENTRIES = 100000;
+
+// 已压缩的格式，deflate 几乎无收益
+const STORED_EXTS = new Set([
+  '.zip', '.gz', '.tgz', '.bz2', '.xz', '.7z', '.rar', '.zst', '.br', '.lz4',
+  '.jpg', '.jpeg', '.png', '.gif', '.webp', '.avif', '.heic',
+  '.mp3', '.aac', '.ogg', '.opus', '.flac', '.m4a',
+  '.mp4', '.mkv', '.webm', '.mov', '.avi',
+  '.docx', '.xlsx', '.pptx', '.jar', '.apk', '.woff', '.woff2'
+]);
+
+/**
+ * 创建带状态码的错误
+ * @private
+ */
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * 生成 Content-Disposition（ASCII 回退名 + RFC 5987 UTF-8 名）
+ *
+ * @param {string} filename - 文件名
+ * @returns {string}
+ */
+function contentDisposition(filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/**
+ * 在同一层级内生成不重复的条目名（a.txt → a (2).txt）
+ * @private
+ */
+function uniqueName(name, used) {
+  if (!used.has(name)) {
+    used.add(name);
+    return name;
+  }
+  const ext = path.extname(name);
+  const stem = name.slice(0, name.length - ext.length);
+  let index = 2;
+  while (used.has(`${stem} (${index})${ext}`)) index++;
+  const result = `${stem} (${index})${ext}`;
+  used.add(result);
+  return result;
+}
+
+/**
+ * 遍历来源并收集条目
+ *
+ * @param {Object[]} sources - [{ fullPath, basePath, name: 顶层条目名, mapping: 目录映射（可选，跳过其 hidden 规则命中的条目） }]
+ * @param {Object} options - { allowDirectories: 是否允许打包目录（默认 true，可为 (source) => boolean）, logger, signal: 中止遍历的 AbortSignal }
+ * @returns {Promise<Object[]>} 条目 [{ name, fullPath, isDirectory, size, mtime, mode }]
+ * @throws {Error} 来源不存在（404）、目录被禁止（403）、条目过多（413）或遍历被中止（signal 的原因）
+ */
+async function collectEntries(sources, options = {}) {
+  const entries = [];
+  const used = new Set();
+  const realBases = new Map();
+
+  const realBase = async (basePath) => {
+    if (!realBases.has(basePath)) {
+      realBases.set(basePath, await fs.promises.realpath(basePath).catch(() => path.resolve(basePath)));
+    }
+    return realBases.get(basePath);
+  };
+
+  // 返回实际要打包的 stat；越界的符号链接或特殊文件返回 null
+  const inspect = async (fullPath, base) => {
+    const lstat = await fs.promises.lstat(fullPath);
+    if (!lstat.isSymbolicLink()) return lstat.isFile() || lstat.isDirectory() ? { stat: lstat, realPath: fullPath } : null;
+
+    const realPath = await fs.promises.realpath(fullPath).catch(() => null);
+    if (!realPath || !isSameOrInside(base, realPath)) {
+      if (options.logger) options.logger('WARN', `ZIP 打包跳过越界符号链接: ${fullPath}`);
+      return null;
+    }
+    const stat = await fs.promises.stat(realPath);
+    return stat.isFile() || stat.isDirectory() ? { stat, realPath } : null;
+  };
+
+  const push = (entry) => {
+    if (entries.length >= MAX_ENTRIES) throw httpError(413, `条目过多（上限 ${MAX_ENTRIES}）`);
+    entries.push(entry);
+  };
+
+  const walk = async (source, dirPath, realDir, entryPrefix, base, ancestors) => {
+    if (options.signal) options.signal.throwIfAborted();
+    const names = (await fs.promises.readdir(dirPath)).sort((a, b) => a.localeCompare(b));
+    for (const name of names) {
+      if (name === TRASH_DIR && realDir === base) continue;
+      const fullPath = path.join(dirPath, name);
+      if (isHiddenPath(source.mapping, path.relative(source.basePath, fullPath))) continue;
+      const found = await inspect(fullPath, base).catch(() => null);
+      if (!found) continue;
+
+      const entryName = `${entryPrefix}/${name}`;
+      if (found.stat.isDirectory()) {
+        const realPath = await fs.promises.realpath(found.realPath);
+        if (ancestors.has(realPath)) continue;
+        push({ name: entryName, fullPath, isDirectory: true, mtime: found.stat.mtime });
+        await walk(source, fullPath, realPath, entryName, base, new Set(ancestors).add(realPath));
+      } else {
+        push({ name: entryName, fullPath, isDirectory: false, size: found.stat.size, mtime: found.stat.mtime, mode: found.stat.mode });
+      }
+    }
+  };
+
+  for (const source of sources) {
+    const base = await realBase(source.basePath);
+    const found = await inspect(source.fullPath, base).catch(err => {
+      if (err.code === 'ENOENT') throw httpError(404, `文件不存在: ${source.name}`);
+      throw err;
+    });
+    if (!found) throw httpError(403, `不允许打包: ${source.name}`);
+
+    const name = uniqueName(source.name, used);
+    if (found.stat.isDirectory()) {
+      const allowed = typeof options.allowDirectories === 'function'
+        ? options.allowDirectories(source)
+        : options.allowDirectories !== false;
+      if (!allowed) throw httpError(403, '目录列表已禁用');
+      const realPath = await fs.promises.realpath(found.realPath);
+      push({ name, fullPath: source.fullPath, isDirectory: true, mtime: found.stat.mtime });
+      await walk(source, source.fullPath, realPath, name, base, new Set([realPath]));
+    } else {
+      push({ name, fullPath: source.fullPath, isDirectory: false, size: found.stat.size, mtime: found.stat.mtime, mode: found.stat.mode });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * 打包并发送 ZIP
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {Object[]} sources - [{ fullPath, basePath, name, mapping }]
+ * @param {string} filename - 下载文件名（不含 .zip）
+ * @param {Object} options - { compression: 'auto'|'store'|'deflate', allowDirectories, logger, sendError: (status, message) => void（默认 text/plain）,
+ *                            schedule: 可选，(kind, task) => Promise，遍历阶段经请求队列执行（传输不占用队列） }
+ */
+async function sendZip(req, res, sources, filename, options = {}) {
+  const logger = options.logger;
+  let entries;
+  try {
+    entries = options.schedule
+      ? await options.schedule('archive', signal => collectEntries(sources, { ...options, signal }))
+      : await collectEntries(sources, options);
+  } catch (err) {
+    // 请求队列已写出 503
+    if (err.handled) return;
+    if (!err.statusCode && logger) logger('ERROR', 'ZIP 打包遍历失败', err.message);
+    const message = err.statusCode ? err.message : '打包失败';
+    if (options.sendError) return options.sendError(err.statusCode || 500, message);
+    res.writeHead(err.statusCode || 500, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(message);
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'application/zip',
+    'Content-Disposition': contentDisposition(`${filename}.zip`),
+    'Cache-Control': 'no-store'
+  });
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+
+  const compression = options.compression || 'auto';
+  const zip = new ZipWriter(res);
+  let fileCount = 0;
+  let totalSize = 0;
+
+  try {
+    for (const entry of entries) {
+      if (entry.isDirectory) {
+        await zip.addDirectory(entry.name, entry.mtime);
+        continue;
+      }
+
+      let handle;
+      try {
+        handle = await fs.promises.open(entry.fullPath, 'r');
+      } catch (err) {
+        // 遍历后被删除或无权限的文件跳过
+        if (logger) logger('WARN', `ZIP 打包跳过无法读取的文件: ${entry.fullPath}`, err.message);
+        continue;
+      }
+
+      const compress = compression === 'deflate' ||
+        (compression === 'auto' && !STORED_EXTS.has(path.extname(entry.name).toLowerCase()));
+      const { size } = await zip.addFile(entry.name, handle.createReadStream(), {
+        mtime: entry.mtime,
+        size: entry.size,
+        mode: entry.mode,
+        compress
+      });
+      fileCount++;
+      totalSize += size;
+    }
+
+    const archiveSize = await zip.finish();
+    if (logger) {
+      logger('INFO', `ZIP 打包下载: ${filename}.zip（${fileCount} 个文件，原始 ${totalSize} 字节，归档 ${archiveSize} 字节）`);
+    }
+  } catch (err) {
+    // 响应头已发送，只能中断连接让客户端感知下载失败
+    if (logger && !res.destroyed) logger('ERROR', `ZIP 打包中断: ${filename}.zip`, err.message);
+    res.destroy();
+  }
+}
+
+module.exports = {
+  collectEntries,
+  sendZip,
+  contentDisposition,
+  MAX_ENTRIES
+};
@@ -3,10 +3,19 @@
  * 
  * 实时监听配置的目录变化，并通过 WebSocket 推送事件
  * 支持文件上传、删除、修改事件
+ *
+ * 遵循目录映射的访问规则：隐藏路径的变化不推送；
+ * WebSocket 订阅者不按目录鉴权，因此需认证或有 IP 白名单的映射也不推送。
+ *
+ * 其他服务（如笔记链接索引）可通过 addListener 订阅全部变化，
+ * 并通过 watchDirectory 补充监听额外目录（这些目录的变化只通知订阅者，不推送）。
  */
 
 const fs = require('fs');
 const path = require('path');
+const { TRASH_DIR, appRoot, isConcealedPath } = require('../utils/path-resolver');
+const { findDirectoryMapping } = require('../utils/upload-naming');
+const { isRestricted } = require('../utils/directory-policy');
 
 /**
  * 文件观察器类
@@ -20,6 +29,9 @@ class FileWatcherService {
     
     // 监听的目录映射：dirPath -> watcher
     this.watchers = new Map();
+
+    // 进程内的变化订阅者
+    this.listeners = [];
     
     // 文件系统事件缓冲（避免重复触发）
     this.eventBuffer = new Map(); // path -> { timer, event }
@@ -67,20 +79,51 @@ class FileWatcherService {
     this.logger('INFO', `文件监听服务：已启动 ${this.watchers.size} 个监听器`);
   }
 
+  /**
+   * 订阅文件变化（不受推送规则限制，隐藏路径与受限映射的变化同样通知）
+   *
+   * @param {Function} listener - ({ fullPath, action, stat }) => void
+   */
+  addListener(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * 补充监听目录（已被现有监听覆盖时跳过）；变化只通知订阅者，不推送到 WebSocket
+   *
+   * @param {string} fullPath - 完整路径
+   * @param {string} displayPath - 显示路径（用于日志）
+   */
+  watchDirectory(fullPath, displayPath) {
+    const covered = [...this.watchers.keys()].some(dir => {
+      const relative = path.relative(dir, fullPath);
+      return !relative.startsWith('..') && !path.isAbsolute(relative);
+    });
+    if (covered) return;
+
+    try {
+      if (!fs.statSync(fullPath).isDirectory()) return;
+    } catch (_) {
+      return;
+    }
+    this.startWatcher(fullPath, displayPath, false);
+  }
+
   /**
    * 启动单个目录的监听
    * 
    * @param {string} fullPath - 完整路径
    * @param {string} displayPath - 显示路径（用于日志和推送）
+   * @param {boolean} publish - 是否推送到 WebSocket（默认 true）
    */
-  startWatcher(fullPath, displayPath) {
+  startWatcher(fullPath, displayPath, publish = true) {
     if (this.watchers.has(fullPath)) {
       return; // 已存在
     }
 
     try {
       const watcher = fs.watch(fullPath, { recursive: true }, (eventType, filename) => {
-        this.handleFileChange(fullPath, displayPath, eventType, filename);
+        this.handleFileChange(fullPath, displayPath, eventType, filename, publish);
       });
 
       watcher.on('error', (err) => {
@@ -102,16 +145,23 @@ class FileWatcherService {
    * @param {string} displayPath - 显示路径
    * @param {string} eventType - 事件类型 (rename/change)
    * @param {string} filename - 文件名
+   * @param {boolean} publishEnabled - 该监听目录是否推送到 WebSocket
    */
-  handleFileChange(basePath, displayPath, eventType, filename) {
+  handleFileChange(basePath, displayPath, eventType, filename, publishEnabled = true) {
     if (!filename) return;
+    // 回收站内的变化不推送（移入回收站本身会以删除事件推送）
+    if (filename.split(/[\\/]/).includes(TRASH_DIR)) return;
 
     const fullPath = path.join(basePath, filename);
+    let publish = publishEnabled && this._isPublishable(fullPath);
+    if (!publish && this.listeners.length === 0) return;
     const bufferKey = fullPath;
 
-    // 清除旧的缓冲事件
+    // 清除旧的缓冲事件（同一路径被多个监听覆盖时，任一需要推送即推送）
     if (this.eventBuffer.has(bufferKey)) {
-      clearTimeout(this.eventBuffer.get(bufferKey).timer);
+      const previous = this.eventBuffer.get(bufferKey);
+      clearTimeout(previous.timer);
+      publish = publish || previous.publish;
     }
 
     // 去重延迟处理
@@ -130,16 +180,27 @@ class FileWatcherService {
           mtime: stat ? stat.mtimeMs : 0
         };
 
-        // 推送到 WebSocket 订阅者
-        if (this.wsManager) {
-          this.wsManager.publish('files.changed', eventData);
+        // 通知进程内订阅者
+        for (const listener of this.listeners) {
+          try {
+            listener({ fullPath, action, stat });
+          } catch (err) {
+            this.logger('WARN', '文件变化订阅者处理异常', err.message);
+          }
         }
 
-        this.logger(
-          'INFO',
-          `文件变化: ${action} ${eventData.path}`,
-          `(${eventType})`
-        );
+        if (publish) {
+          // 推送到 WebSocket 订阅者
+          if (this.wsManager) {
+            this.wsManager.publish('files.changed', eventData);
+          }
+
+          this.logger(
+            'INFO',
+            `文件变化: ${action} ${eventData.path}`,
+            `(${eventType})`
+          );
+        }
       } catch (err) {
         this.logger('WARN', '文件变化处理异常', err.message);
       }
@@ -147,7 +208,21 @@ class FileWatcherService {
       this.eventBuffer.delete(bufferKey);
     }, this.debounceDelay);
 
-    this.eventBuffer.set(bufferKey, { timer, event: eventType });
+    this.eventBuffer.set(bufferKey, { timer, event: eventType, publish });
+  }
+
+  /**
+   * 判断路径的变化是否可推送（所属映射的隐藏路径与受限映射不推送）
+   *
+   * @param {string} fullPath - 变化的完整路径
+   * @returns {boolean}
+   */
+  _isPublishable(fullPath) {
+    const mapping = findDirectoryMapping(this.config, fullPath);
+    if (!mapping) return true;
+    if (isRestricted(mapping)) return false;
+    const mappingBase = path.normalize(path.isAbsolute(mapping.path) ? mapping.path : path.join(appRoot, mapping.path));
+    return !isConcealedPath(mapping, path.relative(mappingBase, fullPath));
   }
 
   /**
@@ -207,6 +282,7 @@ class FileWatcherService {
 
     this.watchers.clear();
     this.eventBuffer.clear();
+    this.listeners = [];
     this.logger('INFO', '文件监听服务已关闭');
   }
 
@@ -0,0 +1,526 @@
+/**
+ * 笔记链接索引
+ *
+ * 扫描所有目录映射下的 Markdown 文件，记录每篇笔记中的 Wiki 链接（[[笔记]]）与 front matter 元数据，
+ * 用于解析链接目标、生成反向链接与链接关系图，以及标签索引与草稿过滤。
+ *
+ * 索引持久化到 data/ 下的 JSON 文件，重启时只重新读取修改时间或大小变化的文件；
+ * 运行期间由 FileWatcherService 的变化事件增量更新。
+ * 链接目标在查询时按当前笔记集合解析，因此新增或删除笔记后，其他笔记的链接会随之生效或失效。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TRASH_DIR, isConcealedPath } = require('../utils/path-resolver');
+const { extractWikiLinks } = require('./file-service/markdown-renderer');
+const { parseFrontMatter, noteMeta, tagKey } = require('../utils/front-matter');
+
+const MAX_NOTE_SIZE = 2 * 1024 * 1024; // 超过此大小的 Markdown 不解析链接与元数据
+const MARKDOWN_EXT = /\.md$/i;
+
+/**
+ * 去掉扩展名并转为小写，作为匹配键
+ * @private
+ */
+function noteKey(value) {
+  return String(value || '').replace(/\\/g, '/').replace(MARKDOWN_EXT, '').toLowerCase();
+}
+
+/**
+ * 编码访问路径（逐段编码，保留 /）
+ * @private
+ */
+function encodeAccessPath(accessPath) {
+  return accessPath.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * 笔记链接索引类
+ */
+class NoteIndex {
+  /**
+   * @param {Object} options - { filePath: 索引文件路径, directories: [{ route, basePath, mapping }] }
+   * @param {Function} logger - 日志函数
+   */
+  constructor(options = {}, logger = null) {
+    this.filePath = options.filePath || null;
+    this.directories = (options.directories || [])
+      .slice()
+      .sort((a, b) => b.basePath.length - a.basePath.length); // 嵌套目录时优先匹配更具体的映射
+    this.logger = logger;
+    this.notes = new Map(); // 访问路径 -> { path, name, mtime, size, links: [目标笔记名], meta: { title, tags, date, updated, draft } }
+    this.generation = 0; // 每次变更递增，用于使缓存的页面与关系图失效
+    this.lookup = null;
+    this.graphCache = null;
+    this.persistTimer = null;
+
+    this._load();
+    this.rebuild();
+  }
+
+  /**
+   * 全量扫描：新增或变化的文件重新解析，已不存在的笔记移出索引
+   */
+  rebuild() {
+    const found = new Set();
+    let changed = 0;
+    for (const dir of this.directories) {
+      changed += this._scanDirectory(dir.basePath, dir, found);
+    }
+    for (const accessPath of [...this.notes.keys()]) {
+      if (!found.has(accessPath)) {
+        this.notes.delete(accessPath);
+        changed++;
+      }
+    }
+    if (changed > 0) this._markChanged();
+    if (this.logger) this.logger('INFO', `笔记索引：${this.notes.size} 篇笔记，更新 ${changed} 项`);
+  }
+
+  /**
+   * 订阅文件监听服务的变化事件，并补充监听尚未覆盖的映射目录
+   *
+   * @param {FileWatcherService} watcher - 文件监听服务
+   */
+  attachWatcher(watcher) {
+    watcher.addListener(change => this.handleChange(change.fullPath));
+    for (const dir of this.directories) {
+      watcher.watchDirectory(dir.basePath, dir.route);
+    }
+  }
+
+  /**
+   * 处理文件变化（文件增删改、目录删除或移入）
+   *
+   * @param {string} fullPath - 变化的完整路径
+   */
+  handleChange(fullPath) {
+    const dir = this._directoryFor(fullPath);
+    if (!dir) return;
+    const relativePath = path.relative(dir.basePath, fullPath);
+    if (relativePath && isConcealedPath(dir.mapping, relativePath)) return;
+
+    const accessPath = this._accessPath(dir, fullPath);
+    let stat = null;
+    try {
+      stat = fs.statSync(fullPath);
+    } catch (_) {
+      // 已删除
+    }
+
+    let changed = 0;
+    if (!stat) {
+      // 删除的可能是文件，也可能是整个目录
+      const prefix = accessPath.endsWith('/') ? accessPath : `${accessPath}/`;
+      for (const key of [...this.notes.keys()]) {
+        if (key === accessPath || key.startsWith(prefix)) {
+          this.notes.delete(key);
+          changed++;
+        }
+      }
+    } else if (stat.isDirectory()) {
+      changed = this._scanDirectory(fullPath, dir, new Set());
+    } else if (stat.isFile() && MARKDOWN_EXT.test(fullPath)) {
+      changed = this._indexFile(fullPath, accessPath, stat) ? 1 : 0;
+    }
+    if (changed > 0) this._markChanged();
+  }
+
+  /**
+   * 渲染前确认笔记的索引与文件一致（未启用文件监听时也能保持当前页的链接最新）
+   *
+   * @param {string} fullPath - 文件完整路径
+   * @param {fs.Stats} stat - 文件状态
+   */
+  refresh(fullPath, stat) {
+    const dir = this._directoryFor(fullPath);
+    if (!dir) return;
+    const relativePath = path.relative(dir.basePath, fullPath);
+    if (isConcealedPath(dir.mapping, relativePath)) return;
+    if (this._indexFile(fullPath, this._accessPath(dir, fullPath), stat)) {
+      this._markChanged();
+    }
+  }
+
+  /**
+   * 文件对应的访问路径
+   *
+   * @param {string} fullPath - 文件完整路径
+   * @returns {string|null} 不在任何映射内时为 null
+   */
+  accessPathOf(fullPath) {
+    const dir = this._directoryFor(fullPath);
+    return dir ? this._accessPath(dir, fullPath) : null;
+  }
+
+  /**
+   * 文件是否为草稿（front matter 中 draft: true）
+   *
+   * @param {string} fullPath - 文件完整路径
+   * @returns {boolean}
+   */
+  isDraft(fullPath) {
+    const accessPath = this.accessPathOf(fullPath);
+    const note = accessPath && this.notes.get(accessPath);
+    return !!(note && note.meta && note.meta.draft);
+  }
+
+  /**
+   * 全部标签及笔记数（不含草稿）
+   *
+   * @param {Function} filter - 可选，(访问路径) => 是否可展示
+   * @returns {Object[]} [{ tag, count }]，按笔记数倒序、标签名排序
+   */
+  tags(filter = null) {
+    const counts = new Map(); // 匹配键 -> { tag, count }
+    for (const note of this._publishedNotes(filter)) {
+      for (const tag of note.meta.tags) {
+        const key = tagKey(tag);
+        if (!counts.has(key)) counts.set(key, { tag, count: 0 });
+        counts.get(key).count++;
+      }
+    }
+    return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  /**
+   * 带有指定标签的笔记（不区分大小写；a 同时匹配层级标签 a/b，不含草稿）
+   *
+   * @param {string} tag - 标签
+   * @param {Function} filter - 可选，(访问路径) => 是否可展示
+   * @returns {Object[]} [{ path, url, name, title, tags, date, updated }]，按日期倒序、标题排序
+   */
+  notesWithTag(tag, filter = null) {
+    const key = tagKey(tag);
+    if (!key) return [];
+    return this._publishedNotes(filter)
+      .filter(note => note.meta.tags.some(t => {
+        const candidate = tagKey(t);
+        return candidate === key || candidate.startsWith(`${key}/`);
+      }))
+      .map(note => ({
+        path: note.path,
+        url: encodeAccessPath(note.path),
+        name: note.name,
+        title: note.meta.title || note.name,
+        tags: note.meta.tags,
+        date: note.meta.date,
+        updated: note.meta.updated
+      }))
+      .sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')) || a.title.localeCompare(b.title));
+  }
+
+  /**
+   * 非草稿且可展示的笔记
+   * @private
+   */
+  _publishedNotes(filter) {
+    return [...this.notes.values()].filter(note =>
+      note.meta && !note.meta.draft && (!filter || filter(note.path))
+    );
+  }
+
+  /**
+   * 解析 Wiki 链接目标
+   *
+   * 以 / 开头时按完整访问路径匹配；包含 / 时按路径后缀匹配；否则按文件名匹配（均忽略大小写与 .md）。
+   * 多篇同名笔记时优先与来源笔记同目录的，其次路径最短的。
+   *
+   * @param {string} target - 链接目标（如 "Note"、"projects/Note"）
+   * @param {string} fromPath - 来源笔记的访问路径
+   * @returns {string|null} 目标笔记的访问路径（未编码）
+   */
+  resolve(target, fromPath = '') {
+    const key = noteKey(target).trim();
+    if (!key) return null;
+
+    let candidates;
+    if (key.startsWith('/')) {
+      candidates = [...this.notes.keys()].filter(p => noteKey(p) === key);
+    } else if (key.includes('/')) {
+      candidates = [...this.notes.keys()].filter(p => noteKey(p).endsWith(`/${key}`));
+    } else {
+      candidates = this._byName().get(key) || [];
+    }
+    if (candidates.length <= 1) return candidates[0] || null;
+
+    const fromDir = path.posix.dirname(fromPath || '/');
+    return candidates.slice().sort((a, b) =>
+      (path.posix.dirname(b) === fromDir) - (path.posix.dirname(a) === fromDir) ||
+      a.length - b.length ||
+      a.localeCompare(b)
+    )[0];
+  }
+
+  /**
+   * 生成页面使用的链接解析函数（返回编码后的访问地址）
+   *
+   * @param {string} fromPath - 来源笔记的访问路径
+   * @returns {Function} (target) => 地址或 null
+   */
+  resolver(fromPath) {
+    return (target) => {
+      const resolved = this.resolve(target, fromPath);
+      return resolved ? encodeAccessPath(resolved) : null;
+    };
+  }
+
+  /**
+   * 链接到指定笔记的其他笔记
+   *
+   * @param {string} accessPath - 笔记访问路径
+   * @param {Function} filter - 可选，(访问路径) => 是否可展示
+   * @returns {Object[]} [{ path, name, url }]，按路径排序
+   */
+  backlinks(accessPath, filter = null) {
+    const sources = new Set();
+    for (const edge of this._graph().edges) {
+      if (edge.target === accessPath && edge.source !== accessPath) sources.add(edge.source);
+    }
+    return [...sources]
+      .filter(source => !filter || filter(source))
+      .sort((a, b) => a.localeCompare(b))
+      .map(source => {
+        const note = this.notes.get(source);
+        return { path: source, name: (note.meta && note.meta.title) || note.name, url: encodeAccessPath(source) };
+      });
+  }
+
+  /**
+   * 链接关系图
+   *
+   * @param {Function} filter - 可选，(访问路径) => 是否可展示（不可展示的笔记及其连线均不输出）
+   * @returns {{ nodes: Object[], edges: Object[], broken: Object[] }}
+   */
+  graph(filter = null) {
+    const visible = (p) => !filter || filter(p);
+    const { edges, broken } = this._graph();
+    const nodes = [...this.notes.values()]
+      .filter(note => visible(note.path))
+      .sort((a, b) => a.path.localeCompare(b.path))
+      .map(note => ({
+        id: note.path,
+        name: note.name,
+        title: (note.meta && note.meta.title) || note.name,
+        url: encodeAccessPath(note.path),
+        links: note.links.length
+      }));
+    return {
+      nodes,
+      edges: edges.filter(edge => visible(edge.source) && visible(edge.target)),
+      broken: broken.filter(edge => visible(edge.source))
+    };
+  }
+
+  /**
+   * 解析全部链接（按 generation 缓存）
+   * @private
+   */
+  _graph() {
+    if (this.graphCache && this.graphCache.generation === this.generation) {
+      return this.graphCache;
+    }
+    const edges = [];
+    const broken = [];
+    for (const note of this.notes.values()) {
+      const targets = new Set();
+      for (const link of note.links) {
+        const target = this.resolve(link, note.path);
+        if (!target) {
+          broken.push({ source: note.path, target: link });
+        } else if (!targets.has(target)) {
+          targets.add(target);
+          edges.push({ source: note.path, target });
+        }
+      }
+    }
+    this.graphCache = { generation: this.generation, edges, broken };
+    return this.graphCache;
+  }
+
+  /**
+   * 按文件名分组的访问路径（按 generation 缓存）
+   * @private
+   */
+  _byName() {
+    if (!this.lookup || this.lookup.generation !== this.generation) {
+      const byName = new Map();
+      for (const accessPath of this.notes.keys()) {
+        const key = noteKey(path.posix.basename(accessPath));
+        if (!byName.has(key)) byName.set(key, []);
+        byName.get(key).push(accessPath);
+      }
+      this.lookup = { generation: this.generation, byName };
+    }
+    return this.lookup.byName;
+  }
+
+  /**
+   * 递归扫描目录下的 Markdown 文件（跳过回收站与隐藏路径）
+   * @private
+   * @returns {number} 更新的笔记数
+   */
+  _scanDirectory(dirPath, dir, found) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dirPath, { withFileTypes: true });
+    } catch (_) {
+      return 0;
+    }
+
+    let changed = 0;
+    for (const entry of entries) {
+      const fullPath = path.join(dirPath, entry.name);
+      const relativePath = path.relative(dir.basePath, fullPath);
+      if (isConcealedPath(dir.mapping, relativePath)) continue;
+
+      if (entry.isDirectory()) {
+        // 回收站不索引；嵌套的其他映射由该映射自己扫描
+        if (entry.name === TRASH_DIR || this.directories.some(d => d !== dir && d.basePath === fullPath)) continue;
+        changed += this._scanDirectory(fullPath, dir, found);
+      } else if (entry.isFile() && MARKDOWN_EXT.test(entry.name)) {
+        const accessPath = this._accessPath(dir, fullPath);
+        found.add(accessPath);
+        try {
+          if (this._indexFile(fullPath, accessPath, fs.statSync(fullPath))) changed++;
+        } catch (_) {
+          // 扫描期间被删除
+        }
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * 解析单个文件的链接与元数据（修改时间与大小未变时跳过）
+   * @private
+   * @returns {boolean} 索引是否有变化
+   */
+  _indexFile(fullPath, accessPath, stat) {
+    const existing = this.notes.get(accessPath);
+    if (existing && existing.meta && existing.mtime === stat.mtimeMs && existing.size === stat.size) {
+      return false;
+    }
+
+    let links = [];
+    let frontMatter = {};
+    if (stat.size <= MAX_NOTE_SIZE) {
+      try {
+        const parsed = parseFrontMatter(fs.readFileSync(fullPath, 'utf8'));
+        frontMatter = parsed.frontMatter;
+        links = extractWikiLinks(parsed.body);
+      } catch (err) {
+        if (this.logger) this.logger('WARN', `笔记索引读取失败: ${fullPath}`, err.message);
+      }
+    }
+    this.notes.set(accessPath, {
+      path: accessPath,
+      name: path.basename(fullPath).replace(MARKDOWN_EXT, ''),
+      mtime: stat.mtimeMs,
+      size: stat.size,
+      links,
+      meta: noteMeta(frontMatter)
+    });
+    return true;
+  }
+
+  /**
+   * 查找文件所属的目录映射
+   * @private
+   */
+  _directoryFor(fullPath) {
+    return this.directories.find(dir =>
+      fullPath === dir.basePath || fullPath.startsWith(dir.basePath + path.sep)
+    ) || null;
+  }
+
+  /**
+   * 由映射路由与相对路径拼出访问路径
+   * @private
+   */
+  _accessPath(dir, fullPath) {
+    const relativePath = path.relative(dir.basePath, fullPath).split(path.sep).join('/');
+    const route = dir.route.replace(/\/+$/, '');
+    return `${route}/${relativePath}`;
+  }
+
+  /**
+   * 记录变更：递增 generation 并安排落盘
+   * @private
+   */
+  _markChanged() {
+    this.generation++;
+    this._schedulePersist();
+  }
+
+  /**
+   * 从文件加载索引
+   * @private
+   */
+  _load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8')) || {};
+      for (const note of Array.isArray(data.notes) ? data.notes : []) {
+        if (note && typeof note.path === 'string' && Array.isArray(note.links)) {
+          this.notes.set(note.path, note);
+        }
+      }
+    } catch (err) {
+      if (this.logger) this.logger('WARN', '笔记索引读取失败，将重新扫描', err.message);
+    }
+  }
+
+  /**
+   * 延迟写入，合并短时间内的多次变更
+   * @private
+   */
+  _schedulePersist() {
+    if (!this.filePath || this.persistTimer) return;
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this._persist();
+    }, 1000);
+  }
+
+  /**
+   * 写入索引文件
+   * @private
+   */
+  _persist() {
+    if (!this.filePath) return;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmp = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ notes: [...this.notes.values()] }), 'utf8');
+      fs.renameSync(tmp, this.filePath);
+    } catch (err) {
+      if (this.logger) this.logger('WARN', '笔记索引写入失败', err.message);
+    }
+  }
+
+  /**
+   * 获取统计信息
+   */
+  getStats() {
+    const { edges, broken } = this._graph();
+    return {
+      notes: this.notes.size,
+      links: edges.length,
+      brokenLinks: broken.length
+    };
+  }
+
+  /**
+   * 关闭服务：写入未落盘的变更
+   */
+  shutdown() {
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+    }
+    this._persist();
+  }
+}
+
+module.exports = NoteIndex;
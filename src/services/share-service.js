@@ -0,0 +1,327 @@
+/**
+ * 分享链接服务
+ *
+ * 为文件或目录生成带签名、不可猜测的分享链接（令牌 = 随机 ID + HMAC 签名），
+ * 支持过期时间、最大下载次数与可选访问密码。
+ *
+ * 分享记录持久化到 data/ 下的 JSON 文件；未配置签名密钥时自动生成并与记录一同保存，
+ * 因此重启后已发出的链接仍然有效。过期的分享在查询时惰性清理。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { hashPassword, verifyPassword } = require('../middleware/session');
+
+const HOUR = 60 * 60 * 1000;
+const SIGNATURE_LENGTH = 22; // base64url 字符数（132 位）
+
+/**
+ * 生成带状态码的错误
+ * @private
+ */
+function shareError(status, message) {
+  const err = new Error(message);
+  err.statusCode = status;
+  return err;
+}
+
+/**
+ * 分享链接服务类
+ */
+class ShareService {
+  /**
+   * @param {Object} options - { filePath, secret, defaultExpiryHours, maxExpiryHours }
+   * @param {Function} logger - 日志函数
+   */
+  constructor(options = {}, logger = null) {
+    this.filePath = options.filePath || null;
+    this.secret = options.secret || null;
+    this.defaultExpiryHours = options.defaultExpiryHours || 24;
+    this.maxExpiryHours = options.maxExpiryHours || 720;
+    this.logger = logger;
+    this.shares = new Map(); // id -> { id, path, isDir, createdAt, expiresAt, maxDownloads, downloads, passwordHash, createdBy }
+    this.persistTimer = null;
+
+    this._load();
+    if (!this.secret) {
+      this.secret = crypto.randomBytes(32).toString('base64url');
+      this.generatedSecret = true;
+      this._schedulePersist();
+    }
+  }
+
+  /**
+   * 计算签名
+   * @private
+   */
+  _sign(value) {
+    return crypto.createHmac('sha256', this.secret).update(value).digest('base64url').slice(0, SIGNATURE_LENGTH);
+  }
+
+  /**
+   * 生成分享令牌（ID + 签名，签名绑定目标路径与创建时间）
+   *
+   * @param {Object} share - 分享记录
+   * @returns {string} 令牌
+   */
+  tokenFor(share) {
+    return `${share.id}.${this._sign(`${share.id}:${share.path}:${share.createdAt}`)}`;
+  }
+
+  /**
+   * 创建分享
+   *
+   * @param {Object} params - { path: 访问路径, isDir, expiresInHours, maxDownloads, password, createdBy }
+   * @returns {Object} 分享记录
+   */
+  create(params) {
+    const hours = params.expiresInHours === undefined || params.expiresInHours === null || params.expiresInHours === ''
+      ? this.defaultExpiryHours
+      : Number(params.expiresInHours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > this.maxExpiryHours) {
+      throw shareError(400, `有效期需为 0-${this.maxExpiryHours} 小时之间的数值`);
+    }
+
+    let maxDownloads = null;
+    if (params.maxDownloads !== undefined && params.maxDownloads !== null && params.maxDownloads !== '' && Number(params.maxDownloads) !== 0) {
+      maxDownloads = Number(params.maxDownloads);
+      if (!Number.isInteger(maxDownloads) || maxDownloads < 0) {
+        throw shareError(400, '最大下载次数需为非负整数（0 表示不限）');
+      }
+    }
+
+    const now = Date.now();
+    const share = {
+      id: crypto.randomBytes(16).toString('base64url'),
+      path: params.path,
+      isDir: !!params.isDir,
+      createdAt: now,
+      expiresAt: now + Math.round(hours * HOUR),
+      maxDownloads,
+      downloads: 0,
+      passwordHash: params.password ? hashPassword(params.password) : null,
+      createdBy: params.createdBy || null
+    };
+    this.shares.set(share.id, share);
+    this._schedulePersist();
+    return share;
+  }
+
+  /**
+   * 校验令牌并返回分享
+   *
+   * @param {string} token - 分享令牌
+   * @returns {Object} 分享记录
+   * @throws {Error} 404 令牌无效或已撤销；410 已过期或下载次数已用完
+   */
+  verify(token) {
+    const [id, signature, extra] = String(token || '').split('.');
+    const share = id && signature && extra === undefined ? this.shares.get(id) : null;
+    if (!share) {
+      throw shareError(404, '分享链接无效或已撤销');
+    }
+
+    const expected = Buffer.from(this.tokenFor(share));
+    const actual = Buffer.from(String(token));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw shareError(404, '分享链接无效或已撤销');
+    }
+
+    if (Date.now() >= share.expiresAt) {
+      this.shares.delete(id);
+      this._schedulePersist();
+      throw shareError(410, '分享已过期');
+    }
+    if (this.isExhausted(share)) {
+      throw shareError(410, '分享的下载次数已用完');
+    }
+    return share;
+  }
+
+  /**
+   * 下载次数是否已用完
+   *
+   * @param {Object} share - 分享记录
+   * @returns {boolean}
+   */
+  isExhausted(share) {
+    return share.maxDownloads !== null && share.downloads >= share.maxDownloads;
+  }
+
+  /**
+   * 记录一次下载
+   *
+   * @param {Object} share - 分享记录
+   */
+  recordDownload(share) {
+    share.downloads++;
+    this._schedulePersist();
+  }
+
+  /**
+   * 校验分享密码
+   *
+   * @param {Object} share - 分享记录
+   * @param {string} password - 明文密码
+   * @returns {boolean}
+   */
+  checkPassword(share, password) {
+    return !!share.passwordHash && typeof password === 'string' && verifyPassword(password, share.passwordHash);
+  }
+
+  /**
+   * 生成密码验证通过后的解锁凭据（写入 Cookie，绑定分享与密码哈希，改密或撤销后失效）
+   *
+   * @param {Object} share - 分享记录
+   * @returns {string}
+   */
+  unlockToken(share) {
+    return this._sign(`unlock:${share.id}:${share.passwordHash}`);
+  }
+
+  /**
+   * 校验解锁凭据
+   *
+   * @param {Object} share - 分享记录
+   * @param {string} value - Cookie 中的凭据
+   * @returns {boolean}
+   */
+  isUnlocked(share, value) {
+    if (!share.passwordHash) return true;
+    const expected = Buffer.from(this.unlockToken(share));
+    const actual = Buffer.from(String(value || ''));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * 列出未过期的分享（不含密码哈希）
+   *
+   * @returns {Object[]} 按创建时间倒序
+   */
+  list() {
+    this._purgeExpired();
+    return [...this.shares.values()]
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(share => this.describe(share));
+  }
+
+  /**
+   * 对外展示的分享信息
+   *
+   * @param {Object} share - 分享记录
+   * @returns {Object}
+   */
+  describe(share) {
+    const { passwordHash, ...rest } = share;
+    return {
+      ...rest,
+      token: this.tokenFor(share),
+      hasPassword: !!passwordHash,
+      exhausted: this.isExhausted(share)
+    };
+  }
+
+  /**
+   * 撤销分享
+   *
+   * @param {string} id - 分享 ID
+   * @returns {boolean} 是否存在并已撤销
+   */
+  revoke(id) {
+    const removed = this.shares.delete(String(id));
+    if (removed) this._schedulePersist();
+    return removed;
+  }
+
+  /**
+   * 清理过期分享
+   * @private
+   */
+  _purgeExpired() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [id, share] of this.shares) {
+      if (now >= share.expiresAt) {
+        this.shares.delete(id);
+        removed++;
+      }
+    }
+    if (removed > 0) this._schedulePersist();
+  }
+
+  /**
+   * 从文件加载分享记录与自动生成的密钥
+   * @private
+   */
+  _load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8')) || {};
+      if (!this.secret && typeof data.secret === 'string' && data.secret) {
+        this.secret = data.secret;
+        this.generatedSecret = true;
+      }
+      for (const share of Array.isArray(data.shares) ? data.shares : []) {
+        if (share && share.id && share.path) this.shares.set(share.id, share);
+      }
+    } catch (err) {
+      if (this.logger) this.logger('WARN', '分享记录读取失败，已忽略', err.message);
+    }
+  }
+
+  /**
+   * 延迟写入，合并短时间内的多次变更
+   * @private
+   */
+  _schedulePersist() {
+    if (!this.filePath || this.persistTimer) return;
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this._persist();
+    }, 1000);
+  }
+
+  /**
+   * 写入分享记录文件（配置了密钥时不落盘密钥）
+   * @private
+   */
+  _persist() {
+    if (!this.filePath) return;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmp = `${this.filePath}.tmp`;
+      const data = {
+        ...(this.generatedSecret && { secret: this.secret }),
+        shares: [...this.shares.values()]
+      };
+      fs.writeFileSync(tmp, JSON.stringify(data), { encoding: 'utf8', mode: 0o600 });
+      fs.renameSync(tmp, this.filePath);
+    } catch (err) {
+      if (this.logger) this.logger('WARN', '分享记录写入失败', err.message);
+    }
+  }
+
+  /**
+   * 获取统计信息
+   */
+  getStats() {
+    return {
+      shares: this.shares.size,
+      downloads: [...this.shares.values()].reduce((sum, share) => sum + share.downloads, 0)
+    };
+  }
+
+  /**
+   * 关闭服务：写入未落盘的变更
+   */
+  shutdown() {
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+    }
+    this._persist();
+  }
+}
+
+module.exports = ShareService;
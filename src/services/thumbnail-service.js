@@ -0,0 +1,253 @@
+/**
+ * 图片缩略图服务
+ *
+ * 功能：
+ * - 解析 ?w=&h=&fit=&format=&q= 参数，生成缩放后的派生图
+ * - 派生图缓存在 data/ 下：<cacheDir>/<源路径 SHA-1>/<规格>-<源 mtime>-<源大小>.<ext>
+ *   源文件修改后缓存键变化自然失效，生成新文件时清理同规格的旧版本
+ * - 同一派生图的并发请求只生成一次
+ * - 纯 JS 编解码（src/utils/image），不依赖原生模块；解码与编码在 worker 线程中执行（thumbnail-worker），
+ *   不阻塞主线程，请求被中止（如请求队列执行超时）时终止对应线程
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
+const { SOURCE_EXTS, OUTPUT_FORMATS } = require('../utils/image');
+
+const FIT_MODES = ['cover', 'contain', 'fill'];
+const FORMAT_ALIASES = { jpg: 'jpeg', jpeg: 'jpeg', png: 'png', webp: 'webp' };
+const PARAM_NAMES = ['w', 'h', 'fit', 'format', 'q'];
+const WORKER_SCRIPT = path.join(__dirname, 'thumbnail-worker.js');
+
+/**
+ * 缩略图服务类
+ */
+class ThumbnailService {
+  /**
+   * @param {Object} options - features.thumbnails 配置，cacheDir 为绝对路径
+   * @param {Function} logger - 日志函数
+   */
+  constructor(options = {}, logger = null) {
+    this.cacheDir = options.cacheDir;
+    this.maxWidth = options.maxWidth || 2048;
+    this.maxHeight = options.maxHeight || 2048;
+    this.quality = options.quality || 80;
+    this.maxSourcePixels = options.maxSourcePixels || 50000000;
+    this.maxSourceBytes = (options.maxSourceSizeMB || 50) * 1024 * 1024;
+    this.logger = logger;
+    this.pending = new Map(); // 缓存文件路径 -> Promise
+    this.stats = { hits: 0, generated: 0, failed: 0 };
+  }
+
+  /**
+   * 判断文件扩展名是否支持生成缩略图
+   *
+   * @param {string} filePath - 文件路径
+   * @returns {boolean}
+   */
+  isSupported(filePath) {
+    return SOURCE_EXTS.includes(path.extname(filePath).toLowerCase());
+  }
+
+  /**
+   * 解析缩略图参数
+   *
+   * @param {URLSearchParams} params - 查询参数
+   * @param {string} filePath - 源文件路径（用于确定默认输出格式）
+   * @returns {Object|null} { width, height, fit, format, quality }；未携带缩略图参数时返回 null
+   * @throws {Error} 参数无效（statusCode=400）
+   */
+  parseParams(params, filePath) {
+    if (!PARAM_NAMES.some(name => params.has(name))) return null;
+
+    const fail = (message) => {
+      const err = new Error(message);
+      err.statusCode = 400;
+      return err;
+    };
+    const readSize = (name, max) => {
+      if (!params.has(name) || params.get(name) === '') return 0;
+      const value = Number(params.get(name));
+      if (!Number.isInteger(value) || value < 1 || value > max) {
+        throw fail(`参数 ${name} 需为 1-${max} 的整数`);
+      }
+      return value;
+    };
+
+    const width = readSize('w', this.maxWidth);
+    const height = readSize('h', this.maxHeight);
+    if (!width && !height && !params.has('format')) throw fail('需要提供 w、h 或 format 参数');
+
+    const fit = params.get('fit') || 'cover';
+    if (!FIT_MODES.includes(fit)) throw fail(`参数 fit 无效，可选 ${FIT_MODES.join('/')}`);
+
+    let format = params.get('format');
+    if (format) {
+      format = FORMAT_ALIASES[format.toLowerCase()];
+      if (!format) throw fail(`参数 format 无效，可选 ${Object.keys(OUTPUT_FORMATS).join('/')}`);
+    } else {
+      const ext = path.extname(filePath).toLowerCase();
+      format = ext === '.jpg' || ext === '.jpeg' || ext === '.jfif' ? 'jpeg' : 'png';
+    }
+
+    let quality = this.quality;
+    if (params.has('q')) {
+      quality = Number(params.get('q'));
+      if (!Number.isInteger(quality) || quality < 1 || quality > 100) throw fail('参数 q 需为 1-100 的整数');
+    }
+
+    return { width, height, fit, format, quality };
+  }
+
+  /**
+   * 计算派生图缓存位置
+   * @private
+   */
+  _target(filePath, stat, params) {
+    const variant = [
+      `${params.width || 'auto'}x${params.height || 'auto'}`,
+      params.fit,
+      params.format === 'jpeg' ? `q${params.quality}` : null
+    ].filter(Boolean).join('-');
+    const dir = path.join(this.cacheDir, crypto.createHash('sha1').update(filePath).digest('hex'));
+    return {
+      dir,
+      variant,
+      path: path.join(dir, `${variant}-${Math.floor(stat.mtimeMs)}-${stat.size}.${params.format}`),
+      mimeType: OUTPUT_FORMATS[params.format]
+    };
+  }
+
+  /**
+   * 查找已缓存的缩略图
+   *
+   * @param {string} filePath - 源文件绝对路径
+   * @param {fs.Stats} stat - 源文件信息
+   * @param {Object} params - parseParams 的结果
+   * @returns {Promise<{ path: string, mimeType: string, stat: fs.Stats }|null>}
+   */
+  async lookup(filePath, stat, params) {
+    const target = this._target(filePath, stat, params);
+    try {
+      const cacheStat = await fs.promises.stat(target.path);
+      this.stats.hits++;
+      return { path: target.path, mimeType: target.mimeType, stat: cacheStat };
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * 获取缩略图，未缓存时生成（同一派生图并发请求只生成一次）
+   *
+   * @param {string} filePath - 源文件绝对路径
+   * @param {fs.Stats} stat - 源文件信息
+   * @param {Object} params - parseParams 的结果
+   * @param {AbortSignal} signal - 可选，中止时终止生成线程
+   * @returns {Promise<{ path: string, mimeType: string, stat: fs.Stats }>}
+   * @throws {Error} 源图过大、无法解码或已中止
+   */
+  async getThumbnail(filePath, stat, params, signal = null) {
+    const cached = await this.lookup(filePath, stat, params);
+    if (cached) return cached;
+
+    const target = this._target(filePath, stat, params);
+    if (!this.pending.has(target.path)) {
+      const task = this._generate(filePath, stat, params, target, signal)
+        .finally(() => this.pending.delete(target.path));
+      this.pending.set(target.path, task);
+    }
+    await this.pending.get(target.path);
+    return { path: target.path, mimeType: target.mimeType, stat: await fs.promises.stat(target.path) };
+  }
+
+  /**
+   * 生成缩略图并写入缓存
+   * @private
+   */
+  async _generate(filePath, stat, params, target, signal) {
+    let buffer;
+    try {
+      if (stat.size > this.maxSourceBytes) throw new Error('源图片过大');
+      buffer = await this._runWorker(filePath, params, signal);
+    } catch (err) {
+      this.stats.failed++;
+      if (this.logger) this.logger('WARN', '缩略图生成失败，返回原图', `${filePath}: ${err.message}`);
+      throw err;
+    }
+
+    await fs.promises.mkdir(target.dir, { recursive: true });
+    const tmp = `${target.path}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, buffer);
+    await fs.promises.rename(tmp, target.path);
+    this.stats.generated++;
+
+    // 清理同规格的旧版本（源文件已修改）
+    const prefix = `${target.variant}-`;
+    const current = path.basename(target.path);
+    const ext = `.${params.format}`;
+    try {
+      for (const name of await fs.promises.readdir(target.dir)) {
+        if (name !== current && name.startsWith(prefix) && name.endsWith(ext) &&
+          /^\d+-\d+$/.test(name.slice(prefix.length, -ext.length))) {
+          await fs.promises.unlink(path.join(target.dir, name)).catch(() => {});
+        }
+      }
+    } catch (_) {
+      // 清理失败不影响结果
+    }
+  }
+
+  /**
+   * 在 worker 线程中读取源图并生成缩略图
+   * @private
+   */
+  _runWorker(filePath, params, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const worker = new Worker(WORKER_SCRIPT, {
+        workerData: { filePath, params, maxPixels: this.maxSourcePixels }
+      });
+      let settled = false;
+      const finish = (err, buffer) => {
+        if (settled) return;
+        settled = true;
+        if (signal) signal.removeEventListener('abort', onAbort);
+        if (err) reject(err);
+        else resolve(buffer);
+      };
+      const onAbort = () => {
+        worker.terminate();
+        finish(signal.reason || new Error('缩略图生成已中止'));
+      };
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      worker.once('message', (message) => {
+        if (message.error) finish(new Error(message.error));
+        else finish(null, Buffer.from(message.buffer.buffer, message.buffer.byteOffset, message.buffer.length));
+      });
+      worker.once('error', err => finish(err));
+      worker.once('exit', (code) => finish(new Error(`缩略图线程异常退出（${code}）`)));
+    });
+  }
+
+  /**
+   * 获取统计信息
+   */
+  getStats() {
+    return {
+      cacheHits: this.stats.hits,
+      generated: this.stats.generated,
+      failed: this.stats.failed,
+      pending: this.pending.size
+    };
+  }
+}
+
+module.exports = ThumbnailService;
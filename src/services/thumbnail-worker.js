@@ -0,0 +1,22 @@
+/**
+ * 缩略图生成 worker（由 ThumbnailService 通过 worker_threads 启动）
+ *
+ * workerData: { filePath, params, maxPixels }
+ * 读取源图并解码、缩放、编码，完成后以 { buffer } 回传结果（转移所有权，不复制），失败时回传 { error }。
+ * 纯 JS 编解码耗时较长，放在独立线程中执行，避免阻塞主线程的事件循环。
+ */
+
+const fs = require('fs');
+const { parentPort, workerData } = require('worker_threads');
+const { createThumbnail } = require('../utils/image');
+
+try {
+  const source = fs.readFileSync(workerData.filePath);
+  const { buffer } = createThumbnail(source, workerData.params, { maxPixels: workerData.maxPixels });
+  const data = new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length);
+  // Buffer 可能位于共享内存池中，只有独占底层内存时才能转移
+  const owned = buffer.byteOffset === 0 && buffer.length === buffer.buffer.byteLength;
+  parentPort.postMessage({ buffer: data }, owned ? [data.buffer] : []);
+} catch (err) {
+  parentPort.postMessage({ error: err.message });
+}
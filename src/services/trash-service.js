@@ -0,0 +1,276 @@
+/**
+ * 回收站服务
+ *
+ * 删除操作不再直接 unlink，而是把文件移动到所属目录映射根下的 .trash 目录：
+ * - .trash/<id>       被删除的文件（或目录）
+ * - .trash/<id>.json  元数据：原路径、删除时间、删除人、大小
+ * 支持按 id 恢复，超过保留期的条目由定时任务清理。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { TRASH_DIR, isTrashPath } = require('../utils/path-resolver');
+const { movePath, pathSize } = require('../utils/fs-ops');
+
+const ID_PATTERN = /^[a-z0-9]+-[a-f0-9]{8}$/;
+
+/**
+ * 创建带状态码的错误
+ * @private
+ */
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * 回收站服务类
+ */
+class TrashService {
+  /**
+   * @param {Object} options - { directories: [{ route, basePath }]（basePath 为绝对路径）, retentionDays, purgeIntervalMinutes }
+   * @param {Function} logger - 日志函数
+   */
+  constructor(options = {}, logger = null) {
+    // 按根目录长度降序，嵌套映射时归属最具体的一个
+    this.mappings = (options.directories || [])
+      .map(dir => ({ route: dir.route, basePath: path.normalize(dir.basePath) }))
+      .sort((a, b) => b.basePath.length - a.basePath.length);
+    this.retentionMs = (options.retentionDays || 30) * 24 * 60 * 60 * 1000;
+    this.purgeIntervalMs = (options.purgeIntervalMinutes || 60) * 60 * 1000;
+    this.logger = logger;
+    this.purgeTimer = null;
+    this.stats = { trashed: 0, restored: 0, purged: 0 };
+  }
+
+  /**
+   * 启动定时清理（启动时先执行一次）
+   */
+  startPurgeTimer() {
+    if (this.purgeTimer) return;
+    this.purge().catch(() => {});
+    this.purgeTimer = setInterval(() => {
+      this.purge().catch(() => {});
+    }, this.purgeIntervalMs);
+    this.purgeTimer.unref();
+  }
+
+  /**
+   * 查找文件所属的目录映射
+   * @private
+   */
+  _findMapping(localPath) {
+    const normalized = path.normalize(localPath);
+    return this.mappings.find(m => normalized === m.basePath || normalized.startsWith(m.basePath + path.sep)) || null;
+  }
+
+  /**
+   * 映射的回收站目录
+   * @private
+   */
+  _trashDir(mapping) {
+    return path.join(mapping.basePath, TRASH_DIR);
+  }
+
+  /**
+   * 移入回收站
+   *
+   * @param {string} localPath - 待删除文件的绝对路径
+   * @param {Object} requester - { ip, user, authType }
+   * @returns {Promise<Object>} 元数据
+   * @throws {Error} 不在映射目录内、位于回收站中或文件不存在
+   */
+  async moveToTrash(localPath, requester = {}) {
+    const mapping = this._findMapping(localPath);
+    if (!mapping) throw httpError(400, '路径未在映射目录内');
+
+    const relative = path.relative(mapping.basePath, localPath);
+    if (!relative || isTrashPath(relative)) throw httpError(400, '不允许删除该路径');
+
+    const stat = await fs.promises.lstat(localPath);
+    const id = `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+    const trashDir = this._trashDir(mapping);
+    const meta = {
+      id,
+      name: path.basename(localPath),
+      route: mapping.route,
+      originalPath: relative.split(path.sep).join('/'),
+      isDirectory: stat.isDirectory(),
+      size: await pathSize(localPath, stat),
+      deletedAt: new Date().toISOString(),
+      deletedBy: requester.user || null,
+      authType: requester.authType || null,
+      ip: requester.ip || null
+    };
+
+    await fs.promises.mkdir(trashDir, { recursive: true });
+    // 先写元数据：移动中断时仍可识别并清理
+    await fs.promises.writeFile(path.join(trashDir, `${id}.json`), JSON.stringify(meta, null, 2), 'utf8');
+    try {
+      await movePath(localPath, path.join(trashDir, id));
+    } catch (err) {
+      await fs.promises.unlink(path.join(trashDir, `${id}.json`)).catch(() => {});
+      throw err;
+    }
+
+    this.stats.trashed++;
+    if (this.logger) {
+      this.logger('INFO', `已移入回收站: ${mapping.route} ${meta.originalPath}`, `${id}${meta.deletedBy ? ` by ${meta.deletedBy}` : ''}`);
+    }
+    return meta;
+  }
+
+  /**
+   * 读取单个映射中的全部元数据
+   * @private
+   */
+  async _readMapping(mapping) {
+    const trashDir = this._trashDir(mapping);
+    let names;
+    try {
+      names = await fs.promises.readdir(trashDir);
+    } catch (_) {
+      return [];
+    }
+
+    const items = [];
+    for (const name of names) {
+      if (!name.endsWith('.json') || !ID_PATTERN.test(name.slice(0, -5))) continue;
+      try {
+        const meta = JSON.parse(await fs.promises.readFile(path.join(trashDir, name), 'utf8'));
+        if (meta && meta.id === name.slice(0, -5)) items.push(meta);
+      } catch (_) {
+        // 元数据损坏：保留文件，等待过期清理
+      }
+    }
+    return items;
+  }
+
+  /**
+   * 列出回收站条目（最近删除在前）
+   *
+   * @param {Object} filters - { route: 仅指定映射, q: 原路径子串 }
+   * @returns {Promise<Object[]>} 元数据列表（附带 expiresAt）
+   */
+  async list(filters = {}) {
+    const q = (filters.q || '').toLowerCase();
+    const items = [];
+    for (const mapping of this.mappings) {
+      if (filters.route && mapping.route !== filters.route) continue;
+      for (const meta of await this._readMapping(mapping)) {
+        if (q && !meta.originalPath.toLowerCase().includes(q)) continue;
+        items.push({
+          ...meta,
+          expiresAt: new Date(Date.parse(meta.deletedAt) + this.retentionMs).toISOString()
+        });
+      }
+    }
+    return items.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  /**
+   * 按 id 查找条目
+   * @private
+   */
+  async _find(id) {
+    if (!ID_PATTERN.test(String(id))) return null;
+    for (const mapping of this.mappings) {
+      const metaPath = path.join(this._trashDir(mapping), `${id}.json`);
+      try {
+        const meta = JSON.parse(await fs.promises.readFile(metaPath, 'utf8'));
+        return { mapping, meta, metaPath, dataPath: path.join(this._trashDir(mapping), id) };
+      } catch (_) {
+        // 不在该映射中
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 从回收站恢复到原位置
+   *
+   * @param {string} id - 条目 id
+   * @param {Object} options - { overwrite: 原位置已有文件时是否覆盖（被覆盖的文件移入回收站）, requester }
+   * @returns {Promise<Object>} { meta, localPath }
+   * @throws {Error} 条目不存在（404）、原位置已存在（409）
+   */
+  async restore(id, options = {}) {
+    const found = await this._find(id);
+    if (!found) throw httpError(404, '回收站条目不存在');
+
+    const { mapping, meta, metaPath, dataPath } = found;
+    const localPath = path.normalize(path.join(mapping.basePath, meta.originalPath));
+    if (!localPath.startsWith(mapping.basePath + path.sep) || isTrashPath(meta.originalPath)) {
+      throw httpError(400, '元数据中的原路径无效');
+    }
+
+    if (fs.existsSync(localPath)) {
+      if (!options.overwrite) throw httpError(409, '原位置已存在同名文件');
+      await this.moveToTrash(localPath, options.requester);
+    }
+
+    await fs.promises.mkdir(path.dirname(localPath), { recursive: true });
+    await movePath(dataPath, localPath);
+    await fs.promises.unlink(metaPath).catch(() => {});
+
+    this.stats.restored++;
+    if (this.logger) this.logger('INFO', `已从回收站恢复: ${mapping.route} ${meta.originalPath}`, id);
+    return { meta, localPath };
+  }
+
+  /**
+   * 清理超过保留期的条目
+   *
+   * @returns {Promise<number>} 清理条数
+   */
+  async purge() {
+    const cutoff = Date.now() - this.retentionMs;
+    let purged = 0;
+
+    for (const mapping of this.mappings) {
+      const trashDir = this._trashDir(mapping);
+      for (const meta of await this._readMapping(mapping)) {
+        if (!(Date.parse(meta.deletedAt) < cutoff)) continue;
+        try {
+          await fs.promises.rm(path.join(trashDir, meta.id), { recursive: true, force: true });
+          await fs.promises.unlink(path.join(trashDir, `${meta.id}.json`));
+          purged++;
+        } catch (err) {
+          if (this.logger) this.logger('WARN', `回收站清理失败: ${meta.id}`, err.message);
+        }
+      }
+    }
+
+    if (purged) {
+      this.stats.purged += purged;
+      if (this.logger) this.logger('INFO', `回收站已清理 ${purged} 个过期条目`);
+    }
+    return purged;
+  }
+
+  /**
+   * 获取统计信息
+   */
+  getStats() {
+    return {
+      trashed: this.stats.trashed,
+      restored: this.stats.restored,
+      purged: this.stats.purged,
+      retentionDays: Math.round(this.retentionMs / (24 * 60 * 60 * 1000))
+    };
+  }
+
+  /**
+   * 停止定时清理
+   */
+  shutdown() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
+  }
+}
+
+module.exports = TrashService;
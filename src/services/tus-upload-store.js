@@ -0,0 +1,238 @@
+/**
+ * 断点续传上传存储（tus 1.0）
+ *
+ * 功能：
+ * - 未完成上传的元数据与数据文件存放在 data/ 下（<id>.json + <id>.part）
+ * - 当前偏移量以数据文件实际大小为准，进程崩溃后仍可续传
+ * - 上传过期后自动清理（含已完成记录）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ID_PATTERN = /^[a-f0-9]{32}$/;
+
+/**
+ * 断点续传存储类
+ */
+class TusUploadStore {
+  /**
+   * @param {Object} options - { dir: 存储目录（绝对路径）, expirationMs: 过期时间 }
+   * @param {Function} logger - 日志函数
+   */
+  constructor(options = {}, logger = null) {
+    this.dir = options.dir;
+    this.expirationMs = options.expirationMs || 24 * 60 * 60 * 1000;
+    this.logger = logger;
+    this.uploads = new Map(); // id -> info
+    this.locks = new Set(); // 正在写入的上传 ID
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    this._load();
+    this.cleanupInterval = setInterval(() => this.purgeExpired(), 10 * 60 * 1000);
+  }
+
+  /**
+   * 数据文件路径
+   */
+  dataPath(id) {
+    return path.join(this.dir, `${id}.part`);
+  }
+
+  /**
+   * 元数据文件路径
+   * @private
+   */
+  _infoPath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  /**
+   * 创建上传
+   *
+   * @param {Object} params - { length, metadata（已解码）, rawMetadata }
+   * @returns {Object} 上传信息
+   */
+  create(params) {
+    const id = crypto.randomBytes(16).toString('hex');
+    const now = Date.now();
+    const info = {
+      id,
+      length: params.length,
+      metadata: params.metadata || {},
+      rawMetadata: params.rawMetadata || '',
+      createdAt: now,
+      expiresAt: now + this.expirationMs,
+      completed: null
+    };
+    fs.writeFileSync(this.dataPath(id), Buffer.alloc(0));
+    this.uploads.set(id, info);
+    this.save(info);
+    return info;
+  }
+
+  /**
+   * 查询未过期的上传
+   *
+   * @param {string} id - 上传 ID
+   * @returns {Object|null} 上传信息
+   */
+  get(id) {
+    if (!ID_PATTERN.test(String(id || ''))) return null;
+    const info = this.uploads.get(id);
+    if (!info) return null;
+    if (Date.now() >= info.expiresAt) {
+      this.remove(id);
+      return null;
+    }
+    return info;
+  }
+
+  /**
+   * 获取当前偏移量（数据文件大小）
+   *
+   * @param {Object} info - 上传信息
+   * @returns {Promise<number>}
+   */
+  async getOffset(info) {
+    if (info.completed) return info.length;
+    try {
+      const stat = await fs.promises.stat(this.dataPath(info.id));
+      return stat.size;
+    } catch (_) {
+      return 0;
+    }
+  }
+
+  /**
+   * 延长过期时间（每次追加数据后调用）
+   */
+  touch(info) {
+    info.expiresAt = Date.now() + this.expirationMs;
+    this.save(info);
+  }
+
+  /**
+   * 写入元数据文件
+   */
+  save(info) {
+    try {
+      const tmp = `${this._infoPath(info.id)}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(info), 'utf8');
+      fs.renameSync(tmp, this._infoPath(info.id));
+    } catch (err) {
+      if (this.logger) this.logger('WARN', '续传元数据写入失败', err.message);
+    }
+  }
+
+  /**
+   * 删除上传（数据与元数据）
+   */
+  remove(id) {
+    this.uploads.delete(id);
+    this.locks.delete(id);
+    for (const file of [this.dataPath(id), this._infoPath(id)]) {
+      try {
+        fs.unlinkSync(file);
+      } catch (_) {
+        // 文件可能已不存在
+      }
+    }
+  }
+
+  /**
+   * 获取写入锁（同一上传同时只允许一个 PATCH）
+   *
+   * @returns {boolean} 是否成功获取
+   */
+  acquire(id) {
+    if (this.locks.has(id)) return false;
+    this.locks.add(id);
+    return true;
+  }
+
+  /**
+   * 释放写入锁
+   */
+  release(id) {
+    this.locks.delete(id);
+  }
+
+  /**
+   * 清理过期上传
+   */
+  purgeExpired() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [id, info] of this.uploads) {
+      if (now >= info.expiresAt && !this.locks.has(id)) {
+        this.remove(id);
+        removed++;
+      }
+    }
+    if (removed > 0 && this.logger) {
+      this.logger('INFO', `已清理 ${removed} 个过期的续传上传`);
+    }
+  }
+
+  /**
+   * 从目录加载上传记录，并移除孤立的数据文件
+   * @private
+   */
+  _load() {
+    let entries = [];
+    try {
+      entries = fs.readdirSync(this.dir);
+    } catch (_) {
+      return;
+    }
+
+    for (const name of entries) {
+      if (!name.endsWith('.json')) continue;
+      try {
+        const info = JSON.parse(fs.readFileSync(path.join(this.dir, name), 'utf8'));
+        if (info && ID_PATTERN.test(info.id)) {
+          this.uploads.set(info.id, info);
+        }
+      } catch (err) {
+        if (this.logger) this.logger('WARN', `续传元数据读取失败，已忽略: ${name}`, err.message);
+      }
+    }
+
+    for (const name of entries) {
+      const id = path.basename(name, path.extname(name));
+      if (name.endsWith('.part') && !this.uploads.has(id)) {
+        try {
+          fs.unlinkSync(path.join(this.dir, name));
+        } catch (_) {
+          // 忽略
+        }
+      }
+    }
+
+    this.purgeExpired();
+  }
+
+  /**
+   * 获取统计信息
+   */
+  getStats() {
+    let pending = 0;
+    let completed = 0;
+    for (const info of this.uploads.values()) {
+      if (info.completed) completed++;
+      else pending++;
+    }
+    return { pending, completed, active: this.locks.size, expirationMs: this.expirationMs };
+  }
+
+  /**
+   * 关闭定时器
+   */
+  shutdown() {
+    clearInterval(this.cleanupInterval);
+  }
+}
+
+module.exports = TusUploadStore;
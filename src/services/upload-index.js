@@ -0,0 +1,179 @@
+/**
+ * 上传内容索引
+ *
+ * 记录 SHA-256 -> 已落盘文件路径，用于相同内容重复上传时直接返回已有文件。
+ * 索引持久化到 data/ 下的 JSON 文件；查询时校验文件仍存在且大小、修改时间与 inode 未变，
+ * 因此文件被删除或替换（包括同样大小的内容）后旧记录会自动失效。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hashFile } = require('../utils/upload-naming');
+
+/**
+ * 上传内容索引类
+ */
+class UploadIndex {
+  /**
+   * @param {Object} options - { filePath: 索引文件路径（绝对路径） }
+   * @param {Function} logger - 日志函数
+   */
+  constructor(options = {}, logger = null) {
+    this.filePath = options.filePath || null;
+    this.logger = logger;
+    this.entries = new Map(); // sha256 -> [{ path, size, mtimeMs, ino }]
+    this.persistTimer = null;
+    this.stats = { hits: 0, added: 0 };
+
+    this._load();
+  }
+
+  /**
+   * 查找指定目录下内容相同的已有文件
+   *
+   * @param {string} sha256 - 内容摘要
+   * @param {number} size - 文件大小
+   * @param {string} rootDir - 查找范围（上传根目录，绝对路径）
+   * @returns {Promise<string|null>} 已有文件路径
+   */
+  async find(sha256, size, rootDir) {
+    const list = this.entries.get(sha256);
+    if (!list) return null;
+
+    for (const entry of [...list]) {
+      if (entry.path !== rootDir && !entry.path.startsWith(rootDir + path.sep)) continue;
+      try {
+        const stat = await fs.promises.stat(entry.path);
+        if (stat.isFile() && stat.size === size && await this._isUnchanged(sha256, entry, stat)) {
+          this.stats.hits++;
+          return entry.path;
+        }
+      } catch (_) {
+        // 文件已不存在
+      }
+      this._removeEntry(sha256, entry.path);
+    }
+    return null;
+  }
+
+  /**
+   * 登记文件
+   *
+   * @param {string} sha256 - 内容摘要
+   * @param {string} filePath - 文件路径（绝对路径）
+   * @param {number} size - 文件大小
+   */
+  add(sha256, filePath, size) {
+    let stat = null;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (_) {
+      // 记录不到校验信息时，下次命中按内容重新计算摘要
+    }
+    const list = (this.entries.get(sha256) || []).filter(e => e.path !== filePath);
+    list.push({ path: filePath, size, ...(stat && { mtimeMs: stat.mtimeMs, ino: stat.ino }) });
+    this.entries.set(sha256, list);
+    this.stats.added++;
+    this._schedulePersist();
+  }
+
+  /**
+   * 判断记录对应的文件是否仍是登记时的内容
+   *
+   * 修改时间或 inode 变化即视为已被替换；旧版索引没有这两项，重新计算摘要确认后补齐。
+   * @private
+   */
+  async _isUnchanged(sha256, entry, stat) {
+    if (entry.mtimeMs !== undefined && entry.ino !== undefined) {
+      return entry.mtimeMs === stat.mtimeMs && entry.ino === stat.ino;
+    }
+    try {
+      if (await hashFile(entry.path) !== sha256) return false;
+    } catch (_) {
+      return false;
+    }
+    entry.mtimeMs = stat.mtimeMs;
+    entry.ino = stat.ino;
+    this._schedulePersist();
+    return true;
+  }
+
+  /**
+   * 移除单条记录
+   * @private
+   */
+  _removeEntry(sha256, filePath) {
+    const list = (this.entries.get(sha256) || []).filter(e => e.path !== filePath);
+    if (list.length) this.entries.set(sha256, list);
+    else this.entries.delete(sha256);
+    this._schedulePersist();
+  }
+
+  /**
+   * 从文件加载索引
+   * @private
+   */
+  _load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const [sha256, list] of Object.entries(data || {})) {
+        if (Array.isArray(list) && list.length) this.entries.set(sha256, list);
+      }
+    } catch (err) {
+      if (this.logger) this.logger('WARN', '上传索引读取失败，已忽略', err.message);
+    }
+  }
+
+  /**
+   * 延迟写入，合并短时间内的多次变更
+   * @private
+   */
+  _schedulePersist() {
+    if (!this.filePath || this.persistTimer) return;
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this._persist();
+    }, 1000);
+  }
+
+  /**
+   * 写入索引文件
+   * @private
+   */
+  _persist() {
+    if (!this.filePath) return;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmp = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(this.entries)), 'utf8');
+      fs.renameSync(tmp, this.filePath);
+    } catch (err) {
+      if (this.logger) this.logger('WARN', '上传索引写入失败', err.message);
+    }
+  }
+
+  /**
+   * 获取统计信息
+   */
+  getStats() {
+    return {
+      hashes: this.entries.size,
+      dedupHits: this.stats.hits,
+      added: this.stats.added
+    };
+  }
+
+  /**
+   * 关闭定时器并落盘
+   */
+  shutdown() {
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+    }
+    this._persist();
+  }
+}
+
+module.exports = UploadIndex;
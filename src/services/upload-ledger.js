@@ -0,0 +1,316 @@
+/**
+ * 上传 / 删除台账
+ *
+ * 每次成功上传或删除追加一行 JSON（JSONL）到 data/ 下的台账文件，
+ * 记录时间、客户端 IP、认证身份、原始文件名、存储路径、大小、哈希与访问 URL。
+ * 查询时逐行流式读取，不把整个台账载入内存；倒序分页只保留当前页所需的记录。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { getRequester } = require('../middleware/auth');
+const { appRoot } = require('../utils/path-resolver');
+
+const ACTIONS = ['upload', 'delete', 'restore'];
+const MAX_PAGE_SIZE = 500;
+const DEFAULT_PAGE_SIZE = 50;
+
+const CSV_COLUMNS = [
+  'time', 'action', 'via', 'ip', 'user', 'authType', 'filename',
+  'path', 'url', 'size', 'sha256', 'deduplicated', 'trashId', 'uploadedAt', 'uploadedBy', 'uploadIp'
+];
+
+/**
+ * 解析时间过滤参数（ISO 日期或毫秒时间戳）
+ * @private
+ * @returns {number|null}
+ */
+function parseTime(value, endOfDay = false) {
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return Number(value);
+  // 仅日期时按整天计算
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    value += endOfDay ? 'T23:59:59.999' : 'T00:00:00';
+  }
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * CSV 单元格转义（含公式注入防护）
+ * @private
+ */
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 上传台账类
+ */
+class UploadLedger {
+  /**
+   * @param {Object} options - { filePath: 台账文件路径（绝对路径）, trustProxy: 是否信任 X-Forwarded-For }
+   * @param {Function} logger - 日志函数
+   */
+  constructor(options = {}, logger = null) {
+    this.filePath = options.filePath;
+    this.trustProxy = !!options.trustProxy;
+    this.logger = logger;
+    this.stats = { upload: 0, delete: 0, failed: 0 };
+  }
+
+  /**
+   * 提取请求方信息
+   *
+   * @param {http.IncomingMessage} req - 请求对象（认证通过后带有 req.auth）
+   * @returns {{ ip: string, user: string|null, authType: string|null }}
+   */
+  requester(req) {
+    return getRequester(req, this.trustProxy);
+  }
+
+  /**
+   * 将本地绝对路径转为台账中的存储路径（应用目录内使用相对路径）
+   *
+   * @param {string} filePath - 本地绝对路径
+   * @returns {string}
+   */
+  storedPath(filePath) {
+    const relative = path.relative(appRoot, filePath);
+    if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+      return relative.split(path.sep).join('/');
+    }
+    return filePath;
+  }
+
+  /**
+   * 追加一条记录
+   *
+   * 写入失败只记录日志，不影响上传 / 删除本身。
+   *
+   * @param {http.IncomingMessage} req - 请求对象
+   * @param {Object} entry - { action, via, filename, filePath, url, size, sha256, deduplicated, trashId }
+   */
+  record(req, entry) {
+    const { filePath, ...rest } = entry;
+    const line = {
+      id: crypto.randomBytes(8).toString('hex'),
+      time: new Date().toISOString(),
+      ...rest,
+      ...this.requester(req),
+      path: this.storedPath(filePath)
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, JSON.stringify(line) + '\n', 'utf8');
+      this.stats[entry.action] = (this.stats[entry.action] || 0) + 1;
+    } catch (err) {
+      this.stats.failed++;
+      if (this.logger) this.logger('WARN', '上传台账写入失败', err.message);
+    }
+  }
+
+  /**
+   * 解析查询参数
+   *
+   * @param {URLSearchParams} params - 查询参数
+   * @returns {Object} { filters, page, pageSize, order }
+   * @throws {Error} 参数无效（statusCode=400）
+   */
+  parseQuery(params) {
+    const fail = (message) => {
+      const err = new Error(message);
+      err.statusCode = 400;
+      return err;
+    };
+
+    const action = params.get('action') || null;
+    if (action && !ACTIONS.includes(action)) throw fail(`参数 action 无效，可选 ${ACTIONS.join('/')}`);
+
+    const from = parseTime(params.get('from'));
+    const to = parseTime(params.get('to'), true);
+    if ((params.get('from') && from === null) || (params.get('to') && to === null)) {
+      throw fail('参数 from/to 需为 ISO 日期或毫秒时间戳');
+    }
+
+    const page = params.has('page') ? Number(params.get('page')) : 1;
+    const pageSize = params.has('pageSize') ? Number(params.get('pageSize')) : DEFAULT_PAGE_SIZE;
+    if (!Number.isInteger(page) || page < 1) throw fail('参数 page 需为正整数');
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      throw fail(`参数 pageSize 需为 1-${MAX_PAGE_SIZE} 的整数`);
+    }
+
+    const order = params.get('order') || 'desc';
+    if (order !== 'asc' && order !== 'desc') throw fail('参数 order 无效，可选 asc/desc');
+
+    return {
+      filters: {
+        action,
+        via: params.get('via') || null,
+        user: params.get('user') || null,
+        ip: params.get('ip') || null,
+        sha256: (params.get('sha256') || '').toLowerCase() || null,
+        q: (params.get('q') || '').toLowerCase() || null,
+        from,
+        to
+      },
+      page,
+      pageSize,
+      order
+    };
+  }
+
+  /**
+   * 判断记录是否满足过滤条件
+   * @private
+   */
+  _matches(entry, filters) {
+    if (filters.action && entry.action !== filters.action) return false;
+    if (filters.via && entry.via !== filters.via) return false;
+    if (filters.user && entry.user !== filters.user) return false;
+    if (filters.ip && entry.ip !== filters.ip) return false;
+    if (filters.sha256 && !(entry.sha256 || '').startsWith(filters.sha256)) return false;
+    if (filters.from !== null || filters.to !== null) {
+      const time = Date.parse(entry.time);
+      if (filters.from !== null && time < filters.from) return false;
+      if (filters.to !== null && time > filters.to) return false;
+    }
+    if (filters.q) {
+      const haystack = `${entry.filename || ''}\n${entry.path || ''}\n${entry.url || ''}`.toLowerCase();
+      if (!haystack.includes(filters.q)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * 按写入顺序遍历记录
+   *
+   * 删除与恢复记录会补充该文件最近一次上传的信息（uploadedAt、uploadedBy、uploadIp、
+   * 原始文件名与哈希），用于回答“谁上传、谁删除”。
+   *
+   * @private
+   * @param {Function} onEntry - (entry) => void | Promise（返回 Promise 时等待其完成，用于输出背压）
+   */
+  async _scan(onEntry) {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const lastUpload = new Map(); // 存储路径 -> 最近一次上传记录
+    const deletedUpload = new Map(); // 存储路径 -> 已删除文件的上传记录（用于恢复）
+    const input = fs.createReadStream(this.filePath, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (_) {
+        continue; // 跳过损坏的行（如写入中断）
+      }
+
+      if (entry.action === 'upload') {
+        lastUpload.set(entry.path, entry);
+        deletedUpload.delete(entry.path);
+      } else if (entry.action === 'delete' || entry.action === 'restore') {
+        const source = entry.action === 'delete' ? lastUpload : deletedUpload;
+        const upload = source.get(entry.path);
+        if (upload) {
+          source.delete(entry.path);
+          (entry.action === 'delete' ? deletedUpload : lastUpload).set(entry.path, upload);
+          entry = {
+            ...entry,
+            filename: entry.filename || upload.filename,
+            sha256: entry.sha256 || upload.sha256,
+            uploadedAt: upload.time,
+            uploadedBy: upload.user,
+            uploadIp: upload.ip
+          };
+        }
+      }
+      await onEntry(entry);
+    }
+  }
+
+  /**
+   * 分页查询
+   *
+   * @param {Object} query - parseQuery 的结果
+   * @returns {Promise<{ total: number, page: number, pageSize: number, items: Object[] }>}
+   */
+  async query({ filters, page, pageSize, order }) {
+    const skip = (page - 1) * pageSize;
+    const items = [];
+    let total = 0;
+
+    if (order === 'asc') {
+      await this._scan((entry) => {
+        if (!this._matches(entry, filters)) return;
+        if (total >= skip && total < skip + pageSize) items.push(entry);
+        total++;
+      });
+      return { total, page, pageSize, items };
+    }
+
+    // 倒序：保留最近 skip + pageSize 条匹配记录
+    const window = skip + pageSize;
+    const recent = [];
+    await this._scan((entry) => {
+      if (!this._matches(entry, filters)) return;
+      total++;
+      recent.push(entry);
+      if (recent.length > window) recent.shift();
+    });
+    const end = Math.max(0, recent.length - skip);
+    for (let i = end - 1; i >= 0 && items.length < pageSize; i--) {
+      items.push(recent[i]);
+    }
+    return { total, page, pageSize, items };
+  }
+
+  /**
+   * 按写入顺序导出全部匹配记录为 CSV
+   *
+   * @param {Object} query - parseQuery 的结果（忽略分页）
+   * @param {stream.Writable} output - 输出流
+   * @returns {Promise<number>} 导出条数
+   */
+  async exportCsv({ filters }, output) {
+    let count = 0;
+    output.write('\uFEFF' + CSV_COLUMNS.join(',') + '\r\n');
+    await this._scan((entry) => {
+      if (output.destroyed || !this._matches(entry, filters)) return;
+      count++;
+      if (!output.write(CSV_COLUMNS.map(column => csvCell(entry[column])).join(',') + '\r\n')) {
+        return output.destroyed ? undefined : new Promise(resolve => {
+          const done = () => {
+            output.off('drain', done);
+            output.off('close', done);
+            resolve();
+          };
+          output.on('drain', done);
+          output.on('close', done);
+        });
+      }
+    });
+    return count;
+  }
+
+  /**
+   * 获取统计信息（本次运行期间写入的条数）
+   */
+  getStats() {
+    return {
+      uploads: this.stats.upload,
+      deletions: this.stats.delete,
+      writeErrors: this.stats.failed
+    };
+  }
+}
+
+module.exports = UploadLedger;
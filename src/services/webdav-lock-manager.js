@@ -0,0 +1,197 @@
+/**
+ * WebDAV 锁管理（RFC 4918 class 2）
+ *
+ * 锁只保存在内存中（重启后失效，客户端会重新加锁）：
+ * - 排他锁与任何锁冲突，共享锁之间可共存
+ * - Depth: infinity 的锁覆盖整个子树
+ * - 过期锁在访问时惰性清理
+ *
+ * 路径均为 WebDAV 命名空间内的解码路径（如 /uploads/a.txt，根为 /）。
+ */
+
+const crypto = require('crypto');
+
+/**
+ * 判断 parent 是否为 child 的祖先（不含自身）
+ * @private
+ */
+function isAncestor(parent, child) {
+  return child !== parent && child.startsWith(parent === '/' ? '/' : parent + '/');
+}
+
+/**
+ * 创建带状态码的错误
+ * @private
+ */
+function lockError(statusCode, message, lock = null) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.lock = lock;
+  return err;
+}
+
+/**
+ * WebDAV 锁管理类
+ */
+class WebDavLockManager {
+  /**
+   * @param {Object} options - { maxTimeoutSeconds: 锁最长有效期 }
+   */
+  constructor(options = {}) {
+    this.maxTimeoutSeconds = options.maxTimeoutSeconds || 3600;
+    this.locks = new Map(); // token -> lock
+    this.stats = { created: 0, refreshed: 0, released: 0, conflicts: 0 };
+  }
+
+  /**
+   * 清理过期锁
+   * @private
+   */
+  _prune() {
+    const now = Date.now();
+    for (const [token, lock] of this.locks) {
+      if (lock.expiresAt <= now) this.locks.delete(token);
+    }
+  }
+
+  /**
+   * 规范化超时（秒），不超过上限
+   * @private
+   */
+  _timeout(seconds) {
+    return Math.min(seconds || this.maxTimeoutSeconds, this.maxTimeoutSeconds);
+  }
+
+  /**
+   * 作用于该路径的锁（自身或 Depth: infinity 的祖先）
+   *
+   * @param {string} davPath - 路径
+   * @returns {Object[]} 锁列表
+   */
+  getLocks(davPath) {
+    this._prune();
+    return [...this.locks.values()].filter(lock =>
+      lock.path === davPath || (lock.depth === 'infinity' && isAncestor(lock.path, davPath))
+    );
+  }
+
+  /**
+   * 创建锁
+   *
+   * @param {Object} options - { path, depth: '0'|'infinity', scope: 'exclusive'|'shared', owner, timeoutSeconds, principal }
+   * @returns {Object} 锁 { token, path, depth, scope, owner, timeoutSeconds, expiresAt, principal }
+   * @throws {Error} 与已有锁冲突（statusCode=423）
+   */
+  lock(options) {
+    this._prune();
+    const { path: davPath, depth, scope } = options;
+
+    for (const existing of this.locks.values()) {
+      const overlaps = existing.path === davPath ||
+        (existing.depth === 'infinity' && isAncestor(existing.path, davPath)) ||
+        (depth === 'infinity' && isAncestor(davPath, existing.path));
+      if (overlaps && (scope === 'exclusive' || existing.scope === 'exclusive')) {
+        this.stats.conflicts++;
+        throw lockError(423, '资源已被锁定', existing);
+      }
+    }
+
+    const timeoutSeconds = this._timeout(options.timeoutSeconds);
+    const lock = {
+      token: `opaquelocktoken:${crypto.randomUUID()}`,
+      path: davPath,
+      depth,
+      scope,
+      owner: options.owner || '',
+      principal: options.principal || null,
+      timeoutSeconds,
+      expiresAt: Date.now() + timeoutSeconds * 1000
+    };
+    this.locks.set(lock.token, lock);
+    this.stats.created++;
+    return lock;
+  }
+
+  /**
+   * 刷新锁
+   *
+   * @param {string} davPath - 请求路径（需在锁范围内）
+   * @param {string[]} tokens - 请求提交的锁令牌
+   * @param {number} timeoutSeconds - 新超时
+   * @returns {Object|null} 被刷新的锁
+   */
+  refresh(davPath, tokens, timeoutSeconds) {
+    const lock = this.getLocks(davPath).find(l => tokens.includes(l.token));
+    if (!lock) return null;
+    lock.timeoutSeconds = this._timeout(timeoutSeconds);
+    lock.expiresAt = Date.now() + lock.timeoutSeconds * 1000;
+    this.stats.refreshed++;
+    return lock;
+  }
+
+  /**
+   * 释放锁
+   *
+   * @param {string} davPath - 请求路径（需在锁范围内）
+   * @param {string} token - 锁令牌
+   * @returns {boolean} 是否释放成功
+   */
+  unlock(davPath, token) {
+    const lock = this.getLocks(davPath).find(l => l.token === token);
+    if (!lock) return false;
+    this.locks.delete(token);
+    this.stats.released++;
+    return true;
+  }
+
+  /**
+   * 写操作前检查锁
+   *
+   * @param {string} davPath - 目标路径
+   * @param {string[]} tokens - 请求提交的锁令牌
+   * @param {boolean} deep - 是否同时检查子树中的锁（DELETE / MOVE 目录）
+   * @returns {Object|null} 阻止写入的锁，无则返回 null
+   */
+  findBlockingLock(davPath, tokens, deep = false) {
+    this._prune();
+    for (const lock of this.locks.values()) {
+      const applies = lock.path === davPath ||
+        (lock.depth === 'infinity' && isAncestor(lock.path, davPath)) ||
+        (deep && isAncestor(davPath, lock.path));
+      if (applies && !tokens.includes(lock.token)) return lock;
+    }
+    return null;
+  }
+
+  /**
+   * 判断令牌是否为有效锁
+   *
+   * @param {string} token - 锁令牌
+   * @returns {boolean}
+   */
+  hasToken(token) {
+    this._prune();
+    return this.locks.has(token);
+  }
+
+  /**
+   * 移除路径及其子树上的锁（资源已删除或移动）
+   *
+   * @param {string} davPath - 路径
+   */
+  removeTree(davPath) {
+    for (const [token, lock] of this.locks) {
+      if (lock.path === davPath || isAncestor(davPath, lock.path)) this.locks.delete(token);
+    }
+  }
+
+  /**
+   * 获取统计信息
+   */
+  getStats() {
+    this._prune();
+    return { active: this.locks.size, ...this.stats };
+  }
+}
+
+module.exports = WebDavLockManager;
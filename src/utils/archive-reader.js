@@ -0,0 +1,546 @@
+/**
+ * 压缩包读取（zip / tar / tar.gz，纯 JS，基于内置 zlib）
+ *
+ * - zip：读取中央目录建立索引（支持 ZIP64、UTF-8 与 GBK 文件名），
+ *   单个条目按偏移读取后流式 inflate，并校验 CRC
+ * - tar：顺序解析 512 字节头（ustar 前缀、GNU 长文件名、PAX path/size/mtime）；
+ *   未压缩 tar 按偏移直接读取，tar.gz 只能从头流式解压扫描到目标条目
+ *
+ * 条目路径统一为 / 分隔、不以 / 开头，含 .. 或绝对路径的条目与符号链接会被忽略。
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+const { crc32 } = require('./crc32');
+
+// 中央目录最大读取量（防止伪造的巨大目录耗尽内存）
+const MAX_CENTRAL_DIRECTORY = 64 * 1024 * 1024;
+const EOCD_SIZE = 22;
+const MAX_COMMENT = 0xffff;
+
+/**
+ * 创建带状态码的错误
+ * @private
+ */
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * 根据文件名判断压缩包类型
+ *
+ * @param {string} filename - 文件名
+ * @returns {'zip'|'tar'|'tar.gz'|null}
+ */
+function getArchiveType(filename) {
+  const lower = String(filename).toLowerCase();
+  if (lower.endsWith('.zip')) return 'zip';
+  if (lower.endsWith('.tar.gz') || lower.endsWith('.tgz')) return 'tar.gz';
+  if (lower.endsWith('.tar')) return 'tar';
+  return null;
+}
+
+/**
+ * 规范化条目路径，不安全的路径返回 null
+ *
+ * @param {string} name - 原始条目路径
+ * @returns {string|null} 规范化后的路径（不含首尾 /）
+ */
+function normalizeEntryName(name) {
+  const parts = String(name).replace(/\\/g, '/').split('/').filter(part => part && part !== '.');
+  if (!parts.length || parts.includes('..') || /^[a-zA-Z]:$/.test(parts[0]) || String(name).includes('\0')) {
+    return null;
+  }
+  return parts.join('/');
+}
+
+/**
+ * 解码 zip 文件名：标志位 11 为 UTF-8，否则先尝试 UTF-8，再按 GBK（中文 Windows 常见）
+ * @private
+ */
+function decodeZipName(buf, utf8) {
+  if (utf8) return buf.toString('utf8');
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buf);
+  } catch (_) {
+    try {
+      return new TextDecoder('gbk').decode(buf);
+    } catch (__) {
+      return buf.toString('latin1');
+    }
+  }
+}
+
+/**
+ * DOS 日期时间转 Date（本地时间）
+ * @private
+ */
+function fromDosDateTime(date, time) {
+  return new Date(1980 + (date >> 9), ((date >> 5) & 0x0f) - 1, date & 0x1f,
+    time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2);
+}
+
+/**
+ * 从文件指定位置读取
+ * @private
+ */
+async function readAt(handle, position, length) {
+  const buf = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buf, 0, length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+/**
+ * 读取 zip 中央目录
+ * @private
+ */
+async function readZipIndex(filePath, size) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const tailLength = Math.min(size, EOCD_SIZE + MAX_COMMENT + 20);
+    const tail = await readAt(handle, size - tailLength, tailLength);
+    let eocd = -1;
+    for (let i = tail.length - EOCD_SIZE; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd < 0) throw httpError(422, '不是有效的 zip 文件');
+
+    let count = tail.readUInt16LE(eocd + 10);
+    let cdSize = tail.readUInt32LE(eocd + 12);
+    let cdOffset = tail.readUInt32LE(eocd + 16);
+
+    // ZIP64：通过定位记录找到 ZIP64 结尾记录
+    if ((count === 0xffff || cdSize === 0xffffffff || cdOffset === 0xffffffff) &&
+        eocd >= 20 && tail.readUInt32LE(eocd - 20) === 0x07064b50) {
+      const zip64Offset = Number(tail.readBigUInt64LE(eocd - 20 + 8));
+      const record = await readAt(handle, zip64Offset, 56);
+      if (record.length < 56 || record.readUInt32LE(0) !== 0x06064b50) {
+        throw httpError(422, 'zip64 结尾记录损坏');
+      }
+      count = Number(record.readBigUInt64LE(32));
+      cdSize = Number(record.readBigUInt64LE(40));
+      cdOffset = Number(record.readBigUInt64LE(48));
+    }
+
+    if (cdSize > MAX_CENTRAL_DIRECTORY || cdOffset + cdSize > size) {
+      throw httpError(422, 'zip 中央目录无效或过大');
+    }
+
+    const cd = await readAt(handle, cdOffset, cdSize);
+    const entries = [];
+    let pos = 0;
+    for (let i = 0; i < count && pos + 46 <= cd.length; i++) {
+      if (cd.readUInt32LE(pos) !== 0x02014b50) throw httpError(422, 'zip 中央目录损坏');
+      const madeBy = cd.readUInt16LE(pos + 4) >> 8;
+      const flags = cd.readUInt16LE(pos + 8);
+      const method = cd.readUInt16LE(pos + 10);
+      const time = cd.readUInt16LE(pos + 12);
+      const date = cd.readUInt16LE(pos + 14);
+      const crc = cd.readUInt32LE(pos + 16);
+      let compressedSize = cd.readUInt32LE(pos + 20);
+      let entrySize = cd.readUInt32LE(pos + 24);
+      const nameLength = cd.readUInt16LE(pos + 28);
+      const extraLength = cd.readUInt16LE(pos + 30);
+      const commentLength = cd.readUInt16LE(pos + 32);
+      const externalAttrs = cd.readUInt32LE(pos + 38);
+      let offset = cd.readUInt32LE(pos + 42);
+      const rawName = decodeZipName(cd.subarray(pos + 46, pos + 46 + nameLength), (flags & 0x0800) !== 0);
+      let mtime = fromDosDateTime(date, time);
+
+      // 扩展字段：ZIP64（0x0001）只包含被置为 0xFFFFFFFF 的字段；UT（0x5455）为精确修改时间
+      let extra = pos + 46 + nameLength;
+      const extraEnd = extra + extraLength;
+      while (extra + 4 <= extraEnd) {
+        const id = cd.readUInt16LE(extra);
+        const length = cd.readUInt16LE(extra + 2);
+        let field = extra + 4;
+        if (id === 0x0001) {
+          if (entrySize === 0xffffffff) { entrySize = Number(cd.readBigUInt64LE(field)); field += 8; }
+          if (compressedSize === 0xffffffff) { compressedSize = Number(cd.readBigUInt64LE(field)); field += 8; }
+          if (offset === 0xffffffff) { offset = Number(cd.readBigUInt64LE(field)); }
+        } else if (id === 0x5455 && length >= 5 && (cd[field] & 1)) {
+          mtime = new Date(cd.readUInt32LE(field + 1) * 1000);
+        }
+        extra += 4 + length;
+      }
+      pos = extraEnd + commentLength;
+
+      const isSymlink = madeBy === 3 && ((externalAttrs >>> 16) & 0o170000) === 0o120000;
+      const name = normalizeEntryName(rawName);
+      if (!name || isSymlink) continue;
+      const isDirectory = rawName.endsWith('/') || rawName.endsWith('\\');
+      entries.push({
+        name,
+        isDirectory,
+        size: isDirectory ? 0 : entrySize,
+        mtime: mtime.getTime(),
+        method,
+        encrypted: (flags & 0x0001) !== 0,
+        crc,
+        compressedSize,
+        offset
+      });
+    }
+    return entries;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * 按字节数拉取数据的异步读取器
+ * @private
+ */
+class ChunkReader {
+  constructor(source) {
+    this.iterator = source[Symbol.asyncIterator]();
+    this.buffer = Buffer.alloc(0);
+    this.position = 0;
+    this.done = false;
+  }
+
+  async _fill(length) {
+    const chunks = [this.buffer];
+    let total = this.buffer.length;
+    while (total < length && !this.done) {
+      const { value, done } = await this.iterator.next();
+      if (done) {
+        this.done = true;
+        break;
+      }
+      chunks.push(value);
+      total += value.length;
+    }
+    this.buffer = chunks.length > 1 ? Buffer.concat(chunks) : this.buffer;
+  }
+
+  // 读取 length 字节（不足时返回剩余部分）
+  async read(length) {
+    if (this.buffer.length < length) await this._fill(length);
+    const result = this.buffer.subarray(0, length);
+    this.buffer = this.buffer.subarray(result.length);
+    this.position += result.length;
+    return result;
+  }
+
+  // 逐块产出 length 字节
+  async *take(length) {
+    let remaining = length;
+    while (remaining > 0) {
+      if (!this.buffer.length) {
+        if (this.done) throw httpError(422, 'tar 文件被截断');
+        const { value, done } = await this.iterator.next();
+        if (done) {
+          this.done = true;
+          continue;
+        }
+        this.buffer = value;
+      }
+      const chunk = this.buffer.subarray(0, remaining);
+      this.buffer = this.buffer.subarray(chunk.length);
+      this.position += chunk.length;
+      remaining -= chunk.length;
+      yield chunk;
+    }
+  }
+
+  async skip(length) {
+    const iterator = this.take(length);
+    while (!(await iterator.next()).done);
+  }
+
+  // 读取 length 字节到单个 Buffer（用于扩展头等小块数据）
+  async collect(length) {
+    const chunks = [];
+    for await (const chunk of this.take(length)) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  }
+}
+
+/**
+ * 解析 tar 数字字段（八进制或 GNU base-256）
+ * @private
+ */
+function parseTarNumber(buf) {
+  if (buf[0] & 0x80) {
+    let value = 0;
+    for (let i = 1; i < buf.length; i++) value = value * 256 + buf[i];
+    return value;
+  }
+  const text = buf.toString('latin1').replace(/\0.*$/s, '').trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+/**
+ * 读取以 NUL 结尾的字符串
+ * @private
+ */
+function tarString(buf) {
+  const end = buf.indexOf(0);
+  return buf.subarray(0, end < 0 ? buf.length : end).toString('utf8');
+}
+
+/**
+ * 解析 PAX 扩展头记录（"长度 key=value\n"）
+ * @private
+ */
+function parsePax(buf) {
+  const records = {};
+  let pos = 0;
+  while (pos < buf.length) {
+    const space = buf.indexOf(0x20, pos);
+    if (space < 0) break;
+    const length = parseInt(buf.toString('latin1', pos, space), 10);
+    if (!length) break;
+    const record = buf.toString('utf8', space + 1, pos + length - 1);
+    const eq = record.indexOf('=');
+    if (eq > 0) records[record.slice(0, eq)] = record.slice(eq + 1);
+    pos += length;
+  }
+  return records;
+}
+
+/**
+ * 顺序读取 tar 条目
+ *
+ * 每个产出的条目可在继续迭代前调用 entry.stream() 读取数据，未读取的部分会被跳过。
+ *
+ * @param {AsyncIterable<Buffer>} source - tar 数据流（已解压）
+ * @yields {Object} { name, rawName, type: 'file'|'directory'|'other', size, mtime, mode, offset, stream() }
+ */
+async function* readTar(source) {
+  const reader = new ChunkReader(source);
+  let longName = null;
+  let pax = {};
+
+  while (true) {
+    const header = await reader.read(512);
+    if (header.length === 0 || header.every(byte => byte === 0)) return;
+    if (header.length < 512) throw httpError(422, '不是有效的 tar 文件');
+
+    // 校验和：计算时校验和字段按 8 个空格计
+    let sum = 0;
+    for (let i = 0; i < 512; i++) sum += i >= 148 && i < 156 ? 0x20 : header[i];
+    if (sum !== parseTarNumber(header.subarray(148, 156))) {
+      throw httpError(422, '不是有效的 tar 文件');
+    }
+
+    const typeFlag = String.fromCharCode(header[156] || 0x30);
+    let size = parseTarNumber(header.subarray(124, 136));
+    const padding = (512 - (size % 512)) % 512;
+
+    if (typeFlag === 'L' || typeFlag === 'x' || typeFlag === 'g') {
+      if (size > 1024 * 1024) throw httpError(422, 'tar 扩展头过大');
+      const data = await reader.collect(size);
+      await reader.skip(padding);
+      if (typeFlag === 'L') longName = tarString(data);
+      if (typeFlag === 'x') pax = parsePax(data);
+      continue;
+    }
+
+    let rawName = tarString(header.subarray(0, 100));
+    const isUstar = header.toString('latin1', 257, 262) === 'ustar';
+    const prefix = isUstar ? tarString(header.subarray(345, 500)) : '';
+    if (prefix) rawName = `${prefix}/${rawName}`;
+    if (longName) rawName = longName;
+    if (pax.path) rawName = pax.path;
+    if (pax.size) size = parseInt(pax.size, 10);
+    const mtime = pax.mtime ? parseFloat(pax.mtime) * 1000 : parseTarNumber(header.subarray(136, 148)) * 1000;
+    longName = null;
+    pax = {};
+
+    const type = typeFlag === '0' || typeFlag === '7' || typeFlag === '\0'
+      ? 'file'
+      : (typeFlag === '5' ? 'directory' : 'other');
+    const dataPadding = (512 - (size % 512)) % 512;
+    let remaining = size;
+    const entry = {
+      name: normalizeEntryName(rawName),
+      rawName,
+      type,
+      size,
+      mtime,
+      mode: parseTarNumber(header.subarray(100, 108)),
+      offset: reader.position,
+      async *stream() {
+        for await (const chunk of reader.take(remaining)) {
+          remaining -= chunk.length;
+          yield chunk;
+        }
+      }
+    };
+    yield entry;
+    await reader.skip(remaining + dataPadding);
+  }
+}
+
+/**
+ * 打开压缩包原始数据流（tar.gz 流式解压）
+ * @private
+ */
+function openTarSource(filePath, type) {
+  const file = fs.createReadStream(filePath, { highWaterMark: 256 * 1024 });
+  if (type !== 'tar.gz') return file;
+  const gunzip = zlib.createGunzip();
+  file.on('error', err => gunzip.destroy(err));
+  return file.pipe(gunzip);
+}
+
+/**
+ * 读取 tar 索引
+ * @private
+ */
+async function readTarIndex(filePath, type) {
+  const source = openTarSource(filePath, type);
+  const entries = [];
+  try {
+    for await (const entry of readTar(source)) {
+      if (!entry.name || entry.type === 'other') continue;
+      entries.push({
+        name: entry.name,
+        isDirectory: entry.type === 'directory',
+        size: entry.type === 'directory' ? 0 : entry.size,
+        mtime: entry.mtime,
+        offset: entry.offset
+      });
+    }
+  } catch (err) {
+    if (err.code === 'Z_DATA_ERROR' || err.code === 'Z_BUF_ERROR') throw httpError(422, 'gzip 数据损坏');
+    throw err;
+  } finally {
+    source.destroy();
+  }
+  return entries;
+}
+
+/**
+ * 读取压缩包条目列表
+ *
+ * @param {string} filePath - 压缩包路径
+ * @param {Object} stat - 压缩包 stat
+ * @returns {Promise<Object[]>} 条目 [{ name, isDirectory, size, mtime(ms), offset, ... }]
+ * @throws {Error} 格式无效（statusCode=422）
+ */
+async function readArchiveIndex(filePath, stat) {
+  const type = getArchiveType(filePath);
+  if (type === 'zip') return readZipIndex(filePath, stat.size);
+  if (type) return readTarIndex(filePath, type);
+  throw httpError(415, '不支持的压缩包格式');
+}
+
+/**
+ * 校验 CRC 的透传流
+ * @private
+ */
+function crcCheck(expected, name) {
+  let crc = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      crc = crc32(chunk, crc);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      callback(crc === expected ? null : httpError(422, `CRC 校验失败: ${name}`));
+    }
+  });
+}
+
+/**
+ * 打开单个条目的数据流
+ *
+ * @param {string} filePath - 压缩包路径
+ * @param {Object} entry - readArchiveIndex 返回的条目
+ * @returns {Promise<stream.Readable>} 解压后的数据
+ * @throws {Error} 加密或不支持的压缩方式（statusCode=415）
+ */
+async function openEntryStream(filePath, entry) {
+  const type = getArchiveType(filePath);
+
+  if (type === 'zip') {
+    if (entry.encrypted) throw httpError(415, '不支持加密的 zip 条目');
+    if (entry.method !== 0 && entry.method !== 8) throw httpError(415, `不支持的压缩方式: ${entry.method}`);
+    const handle = await fs.promises.open(filePath, 'r');
+    let local;
+    try {
+      local = await readAt(handle, entry.offset, 30);
+    } finally {
+      await handle.close();
+    }
+    if (local.length < 30 || local.readUInt32LE(0) !== 0x04034b50) throw httpError(422, 'zip 本地文件头损坏');
+    const start = entry.offset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+    if (!entry.compressedSize) return Readable.from([]);
+
+    const raw = fs.createReadStream(filePath, { start, end: start + entry.compressedSize - 1 });
+    const check = crcCheck(entry.crc, entry.name);
+    if (entry.method === 0) return raw.pipe(check);
+    const inflate = zlib.createInflateRaw();
+    raw.on('error', err => inflate.destroy(err));
+    inflate.on('error', err => check.destroy(err));
+    return raw.pipe(inflate).pipe(check);
+  }
+
+  if (type === 'tar') {
+    if (!entry.size) return Readable.from([]);
+    return fs.createReadStream(filePath, { start: entry.offset, end: entry.offset + entry.size - 1 });
+  }
+
+  // tar.gz 无法随机访问：从头解压扫描到目标条目
+  const source = openTarSource(filePath, type);
+  return Readable.from((async function* () {
+    try {
+      for await (const item of readTar(source)) {
+        if (item.name === entry.name && item.type === 'file') {
+          yield* item.stream();
+          return;
+        }
+      }
+      throw httpError(404, '条目不存在');
+    } finally {
+      source.destroy();
+    }
+  })());
+}
+
+/**
+ * 顺序遍历全部文件条目并读取数据（解压到目录时使用，tar.gz 只需解压一遍）
+ *
+ * @param {string} filePath - 压缩包路径
+ * @param {Object[]} entries - readArchiveIndex 返回的条目
+ * @param {Function} onEntry - async (entry, stream) => void
+ */
+async function forEachEntry(filePath, entries, onEntry) {
+  const type = getArchiveType(filePath);
+  if (type !== 'tar.gz') {
+    for (const entry of entries) {
+      await onEntry(entry, entry.isDirectory ? null : await openEntryStream(filePath, entry));
+    }
+    return;
+  }
+
+  const byName = new Map(entries.map(entry => [entry.name, entry]));
+  const source = openTarSource(filePath, type);
+  try {
+    for await (const item of readTar(source)) {
+      const entry = item.name && byName.get(item.name);
+      if (!entry || (item.type === 'directory') !== entry.isDirectory) continue;
+      await onEntry(entry, entry.isDirectory ? null : Readable.from(item.stream()));
+    }
+  } finally {
+    source.destroy();
+  }
+}
+
+module.exports = {
+  getArchiveType,
+  normalizeEntryName,
+  readArchiveIndex,
+  openEntryStream,
+  forEachEntry,
+  readTar
+};
@@ -42,6 +42,8 @@ class CacheEntry {
    * 获取大小（字节估算）
    */
   getSize() {
+    // Buffer（如压缩后的页面）直接取字节数，JSON 序列化会严重高估
+    if (Buffer.isBuffer(this.value)) return this.value.length;
     try {
       return JSON.stringify(this.value).length;
     } catch (e) {
@@ -0,0 +1,166 @@
+/**
+ * 响应压缩工具模块
+ *
+ * - 按 Accept-Encoding 协商 br / gzip（q 值相同时优先 br）
+ * - 查找预压缩的同名 .br / .gz 文件（须不早于原文件）
+ * - 即时压缩：流（磁盘文件）与 Buffer（渲染结果，可缓存）
+ *
+ * 只压缩文本类 MIME（见 mime.isCompressible），体积在 minSizeBytes ~ maxSizeMB 之间的内容。
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { isCompressible } = require('./mime');
+
+const brotliCompress = promisify(zlib.brotliCompress);
+const gzip = promisify(zlib.gzip);
+
+// 预压缩文件扩展名
+const PRECOMPRESSED_EXTS = { br: '.br', gzip: '.gz' };
+// 即时压缩参数：兼顾速度与压缩率
+const GZIP_LEVEL = 6;
+const BROTLI_QUALITY = 5;
+
+/**
+ * 解析 Accept-Encoding 并选择编码
+ *
+ * @param {string} header - Accept-Encoding 头
+ * @param {string[]} supported - 可用编码（按服务端偏好排序）
+ * @returns {string|null} 选中的编码，null 表示不压缩
+ */
+function negotiateEncoding(header, supported) {
+  if (!header || !supported.length) return null;
+
+  const weights = new Map();
+  for (const part of header.split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    if (!name) continue;
+    const qParam = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+    weights.set(name === 'x-gzip' ? 'gzip' : name, Number.isNaN(q) ? 0 : q);
+  }
+
+  let best = null;
+  let bestQ = 0;
+  for (const encoding of supported) {
+    const q = weights.has(encoding) ? weights.get(encoding) : (weights.get('*') || 0);
+    if (q > bestQ) {
+      best = encoding;
+      bestQ = q;
+    }
+  }
+  return best;
+}
+
+/**
+ * 根据配置得到可用编码
+ *
+ * @param {Object} options - 压缩配置 { enabled, brotli }
+ * @returns {string[]}
+ */
+function supportedEncodings(options) {
+  if (!options || !options.enabled) return [];
+  return options.brotli === false ? ['gzip'] : ['br', 'gzip'];
+}
+
+/**
+ * 判断内容是否适合即时压缩
+ *
+ * @param {string} mimeType - Content-Type
+ * @param {number} size - 原始大小（字节）
+ * @param {Object} options - 压缩配置 { enabled, minSizeBytes, maxSizeMB }
+ * @returns {boolean}
+ */
+function shouldCompress(mimeType, size, options) {
+  if (!options || !options.enabled || !isCompressible(mimeType)) return false;
+  return size >= (options.minSizeBytes || 0) && size <= (options.maxSizeMB || Infinity) * 1024 * 1024;
+}
+
+/**
+ * 查找预压缩文件
+ *
+ * @param {string} filePath - 原文件路径
+ * @param {fs.Stats} stat - 原文件 stat
+ * @param {string} encoding - 编码（br / gzip）
+ * @returns {Promise<{ path: string, stat: fs.Stats }|null>} 不存在或早于原文件时为 null
+ */
+async function findPrecompressed(filePath, stat, encoding) {
+  const candidate = filePath + PRECOMPRESSED_EXTS[encoding];
+  const found = await fs.promises.stat(candidate).catch(() => null);
+  if (!found || !found.isFile() || found.mtimeMs < stat.mtimeMs) return null;
+  return { path: candidate, stat: found };
+}
+
+/**
+ * 创建压缩流
+ *
+ * @param {string} encoding - 编码（br / gzip）
+ * @param {number} size - 原始大小（作为 brotli 提示）
+ * @returns {stream.Transform}
+ */
+function createCompressor(encoding, size) {
+  if (encoding === 'br') {
+    return zlib.createBrotliCompress({
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: size || 0
+      }
+    });
+  }
+  return zlib.createGzip({ level: GZIP_LEVEL });
+}
+
+/**
+ * 压缩 Buffer
+ *
+ * @param {Buffer} buffer - 原始内容
+ * @param {string} encoding - 编码（br / gzip）
+ * @returns {Promise<Buffer>}
+ */
+function compressBuffer(buffer, encoding) {
+  if (encoding === 'br') {
+    return brotliCompress(buffer, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buffer.length
+      }
+    });
+  }
+  return gzip(buffer, { level: GZIP_LEVEL });
+}
+
+/**
+ * 为编码后的表示生成 ETag（"abc" → "abc-br"）
+ *
+ * @param {string} etag - 原始 ETag
+ * @param {string} encoding - 编码
+ * @returns {string}
+ */
+function variantEtag(etag, encoding) {
+  return etag.replace(/"$/, `-${encoding === 'gzip' ? 'gz' : encoding}"`);
+}
+
+/**
+ * 追加 Vary 字段
+ *
+ * @param {string} existing - 已有 Vary 值
+ * @param {string} field - 要追加的字段
+ * @returns {string}
+ */
+function appendVary(existing, field) {
+  if (!existing) return field;
+  const fields = existing.split(',').map(f => f.trim().toLowerCase());
+  return fields.includes(field.toLowerCase()) || fields.includes('*') ? existing : `${existing}, ${field}`;
+}
+
+module.exports = {
+  negotiateEncoding,
+  supportedEncodings,
+  shouldCompress,
+  findPrecompressed,
+  createCompressor,
+  compressBuffer,
+  variantEtag,
+  appendVary
+};
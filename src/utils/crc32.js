@@ -0,0 +1,38 @@
+/**
+ * CRC32（IEEE 802.3，PNG / ZIP 共用）
+ *
+ * 支持分块累计：crc32(chunk2, crc32(chunk1))。
+ * 运行时提供 zlib.crc32（Node 20.15+）时使用原生实现。
+ */
+
+const zlib = require('zlib');
+
+let crcTable = null;
+
+/**
+ * 计算 CRC32
+ *
+ * @param {Buffer} buf - 数据
+ * @param {number} previous - 前一块的 CRC（首块为 0）
+ * @param {number} start - 起始偏移（默认 0）
+ * @param {number} end - 结束偏移（默认 buf.length）
+ * @returns {number} 无符号 32 位 CRC
+ */
+function crc32(buf, previous = 0, start = 0, end = buf.length) {
+  if (typeof zlib.crc32 === 'function') {
+    return zlib.crc32(start === 0 && end === buf.length ? buf : buf.subarray(start, end), previous);
+  }
+  if (!crcTable) {
+    crcTable = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c;
+    }
+  }
+  let crc = previous ^ -1;
+  for (let i = start; i < end; i++) crc = crcTable[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+module.exports = { crc32 };
@@ -0,0 +1,228 @@
+/**
+ * 目录访问规则模块
+ *
+ * 每个目录映射（paths.directories[]）可单独配置：
+ * - readOnly  只读：拒绝上传、删除、移动、WebDAV 写入等变更操作
+ * - listing   是否允许目录列表 / 打包下载目录（缺省沿用 server.showIndex）
+ * - upload    { allow, deny, maxFileSizeMB }：允许/禁止的类型与单文件上限
+ * - auth      访问需认证：true 表示任意已认证身份，或 { keys: [API Key 名], users: [用户名] }
+ * - hidden    隐藏的 glob 模式（如 .git、*.key），命中的路径一律按不存在处理
+ * - ipAllow   IP 白名单（单个地址或 CIDR，如 192.168.0.0/16；可为字符串或数组）
+ *
+ * 规则在首次使用时编译并按映射对象缓存。
+ */
+
+const net = require('net');
+const { compileGlobs, matchesAny } = require('./glob');
+const { getClientIP } = require('../middleware/rate-limiter');
+
+const MB = 1024 * 1024;
+
+// 映射对象 -> 编译后的规则
+const policyCache = new WeakMap();
+
+/**
+ * 去掉 IPv4 映射的 IPv6 前缀（::ffff:127.0.0.1 → 127.0.0.1）
+ * @private
+ */
+function normalizeIP(ip) {
+  const text = String(ip || '').trim();
+  return /^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(text) ? text.slice(7) : text;
+}
+
+/**
+ * 解析单条 IP 规则
+ *
+ * @param {string} rule - 地址或 CIDR
+ * @returns {{ address: string, prefix: number|null, family: string }|null} 无效时为 null
+ */
+function parseIpRule(rule) {
+  const [rawAddress, rawPrefix, extra] = String(rule || '').trim().split('/');
+  const address = normalizeIP(rawAddress);
+  const version = net.isIP(address);
+  if (!version || extra !== undefined) return null;
+
+  const family = version === 4 ? 'ipv4' : 'ipv6';
+  if (rawPrefix === undefined) return { address, prefix: null, family };
+
+  const prefix = Number(rawPrefix);
+  if (!/^\d+$/.test(rawPrefix) || prefix > (version === 4 ? 32 : 128)) return null;
+  return { address, prefix, family };
+}
+
+/**
+ * 编译 IP 白名单
+ * @private
+ */
+function compileIpAllow(rules) {
+  const list = new net.BlockList();
+  for (const rule of rules) {
+    const parsed = parseIpRule(rule);
+    if (!parsed) continue;
+    if (parsed.prefix === null) {
+      list.addAddress(parsed.address, parsed.family);
+    } else {
+      list.addSubnet(parsed.address, parsed.prefix, parsed.family);
+    }
+  }
+  return list;
+}
+
+/**
+ * 读取目录映射的访问规则
+ *
+ * @param {Object|null} mapping - 目录映射 { route, path, readOnly, listing, upload, auth, hidden, ipAllow }
+ * @returns {{ readOnly: boolean, listing: boolean|null, auth: Object|null, hidden: RegExp[], ipAllow: net.BlockList|null, maxFileSize: number|null }}
+ */
+function getPolicy(mapping) {
+  if (!mapping || typeof mapping !== 'object') {
+    return { readOnly: false, listing: null, auth: null, hidden: [], ipAllow: null, maxFileSize: null };
+  }
+  if (policyCache.has(mapping)) return policyCache.get(mapping);
+
+  let auth = null;
+  if (mapping.auth === true) {
+    auth = { any: true, keys: [], users: [] };
+  } else if (mapping.auth && typeof mapping.auth === 'object') {
+    const keys = [].concat(mapping.auth.keys || []).map(String);
+    const users = [].concat(mapping.auth.users || []).map(String);
+    auth = { any: !keys.length && !users.length, keys, users };
+  }
+
+  const maxFileSizeMB = mapping.upload && mapping.upload.maxFileSizeMB;
+  const policy = {
+    readOnly: mapping.readOnly === true,
+    listing: typeof mapping.listing === 'boolean' ? mapping.listing : null,
+    auth,
+    hidden: compileGlobs(mapping.hidden),
+    // 条目全部无效时白名单为空，即拒绝所有来源
+    ipAllow: mapping.ipAllow !== undefined && [].concat(mapping.ipAllow).length ? compileIpAllow([].concat(mapping.ipAllow)) : null,
+    maxFileSize: typeof maxFileSizeMB === 'number' && maxFileSizeMB > 0 ? maxFileSizeMB * MB : null
+  };
+  policyCache.set(mapping, policy);
+  return policy;
+}
+
+/**
+ * 判断映射内的相对路径是否命中隐藏规则
+ *
+ * 每个路径段与每一级前缀（a、a/b、a/b/c）都参与匹配，
+ * 因此 .git 会隐藏 .git 目录及其下所有内容，private/** 可按路径隐藏。
+ *
+ * @param {Object|null} mapping - 目录映射
+ * @param {string} relativePath - 相对于映射根目录的路径（/ 或 \ 分隔）
+ * @returns {boolean}
+ */
+function isHiddenPath(mapping, relativePath) {
+  const { hidden } = getPolicy(mapping);
+  if (!hidden.length || !relativePath) return false;
+
+  const segments = String(relativePath).split(/[\\/]+/).filter(Boolean);
+  for (let i = 0; i < segments.length; i++) {
+    if (matchesAny(segments[i], hidden) || matchesAny(segments.slice(0, i + 1).join('/'), hidden)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * 判断映射是否限制了访问者（需认证或有 IP 白名单）
+ *
+ * @param {Object|null} mapping - 目录映射
+ * @returns {boolean}
+ */
+function isRestricted(mapping) {
+  const policy = getPolicy(mapping);
+  return !!(policy.auth || policy.ipAllow);
+}
+
+/**
+ * 判断映射是否允许目录列表
+ *
+ * @param {Object|null} mapping - 目录映射
+ * @param {Object} config - 服务器配置（取 showIndex 作为缺省值）
+ * @returns {boolean}
+ */
+function isListingAllowed(mapping, config) {
+  const { listing } = getPolicy(mapping);
+  return listing === null ? !!(config && config.showIndex) : listing;
+}
+
+/**
+ * 检查请求是否可访问目录映射
+ *
+ * 依次检查 IP 白名单、认证要求与只读限制。认证身份取自 req.auth（由 AuthManager 写入）。
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {Object|null} mapping - 目录映射
+ * @param {Object} options - { write: 是否为写操作, trustProxy: 是否信任 X-Forwarded-For }
+ * @returns {{ status: number, message: string }|null} 允许时为 null
+ */
+function checkAccess(req, mapping, options = {}) {
+  const policy = getPolicy(mapping);
+
+  if (policy.ipAllow) {
+    const ip = normalizeIP(getClientIP(req, options.trustProxy));
+    const family = net.isIP(ip) === 6 ? 'ipv6' : 'ipv4';
+    if (!net.isIP(ip) || !policy.ipAllow.check(ip, family)) {
+      return { status: 403, message: '当前 IP 无权访问该目录' };
+    }
+  }
+
+  if (policy.auth) {
+    const identity = req && req.auth;
+    if (!identity) {
+      return { status: 401, message: '未授权' };
+    }
+    const allowed = policy.auth.any ||
+      (identity.type === 'apiKey' ? policy.auth.keys : policy.auth.users).includes(identity.name);
+    if (!allowed) {
+      return { status: 403, message: '凭据无权访问该目录' };
+    }
+  }
+
+  if (options.write && policy.readOnly) {
+    return { status: 403, message: '目录为只读' };
+  }
+
+  return null;
+}
+
+/**
+ * 生成访问被拒绝的错误（供抛出式调用方使用）
+ *
+ * @param {{ status: number, message: string }} denied - checkAccess 的结果
+ * @returns {Error} 带 statusCode 的错误
+ */
+function accessError(denied) {
+  const err = new Error(denied.message);
+  err.statusCode = denied.status;
+  return err;
+}
+
+/**
+ * 写出访问被拒绝的 JSON 响应（401 时附带认证质询）
+ *
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {{ status: number, message: string }} denied - checkAccess 的结果
+ */
+function sendAccessDenied(res, denied) {
+  const headers = { 'Content-Type': 'application/json; charset=utf-8' };
+  if (denied.status === 401) {
+    headers['WWW-Authenticate'] = 'Bearer realm="LocalBackendServer"';
+  }
+  res.writeHead(denied.status, headers);
+  res.end(JSON.stringify({ success: false, message: denied.message }));
+}
+
+module.exports = {
+  getPolicy,
+  parseIpRule,
+  isHiddenPath,
+  isRestricted,
+  isListingAllowed,
+  checkAccess,
+  accessError,
+  sendAccessDenied
+};
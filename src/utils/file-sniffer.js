@@ -0,0 +1,346 @@
+/**
+ * 文件内容嗅探模块
+ *
+ * 根据文件开头的魔数识别真实类型，用于上传校验与未知扩展名的 MIME 推断：
+ * - 可执行文件：PE（Windows）、ELF（Linux）、Mach-O（macOS）、WebAssembly、Java/Android 包
+ * - 脚本：shebang（#!）、PHP
+ * - 压缩包：zip、gzip、bzip2、xz、7z、rar、zstd、tar、cab
+ * - 图片 / 视频 / 音频 / 文档（PDF、OLE）常见格式
+ * - 纯文本（含 HTML、SVG 识别）
+ *
+ * 分类（category）：executable | script | archive | image | video | audio | document | font | html | text | binary | empty
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 识别所需的最大头部字节数（tar 的 ustar 标记位于 257 字节处）
+const SNIFF_BYTES = 4096;
+
+const startsWith = (buf, bytes, offset = 0) => {
+  if (buf.length < offset + bytes.length) return false;
+  for (let i = 0; i < bytes.length; i++) {
+    if (buf[offset + i] !== bytes[i]) return false;
+  }
+  return true;
+};
+const ascii = (str) => Array.from(str, c => c.charCodeAt(0));
+
+/**
+ * 读取 ISO BMFF（MP4/HEIF 等）的主品牌
+ */
+function ftypBrand(buf) {
+  return startsWith(buf, ascii('ftyp'), 4) ? buf.toString('latin1', 8, 12) : null;
+}
+
+/**
+ * 读取 zip 第一个条目的文件名（用于区分 jar/apk/Office 文档）
+ */
+function firstZipEntry(buf) {
+  if (buf.length < 30) return '';
+  const nameLength = buf.readUInt16LE(26);
+  return buf.toString('latin1', 30, Math.min(buf.length, 30 + nameLength));
+}
+
+/**
+ * 二进制签名表（按顺序匹配，越具体越靠前）
+ */
+const SIGNATURES = [
+  // 可执行文件
+  {
+    mime: 'application/vnd.microsoft.portable-executable',
+    category: 'executable',
+    exts: ['.exe', '.dll', '.sys', '.scr', '.com', '.efi', '.ocx', '.cpl'],
+    test: (b) => {
+      if (!startsWith(b, ascii('MZ'))) return false;
+      // 头部足够时校验 PE 签名，否则以是否为文本区分（避免误判以 "MZ" 开头的文本）
+      const peOffset = b.length >= 64 ? b.readUInt32LE(0x3c) : -1;
+      if (peOffset >= 0 && peOffset + 4 <= b.length && startsWith(b, ascii('PE\0\0'), peOffset)) return true;
+      return !isText(b);
+    }
+  },
+  { mime: 'application/x-elf', category: 'executable', exts: ['.so', '.elf', '.o', '.ko'], test: (b) => startsWith(b, [0x7f, 0x45, 0x4c, 0x46]) },
+  {
+    mime: 'application/x-mach-binary',
+    category: 'executable',
+    exts: ['.dylib', '.bundle', '.class'],
+    test: (b) => [[0xfe, 0xed, 0xfa, 0xce], [0xfe, 0xed, 0xfa, 0xcf], [0xce, 0xfa, 0xed, 0xfe], [0xcf, 0xfa, 0xed, 0xfe], [0xca, 0xfe, 0xba, 0xbe]]
+      .some(sig => startsWith(b, sig))
+  },
+  { mime: 'application/wasm', category: 'executable', exts: ['.wasm'], test: (b) => startsWith(b, [0x00, 0x61, 0x73, 0x6d]) },
+  {
+    mime: 'application/java-archive',
+    category: 'executable',
+    exts: ['.jar', '.war', '.apk', '.aab'],
+    test: (b) => startsWith(b, [0x50, 0x4b, 0x03, 0x04]) &&
+      /^(META-INF\/|AndroidManifest\.xml$|classes\.dex$)/.test(firstZipEntry(b))
+  },
+
+  // 图片
+  { mime: 'image/png', category: 'image', exts: ['.png', '.apng'], test: (b) => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { mime: 'image/jpeg', category: 'image', exts: ['.jpg', '.jpeg', '.jpe', '.jfif'], test: (b) => startsWith(b, [0xff, 0xd8, 0xff]) },
+  { mime: 'image/gif', category: 'image', exts: ['.gif'], test: (b) => startsWith(b, ascii('GIF87a')) || startsWith(b, ascii('GIF89a')) },
+  { mime: 'image/webp', category: 'image', exts: ['.webp'], test: (b) => startsWith(b, ascii('RIFF')) && startsWith(b, ascii('WEBP'), 8) },
+  { mime: 'image/bmp', category: 'image', exts: ['.bmp', '.dib'], test: (b) => startsWith(b, ascii('BM')) && b.length >= 14 && b.readUInt32LE(6) === 0 },
+  { mime: 'image/x-icon', category: 'image', exts: ['.ico', '.cur'], test: (b) => startsWith(b, [0x00, 0x00, 0x01, 0x00]) || startsWith(b, [0x00, 0x00, 0x02, 0x00]) },
+  { mime: 'image/tiff', category: 'image', exts: ['.tif', '.tiff', '.dng', '.nef', '.cr2', '.arw'], test: (b) => startsWith(b, [0x49, 0x49, 0x2a, 0x00]) || startsWith(b, [0x4d, 0x4d, 0x00, 0x2a]) },
+  { mime: 'image/avif', category: 'image', exts: ['.avif'], test: (b) => ['avif', 'avis'].includes(ftypBrand(b)) },
+  { mime: 'image/heic', category: 'image', exts: ['.heic', '.heif'], test: (b) => ['heic', 'heix', 'heim', 'heis', 'mif1', 'msf1'].includes(ftypBrand(b)) },
+  { mime: 'image/vnd.adobe.photoshop', category: 'image', exts: ['.psd'], test: (b) => startsWith(b, ascii('8BPS')) },
+
+  // 视频
+  { mime: 'video/quicktime', category: 'video', exts: ['.mov', '.qt'], test: (b) => ftypBrand(b) === 'qt  ' },
+  { mime: 'audio/mp4', category: 'audio', exts: ['.m4a', '.m4b', '.m4p'], test: (b) => ['M4A ', 'M4B ', 'M4P '].includes(ftypBrand(b)) },
+  { mime: 'video/mp4', category: 'video', exts: ['.mp4', '.m4v', '.mov', '.3gp', '.3g2', '.m4a'], test: (b) => ftypBrand(b) !== null },
+  {
+    mime: 'video/webm',
+    category: 'video',
+    exts: ['.webm', '.mkv', '.mka', '.mk3d'],
+    test: (b) => startsWith(b, [0x1a, 0x45, 0xdf, 0xa3])
+  },
+  { mime: 'video/x-msvideo', category: 'video', exts: ['.avi'], test: (b) => startsWith(b, ascii('RIFF')) && startsWith(b, ascii('AVI '), 8) },
+  { mime: 'video/x-flv', category: 'video', exts: ['.flv'], test: (b) => startsWith(b, ascii('FLV')) && b[3] === 0x01 },
+  { mime: 'video/mp2t', category: 'video', exts: ['.m2ts', '.m2t'], test: (b) => b[0] === 0x47 && b.length > 188 && b[188] === 0x47 },
+
+  // 音频
+  { mime: 'audio/wav', category: 'audio', exts: ['.wav'], test: (b) => startsWith(b, ascii('RIFF')) && startsWith(b, ascii('WAVE'), 8) },
+  { mime: 'audio/mpeg', category: 'audio', exts: ['.mp3'], test: (b) => startsWith(b, ascii('ID3')) || (b[0] === 0xff && [0xfb, 0xf3, 0xf2, 0xfa].includes(b[1])) },
+  { mime: 'audio/aac', category: 'audio', exts: ['.aac'], test: (b) => b[0] === 0xff && (b[1] === 0xf1 || b[1] === 0xf9) },
+  { mime: 'audio/ogg', category: 'audio', exts: ['.ogg', '.oga', '.ogv', '.opus', '.spx'], test: (b) => startsWith(b, ascii('OggS')) },
+  { mime: 'audio/flac', category: 'audio', exts: ['.flac'], test: (b) => startsWith(b, ascii('fLaC')) },
+  { mime: 'audio/midi', category: 'audio', exts: ['.mid', '.midi'], test: (b) => startsWith(b, ascii('MThd')) },
+
+  // 文档
+  { mime: 'application/pdf', category: 'document', exts: ['.pdf'], test: (b) => startsWith(b, ascii('%PDF-')) },
+  {
+    mime: 'application/x-ole-storage',
+    category: 'document',
+    exts: ['.doc', '.xls', '.ppt', '.msg', '.msi', '.vsd'],
+    test: (b) => startsWith(b, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])
+  },
+  { mime: 'application/rtf', category: 'document', exts: ['.rtf'], test: (b) => startsWith(b, ascii('{\\rtf')) },
+
+  // 压缩包（Office Open XML / ODF / EPUB 也是 zip 容器）
+  {
+    mime: 'application/zip',
+    category: 'archive',
+    exts: ['.zip', '.docx', '.xlsx', '.pptx', '.odt', '.ods', '.odp', '.epub', '.xpi', '.vsix', '.whl', '.nupkg', '.ipa', '.kmz', '.3mf', '.jar', '.apk'],
+    test: (b) => startsWith(b, [0x50, 0x4b, 0x03, 0x04]) || startsWith(b, [0x50, 0x4b, 0x05, 0x06])
+  },
+  { mime: 'application/gzip', category: 'archive', exts: ['.gz', '.tgz', '.svgz'], test: (b) => startsWith(b, [0x1f, 0x8b]) },
+  { mime: 'application/x-bzip2', category: 'archive', exts: ['.bz2', '.tbz2', '.tbz'], test: (b) => startsWith(b, ascii('BZh')) },
+  { mime: 'application/x-xz', category: 'archive', exts: ['.xz', '.txz'], test: (b) => startsWith(b, [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]) },
+  { mime: 'application/x-7z-compressed', category: 'archive', exts: ['.7z'], test: (b) => startsWith(b, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]) },
+  { mime: 'application/vnd.rar', category: 'archive', exts: ['.rar'], test: (b) => startsWith(b, ascii('Rar!\x1a\x07')) },
+  { mime: 'application/zstd', category: 'archive', exts: ['.zst', '.tzst'], test: (b) => startsWith(b, [0x28, 0xb5, 0x2f, 0xfd]) },
+  { mime: 'application/vnd.ms-cab-compressed', category: 'archive', exts: ['.cab'], test: (b) => startsWith(b, ascii('MSCF')) },
+  { mime: 'application/x-tar', category: 'archive', exts: ['.tar'], test: (b) => startsWith(b, ascii('ustar'), 257) },
+
+  // 字体
+  { mime: 'font/woff', category: 'font', exts: ['.woff'], test: (b) => startsWith(b, ascii('wOFF')) },
+  { mime: 'font/woff2', category: 'font', exts: ['.woff2'], test: (b) => startsWith(b, ascii('wOF2')) },
+  { mime: 'font/ttf', category: 'font', exts: ['.ttf', '.ttc'], test: (b) => startsWith(b, [0x00, 0x01, 0x00, 0x00, 0x00]) || startsWith(b, ascii('ttcf')) },
+  { mime: 'font/otf', category: 'font', exts: ['.otf'], test: (b) => startsWith(b, ascii('OTTO')) }
+];
+
+// 文本类扩展名：内容必须识别为文本（含 HTML / SVG / 脚本）
+const TEXT_EXTS = [
+  '.html', '.htm', '.xhtml', '.svg', '.sh', '.ps1', '.bat', '.cmd', '.js', '.mjs', '.cjs', '.php', '.py',
+  '.txt', '.md', '.markdown', '.csv', '.tsv', '.log', '.json', '.yaml', '.yml', '.toml',
+  '.ini', '.conf', '.cfg', '.xml', '.css', '.srt', '.vtt', '.ass', '.lrc', '.tex', '.rst'
+];
+
+// 无魔数但按扩展名即视为危险的类型
+const EXTENSION_CATEGORIES = {
+  '.exe': 'executable',
+  '.dll': 'executable',
+  '.msi': 'executable',
+  '.com': 'executable',
+  '.scr': 'executable',
+  '.apk': 'executable',
+  '.jar': 'executable',
+  '.sh': 'script',
+  '.bash': 'script',
+  '.zsh': 'script',
+  '.ps1': 'script',
+  '.psm1': 'script',
+  '.bat': 'script',
+  '.cmd': 'script',
+  '.vbs': 'script',
+  '.js': 'script',
+  '.mjs': 'script',
+  '.cjs': 'script',
+  '.php': 'script',
+  '.html': 'html',
+  '.htm': 'html',
+  '.xhtml': 'html',
+  '.svg': 'image'
+};
+
+// 扩展名 -> 期望的识别结果（用于扩展名与内容不符的判断）
+const EXTENSION_INDEX = new Map();
+for (const sig of SIGNATURES) {
+  for (const ext of sig.exts) {
+    if (!EXTENSION_INDEX.has(ext)) EXTENSION_INDEX.set(ext, []);
+    EXTENSION_INDEX.get(ext).push(sig.mime);
+  }
+}
+
+/**
+ * 判断头部是否为文本（允许 UTF-8 / UTF-16 BOM，不含 NUL 与大量控制字符）
+ */
+function isText(buf) {
+  if (startsWith(buf, [0xff, 0xfe]) || startsWith(buf, [0xfe, 0xff])) return true;
+  let control = 0;
+  for (let i = 0; i < buf.length; i++) {
+    const c = buf[i];
+    if (c === 0x00) return false;
+    if (c < 0x09 || (c > 0x0d && c < 0x20 && c !== 0x1b)) control++;
+  }
+  return control <= buf.length * 0.02;
+}
+
+/**
+ * 识别文本内容的具体类型
+ */
+function sniffText(buf) {
+  const head = buf.toString('utf8', 0, Math.min(buf.length, 1024)).replace(/^﻿/, '').trimStart();
+  const lower = head.toLowerCase();
+
+  if (head.startsWith('#!')) {
+    return { mime: 'text/x-script', category: 'script', exts: [], text: true };
+  }
+  if (lower.startsWith('<?php')) {
+    return { mime: 'application/x-httpd-php', category: 'script', exts: [], text: true };
+  }
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype svg[^>]*>\s*)?<svg[\s>]/.test(lower)) {
+    return { mime: 'image/svg+xml', category: 'image', exts: [], text: true };
+  }
+  if (/^(<!--[\s\S]*?-->\s*)*(<!doctype html|<html[\s>]|<head[\s>]|<body[\s>]|<script[\s>])/.test(lower)) {
+    return { mime: 'text/html', category: 'html', exts: [], text: true };
+  }
+  return { mime: 'text/plain', category: 'text', exts: [], text: true };
+}
+
+/**
+ * 根据文件头识别类型
+ *
+ * @param {Buffer} buf - 文件开头的字节（建议 SNIFF_BYTES 字节）
+ * @returns {{ mime: string, category: string, exts: string[], text?: boolean }} 识别结果；空内容返回 category=empty
+ */
+function sniffBuffer(buf) {
+  if (!buf || buf.length === 0) {
+    return { mime: 'application/x-empty', category: 'empty', exts: [] };
+  }
+  for (const sig of SIGNATURES) {
+    if (sig.test(buf)) {
+      return { mime: sig.mime, category: sig.category, exts: sig.exts };
+    }
+  }
+  if (isText(buf)) {
+    return sniffText(buf);
+  }
+  return { mime: 'application/octet-stream', category: 'binary', exts: [] };
+}
+
+/**
+ * 读取文件头并识别类型
+ *
+ * @param {string} filePath - 文件路径
+ * @returns {Object|null} 识别结果，读取失败返回 null
+ */
+function sniffFile(filePath) {
+  let fd = null;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const buf = Buffer.alloc(SNIFF_BYTES);
+    const bytesRead = fs.readSync(fd, buf, 0, SNIFF_BYTES, 0);
+    return sniffBuffer(buf.subarray(0, bytesRead));
+  } catch (_) {
+    return null;
+  } finally {
+    if (fd !== null) fs.closeSync(fd);
+  }
+}
+
+/**
+ * 判断扩展名与识别结果是否一致
+ *
+ * 有魔数的二进制扩展名要求内容签名匹配，文本类扩展名要求内容为文本；
+ * 未知扩展名不做一致性要求（仍受允许/禁止列表约束）。
+ *
+ * @param {string} filename - 文件名
+ * @param {Object} detected - sniffBuffer 结果
+ * @returns {boolean}
+ */
+function extensionMatches(filename, detected) {
+  const ext = path.extname(filename).toLowerCase();
+  if (detected.category === 'empty') return true;
+  if (EXTENSION_INDEX.has(ext)) return detected.exts.includes(ext);
+  if (TEXT_EXTS.includes(ext)) return !!detected.text;
+  return true;
+}
+
+/**
+ * 判断识别结果是否命中类型规则
+ *
+ * 规则可为分类名（image）、MIME（image/png）、MIME 通配（image/*）或扩展名（.png）。
+ *
+ * @param {string} rule - 规则
+ * @param {Object} info - { category, mime, ext }
+ * @returns {boolean}
+ */
+function matchesTypeRule(rule, info) {
+  const value = String(rule || '').toLowerCase().trim();
+  if (!value) return false;
+  if (value.startsWith('.')) return info.ext === value;
+  if (value.endsWith('/*')) return info.mime.startsWith(value.slice(0, -1));
+  if (value.includes('/')) return info.mime === value;
+  return info.categories.includes(value);
+}
+
+/**
+ * 按允许/禁止列表校验上传内容
+ *
+ * @param {string} filename - 文件名
+ * @param {Buffer} head - 文件开头的字节
+ * @param {Object} policy - { allow: string[], deny: string[] }
+ * @returns {{ ok: boolean, message?: string, detected: Object }}
+ */
+function checkUploadType(filename, head, policy = {}) {
+  const detected = sniffBuffer(head);
+  const ext = path.extname(filename).toLowerCase();
+
+  if (!extensionMatches(filename, detected)) {
+    return { ok: false, message: `文件内容（${detected.mime}）与扩展名不符`, detected };
+  }
+
+  // 内容分类与扩展名暗示的分类都参与匹配（如无魔数的 .bat 仍视为脚本）
+  const categories = [detected.category];
+  if (EXTENSION_CATEGORIES[ext] && !categories.includes(EXTENSION_CATEGORIES[ext])) {
+    categories.push(EXTENSION_CATEGORIES[ext]);
+  }
+  const info = { categories, mime: detected.mime, ext };
+  const label = detected.category === 'empty' ? ext || detected.mime : detected.mime;
+
+  const deny = Array.isArray(policy.deny) ? policy.deny : [];
+  const denied = deny.find(rule => matchesTypeRule(rule, info));
+  if (denied) {
+    return { ok: false, message: `文件类型不允许（${label}）`, detected };
+  }
+
+  const allow = Array.isArray(policy.allow) ? policy.allow : [];
+  if (allow.length > 0 && !allow.some(rule => matchesTypeRule(rule, info))) {
+    return { ok: false, message: `文件类型不在允许列表中（${label}）`, detected };
+  }
+
+  return { ok: true, detected };
+}
+
+module.exports = {
+  SNIFF_BYTES,
+  sniffBuffer,
+  sniffFile,
+  extensionMatches,
+  checkUploadType
+};
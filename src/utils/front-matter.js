@@ -0,0 +1,123 @@
+/**
+ * Markdown front matter 工具模块
+ *
+ * 解析文档开头 --- 包围的 YAML 块，并把常用字段规整为统一的笔记元数据：
+ * title、tags（数组或逗号分隔的字符串，去掉 # 前缀）、date / updated、draft、author。
+ */
+
+const { parseYaml } = require('./yaml');
+
+const FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+/**
+ * 拆分并解析 front matter
+ *
+ * YAML 格式错误时 frontMatter 为空对象，error 为错误信息，正文照常返回。
+ *
+ * @param {string} markdown - Markdown 原文
+ * @returns {{ body: string, frontMatter: Object, rawFrontMatter: string, error: string|null }}
+ */
+function parseFrontMatter(markdown = '') {
+  const text = String(markdown || '');
+  const match = text.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    return { body: text, frontMatter: {}, rawFrontMatter: '', error: null };
+  }
+
+  const rawFrontMatter = match[1] || '';
+  const body = text.slice(match[0].length);
+  try {
+    const parsed = parseYaml(rawFrontMatter);
+    if (parsed === null) {
+      return { body, frontMatter: {}, rawFrontMatter, error: null };
+    }
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+      return { body, frontMatter: {}, rawFrontMatter, error: 'front matter 应为 key: value 映射' };
+    }
+    return { body, frontMatter: parsed, rawFrontMatter, error: null };
+  } catch (err) {
+    return { body, frontMatter: {}, rawFrontMatter, error: err.message };
+  }
+}
+
+/**
+ * 规整标签名（去掉 # 前缀与首尾空白）
+ *
+ * @param {*} tag - 原始标签
+ * @returns {string}
+ */
+function normalizeTag(tag) {
+  return String(tag === null || tag === undefined ? '' : tag).trim().replace(/^#+/, '').trim();
+}
+
+/**
+ * 标签的匹配键（不区分大小写）
+ *
+ * @param {string} tag - 标签
+ * @returns {string}
+ */
+function tagKey(tag) {
+  return normalizeTag(tag).toLowerCase();
+}
+
+/**
+ * 规整日期：可识别的日期输出为 YYYY-MM-DD（含时间时追加 HH:mm），否则原样返回
+ * @private
+ */
+function normalizeDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim();
+  const match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2}))?/);
+  if (!match) return text;
+  const pad = (n) => String(n).padStart(2, '0');
+  const date = `${match[1]}-${pad(match[2])}-${pad(match[3])}`;
+  return match[4] !== undefined ? `${date} ${pad(match[4])}:${match[5]}` : date;
+}
+
+/**
+ * 提取笔记元数据
+ *
+ * @param {Object} frontMatter - parseFrontMatter 返回的 frontMatter
+ * @returns {{ title: string|null, tags: string[], date: string|null, updated: string|null, draft: boolean, author: string|null }}
+ */
+function noteMeta(frontMatter) {
+  const fm = frontMatter && typeof frontMatter === 'object' ? frontMatter : {};
+  const scalar = (value) => (typeof value === 'string' || typeof value === 'number') && String(value).trim()
+    ? String(value).trim()
+    : null;
+
+  const rawTags = fm.tags !== undefined ? fm.tags : fm.tag;
+  const tagList = Array.isArray(rawTags)
+    ? rawTags
+    : (typeof rawTags === 'string' ? rawTags.split(/[,，]/) : (rawTags === null || rawTags === undefined ? [] : [rawTags]));
+  const seen = new Set();
+  const tags = [];
+  for (const item of tagList) {
+    if (item !== null && typeof item === 'object') continue;
+    const tag = normalizeTag(item);
+    if (tag && !seen.has(tag.toLowerCase())) {
+      seen.add(tag.toLowerCase());
+      tags.push(tag);
+    }
+  }
+
+  const author = Array.isArray(fm.author)
+    ? fm.author.map(scalar).filter(Boolean).join(', ') || null
+    : scalar(fm.author) || (fm.author && typeof fm.author === 'object' ? scalar(fm.author.name) : null);
+
+  return {
+    title: scalar(fm.title),
+    tags,
+    date: normalizeDate(scalar(fm.date)),
+    updated: normalizeDate(scalar(fm.updated !== undefined ? fm.updated : fm.lastmod)),
+    draft: fm.draft === true,
+    author
+  };
+}
+
+module.exports = {
+  parseFrontMatter,
+  noteMeta,
+  normalizeTag,
+  tagKey
+};
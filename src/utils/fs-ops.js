@@ -0,0 +1,80 @@
+/**
+ * 文件系统操作工具模块
+ *
+ * 回收站、WebDAV 与文件管理共用的移动 / 复制 / 统计操作：
+ * - 移动优先 rename，跨设备时退化为复制后删除
+ * - 复制不跟随符号链接（按链接本身复制）
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 移动文件或目录
+ *
+ * @param {string} from - 源路径
+ * @param {string} to - 目标路径（不得已存在）
+ */
+async function movePath(from, to) {
+  try {
+    await fs.promises.rename(from, to);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    await copyPath(from, to);
+    await fs.promises.rm(from, { recursive: true, force: true });
+  }
+}
+
+/**
+ * 复制文件或目录（递归，保留时间戳）
+ *
+ * @param {string} from - 源路径
+ * @param {string} to - 目标路径（不得已存在）
+ * @param {Function} filter - (srcPath) => 是否复制该条目（可选）
+ */
+async function copyPath(from, to, filter = null) {
+  await fs.promises.cp(from, to, {
+    ...(filter && { filter }),
+    recursive: true,
+    preserveTimestamps: true,
+    errorOnExist: true,
+    force: false,
+    verbatimSymlinks: true
+  });
+}
+
+/**
+ * 统计文件或目录的总大小（不跟随符号链接）
+ *
+ * @param {string} target - 路径
+ * @param {fs.Stats} stat - 该路径的 lstat 结果（可选）
+ * @returns {Promise<number>} 字节数
+ */
+async function pathSize(target, stat = null) {
+  const info = stat || await fs.promises.lstat(target);
+  if (!info.isDirectory()) return info.size;
+  let size = 0;
+  for (const name of await fs.promises.readdir(target)) {
+    size += await pathSize(path.join(target, name));
+  }
+  return size;
+}
+
+/**
+ * 判断 child 是否为 parent 本身或位于其内部
+ *
+ * @param {string} parent - 父路径（绝对路径）
+ * @param {string} child - 子路径（绝对路径）
+ * @returns {boolean}
+ */
+function isSameOrInside(parent, child) {
+  const relative = path.relative(parent, child);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+module.exports = {
+  movePath,
+  copyPath,
+  pathSize,
+  isSameOrInside
+};
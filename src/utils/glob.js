@@ -0,0 +1,121 @@
+/**
+ * Glob 匹配工具模块
+ *
+ * 支持的语法：
+ * - *       任意字符（不跨越 /）
+ * - **      任意字符（可跨越 /）
+ * - ?       单个字符
+ * - [abc]   字符集合，[!abc] / [^abc] 取反，[a-z] 范围
+ * - {a,b}   多选一（可嵌套）
+ * 其余字符按字面匹配，默认不区分大小写。
+ */
+
+const GLOB_CHARS = /[*?[{]/;
+
+/**
+ * 转义正则特殊字符
+ * @private
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * 判断字符串是否包含 glob 通配符
+ *
+ * @param {string} pattern - 模式
+ * @returns {boolean}
+ */
+function isGlob(pattern) {
+  return GLOB_CHARS.test(pattern);
+}
+
+/**
+ * 把 glob 模式转换为正则表达式（整串匹配）
+ *
+ * @param {string} pattern - glob 模式
+ * @param {Object} options - { caseSensitive: 是否区分大小写（默认 false） }
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern, options = {}) {
+  const flags = options.caseSensitive ? '' : 'i';
+  let source = '';
+  let depth = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        source += '.*';
+        i++;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const close = pattern.indexOf(']', i + 2);
+      if (close < 0) {
+        source += '\\[';
+        continue;
+      }
+      let body = pattern.slice(i + 1, close);
+      const negate = body[0] === '!' || body[0] === '^';
+      if (negate) body = body.slice(1);
+      source += `[${negate ? '^' : ''}${body.replace(/[\\\]]/g, '\\$&')}]`;
+      i = close;
+    } else if (char === '{') {
+      source += '(?:';
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      source += ')';
+      depth--;
+    } else if (char === ',' && depth > 0) {
+      source += '|';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  // 花括号未闭合或无法解析（如非法字符范围）时按字面匹配
+  if (depth === 0) {
+    try {
+      return new RegExp(`^${source}$`, flags);
+    } catch {
+      // 落到字面匹配
+    }
+  }
+  return new RegExp(`^${escapeRegExp(pattern)}$`, flags);
+}
+
+/**
+ * 编译一组 glob 模式
+ *
+ * @param {string|string[]} patterns - 单个模式或模式数组
+ * @param {Object} options - 同 globToRegExp
+ * @returns {RegExp[]}
+ */
+function compileGlobs(patterns, options = {}) {
+  return [].concat(patterns || [])
+    .map(pattern => String(pattern).trim())
+    .filter(Boolean)
+    .map(pattern => globToRegExp(pattern, options));
+}
+
+/**
+ * 判断名称是否匹配任一已编译的模式
+ *
+ * @param {string} name - 文件名或相对路径
+ * @param {RegExp[]} compiled - compileGlobs 的结果
+ * @returns {boolean}
+ */
+function matchesAny(name, compiled) {
+  return compiled.some(regex => regex.test(name));
+}
+
+module.exports = {
+  isGlob,
+  globToRegExp,
+  compileGlobs,
+  matchesAny
+};
@@ -0,0 +1,523 @@
+/**
+ * 条件请求与范围请求（RFC 9110 第 13、14 节）
+ *
+ * - 校验器：ETag 与 Last-Modified
+ * - 前置条件按规范顺序求值：If-Match → If-Unmodified-Since → If-None-Match → If-Modified-Since，
+ *   结果为 304（未修改）或 412（前置条件失败）
+ * - Range：支持 bytes=start-end、bytes=start-、bytes=-suffix 与多段范围（multipart/byteranges），
+ *   If-Range 不匹配时忽略 Range 返回完整内容，范围全部不可满足时返回 416
+ *
+ * sendFile 用于磁盘文件（流式），sendBuffer 用于内存中的内容（如 Markdown 渲染缓存）；
+ * 两者在传入压缩配置时按 Accept-Encoding 协商 br / gzip（见 compression.js）。
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { isCompressible } = require('./mime');
+const {
+  negotiateEncoding,
+  supportedEncodings,
+  shouldCompress,
+  findPrecompressed,
+  createCompressor,
+  compressBuffer,
+  variantEtag,
+  appendVary
+} = require('./compression');
+
+const LARGE_FILE_THRESHOLD = 10 * 1024 * 1024; // 10MB 以上用流式传输
+// 单个请求最多的范围段数，超过时忽略 Range 返回完整内容
+const MAX_RANGES = 64;
+// 304 响应需要保留的头（RFC 9110 15.4.5）
+const NOT_MODIFIED_HEADERS = ['Cache-Control', 'Content-Location', 'ETag', 'Expires', 'Last-Modified', 'Vary'];
+
+/**
+ * 由文件 stat 生成 ETag（inode + 修改时间）
+ *
+ * @param {fs.Stats} stat - 文件统计信息
+ * @returns {string} 强 ETag
+ */
+function fileEtag(stat) {
+  return `"${stat.ino}-${stat.mtime.getTime()}"`;
+}
+
+/**
+ * 由内容生成 ETag
+ *
+ * @param {Buffer|string} body - 响应内容
+ * @returns {string} 强 ETag
+ */
+function contentEtag(body) {
+  return `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+/**
+ * 解析实体标签列表（If-Match / If-None-Match）
+ * @private
+ */
+function parseEtagList(value) {
+  if (value.trim() === '*') return '*';
+  return value.match(/(?:W\/)?"[^"]*"/g) || [];
+}
+
+/**
+ * 去掉弱标记
+ * @private
+ */
+function opaqueTag(tag) {
+  return tag.startsWith('W/') ? tag.slice(2) : tag;
+}
+
+/**
+ * 解析 HTTP 日期，无效时返回 null
+ * @private
+ */
+function parseHttpDate(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * 按秒截断时间（HTTP 日期只精确到秒）
+ * @private
+ */
+function toSeconds(time) {
+  return Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * 求值前置条件
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {Object} validators - { etag, lastModified: Date }
+ * @returns {number} 200（继续处理）、304 或 412
+ */
+function evaluatePreconditions(req, validators) {
+  const headers = req.headers;
+  const etag = validators.etag || null;
+  const lastModified = validators.lastModified ? toSeconds(validators.lastModified.getTime()) : null;
+  const safe = req.method === 'GET' || req.method === 'HEAD';
+
+  // 1. If-Match：强比较，不匹配时 412
+  if (headers['if-match'] !== undefined) {
+    const tags = parseEtagList(headers['if-match']);
+    const matched = tags === '*' ||
+      (!!etag && !etag.startsWith('W/') && tags.some(tag => !tag.startsWith('W/') && tag === etag));
+    if (!matched) return 412;
+  } else if (headers['if-unmodified-since'] !== undefined && lastModified !== null) {
+    // 2. If-Unmodified-Since（仅在没有 If-Match 时）
+    const since = parseHttpDate(headers['if-unmodified-since']);
+    if (since !== null && lastModified > since) return 412;
+  }
+
+  // 3. If-None-Match：弱比较，匹配时 GET/HEAD 返回 304，其他方法 412
+  if (headers['if-none-match'] !== undefined) {
+    const tags = parseEtagList(headers['if-none-match']);
+    const matched = tags === '*' || (!!etag && tags.some(tag => opaqueTag(tag) === opaqueTag(etag)));
+    if (matched) return safe ? 304 : 412;
+  } else if (safe && headers['if-modified-since'] !== undefined && lastModified !== null) {
+    // 4. If-Modified-Since（仅在没有 If-None-Match 时）
+    const since = parseHttpDate(headers['if-modified-since']);
+    if (since !== null && lastModified <= since) return 304;
+  }
+
+  return 200;
+}
+
+/**
+ * 判断 If-Range 是否仍然有效
+ *
+ * 实体标签须强比较一致；日期须与 Last-Modified 完全相同。
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {Object} validators - { etag, lastModified: Date }
+ * @returns {boolean} 没有 If-Range 或校验通过时为 true
+ */
+function ifRangeMatches(req, validators) {
+  const value = req.headers['if-range'];
+  if (value === undefined) return true;
+  const trimmed = value.trim();
+
+  if (trimmed.startsWith('"') || trimmed.startsWith('W/')) {
+    return !!validators.etag && !trimmed.startsWith('W/') && !validators.etag.startsWith('W/') &&
+      trimmed === validators.etag;
+  }
+  const since = parseHttpDate(trimmed);
+  return since !== null && !!validators.lastModified &&
+    toSeconds(validators.lastModified.getTime()) === since;
+}
+
+/**
+ * 解析 Range 头
+ *
+ * 重叠或相邻的范围会合并；语法无效、单位不是 bytes 或段数过多时按没有 Range 处理。
+ *
+ * @param {string} header - Range 头
+ * @param {number} size - 内容长度
+ * @returns {Object[]|null|false} [{ start, end }]（含 end）；null 表示忽略；false 表示不可满足（416）
+ */
+function parseRange(header, size) {
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header || '');
+  if (!match) return null;
+
+  const specs = match[1].split(',').map(spec => spec.trim()).filter(Boolean);
+  if (!specs.length || specs.length > MAX_RANGES) return null;
+
+  const ranges = [];
+  for (const spec of specs) {
+    const parts = /^(\d*)-(\d*)$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) return null;
+
+    if (parts[1] === '') {
+      // 后缀范围：最后 N 个字节
+      const suffix = parseInt(parts[2], 10);
+      if (suffix > 0 && size > 0) ranges.push({ start: Math.max(0, size - suffix), end: size - 1 });
+      continue;
+    }
+
+    const start = parseInt(parts[1], 10);
+    const end = parts[2] === '' ? Infinity : parseInt(parts[2], 10);
+    if (end < start) return null;
+    if (start < size) ranges.push({ start, end: Math.min(end, size - 1) });
+  }
+
+  if (!ranges.length) return false;
+
+  // 合并重叠与相邻的范围，防止用大量重叠小段放大响应
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [ranges[0]];
+  for (const range of ranges.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push(range);
+    }
+  }
+  return merged;
+}
+
+/**
+ * 发送无正文的状态响应（304 / 412 / 416）
+ * @private
+ */
+function sendStatus(res, status, headers) {
+  const out = {};
+  if (status === 304) {
+    for (const name of NOT_MODIFIED_HEADERS) {
+      if (headers[name] !== undefined) out[name] = headers[name];
+    }
+  } else {
+    Object.assign(out, headers.ETag ? { 'ETag': headers.ETag } : {}, { 'Content-Length': 0 });
+  }
+  res.writeHead(status, out);
+  res.end();
+}
+
+/**
+ * 求值前置条件与范围，已响应时返回 null
+ *
+ * @private
+ * @returns {{ ranges: Object[]|null }|null}
+ */
+function negotiate(req, res, size, headers) {
+  const validators = {
+    etag: headers.ETag,
+    lastModified: headers['Last-Modified'] ? new Date(headers['Last-Modified']) : null
+  };
+  if (!req) return { ranges: null };
+
+  const status = evaluatePreconditions(req, validators);
+  if (status !== 200) {
+    sendStatus(res, status, headers);
+    return null;
+  }
+
+  if (req.method !== 'GET' || !req.headers.range || !ifRangeMatches(req, validators)) {
+    return { ranges: null };
+  }
+  const ranges = parseRange(req.headers.range, size);
+  if (ranges === false) {
+    res.writeHead(416, { 'Content-Range': `bytes */${size}`, 'Content-Length': 0 });
+    res.end();
+    return null;
+  }
+  return { ranges };
+}
+
+/**
+ * 构造 multipart/byteranges 的各段头与结尾
+ * @private
+ */
+function multipartLayout(ranges, size, contentType) {
+  const boundary = crypto.randomBytes(12).toString('hex');
+  const heads = ranges.map(({ start, end }, index) => Buffer.from(
+    `${index ? '\r\n' : ''}--${boundary}\r\n` +
+    (contentType ? `Content-Type: ${contentType}\r\n` : '') +
+    `Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+  ));
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+  const length = heads.reduce((sum, head, index) => sum + head.length + ranges[index].end - ranges[index].start + 1, 0) + tail.length;
+  return { boundary, heads, tail, length };
+}
+
+/**
+ * 写出响应头，返回范围响应的布局
+ * @private
+ */
+function writeHead(res, size, headers, ranges) {
+  const base = { ...headers, 'Accept-Ranges': 'bytes' };
+
+  if (!ranges) {
+    res.writeHead(200, { ...base, 'Content-Length': size });
+    return null;
+  }
+
+  if (ranges.length === 1) {
+    const { start, end } = ranges[0];
+    res.writeHead(206, {
+      ...base,
+      'Content-Length': end - start + 1,
+      'Content-Range': `bytes ${start}-${end}/${size}`
+    });
+    return null;
+  }
+
+  const layout = multipartLayout(ranges, size, headers['Content-Type']);
+  const { 'Content-Type': _contentType, ...rest } = base;
+  res.writeHead(206, {
+    ...rest,
+    'Content-Type': `multipart/byteranges; boundary=${layout.boundary}`,
+    'Content-Length': layout.length
+  });
+  return layout;
+}
+
+/**
+ * 流式写出文件的一段
+ * @private
+ */
+function pipeSegment(filePath, res, start, end) {
+  return new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(filePath, { start, end, highWaterMark: 64 * 1024 });
+    // 客户端中途断开时释放文件句柄
+    const abort = () => stream.destroy();
+    res.once('close', abort);
+    stream.on('error', reject);
+    stream.on('close', () => {
+      res.removeListener('close', abort);
+      resolve();
+    });
+    stream.pipe(res, { end: false });
+  });
+}
+
+/**
+ * 按已确定的表示发送文件（前置条件、范围、流式传输）
+ * @private
+ */
+function transmitFile(req, res, filePath, size, headers) {
+  const result = negotiate(req, res, size, headers);
+  if (!result) return;
+  const { ranges } = result;
+  const layout = writeHead(res, size, headers, ranges);
+
+  if (req && req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+
+  const fail = () => {
+    if (!res.headersSent) res.writeHead(500);
+    res.destroy();
+  };
+
+  if (layout) {
+    (async () => {
+      for (let i = 0; i < ranges.length; i++) {
+        if (res.destroyed) return;
+        res.write(layout.heads[i]);
+        await pipeSegment(filePath, res, ranges[i].start, ranges[i].end);
+      }
+      res.end(layout.tail);
+    })().catch(fail);
+    return;
+  }
+
+  const range = ranges ? ranges[0] : { start: 0, end: size - 1 };
+  // 小文件一次读入，大文件和范围请求流式传输
+  if (!ranges && size <= LARGE_FILE_THRESHOLD) {
+    fs.readFile(filePath, (err, data) => {
+      if (err) return fail();
+      res.end(data);
+    });
+    return;
+  }
+  if (size === 0) {
+    res.end();
+    return;
+  }
+  const stream = fs.createReadStream(filePath, { start: range.start, end: range.end, highWaterMark: 64 * 1024 });
+  stream.on('error', fail);
+  res.on('close', () => stream.destroy());
+  stream.pipe(res);
+}
+
+/**
+ * 即时压缩并发送文件（长度未知，使用分块传输，不支持范围请求）
+ * @private
+ */
+function transmitCompressedFile(req, res, filePath, size, headers, encoding) {
+  if (!negotiate(req, res, size, headers)) return;
+  res.writeHead(200, headers);
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  pipeline(fs.createReadStream(filePath, { highWaterMark: 64 * 1024 }), createCompressor(encoding, size), res)
+    .catch(() => res.destroy());
+}
+
+/**
+ * 发送磁盘文件（条件请求 + 范围请求 + 压缩协商）
+ *
+ * 启用压缩且内容为文本类时：优先发送客户端可接受的预压缩文件（.br / .gz），
+ * 否则在大小阈值内即时压缩；带 Range 的请求始终按原始内容响应。
+ *
+ * @param {http.IncomingMessage|null} req - 请求对象（为空时按普通 200 响应）
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {string} filePath - 文件路径
+ * @param {fs.Stats} stat - 文件统计信息
+ * @param {Object} headers - 额外响应头（Content-Type、Cache-Control 等）；未指定时自动补充 ETag 与 Last-Modified
+ * @param {Object} options - { compression: 压缩配置（可选） }
+ */
+function sendFile(req, res, filePath, stat, headers = {}, options = {}) {
+  const allHeaders = {
+    'ETag': fileEtag(stat),
+    'Last-Modified': stat.mtime.toUTCString(),
+    ...headers
+  };
+  const compression = options.compression;
+  const contentType = allHeaders['Content-Type'];
+  if (!req || !compression || !compression.enabled || !isCompressible(contentType)) {
+    transmitFile(req, res, filePath, stat.size, allHeaders);
+    return;
+  }
+
+  allHeaders.Vary = appendVary(allHeaders.Vary, 'Accept-Encoding');
+  const accept = req.headers['accept-encoding'];
+  const encoded = (encoding) => ({
+    ...allHeaders,
+    'Content-Encoding': encoding,
+    'ETag': variantEtag(allHeaders.ETag, encoding)
+  });
+
+  (async () => {
+    const supported = supportedEncodings(compression);
+    if (accept && compression.precompressed !== false) {
+      const siblings = new Map();
+      for (const encoding of supported) {
+        const found = await findPrecompressed(filePath, stat, encoding);
+        if (found) siblings.set(encoding, found);
+      }
+      const encoding = negotiateEncoding(accept, [...siblings.keys()]);
+      if (encoding) {
+        const sibling = siblings.get(encoding);
+        transmitFile(req, res, sibling.path, sibling.stat.size, encoded(encoding));
+        return;
+      }
+    }
+
+    const encoding = !req.headers.range && shouldCompress(contentType, stat.size, compression)
+      ? negotiateEncoding(accept, supported)
+      : null;
+    if (encoding) {
+      transmitCompressedFile(req, res, filePath, stat.size, encoded(encoding), encoding);
+    } else {
+      transmitFile(req, res, filePath, stat.size, allHeaders);
+    }
+  })().catch(() => {
+    if (!res.headersSent) res.writeHead(500);
+    res.destroy();
+  });
+}
+
+/**
+ * 按已确定的表示发送内存内容
+ * @private
+ */
+function transmitBuffer(req, res, buffer, headers) {
+  const result = negotiate(req, res, buffer.length, headers);
+  if (!result) return;
+  const { ranges } = result;
+  const layout = writeHead(res, buffer.length, headers, ranges);
+
+  if (req && req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  if (!ranges) {
+    res.end(buffer);
+    return;
+  }
+  if (!layout) {
+    res.end(buffer.subarray(ranges[0].start, ranges[0].end + 1));
+    return;
+  }
+  const parts = [];
+  ranges.forEach(({ start, end }, index) => parts.push(layout.heads[index], buffer.subarray(start, end + 1)));
+  parts.push(layout.tail);
+  res.end(Buffer.concat(parts));
+}
+
+/**
+ * 发送内存中的内容（条件请求 + 范围请求 + 压缩协商）
+ *
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {Buffer|string} body - 响应内容
+ * @param {Object} headers - 响应头（Content-Type、Cache-Control、ETag、Last-Modified 等）；未给 ETag 时按内容计算
+ * @param {Object} options - { compression: 压缩配置（可选）, cache: { get(encoding), set(encoding, buffer) } 压缩结果缓存（可选） }
+ */
+function sendBuffer(req, res, body, headers = {}, options = {}) {
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+  const allHeaders = { 'ETag': headers.ETag || contentEtag(buffer), ...headers };
+  const compression = options.compression;
+  if (!req || !shouldCompress(allHeaders['Content-Type'], buffer.length, compression)) {
+    transmitBuffer(req, res, buffer, allHeaders);
+    return;
+  }
+
+  allHeaders.Vary = appendVary(allHeaders.Vary, 'Accept-Encoding');
+  const encoding = negotiateEncoding(req.headers['accept-encoding'], supportedEncodings(compression));
+  if (!encoding) {
+    transmitBuffer(req, res, buffer, allHeaders);
+    return;
+  }
+
+  const encodedHeaders = {
+    ...allHeaders,
+    'Content-Encoding': encoding,
+    'ETag': variantEtag(allHeaders.ETag, encoding)
+  };
+  const cached = options.cache ? options.cache.get(encoding) : null;
+  if (cached) {
+    transmitBuffer(req, res, cached, encodedHeaders);
+    return;
+  }
+  compressBuffer(buffer, encoding).then((compressed) => {
+    if (options.cache) options.cache.set(encoding, compressed);
+    transmitBuffer(req, res, compressed, encodedHeaders);
+  }).catch(() => transmitBuffer(req, res, buffer, allHeaders));
+}
+
+module.exports = {
+  fileEtag,
+  contentEtag,
+  evaluatePreconditions,
+  ifRangeMatches,
+  parseRange,
+  sendFile,
+  sendBuffer
+};
@@ -0,0 +1,115 @@
+/**
+ * BMP 解码（纯 JS）
+ *
+ * 支持未压缩的 1/4/8 位调色板、24 位以及 16/32 位（含 BI_BITFIELDS 掩码）。
+ */
+
+/**
+ * 解析位掩码的偏移与宽度
+ * @private
+ */
+function maskInfo(mask) {
+  if (!mask) return null;
+  let shift = 0;
+  while (!((mask >>> shift) & 1)) shift++;
+  let bits = 0;
+  while ((mask >>> (shift + bits)) & 1) bits++;
+  return { shift, max: 2 ** bits - 1 };
+}
+
+/**
+ * 解码 BMP
+ *
+ * @param {Buffer} buf - 文件内容
+ * @param {Object} options - { maxPixels: 像素上限 }
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ * @throws {Error} 格式无效、不支持的压缩方式或超出像素上限
+ */
+function decodeBmp(buf, options = {}) {
+  if (buf.toString('latin1', 0, 2) !== 'BM') throw new Error('不是有效的 BMP 文件');
+
+  const dataOffset = buf.readUInt32LE(10);
+  const headerSize = buf.readUInt32LE(14);
+  if (headerSize < 40) throw new Error('不支持的 BMP 头格式');
+
+  const width = buf.readInt32LE(18);
+  const rawHeight = buf.readInt32LE(22);
+  const height = Math.abs(rawHeight);
+  const bitCount = buf.readUInt16LE(28);
+  const compression = buf.readUInt32LE(30);
+  if (width <= 0 || !height) throw new Error('BMP 尺寸无效');
+  if (options.maxPixels && width * height > options.maxPixels) throw new Error('图片像素过多');
+  if (compression !== 0 && compression !== 3 && compression !== 6) throw new Error('不支持的 BMP 压缩方式');
+
+  let masks = null;
+  if (compression === 3 || compression === 6) {
+    // 掩码紧跟 40 字节信息头（V4/V5 头中位于同一偏移）
+    masks = [buf.readUInt32LE(54), buf.readUInt32LE(58), buf.readUInt32LE(62),
+      headerSize >= 56 || compression === 6 ? buf.readUInt32LE(66) : 0];
+  } else if (bitCount === 16) {
+    masks = [0x7c00, 0x03e0, 0x001f, 0];
+  }
+  const maskInfos = masks ? masks.map(maskInfo) : null;
+
+  let palette = null;
+  if (bitCount <= 8) {
+    const colors = buf.readUInt32LE(46) || (1 << bitCount);
+    palette = buf.subarray(14 + headerSize, 14 + headerSize + colors * 4);
+  }
+
+  const stride = Math.ceil((width * bitCount) / 32) * 4;
+  const out = new Uint8Array(width * height * 4);
+  let hasAlpha = false;
+
+  for (let y = 0; y < height; y++) {
+    const row = dataOffset + (rawHeight > 0 ? height - 1 - y : y) * stride;
+    if (row + stride > buf.length) break;
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      let r, g, b, a = 255;
+
+      if (bitCount <= 8) {
+        const bit = x * bitCount;
+        const index = (buf[row + (bit >> 3)] >> (8 - bitCount - (bit & 7))) & ((1 << bitCount) - 1);
+        b = palette[index * 4] || 0;
+        g = palette[index * 4 + 1] || 0;
+        r = palette[index * 4 + 2] || 0;
+      } else if (bitCount === 24) {
+        const p = row + x * 3;
+        b = buf[p]; g = buf[p + 1]; r = buf[p + 2];
+      } else if (bitCount === 16 || bitCount === 32) {
+        const value = bitCount === 16 ? buf.readUInt16LE(row + x * 2) : buf.readUInt32LE(row + x * 4);
+        if (maskInfos) {
+          const channel = (info) => (info ? Math.round((((value >>> info.shift) & info.max) * 255) / info.max) : null);
+          r = channel(maskInfos[0]);
+          g = channel(maskInfos[1]);
+          b = channel(maskInfos[2]);
+          const alpha = channel(maskInfos[3]);
+          if (alpha !== null) a = alpha;
+        } else {
+          b = value & 0xff; g = (value >>> 8) & 0xff; r = (value >>> 16) & 0xff;
+          a = value >>> 24;
+          if (a) hasAlpha = true;
+        }
+      } else {
+        throw new Error('不支持的 BMP 位深');
+      }
+
+      out[o] = r;
+      out[o + 1] = g;
+      out[o + 2] = b;
+      out[o + 3] = a;
+    }
+  }
+
+  // 32 位 BI_RGB 的第 4 字节通常是填充，全为 0 时视为不透明
+  if (bitCount === 32 && !maskInfos && !hasAlpha) {
+    for (let i = 3; i < out.length; i += 4) out[i] = 255;
+  }
+
+  return { width, height, data: out };
+}
+
+module.exports = {
+  decodeBmp
+};
@@ -0,0 +1,187 @@
+/**
+ * GIF 解码（纯 JS，仅第一帧）
+ *
+ * 第一帧按其偏移绘制到逻辑画布上，画布其余部分为透明；支持隔行扫描与透明色。
+ */
+
+/**
+ * LZW 解码
+ * @private
+ */
+function lzwDecode(minCodeSize, data, pixelCount) {
+  const out = new Uint8Array(pixelCount);
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const prefix = new Int32Array(4096);
+  const suffix = new Uint8Array(4096);
+  const stack = new Uint8Array(4097);
+
+  let codeSize = minCodeSize + 1;
+  let codeMask = (1 << codeSize) - 1;
+  let available = clearCode + 2;
+  let oldCode = -1;
+  let first = 0;
+  let datum = 0;
+  let bits = 0;
+  let pos = 0;
+  let outPos = 0;
+
+  for (let i = 0; i < clearCode; i++) suffix[i] = i;
+
+  while (outPos < pixelCount) {
+    while (bits < codeSize) {
+      if (pos >= data.length) return out;
+      datum |= data[pos++] << bits;
+      bits += 8;
+    }
+    let code = datum & codeMask;
+    datum >>= codeSize;
+    bits -= codeSize;
+
+    if (code === clearCode) {
+      codeSize = minCodeSize + 1;
+      codeMask = (1 << codeSize) - 1;
+      available = clearCode + 2;
+      oldCode = -1;
+      continue;
+    }
+    if (code === endCode) break;
+
+    if (oldCode === -1) {
+      out[outPos++] = suffix[code];
+      oldCode = code;
+      first = suffix[code];
+      continue;
+    }
+
+    const inCode = code;
+    let top = 0;
+    if (code >= available) {
+      stack[top++] = first;
+      code = oldCode;
+    }
+    while (code >= clearCode) {
+      stack[top++] = suffix[code];
+      code = prefix[code];
+    }
+    first = suffix[code];
+    stack[top++] = first;
+
+    if (available < 4096) {
+      prefix[available] = oldCode;
+      suffix[available] = first;
+      available++;
+      if ((available & codeMask) === 0 && available < 4096) {
+        codeSize++;
+        codeMask += available;
+      }
+    }
+    oldCode = inCode;
+
+    while (top > 0 && outPos < pixelCount) out[outPos++] = stack[--top];
+  }
+  return out;
+}
+
+/**
+ * 解码 GIF 第一帧
+ *
+ * @param {Buffer} buf - 文件内容
+ * @param {Object} options - { maxPixels: 像素上限 }
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ * @throws {Error} 格式无效或超出像素上限
+ */
+function decodeGif(buf, options = {}) {
+  const signature = buf.toString('latin1', 0, 6);
+  if (signature !== 'GIF87a' && signature !== 'GIF89a') throw new Error('不是有效的 GIF 文件');
+
+  const width = buf.readUInt16LE(6);
+  const height = buf.readUInt16LE(8);
+  if (!width || !height) throw new Error('GIF 尺寸无效');
+  if (options.maxPixels && width * height > options.maxPixels) throw new Error('图片像素过多');
+
+  const flags = buf[10];
+  let pos = 13;
+  let globalPalette = null;
+  if (flags & 0x80) {
+    const size = 3 * (1 << ((flags & 7) + 1));
+    globalPalette = buf.subarray(pos, pos + size);
+    pos += size;
+  }
+
+  let transparentIndex = -1;
+  const readSubBlocks = () => {
+    const parts = [];
+    while (pos < buf.length) {
+      const size = buf[pos++];
+      if (!size) break;
+      parts.push(buf.subarray(pos, pos + size));
+      pos += size;
+    }
+    return Buffer.concat(parts);
+  };
+
+  while (pos < buf.length) {
+    const block = buf[pos++];
+    if (block === 0x21) {
+      const label = buf[pos++];
+      const body = readSubBlocks();
+      if (label === 0xf9 && body.length >= 4 && (body[0] & 1)) transparentIndex = body[3];
+    } else if (block === 0x2c) {
+      const left = buf.readUInt16LE(pos);
+      const top = buf.readUInt16LE(pos + 2);
+      const frameWidth = buf.readUInt16LE(pos + 4);
+      const frameHeight = buf.readUInt16LE(pos + 6);
+      const frameFlags = buf[pos + 8];
+      pos += 9;
+
+      let palette = globalPalette;
+      if (frameFlags & 0x80) {
+        const size = 3 * (1 << ((frameFlags & 7) + 1));
+        palette = buf.subarray(pos, pos + size);
+        pos += size;
+      }
+      if (!palette) throw new Error('GIF 缺少调色板');
+
+      const minCodeSize = buf[pos++];
+      if (minCodeSize < 1 || minCodeSize > 11) throw new Error('GIF 数据无效');
+      const indices = lzwDecode(minCodeSize, readSubBlocks(), frameWidth * frameHeight);
+
+      // 隔行扫描行序：0,8,16.. / 4,12.. / 2,6.. / 1,3..
+      const rows = [];
+      if (frameFlags & 0x40) {
+        for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+          for (let y = start; y < frameHeight; y += step) rows.push(y);
+        }
+      } else {
+        for (let y = 0; y < frameHeight; y++) rows.push(y);
+      }
+
+      const data = new Uint8Array(width * height * 4);
+      rows.forEach((y, i) => {
+        const cy = top + y;
+        if (cy >= height) return;
+        for (let x = 0; x < frameWidth; x++) {
+          const cx = left + x;
+          if (cx >= width) break;
+          const index = indices[i * frameWidth + x];
+          if (index === transparentIndex) continue;
+          const o = (cy * width + cx) * 4;
+          data[o] = palette[index * 3] || 0;
+          data[o + 1] = palette[index * 3 + 1] || 0;
+          data[o + 2] = palette[index * 3 + 2] || 0;
+          data[o + 3] = 255;
+        }
+      });
+      return { width, height, data };
+    } else {
+      break;
+    }
+  }
+
+  throw new Error('GIF 不包含图像帧');
+}
+
+module.exports = {
+  decodeGif
+};
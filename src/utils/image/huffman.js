@@ -0,0 +1,93 @@
+/**
+ * Huffman 码长与规范码生成（JPEG / WebP 编码器共用）
+ */
+
+/**
+ * 按频率计算 Huffman 码长（限制最大码长）
+ *
+ * 超过上限时将频率减半后重算，直到满足限制。
+ * 仅有一个符号出现时码长为 1。
+ *
+ * @param {ArrayLike<number>} freqs - 各符号频率
+ * @param {number} maxLength - 最大码长
+ * @returns {Uint8Array} 各符号码长（未出现的符号为 0）
+ */
+function buildCodeLengths(freqs, maxLength) {
+  const n = freqs.length;
+  const lengths = new Uint8Array(n);
+  let counts = Array.from(freqs, f => (f > 0 ? f : 0));
+
+  for (;;) {
+    const symbols = [];
+    for (let i = 0; i < n; i++) if (counts[i] > 0) symbols.push(i);
+    if (symbols.length === 0) return lengths;
+    if (symbols.length === 1) {
+      lengths[symbols[0]] = 1;
+      return lengths;
+    }
+
+    // 双队列合并：叶子按频率升序，内部节点按生成顺序天然有序
+    symbols.sort((a, b) => counts[a] - counts[b] || a - b);
+    const leafCount = symbols.length;
+    const weight = new Float64Array(leafCount * 2);
+    const parent = new Int32Array(leafCount * 2).fill(-1);
+    for (let i = 0; i < leafCount; i++) weight[i] = counts[symbols[i]];
+
+    let leaf = 0;
+    let nodeRead = leafCount;
+    let nodeWrite = leafCount;
+    const pick = () => {
+      if (leaf < leafCount && (nodeRead >= nodeWrite || weight[leaf] <= weight[nodeRead])) return leaf++;
+      return nodeRead++;
+    };
+    while (nodeWrite < leafCount * 2 - 1) {
+      const a = pick();
+      const b = pick();
+      weight[nodeWrite] = weight[a] + weight[b];
+      parent[a] = nodeWrite;
+      parent[b] = nodeWrite;
+      nodeWrite++;
+    }
+
+    const depth = new Int32Array(leafCount * 2);
+    for (let i = nodeWrite - 2; i >= 0; i--) depth[i] = depth[parent[i]] + 1;
+
+    let max = 0;
+    for (let i = 0; i < leafCount; i++) max = Math.max(max, depth[i]);
+    if (max <= maxLength) {
+      for (let i = 0; i < leafCount; i++) lengths[symbols[i]] = depth[i];
+      return lengths;
+    }
+    counts = counts.map(c => (c > 0 ? Math.max(1, c >> 1) : 0));
+  }
+}
+
+/**
+ * 由码长生成规范 Huffman 码（同码长内按符号值递增分配）
+ *
+ * @param {Uint8Array} lengths - 各符号码长
+ * @returns {Int32Array} 各符号的码值（高位在前）
+ */
+function buildCanonicalCodes(lengths) {
+  const maxLength = Math.max(0, ...lengths);
+  const blCount = new Int32Array(maxLength + 1);
+  for (const l of lengths) if (l) blCount[l]++;
+
+  const nextCode = new Int32Array(maxLength + 2);
+  let code = 0;
+  for (let bits = 1; bits <= maxLength; bits++) {
+    code = (code + blCount[bits - 1]) << 1;
+    nextCode[bits] = code;
+  }
+
+  const codes = new Int32Array(lengths.length);
+  for (let i = 0; i < lengths.length; i++) {
+    if (lengths[i]) codes[i] = nextCode[lengths[i]]++;
+  }
+  return codes;
+}
+
+module.exports = {
+  buildCodeLengths,
+  buildCanonicalCodes
+};
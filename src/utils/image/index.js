@@ -0,0 +1,118 @@
+/**
+ * 纯 JS 图像处理入口
+ *
+ * 解码：PNG / JPEG / GIF（首帧）/ BMP；编码：PNG / JPEG / WebP（无损）。
+ * 不依赖任何原生模块，其他格式（如 WebP、AVIF 源图）由调用方回退为原图。
+ */
+
+const { isPng, decodePng, encodePng } = require('./png');
+const { decodeJpeg, readJpegSize } = require('./jpeg-decoder');
+const { encodeJpeg } = require('./jpeg-encoder');
+const { decodeGif } = require('./gif');
+const { decodeBmp } = require('./bmp');
+const { encodeWebp } = require('./webp-encoder');
+const { resize, crop, applyOrientation, computeLayout } = require('./resize');
+
+// 可解码的源文件扩展名
+const SOURCE_EXTS = ['.png', '.jpg', '.jpeg', '.jfif', '.gif', '.bmp'];
+
+const OUTPUT_FORMATS = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+/**
+ * 按文件头识别可解码的格式
+ *
+ * @param {Buffer} buf - 文件内容
+ * @returns {string|null} 'png' | 'jpeg' | 'gif' | 'bmp' | null
+ */
+function detectFormat(buf) {
+  if (isPng(buf)) return 'png';
+  if (buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'jpeg';
+  const head = buf.toString('latin1', 0, 6);
+  if (head === 'GIF87a' || head === 'GIF89a') return 'gif';
+  if (head.startsWith('BM') && buf.length > 54) return 'bmp';
+  return null;
+}
+
+/**
+ * 解码图像
+ *
+ * JPEG 在目标尺寸不超过原图 1/8 时只解码 DC 系数，速度快且内存占用小。
+ *
+ * @param {Buffer} buf - 文件内容
+ * @param {Object} options - { maxPixels, targetWidth, targetHeight }
+ * @returns {{ width: number, height: number, data: Uint8Array }} 已按 EXIF 方向校正
+ * @throws {Error} 不支持的格式或解码失败
+ */
+function decodeImage(buf, options = {}) {
+  const format = detectFormat(buf);
+  const limits = { maxPixels: options.maxPixels };
+
+  switch (format) {
+    case 'png':
+      return decodePng(buf, limits);
+    case 'gif':
+      return decodeGif(buf, limits);
+    case 'bmp':
+      return decodeBmp(buf, limits);
+    case 'jpeg': {
+      const size = readJpegSize(buf);
+      const target = Math.max(options.targetWidth || 0, options.targetHeight || 0);
+      const scale = size && target && Math.floor(Math.min(size.width, size.height) / 8) >= target ? 8 : 1;
+      const image = decodeJpeg(buf, { ...limits, scale });
+      return applyOrientation(image, image.orientation);
+    }
+    default:
+      throw new Error('不支持的图片格式');
+  }
+}
+
+/**
+ * 编码图像
+ *
+ * @param {{ width: number, height: number, data: Uint8Array }} image - RGBA 图像
+ * @param {string} format - 'png' | 'jpeg' | 'webp'
+ * @param {Object} options - { quality: JPEG 质量 }
+ * @returns {Buffer}
+ */
+function encodeImage(image, format, options = {}) {
+  if (format === 'jpeg') return encodeJpeg(image, options);
+  if (format === 'webp') return encodeWebp(image);
+  return encodePng(image);
+}
+
+/**
+ * 生成缩略图
+ *
+ * @param {Buffer} buf - 源文件内容
+ * @param {Object} params - { width, height, fit, format, quality }
+ * @param {Object} options - { maxPixels }
+ * @returns {{ buffer: Buffer, width: number, height: number }}
+ */
+function createThumbnail(buf, params, options = {}) {
+  const source = decodeImage(buf, {
+    maxPixels: options.maxPixels,
+    targetWidth: params.width,
+    targetHeight: params.height
+  });
+  const layout = computeLayout(source.width, source.height, params);
+  const cropped = crop(source, layout.crop.left, layout.crop.top, layout.crop.width, layout.crop.height);
+  const image = resize(cropped, layout.width, layout.height);
+  return {
+    buffer: encodeImage(image, params.format, { quality: params.quality }),
+    width: image.width,
+    height: image.height
+  };
+}
+
+module.exports = {
+  SOURCE_EXTS,
+  OUTPUT_FORMATS,
+  detectFormat,
+  decodeImage,
+  encodeImage,
+  createThumbnail
+};
@@ -0,0 +1,616 @@
+/**
+ * JPEG 解码（纯 JS）
+ *
+ * 支持基线与渐进式 Huffman 编码（SOF0/1/2）、任意采样因子、重启标记、
+ * 灰度 / YCbCr / Adobe RGB / CMYK / YCCK。scale=8 时只取 DC 系数，
+ * 直接得到 1/8 尺寸的图像，为大图生成缩略图时可省去逆 DCT。
+ * 同时读取 EXIF 方向（orientation），由调用方决定如何旋转。
+ */
+
+const ZIGZAG = new Int32Array([
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+// 逆 DCT 余弦表：COS[x * 8 + u] = C(u) * cos((2x + 1) * u * PI / 16) / 2
+const COS = new Float64Array(64);
+for (let x = 0; x < 8; x++) {
+  for (let u = 0; u < 8; u++) {
+    COS[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) * Math.cos(((2 * x + 1) * u * Math.PI) / 16) / 2;
+  }
+}
+
+/**
+ * 构建 Huffman 解码表（JPEG 标准 F.2.2.3）
+ * @private
+ */
+function buildHuffmanTable(counts, symbols) {
+  const maxcode = new Int32Array(18);
+  const mincode = new Int32Array(17);
+  const valptr = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+  for (let l = 1; l <= 16; l++) {
+    valptr[l] = k;
+    mincode[l] = code;
+    code += counts[l - 1];
+    k += counts[l - 1];
+    maxcode[l] = counts[l - 1] ? code - 1 : -1;
+    code <<= 1;
+  }
+  maxcode[17] = 0x7fffffff;
+  return { maxcode, mincode, valptr, symbols };
+}
+
+/**
+ * 读取 EXIF 方向
+ * @private
+ */
+function readExifOrientation(data, start, end) {
+  if (data.toString('latin1', start, start + 6) !== 'Exif\0\0') return 1;
+  const tiff = start + 6;
+  if (tiff + 8 > end) return 1;
+  const little = data[tiff] === 0x49;
+  const u16 = (o) => (little ? data.readUInt16LE(o) : data.readUInt16BE(o));
+  const u32 = (o) => (little ? data.readUInt32LE(o) : data.readUInt32BE(o));
+
+  const ifd = tiff + u32(tiff + 4);
+  if (ifd + 2 > end) return 1;
+  const count = u16(ifd);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > end) break;
+    if (u16(entry) === 0x0112) {
+      const value = u16(entry + 8);
+      return value >= 1 && value <= 8 ? value : 1;
+    }
+  }
+  return 1;
+}
+
+/**
+ * 解码一个扫描段
+ * @private
+ * @returns {number} 扫描结束位置（下一个标记处）
+ */
+function decodeScan(data, offset, frame, components, resetInterval, spectralStart, spectralEnd, successivePrev, successive) {
+  const mcusPerLine = frame.mcusPerLine;
+  let bitsData = 0;
+  let bitsCount = 0;
+
+  // 遇到标记（数据截断或损坏）时补 0，不越过标记
+  function readBit() {
+    if (bitsCount > 0) {
+      bitsCount--;
+      return (bitsData >> bitsCount) & 1;
+    }
+    if (offset >= data.length) return 0;
+    bitsData = data[offset];
+    if (bitsData === 0xff) {
+      const next = data[offset + 1];
+      if (next !== 0) return 0;
+      offset += 2;
+    } else {
+      offset++;
+    }
+    bitsCount = 7;
+    return bitsData >>> 7;
+  }
+
+  function decodeHuffman(table) {
+    let code = readBit();
+    let l = 1;
+    while (l <= 16 && code > table.maxcode[l]) {
+      code = (code << 1) | readBit();
+      l++;
+    }
+    if (l > 16) return 0;
+    return table.symbols[table.valptr[l] + code - table.mincode[l]] || 0;
+  }
+
+  function receive(length) {
+    let n = 0;
+    while (length-- > 0) n = (n << 1) | readBit();
+    return n;
+  }
+
+  function receiveAndExtend(length) {
+    if (length === 0) return 0;
+    if (length === 1) return readBit() ? 1 : -1;
+    const n = receive(length);
+    return n >= 1 << (length - 1) ? n : n + (-1 << length) + 1;
+  }
+
+  function decodeBaseline(component, blockOffset) {
+    const t = decodeHuffman(component.huffmanTableDC);
+    const diff = t === 0 ? 0 : receiveAndExtend(t);
+    component.blockData[blockOffset] = (component.pred += diff);
+    let k = 1;
+    while (k < 64) {
+      const rs = decodeHuffman(component.huffmanTableAC);
+      const s = rs & 15;
+      const r = rs >> 4;
+      if (s === 0) {
+        if (r < 15) break;
+        k += 16;
+        continue;
+      }
+      k += r;
+      if (k > 63) break;
+      component.blockData[blockOffset + ZIGZAG[k]] = receiveAndExtend(s);
+      k++;
+    }
+  }
+
+  function decodeDCFirst(component, blockOffset) {
+    const t = decodeHuffman(component.huffmanTableDC);
+    const diff = t === 0 ? 0 : receiveAndExtend(t) * (1 << successive);
+    component.blockData[blockOffset] = (component.pred += diff);
+  }
+
+  function decodeDCSuccessive(component, blockOffset) {
+    if (readBit()) component.blockData[blockOffset] |= 1 << successive;
+  }
+
+  let eobrun = 0;
+  function decodeACFirst(component, blockOffset) {
+    if (eobrun > 0) {
+      eobrun--;
+      return;
+    }
+    let k = spectralStart;
+    while (k <= spectralEnd) {
+      const rs = decodeHuffman(component.huffmanTableAC);
+      const s = rs & 15;
+      const r = rs >> 4;
+      if (s === 0) {
+        if (r < 15) {
+          eobrun = receive(r) + (1 << r) - 1;
+          break;
+        }
+        k += 16;
+        continue;
+      }
+      k += r;
+      if (k > 63) break;
+      component.blockData[blockOffset + ZIGZAG[k]] = receiveAndExtend(s) * (1 << successive);
+      k++;
+    }
+  }
+
+  let successiveACState = 0;
+  let successiveACNextValue = 0;
+  function decodeACSuccessive(component, blockOffset) {
+    let k = spectralStart;
+    let r = 0;
+    while (k <= spectralEnd) {
+      const offsetZ = blockOffset + ZIGZAG[k];
+      const sign = component.blockData[offsetZ] < 0 ? -1 : 1;
+      switch (successiveACState) {
+        case 0: {
+          const rs = decodeHuffman(component.huffmanTableAC);
+          const s = rs & 15;
+          r = rs >> 4;
+          if (s === 0) {
+            if (r < 15) {
+              eobrun = receive(r) + (1 << r);
+              successiveACState = 4;
+            } else {
+              r = 16;
+              successiveACState = 1;
+            }
+          } else {
+            successiveACNextValue = receiveAndExtend(s);
+            successiveACState = r ? 2 : 3;
+          }
+          continue;
+        }
+        case 1:
+        case 2:
+          if (component.blockData[offsetZ]) {
+            component.blockData[offsetZ] += sign * (readBit() << successive);
+          } else {
+            r--;
+            if (r === 0) successiveACState = successiveACState === 2 ? 3 : 0;
+          }
+          break;
+        case 3:
+          if (component.blockData[offsetZ]) {
+            component.blockData[offsetZ] += sign * (readBit() << successive);
+          } else {
+            component.blockData[offsetZ] = successiveACNextValue << successive;
+            successiveACState = 0;
+          }
+          break;
+        case 4:
+          if (component.blockData[offsetZ]) {
+            component.blockData[offsetZ] += sign * (readBit() << successive);
+          }
+          break;
+      }
+      k++;
+    }
+    if (successiveACState === 4) {
+      eobrun--;
+      if (eobrun === 0) successiveACState = 0;
+    }
+  }
+
+  let decodeFn;
+  if (!frame.progressive) decodeFn = decodeBaseline;
+  else if (spectralStart === 0) decodeFn = successivePrev === 0 ? decodeDCFirst : decodeDCSuccessive;
+  else decodeFn = successivePrev === 0 ? decodeACFirst : decodeACSuccessive;
+
+  const single = components.length === 1;
+  const mcuExpected = single
+    ? components[0].blocksPerLine * components[0].blocksPerColumn
+    : mcusPerLine * frame.mcusPerColumn;
+  let mcu = 0;
+
+  while (mcu < mcuExpected) {
+    for (const component of components) component.pred = 0;
+    eobrun = 0;
+    const count = resetInterval ? Math.min(resetInterval, mcuExpected - mcu) : mcuExpected;
+
+    for (let n = 0; n < count; n++, mcu++) {
+      if (single) {
+        const component = components[0];
+        const blockRow = (mcu / component.blocksPerLine) | 0;
+        const blockCol = mcu % component.blocksPerLine;
+        decodeFn(component, 64 * (blockRow * component.blocksPerLineForMcu + blockCol));
+      } else {
+        const mcuRow = (mcu / mcusPerLine) | 0;
+        const mcuCol = mcu % mcusPerLine;
+        for (const component of components) {
+          for (let v = 0; v < component.v; v++) {
+            for (let h = 0; h < component.h; h++) {
+              const blockRow = mcuRow * component.v + v;
+              const blockCol = mcuCol * component.h + h;
+              decodeFn(component, 64 * (blockRow * component.blocksPerLineForMcu + blockCol));
+            }
+          }
+        }
+      }
+    }
+
+    // 对齐到字节，寻找下一个标记；RSTn 继续，其他标记结束本扫描
+    bitsCount = 0;
+    while (offset < data.length - 1 && !(data[offset] === 0xff && data[offset + 1] !== 0 && data[offset + 1] !== 0xff)) {
+      offset++;
+    }
+    if (offset >= data.length - 1) return data.length;
+    const marker = data[offset + 1];
+    if (marker >= 0xd0 && marker <= 0xd7) {
+      offset += 2;
+    } else {
+      break;
+    }
+  }
+
+  // 定位到下一个非 RST 标记
+  while (offset < data.length - 1) {
+    if (data[offset] === 0xff && data[offset + 1] !== 0 && data[offset + 1] !== 0xff &&
+      !(data[offset + 1] >= 0xd0 && data[offset + 1] <= 0xd7)) {
+      break;
+    }
+    offset++;
+  }
+  return offset;
+}
+
+/**
+ * 反量化 + 逆 DCT，写入分量平面
+ * @private
+ */
+function buildComponentPlane(component, scale) {
+  const blocksPerLine = component.blocksPerLineForMcu;
+  const blocksPerColumn = component.blocksPerColumnForMcu;
+  const q = component.quantizationTable;
+  const blockData = component.blockData;
+
+  // 仅 DC：每个块对应一个像素
+  if (scale === 8) {
+    const plane = new Uint8Array(blocksPerLine * blocksPerColumn);
+    for (let i = 0; i < plane.length; i++) {
+      const v = (blockData[i * 64] * q[0]) / 8 + 128;
+      plane[i] = v < 0 ? 0 : v > 255 ? 255 : v;
+    }
+    return { plane, width: blocksPerLine, height: blocksPerColumn };
+  }
+
+  const width = blocksPerLine * 8;
+  const plane = new Uint8Array(width * blocksPerColumn * 8);
+  const coef = new Float64Array(64);
+  const tmp = new Float64Array(64);
+
+  for (let by = 0; by < blocksPerColumn; by++) {
+    for (let bx = 0; bx < blocksPerLine; bx++) {
+      const base = 64 * (by * blocksPerLine + bx);
+      for (let i = 0; i < 64; i++) coef[i] = blockData[base + i] * q[i];
+
+      // 行变换：tmp[v][x] = sum_u coef[v][u] * COS[x][u]
+      for (let v = 0; v < 8; v++) {
+        const row = v * 8;
+        for (let x = 0; x < 8; x++) {
+          const c = x * 8;
+          tmp[row + x] = coef[row] * COS[c] + coef[row + 1] * COS[c + 1] + coef[row + 2] * COS[c + 2] +
+            coef[row + 3] * COS[c + 3] + coef[row + 4] * COS[c + 4] + coef[row + 5] * COS[c + 5] +
+            coef[row + 6] * COS[c + 6] + coef[row + 7] * COS[c + 7];
+        }
+      }
+      // 列变换
+      for (let x = 0; x < 8; x++) {
+        for (let y = 0; y < 8; y++) {
+          const c = y * 8;
+          const value = tmp[x] * COS[c] + tmp[8 + x] * COS[c + 1] + tmp[16 + x] * COS[c + 2] +
+            tmp[24 + x] * COS[c + 3] + tmp[32 + x] * COS[c + 4] + tmp[40 + x] * COS[c + 5] +
+            tmp[48 + x] * COS[c + 6] + tmp[56 + x] * COS[c + 7] + 128;
+          plane[(by * 8 + y) * width + bx * 8 + x] = value < 0 ? 0 : value > 255 ? 255 : value + 0.5;
+        }
+      }
+    }
+  }
+  return { plane, width, height: blocksPerColumn * 8 };
+}
+
+/**
+ * 解码 JPEG
+ *
+ * @param {Buffer} data - 文件内容
+ * @param {Object} options - { maxPixels: 像素上限, scale: 1 | 8 }
+ * @returns {{ width: number, height: number, data: Uint8Array, orientation: number }}
+ * @throws {Error} 格式无效、不支持的编码方式或超出像素上限
+ */
+function decodeJpeg(data, options = {}) {
+  const scale = options.scale === 8 ? 8 : 1;
+  const quantizationTables = [];
+  const huffmanTablesDC = [];
+  const huffmanTablesAC = [];
+  let frame = null;
+  let resetInterval = 0;
+  let adobe = null;
+  let orientation = 1;
+
+  if (data[0] !== 0xff || data[1] !== 0xd8) throw new Error('不是有效的 JPEG 文件');
+  let offset = 2;
+
+  const readUint16 = () => {
+    const v = (data[offset] << 8) | data[offset + 1];
+    offset += 2;
+    return v;
+  };
+
+  while (offset < data.length) {
+    if (data[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+    const marker = data[offset + 1];
+    offset += 2;
+    if (marker === 0xff || marker === 0x00 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      if (marker === 0xff) offset--;
+      continue;
+    }
+    if (marker === 0xd9) break; // EOI
+
+    const length = readUint16();
+    const segmentEnd = offset + length - 2;
+
+    if (marker === 0xe1 && data.toString('latin1', offset, offset + 6) === 'Exif\0\0') {
+      orientation = readExifOrientation(data, offset, segmentEnd);
+    } else if (marker === 0xee) {
+      if (data.toString('latin1', offset, offset + 5) === 'Adobe') {
+        adobe = { transform: data[offset + 11] };
+      }
+    } else if (marker === 0xdb) {
+      // DQT
+      while (offset < segmentEnd) {
+        const spec = data[offset++];
+        const precision = spec >> 4;
+        const table = new Int32Array(64);
+        for (let i = 0; i < 64; i++) {
+          table[ZIGZAG[i]] = precision ? readUint16() : data[offset++];
+        }
+        quantizationTables[spec & 15] = table;
+      }
+    } else if (marker === 0xc0 || marker === 0xc1 || marker === 0xc2) {
+      if (frame) throw new Error('JPEG 包含多个帧');
+      frame = {
+        progressive: marker === 0xc2,
+        precision: data[offset],
+        scanLines: (data[offset + 1] << 8) | data[offset + 2],
+        samplesPerLine: (data[offset + 3] << 8) | data[offset + 4],
+        components: []
+      };
+      if (frame.precision !== 8) throw new Error('不支持的 JPEG 精度');
+      if (!frame.scanLines || !frame.samplesPerLine) throw new Error('JPEG 尺寸无效');
+      if (options.maxPixels && frame.scanLines * frame.samplesPerLine > options.maxPixels) {
+        throw new Error('图片像素过多');
+      }
+      const count = data[offset + 5];
+      let p = offset + 6;
+      for (let i = 0; i < count; i++) {
+        frame.components.push({
+          id: data[p],
+          h: data[p + 1] >> 4 || 1,
+          v: data[p + 1] & 15 || 1,
+          quantizationId: data[p + 2]
+        });
+        p += 3;
+      }
+
+      frame.maxH = Math.max(...frame.components.map(c => c.h));
+      frame.maxV = Math.max(...frame.components.map(c => c.v));
+      frame.mcusPerLine = Math.ceil(frame.samplesPerLine / 8 / frame.maxH);
+      frame.mcusPerColumn = Math.ceil(frame.scanLines / 8 / frame.maxV);
+      for (const component of frame.components) {
+        component.blocksPerLine = Math.ceil(Math.ceil((frame.samplesPerLine * component.h) / frame.maxH) / 8);
+        component.blocksPerColumn = Math.ceil(Math.ceil((frame.scanLines * component.v) / frame.maxV) / 8);
+        component.blocksPerLineForMcu = frame.mcusPerLine * component.h;
+        component.blocksPerColumnForMcu = frame.mcusPerColumn * component.v;
+        component.blockData = new Int16Array(64 * component.blocksPerLineForMcu * component.blocksPerColumnForMcu);
+        component.pred = 0;
+      }
+    } else if (marker === 0xc3 || (marker >= 0xc5 && marker <= 0xc7) || (marker >= 0xc9 && marker <= 0xcb) || (marker >= 0xcd && marker <= 0xcf)) {
+      throw new Error('不支持的 JPEG 编码方式（无损或算术编码）');
+    } else if (marker === 0xc4) {
+      // DHT
+      while (offset < segmentEnd) {
+        const spec = data[offset++];
+        const counts = data.subarray(offset, offset + 16);
+        offset += 16;
+        let total = 0;
+        for (let i = 0; i < 16; i++) total += counts[i];
+        const symbols = Uint8Array.from(data.subarray(offset, offset + total));
+        offset += total;
+        const table = buildHuffmanTable(counts, symbols);
+        if (spec >> 4) huffmanTablesAC[spec & 15] = table;
+        else huffmanTablesDC[spec & 15] = table;
+      }
+    } else if (marker === 0xdd) {
+      resetInterval = (data[offset] << 8) | data[offset + 1];
+    } else if (marker === 0xda) {
+      // SOS
+      if (!frame) throw new Error('JPEG 扫描段先于帧头');
+      const count = data[offset];
+      const components = [];
+      let p = offset + 1;
+      for (let i = 0; i < count; i++) {
+        const component = frame.components.find(c => c.id === data[p]);
+        if (!component) throw new Error('JPEG 扫描分量无效');
+        component.huffmanTableDC = huffmanTablesDC[data[p + 1] >> 4];
+        component.huffmanTableAC = huffmanTablesAC[data[p + 1] & 15];
+        components.push(component);
+        p += 2;
+      }
+      const spectralStart = data[p];
+      const spectralEnd = data[p + 1];
+      const successivePrev = data[p + 2] >> 4;
+      const successive = data[p + 2] & 15;
+      for (const component of components) {
+        if ((!frame.progressive || spectralStart === 0) && successivePrev === 0 && !component.huffmanTableDC) {
+          throw new Error('JPEG 缺少 Huffman 表');
+        }
+        if ((!frame.progressive || spectralStart > 0) && !component.huffmanTableAC) {
+          throw new Error('JPEG 缺少 Huffman 表');
+        }
+      }
+      offset = decodeScan(data, segmentEnd, frame, components, resetInterval,
+        spectralStart, spectralEnd, successivePrev, successive);
+      continue;
+    }
+
+    offset = segmentEnd;
+  }
+
+  if (!frame) throw new Error('JPEG 缺少帧头');
+
+  // 各分量生成平面
+  const planes = frame.components.map(component => {
+    component.quantizationTable = quantizationTables[component.quantizationId];
+    if (!component.quantizationTable) throw new Error('JPEG 缺少量化表');
+    return buildComponentPlane(component, scale);
+  });
+
+  const width = Math.ceil(frame.samplesPerLine / scale);
+  const height = Math.ceil(frame.scanLines / scale);
+  const out = new Uint8Array(width * height * 4);
+  const count = frame.components.length;
+
+  const transform = adobe
+    ? adobe.transform !== 0
+    : count === 3 && !(frame.components[0].id === 0x52 && frame.components[1].id === 0x47 && frame.components[2].id === 0x42);
+
+  const clamp = (v) => (v < 0 ? 0 : v > 255 ? 255 : v);
+  const sample = new Float64Array(4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let c = 0; c < count; c++) {
+        const component = frame.components[c];
+        const { plane, width: planeWidth, height: planeHeight } = planes[c];
+        const sx = Math.min(planeWidth - 1, ((x * component.h) / frame.maxH) | 0);
+        const sy = Math.min(planeHeight - 1, ((y * component.v) / frame.maxV) | 0);
+        sample[c] = plane[sy * planeWidth + sx];
+      }
+
+      let r, g, b;
+      if (count === 1) {
+        r = g = b = sample[0];
+      } else if (count === 3) {
+        if (transform) {
+          const Y = sample[0], cb = sample[1] - 128, cr = sample[2] - 128;
+          r = clamp(Y + 1.402 * cr);
+          g = clamp(Y - 0.344136 * cb - 0.714136 * cr);
+          b = clamp(Y + 1.772 * cb);
+        } else {
+          r = sample[0]; g = sample[1]; b = sample[2];
+        }
+      } else if (count === 4) {
+        let c1 = sample[0], c2 = sample[1], c3 = sample[2];
+        const k = sample[3];
+        if (adobe && adobe.transform === 2) {
+          const Y = c1, cb = c2 - 128, cr = c3 - 128;
+          c1 = clamp(Y + 1.402 * cr);
+          c2 = clamp(Y - 0.344136 * cb - 0.714136 * cr);
+          c3 = clamp(Y + 1.772 * cb);
+        }
+        // Adobe 写入的 CMYK 为反相存储
+        if (adobe) {
+          r = (c1 * k) / 255; g = (c2 * k) / 255; b = (c3 * k) / 255;
+        } else {
+          r = ((255 - c1) * (255 - k)) / 255; g = ((255 - c2) * (255 - k)) / 255; b = ((255 - c3) * (255 - k)) / 255;
+        }
+      } else {
+        throw new Error('不支持的 JPEG 分量数');
+      }
+
+      const o = (y * width + x) * 4;
+      out[o] = r + 0.5;
+      out[o + 1] = g + 0.5;
+      out[o + 2] = b + 0.5;
+      out[o + 3] = 255;
+    }
+  }
+
+  return { width, height, data: out, orientation };
+}
+
+/**
+ * 读取 JPEG 尺寸（不解码）
+ *
+ * @param {Buffer} data - 文件内容
+ * @returns {{ width: number, height: number }|null}
+ */
+function readJpegSize(data) {
+  let offset = 2;
+  while (offset + 9 < data.length) {
+    if (data[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+    const marker = data[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { height: data.readUInt16BE(offset + 5), width: data.readUInt16BE(offset + 7) };
+    }
+    if (marker === 0xda || marker === 0xd9) return null;
+    offset += 2 + data.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+module.exports = {
+  ZIGZAG,
+  decodeJpeg,
+  readJpegSize
+};
@@ -0,0 +1,315 @@
+/**
+ * JPEG 编码（纯 JS，基线 YCbCr 4:2:0）
+ *
+ * 量化表按 libjpeg 的质量缩放规则生成；Huffman 表按实际符号统计
+ * 两遍生成（等同 libjpeg optimize_coding），无需内置标准码表。
+ * 带透明通道的图像先合成到白色背景。
+ */
+
+const { ZIGZAG } = require('./jpeg-decoder');
+const { buildCodeLengths, buildCanonicalCodes } = require('./huffman');
+
+const STD_LUMINANCE_QT = [
+  16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99
+];
+const STD_CHROMINANCE_QT = [
+  17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99,
+  24, 26, 56, 99, 99, 99, 99, 99, 47, 66, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99
+];
+
+// 正向 DCT 余弦表：COS[x * 8 + u] = C(u) * cos((2x + 1) * u * PI / 16) / 2
+const COS = new Float64Array(64);
+for (let x = 0; x < 8; x++) {
+  for (let u = 0; u < 8; u++) {
+    COS[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) * Math.cos(((2 * x + 1) * u * Math.PI) / 16) / 2;
+  }
+}
+
+/**
+ * 按质量缩放量化表（自然顺序）
+ * @private
+ */
+function scaleQuantTable(table, quality) {
+  const q = Math.min(100, Math.max(1, quality | 0));
+  const scale = q < 50 ? 5000 / q : 200 - q * 2;
+  return table.map(v => Math.min(255, Math.max(1, Math.floor((v * scale + 50) / 100))));
+}
+
+/**
+ * 数值的位数类别
+ * @private
+ */
+function category(value) {
+  let v = value < 0 ? -value : value;
+  let bits = 0;
+  while (v) {
+    bits++;
+    v >>= 1;
+  }
+  return bits;
+}
+
+/**
+ * 生成 JPEG 规范 Huffman 表（最长 16 位，避免全 1 码字）
+ * @private
+ */
+function buildJpegTable(freqs) {
+  // 追加频率为 1 的保留符号，使其占据最长码的全 1 位置后再去掉
+  const withReserved = Array.from(freqs);
+  withReserved.push(1);
+  const lengths = buildCodeLengths(withReserved, 16);
+  const reserved = freqs.length;
+
+  let maxLength = 0;
+  for (const l of lengths) maxLength = Math.max(maxLength, l);
+  if (lengths[reserved] < maxLength) {
+    const swap = lengths.findIndex((l, i) => l === maxLength && i !== reserved);
+    lengths[swap] = lengths[reserved];
+    lengths[reserved] = maxLength;
+  }
+
+  const codes = buildCanonicalCodes(lengths);
+  const counts = new Uint8Array(16);
+  const symbols = [];
+  for (let l = 1; l <= 16; l++) {
+    for (let s = 0; s < reserved; s++) {
+      if (lengths[s] === l) {
+        counts[l - 1]++;
+        symbols.push(s);
+      }
+    }
+  }
+  return { lengths, codes, counts, symbols };
+}
+
+/**
+ * 位写入器（含 0xFF 填充字节）
+ * @private
+ */
+class BitWriter {
+  constructor() {
+    this.chunks = [];
+    this.buffer = Buffer.alloc(65536);
+    this.pos = 0;
+    this.acc = 0;
+    this.bits = 0;
+  }
+
+  _byte(b) {
+    if (this.pos >= this.buffer.length - 1) {
+      this.chunks.push(this.buffer.subarray(0, this.pos));
+      this.buffer = Buffer.alloc(this.buffer.length);
+      this.pos = 0;
+    }
+    this.buffer[this.pos++] = b;
+    if (b === 0xff) this.buffer[this.pos++] = 0;
+  }
+
+  write(value, length) {
+    for (let i = length - 1; i >= 0; i--) {
+      this.acc = (this.acc << 1) | ((value >> i) & 1);
+      if (++this.bits === 8) {
+        this._byte(this.acc);
+        this.acc = 0;
+        this.bits = 0;
+      }
+    }
+  }
+
+  finish() {
+    if (this.bits > 0) this.write((1 << (8 - this.bits)) - 1, 8 - this.bits);
+    this.chunks.push(this.buffer.subarray(0, this.pos));
+    return Buffer.concat(this.chunks);
+  }
+}
+
+/**
+ * 正向 DCT + 量化，输出 Z 字形顺序系数
+ * @private
+ */
+function transformBlock(plane, planeWidth, bx, by, qt, out, outOffset, tmp) {
+  // 行变换：tmp[y][u] = sum_x f[y][x] * COS[x][u]
+  for (let y = 0; y < 8; y++) {
+    const src = (by + y) * planeWidth + bx;
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let x = 0; x < 8; x++) sum += (plane[src + x] - 128) * COS[x * 8 + u];
+      tmp[y * 8 + u] = sum;
+    }
+  }
+  // 列变换并量化
+  for (let v = 0; v < 8; v++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let y = 0; y < 8; y++) sum += tmp[y * 8 + u] * COS[y * 8 + v];
+      const natural = v * 8 + u;
+      tmp[64 + natural] = Math.round(sum / qt[natural]);
+    }
+  }
+  for (let k = 0; k < 64; k++) out[outOffset + k] = tmp[64 + ZIGZAG[k]];
+}
+
+/**
+ * 编码 JPEG
+ *
+ * @param {{ width: number, height: number, data: Uint8Array }} image - RGBA 像素
+ * @param {Object} options - { quality: 1-100，默认 80 }
+ * @returns {Buffer} JPEG 文件内容
+ */
+function encodeJpeg(image, options = {}) {
+  const { width, height, data } = image;
+  const quality = options.quality || 80;
+  const lumQt = scaleQuantTable(STD_LUMINANCE_QT, quality);
+  const chromaQt = scaleQuantTable(STD_CHROMINANCE_QT, quality);
+
+  // 1. 颜色转换（边缘像素复制填充到 16 的整数倍）
+  const paddedWidth = Math.ceil(width / 16) * 16;
+  const paddedHeight = Math.ceil(height / 16) * 16;
+  const yPlane = new Float32Array(paddedWidth * paddedHeight);
+  const cbFull = new Float32Array(paddedWidth * paddedHeight);
+  const crFull = new Float32Array(paddedWidth * paddedHeight);
+
+  for (let y = 0; y < paddedHeight; y++) {
+    const sy = Math.min(y, height - 1);
+    for (let x = 0; x < paddedWidth; x++) {
+      const s = (sy * width + Math.min(x, width - 1)) * 4;
+      const a = data[s + 3] / 255;
+      const r = data[s] * a + 255 * (1 - a);
+      const g = data[s + 1] * a + 255 * (1 - a);
+      const b = data[s + 2] * a + 255 * (1 - a);
+      const o = y * paddedWidth + x;
+      yPlane[o] = 0.299 * r + 0.587 * g + 0.114 * b;
+      cbFull[o] = -0.168736 * r - 0.331264 * g + 0.5 * b + 128;
+      crFull[o] = 0.5 * r - 0.418688 * g - 0.081312 * b + 128;
+    }
+  }
+
+  // 2. 色度 2x2 下采样
+  const chromaWidth = paddedWidth / 2;
+  const chromaHeight = paddedHeight / 2;
+  const cbPlane = new Float32Array(chromaWidth * chromaHeight);
+  const crPlane = new Float32Array(chromaWidth * chromaHeight);
+  for (let y = 0; y < chromaHeight; y++) {
+    for (let x = 0; x < chromaWidth; x++) {
+      const o = y * 2 * paddedWidth + x * 2;
+      cbPlane[y * chromaWidth + x] = (cbFull[o] + cbFull[o + 1] + cbFull[o + paddedWidth] + cbFull[o + paddedWidth + 1]) / 4;
+      crPlane[y * chromaWidth + x] = (crFull[o] + crFull[o + 1] + crFull[o + paddedWidth] + crFull[o + paddedWidth + 1]) / 4;
+    }
+  }
+
+  // 3. DCT 与量化（每个 MCU：4 个 Y 块 + Cb + Cr）
+  const mcusX = paddedWidth / 16;
+  const mcusY = paddedHeight / 16;
+  const blocks = new Int16Array(mcusX * mcusY * 6 * 64);
+  const tmp = new Float64Array(128);
+  let offset = 0;
+  for (let my = 0; my < mcusY; my++) {
+    for (let mx = 0; mx < mcusX; mx++) {
+      for (let i = 0; i < 4; i++) {
+        transformBlock(yPlane, paddedWidth, mx * 16 + (i & 1) * 8, my * 16 + (i >> 1) * 8, lumQt, blocks, offset, tmp);
+        offset += 64;
+      }
+      transformBlock(cbPlane, chromaWidth, mx * 8, my * 8, chromaQt, blocks, offset, tmp);
+      offset += 64;
+      transformBlock(crPlane, chromaWidth, mx * 8, my * 8, chromaQt, blocks, offset, tmp);
+      offset += 64;
+    }
+  }
+
+  // 4. 统计符号频率并生成 Huffman 表（0: 亮度，1: 色度）
+  const dcFreq = [new Int32Array(12), new Int32Array(12)];
+  const acFreq = [new Int32Array(256), new Int32Array(256)];
+  const walk = (emitDc, emitAc) => {
+    const prev = [0, 0, 0];
+    const blockCount = blocks.length / 64;
+    for (let n = 0; n < blockCount; n++) {
+      const slot = n % 6;
+      const component = slot < 4 ? 0 : slot - 3;
+      const table = component === 0 ? 0 : 1;
+      const base = n * 64;
+
+      const diff = blocks[base] - prev[component];
+      prev[component] = blocks[base];
+      emitDc(table, diff);
+
+      let run = 0;
+      for (let k = 1; k < 64; k++) {
+        const v = blocks[base + k];
+        if (v === 0) {
+          run++;
+          continue;
+        }
+        while (run > 15) {
+          emitAc(table, 0xf0, 0);
+          run -= 16;
+        }
+        emitAc(table, (run << 4) | category(v), v);
+        run = 0;
+      }
+      if (run > 0) emitAc(table, 0x00, 0);
+    }
+  };
+
+  walk(
+    (table, diff) => dcFreq[table][category(diff)]++,
+    (table, symbol) => acFreq[table][symbol]++
+  );
+  const dcTables = dcFreq.map(buildJpegTable);
+  const acTables = acFreq.map(buildJpegTable);
+
+  // 5. 熵编码
+  const writer = new BitWriter();
+  const writeValue = (v, size) => {
+    if (size) writer.write(v < 0 ? v + (1 << size) - 1 : v, size);
+  };
+  walk(
+    (table, diff) => {
+      const size = category(diff);
+      writer.write(dcTables[table].codes[size], dcTables[table].lengths[size]);
+      writeValue(diff, size);
+    },
+    (table, symbol, v) => {
+      writer.write(acTables[table].codes[symbol], acTables[table].lengths[symbol]);
+      writeValue(v, symbol & 15);
+    }
+  );
+  const scan = writer.finish();
+
+  // 6. 组装文件
+  const segments = [];
+  const segment = (marker, body) => {
+    const head = Buffer.from([0xff, marker, (body.length + 2) >> 8, (body.length + 2) & 0xff]);
+    segments.push(head, body);
+  };
+
+  segments.push(Buffer.from([0xff, 0xd8]));
+  segment(0xe0, Buffer.from([0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00]));
+  segment(0xdb, Buffer.from([
+    0x00, ...Array.from(ZIGZAG, z => lumQt[z]),
+    0x01, ...Array.from(ZIGZAG, z => chromaQt[z])
+  ]));
+  segment(0xc0, Buffer.from([
+    8, height >> 8, height & 0xff, width >> 8, width & 0xff, 3,
+    1, 0x22, 0,
+    2, 0x11, 1,
+    3, 0x11, 1
+  ]));
+  const dht = [];
+  [[0x00, dcTables[0]], [0x10, acTables[0]], [0x01, dcTables[1]], [0x11, acTables[1]]].forEach(([spec, table]) => {
+    dht.push(spec, ...table.counts, ...table.symbols);
+  });
+  segment(0xc4, Buffer.from(dht));
+  segment(0xda, Buffer.from([3, 1, 0x00, 2, 0x11, 3, 0x11, 0, 63, 0]));
+  segments.push(scan, Buffer.from([0xff, 0xd9]));
+
+  return Buffer.concat(segments);
+}
+
+module.exports = {
+  encodeJpeg
+};
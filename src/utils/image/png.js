@@ -0,0 +1,304 @@
+/**
+ * PNG 编解码（纯 JS，基于内置 zlib）
+ *
+ * 解码：支持全部颜色类型与位深、调色板透明（tRNS）和 Adam7 隔行扫描；
+ * 16 位通道取高 8 位。编码：输出 8 位 RGB/RGBA，逐行自适应选择滤波器。
+ * 像素统一为 { width, height, data: RGBA Uint8Array }。
+ */
+
+const zlib = require('zlib');
+const { crc32 } = require('../crc32');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+const ADAM7 = [
+  [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+  [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+
+/**
+ * Paeth 预测
+ * @private
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * 还原一行滤波数据（原地）
+ * @private
+ */
+function unfilterRow(type, row, prev, bpp) {
+  const length = row.length;
+  switch (type) {
+    case 0:
+      break;
+    case 1:
+      for (let i = bpp; i < length; i++) row[i] = (row[i] + row[i - bpp]) & 0xff;
+      break;
+    case 2:
+      for (let i = 0; i < length; i++) row[i] = (row[i] + prev[i]) & 0xff;
+      break;
+    case 3:
+      for (let i = 0; i < length; i++) {
+        const left = i >= bpp ? row[i - bpp] : 0;
+        row[i] = (row[i] + ((left + prev[i]) >> 1)) & 0xff;
+      }
+      break;
+    case 4:
+      for (let i = 0; i < length; i++) {
+        const left = i >= bpp ? row[i - bpp] : 0;
+        const upLeft = i >= bpp ? prev[i - bpp] : 0;
+        row[i] = (row[i] + paeth(left, prev[i], upLeft)) & 0xff;
+      }
+      break;
+    default:
+      throw new Error(`PNG 滤波类型无效: ${type}`);
+  }
+}
+
+/**
+ * 判断是否为 PNG 数据
+ *
+ * @param {Buffer} buf - 文件内容
+ * @returns {boolean}
+ */
+function isPng(buf) {
+  return buf.length > 8 && buf.subarray(0, 8).equals(SIGNATURE);
+}
+
+/**
+ * 解码 PNG
+ *
+ * @param {Buffer} buf - 文件内容
+ * @param {Object} options - { maxPixels: 像素上限 }
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ * @throws {Error} 格式无效或超出像素上限
+ */
+function decodePng(buf, options = {}) {
+  if (!isPng(buf)) throw new Error('不是有效的 PNG 文件');
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+
+  let pos = 8;
+  while (pos + 8 <= buf.length) {
+    const length = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    const body = buf.subarray(pos + 8, Math.min(pos + 8 + length, buf.length));
+    pos += 12 + length;
+
+    if (type === 'IHDR') {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = body;
+    } else if (type === 'tRNS') {
+      transparency = body;
+    } else if (type === 'IDAT') {
+      idat.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header || !CHANNELS[header.colorType]) throw new Error('PNG 头信息无效');
+  const { width, height, bitDepth, colorType, interlace } = header;
+  if (!width || !height) throw new Error('PNG 尺寸无效');
+  if (options.maxPixels && width * height > options.maxPixels) throw new Error('图片像素过多');
+  if (colorType === 3 && !palette) throw new Error('PNG 缺少调色板');
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const channels = CHANNELS[colorType];
+  const bitsPerPixel = channels * bitDepth;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const maxSample = (1 << bitDepth) - 1;
+  const out = new Uint8Array(width * height * 4);
+
+  // tRNS：灰度/RGB 为透明色键，调色板为逐项 alpha
+  let keyGray = -1;
+  let keyRgb = null;
+  if (transparency && colorType === 0 && transparency.length >= 2) keyGray = transparency.readUInt16BE(0);
+  if (transparency && colorType === 2 && transparency.length >= 6) {
+    keyRgb = [transparency.readUInt16BE(0), transparency.readUInt16BE(2), transparency.readUInt16BE(4)];
+  }
+
+  const sample = (row, index) => {
+    if (bitDepth === 8) return row[index];
+    if (bitDepth === 16) return (row[index * 2] << 8) | row[index * 2 + 1];
+    const bit = index * bitDepth;
+    return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+  };
+  const to8 = (v) => (bitDepth === 16 ? v >> 8 : bitDepth === 8 ? v : Math.round((v * 255) / maxSample));
+
+  const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+  let offset = 0;
+
+  for (const [x0, y0, dx, dy] of passes) {
+    const passWidth = Math.ceil((width - x0) / dx);
+    const passHeight = Math.ceil((height - y0) / dy);
+    if (passWidth <= 0 || passHeight <= 0) continue;
+
+    const stride = Math.ceil((passWidth * bitsPerPixel) / 8);
+    let prev = new Uint8Array(stride);
+
+    for (let py = 0; py < passHeight; py++) {
+      if (offset + 1 + stride > raw.length) throw new Error('PNG 数据不完整');
+      const filter = raw[offset];
+      const row = Uint8Array.from(raw.subarray(offset + 1, offset + 1 + stride));
+      offset += 1 + stride;
+      unfilterRow(filter, row, prev, bpp);
+      prev = row;
+
+      const y = y0 + py * dy;
+      for (let px = 0; px < passWidth; px++) {
+        const o = (y * width + x0 + px * dx) * 4;
+        const s = px * channels;
+        let r, g, b, a = 255;
+
+        if (colorType === 0) {
+          const v = sample(row, s);
+          r = g = b = to8(v);
+          if (v === keyGray) a = 0;
+        } else if (colorType === 2) {
+          const rv = sample(row, s), gv = sample(row, s + 1), bv = sample(row, s + 2);
+          r = to8(rv); g = to8(gv); b = to8(bv);
+          if (keyRgb && rv === keyRgb[0] && gv === keyRgb[1] && bv === keyRgb[2]) a = 0;
+        } else if (colorType === 3) {
+          const index = sample(row, s);
+          r = palette[index * 3] || 0;
+          g = palette[index * 3 + 1] || 0;
+          b = palette[index * 3 + 2] || 0;
+          if (transparency && index < transparency.length) a = transparency[index];
+        } else if (colorType === 4) {
+          r = g = b = to8(sample(row, s));
+          a = to8(sample(row, s + 1));
+        } else {
+          r = to8(sample(row, s));
+          g = to8(sample(row, s + 1));
+          b = to8(sample(row, s + 2));
+          a = to8(sample(row, s + 3));
+        }
+
+        out[o] = r;
+        out[o + 1] = g;
+        out[o + 2] = b;
+        out[o + 3] = a;
+      }
+    }
+  }
+
+  return { width, height, data: out };
+}
+
+/**
+ * 写入一个 PNG 块
+ * @private
+ */
+function chunk(type, body) {
+  const buf = Buffer.alloc(12 + body.length);
+  buf.writeUInt32BE(body.length, 0);
+  buf.write(type, 4, 'latin1');
+  body.copy(buf, 8);
+  buf.writeUInt32BE(crc32(buf, 0, 4, 8 + body.length), 8 + body.length);
+  return buf;
+}
+
+/**
+ * 编码 PNG
+ *
+ * @param {{ width: number, height: number, data: Uint8Array }} image - RGBA 像素
+ * @returns {Buffer} PNG 文件内容
+ */
+function encodePng(image) {
+  const { width, height, data } = image;
+
+  let opaque = true;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] !== 255) {
+      opaque = false;
+      break;
+    }
+  }
+
+  const channels = opaque ? 3 : 4;
+  const stride = width * channels;
+  const raw = Buffer.alloc((stride + 1) * height);
+  const candidate = new Uint8Array(stride);
+  let prev = new Uint8Array(stride);
+  let row = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const src = (y * width + x) * 4;
+      const dst = x * channels;
+      row[dst] = data[src];
+      row[dst + 1] = data[src + 1];
+      row[dst + 2] = data[src + 2];
+      if (channels === 4) row[dst + 3] = data[src + 3];
+    }
+
+    // 逐行选择绝对值和最小的滤波器
+    let bestType = 0;
+    let bestScore = Infinity;
+    const base = y * (stride + 1);
+    for (let type = 0; type <= 4; type++) {
+      let score = 0;
+      for (let i = 0; i < stride; i++) {
+        const left = i >= channels ? row[i - channels] : 0;
+        const up = prev[i];
+        const upLeft = i >= channels ? prev[i - channels] : 0;
+        let predicted = 0;
+        if (type === 1) predicted = left;
+        else if (type === 2) predicted = up;
+        else if (type === 3) predicted = (left + up) >> 1;
+        else if (type === 4) predicted = paeth(left, up, upLeft);
+        const v = (row[i] - predicted) & 0xff;
+        candidate[i] = v;
+        score += v < 128 ? v : 256 - v;
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        bestType = type;
+        raw[base] = type;
+        raw.set(candidate, base + 1);
+      }
+    }
+    raw[base] = bestType;
+
+    const tmp = prev;
+    prev = row;
+    row = tmp;
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = opaque ? 2 : 6;
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = {
+  isPng,
+  decodePng,
+  encodePng
+};
@@ -0,0 +1,239 @@
+/**
+ * 图像变换：缩放、裁剪、EXIF 方向校正
+ *
+ * 缩小使用面积平均（按覆盖比例加权），放大使用双线性插值；
+ * 在预乘 alpha 空间计算，避免透明边缘发黑。
+ */
+
+/**
+ * 计算一维重采样权重
+ * @private
+ * @returns {Array<{ start: number, weights: Float64Array }>}
+ */
+function contributions(srcSize, dstSize) {
+  const scale = dstSize / srcSize;
+  const result = new Array(dstSize);
+
+  for (let i = 0; i < dstSize; i++) {
+    if (scale < 1) {
+      const left = i / scale;
+      const right = Math.min(srcSize, (i + 1) / scale);
+      const start = Math.floor(left);
+      const end = Math.min(srcSize, Math.ceil(right));
+      const weights = new Float64Array(end - start);
+      let total = 0;
+      for (let j = start; j < end; j++) {
+        const w = Math.min(j + 1, right) - Math.max(j, left);
+        weights[j - start] = w;
+        total += w;
+      }
+      for (let k = 0; k < weights.length; k++) weights[k] /= total;
+      result[i] = { start, weights };
+    } else {
+      const center = Math.max(0, Math.min(srcSize - 1, (i + 0.5) / scale - 0.5));
+      const start = Math.min(srcSize - 1, Math.floor(center));
+      const t = center - start;
+      result[i] = start + 1 < srcSize
+        ? { start, weights: Float64Array.of(1 - t, t) }
+        : { start, weights: Float64Array.of(1) };
+    }
+  }
+  return result;
+}
+
+/**
+ * 缩放到指定尺寸（不保持比例）
+ *
+ * @param {{ width: number, height: number, data: Uint8Array }} image - RGBA 图像
+ * @param {number} width - 目标宽度
+ * @param {number} height - 目标高度
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ */
+function resize(image, width, height) {
+  if (image.width === width && image.height === height) return image;
+  const { width: srcWidth, height: srcHeight, data } = image;
+
+  // 预乘 alpha
+  const src = new Float32Array(srcWidth * srcHeight * 4);
+  for (let i = 0; i < src.length; i += 4) {
+    const a = data[i + 3] / 255;
+    src[i] = data[i] * a;
+    src[i + 1] = data[i + 1] * a;
+    src[i + 2] = data[i + 2] * a;
+    src[i + 3] = data[i + 3];
+  }
+
+  // 水平方向
+  const xs = contributions(srcWidth, width);
+  const mid = new Float32Array(width * srcHeight * 4);
+  for (let y = 0; y < srcHeight; y++) {
+    const row = y * srcWidth;
+    for (let x = 0; x < width; x++) {
+      const { start, weights } = xs[x];
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let k = 0; k < weights.length; k++) {
+        const s = (row + start + k) * 4;
+        const w = weights[k];
+        r += src[s] * w;
+        g += src[s + 1] * w;
+        b += src[s + 2] * w;
+        a += src[s + 3] * w;
+      }
+      const o = (y * width + x) * 4;
+      mid[o] = r;
+      mid[o + 1] = g;
+      mid[o + 2] = b;
+      mid[o + 3] = a;
+    }
+  }
+
+  // 垂直方向并还原非预乘
+  const ys = contributions(srcHeight, height);
+  const out = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const { start, weights } = ys[y];
+    for (let x = 0; x < width; x++) {
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let k = 0; k < weights.length; k++) {
+        const s = ((start + k) * width + x) * 4;
+        const w = weights[k];
+        r += mid[s] * w;
+        g += mid[s + 1] * w;
+        b += mid[s + 2] * w;
+        a += mid[s + 3] * w;
+      }
+      const o = (y * width + x) * 4;
+      const factor = a > 0 ? 255 / a : 0;
+      out[o] = Math.min(255, r * factor + 0.5);
+      out[o + 1] = Math.min(255, g * factor + 0.5);
+      out[o + 2] = Math.min(255, b * factor + 0.5);
+      out[o + 3] = Math.min(255, a + 0.5);
+    }
+  }
+
+  return { width, height, data: out };
+}
+
+/**
+ * 裁剪
+ *
+ * @param {{ width: number, height: number, data: Uint8Array }} image - RGBA 图像
+ * @param {number} left - 左上角 x
+ * @param {number} top - 左上角 y
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ */
+function crop(image, left, top, width, height) {
+  if (left === 0 && top === 0 && width === image.width && height === image.height) return image;
+  const out = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const start = ((top + y) * image.width + left) * 4;
+    out.set(image.data.subarray(start, start + width * 4), y * width * 4);
+  }
+  return { width, height, data: out };
+}
+
+/**
+ * 按 EXIF 方向旋转 / 翻转为正向
+ *
+ * @param {{ width: number, height: number, data: Uint8Array }} image - RGBA 图像
+ * @param {number} orientation - EXIF 方向（1-8）
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ */
+function applyOrientation(image, orientation) {
+  if (!orientation || orientation === 1) return image;
+  const { width, height, data } = image;
+  const swap = orientation >= 5;
+  const outWidth = swap ? height : width;
+  const outHeight = swap ? width : height;
+  const out = new Uint8Array(data.length);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let dx, dy;
+      switch (orientation) {
+        case 2: dx = width - 1 - x; dy = y; break;
+        case 3: dx = width - 1 - x; dy = height - 1 - y; break;
+        case 4: dx = x; dy = height - 1 - y; break;
+        case 5: dx = y; dy = x; break;
+        case 6: dx = height - 1 - y; dy = x; break;
+        case 7: dx = height - 1 - y; dy = width - 1 - x; break;
+        case 8: dx = y; dy = width - 1 - x; break;
+        default: dx = x; dy = y;
+      }
+      const s = (y * width + x) * 4;
+      const o = (dy * outWidth + dx) * 4;
+      out[o] = data[s];
+      out[o + 1] = data[s + 1];
+      out[o + 2] = data[s + 2];
+      out[o + 3] = data[s + 3];
+    }
+  }
+  return { width: outWidth, height: outHeight, data: out };
+}
+
+/**
+ * 计算目标尺寸与源裁剪区域（不放大，fill 除外）
+ *
+ * @param {number} srcWidth - 源宽度
+ * @param {number} srcHeight - 源高度
+ * @param {Object} params - { width, height, fit: cover | contain | fill }
+ * @returns {{ width: number, height: number, crop: { left, top, width, height } }}
+ */
+function computeLayout(srcWidth, srcHeight, params) {
+  const full = { left: 0, top: 0, width: srcWidth, height: srcHeight };
+  let { width, height } = params;
+
+  // 只给出一边时按比例计算另一边
+  if (!width || !height) {
+    const scale = Math.min(1, width ? width / srcWidth : height / srcHeight);
+    return {
+      width: Math.max(1, Math.round(srcWidth * scale)),
+      height: Math.max(1, Math.round(srcHeight * scale)),
+      crop: full
+    };
+  }
+
+  if (params.fit === 'fill') return { width, height, crop: full };
+
+  if (params.fit === 'contain') {
+    const scale = Math.min(1, width / srcWidth, height / srcHeight);
+    return {
+      width: Math.max(1, Math.round(srcWidth * scale)),
+      height: Math.max(1, Math.round(srcHeight * scale)),
+      crop: full
+    };
+  }
+
+  // cover：居中裁剪到目标比例；源图不足时按源尺寸裁剪，不放大
+  const scale = Math.max(width / srcWidth, height / srcHeight);
+  if (scale > 1) {
+    width = Math.min(width, srcWidth);
+    height = Math.min(height, srcHeight);
+    return {
+      width,
+      height,
+      crop: { left: (srcWidth - width) >> 1, top: (srcHeight - height) >> 1, width, height }
+    };
+  }
+  const cropWidth = Math.min(srcWidth, Math.max(1, Math.round(width / scale)));
+  const cropHeight = Math.min(srcHeight, Math.max(1, Math.round(height / scale)));
+  return {
+    width,
+    height,
+    crop: {
+      left: (srcWidth - cropWidth) >> 1,
+      top: (srcHeight - cropHeight) >> 1,
+      width: cropWidth,
+      height: cropHeight
+    }
+  };
+}
+
+module.exports = {
+  resize,
+  crop,
+  applyOrientation,
+  computeLayout
+};
@@ -0,0 +1,477 @@
+/**
+ * WebP 无损编码（纯 JS，VP8L）
+ *
+ * 使用减绿变换 + 分块预测变换（每 32x32 块在 L / T / 平均 / Select /
+ * ClampAddSubtractFull 中选残差最小者），残差经贪心 LZ77 后用 Huffman 编码。
+ * 不使用颜色缓存和多组前缀码，压缩率略逊于 libwebp，但截图类图像效果良好。
+ */
+
+const { buildCodeLengths, buildCanonicalCodes } = require('./huffman');
+
+const MAX_DIMENSION = 16384;
+const PREDICTOR_BITS = 5;
+const PREDICTOR_MODES = [1, 2, 7, 11, 12];
+const MIN_MATCH = 3;
+const MAX_MATCH = 4096;
+const MAX_DISTANCE = (1 << 20) - 120;
+const HASH_BITS = 16;
+const MAX_CHAIN = 32;
+const CODE_LENGTH_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+const NUM_LENGTH_CODES = 24;
+const NUM_DISTANCE_CODES = 40;
+
+/**
+ * 低位优先位写入器
+ * @private
+ */
+class BitWriter {
+  constructor() {
+    this.chunks = [];
+    this.buffer = Buffer.alloc(65536);
+    this.pos = 0;
+    this.acc = 0;
+    this.bits = 0;
+  }
+
+  write(value, length) {
+    if (!length) return;
+    this.acc |= value << this.bits;
+    this.bits += length;
+    while (this.bits >= 8) {
+      if (this.pos >= this.buffer.length) {
+        this.chunks.push(this.buffer);
+        this.buffer = Buffer.alloc(this.buffer.length);
+        this.pos = 0;
+      }
+      this.buffer[this.pos++] = this.acc & 0xff;
+      this.acc >>>= 8;
+      this.bits -= 8;
+    }
+  }
+
+  finish() {
+    if (this.bits > 0) this.write(0, 8 - this.bits);
+    this.chunks.push(this.buffer.subarray(0, this.pos));
+    return Buffer.concat(this.chunks);
+  }
+}
+
+/**
+ * 长度 / 距离值的前缀编码
+ * @private
+ * @returns {{ code: number, extraBits: number, extra: number }}
+ */
+function prefixEncode(value) {
+  const d = value - 1;
+  if (d < 4) return { code: d, extraBits: 0, extra: 0 };
+  const highest = 31 - Math.clz32(d);
+  const second = (d >> (highest - 1)) & 1;
+  const extraBits = highest - 1;
+  return { code: 2 * highest + second, extraBits, extra: d & ((1 << extraBits) - 1) };
+}
+
+/**
+ * 反转低 length 位（Huffman 码按高位在前写入低位优先流）
+ * @private
+ */
+function reverseBits(code, length) {
+  let out = 0;
+  for (let i = 0; i < length; i++) {
+    out = (out << 1) | (code & 1);
+    code >>= 1;
+  }
+  return out;
+}
+
+/**
+ * 由频率生成可写出的前缀码
+ *
+ * 只有一个符号时解码端不消耗任何位，因此写出位数为 0。
+ * @private
+ */
+function buildPrefixCode(freqs, maxLength) {
+  const lengths = buildCodeLengths(freqs, maxLength);
+  const used = [];
+  for (let i = 0; i < lengths.length; i++) if (lengths[i]) used.push(i);
+  const codes = buildCanonicalCodes(lengths);
+  const emitBits = new Uint8Array(lengths.length);
+  const emitCodes = new Int32Array(lengths.length);
+  if (used.length > 1) {
+    for (const s of used) {
+      emitBits[s] = lengths[s];
+      emitCodes[s] = reverseBits(codes[s], lengths[s]);
+    }
+  }
+  return { lengths, used, emitBits, emitCodes };
+}
+
+/**
+ * 写出前缀码本身（简单码或常规码）
+ * @private
+ */
+function writePrefixCode(writer, code) {
+  const { lengths, used } = code;
+
+  if (used.length <= 2 && used.every(s => s < 256)) {
+    const symbols = used.length ? used : [0];
+    writer.write(1, 1);
+    writer.write(symbols.length - 1, 1);
+    if (symbols[0] > 1) {
+      writer.write(1, 1);
+      writer.write(symbols[0], 8);
+    } else {
+      writer.write(0, 1);
+      writer.write(symbols[0], 1);
+    }
+    if (symbols.length === 2) writer.write(symbols[1], 8);
+    return;
+  }
+
+  // 码长序列的游程编码：16 重复前一个非零码长，17/18 表示连续的 0
+  const tokens = [];
+  let i = 0;
+  while (i < lengths.length) {
+    const value = lengths[i];
+    let run = 1;
+    while (i + run < lengths.length && lengths[i + run] === value) run++;
+    i += run;
+
+    if (value === 0) {
+      while (run >= 11) {
+        const n = Math.min(run, 138);
+        tokens.push([18, n - 11, 7]);
+        run -= n;
+      }
+      if (run >= 3) {
+        tokens.push([17, run - 3, 3]);
+        run = 0;
+      }
+      while (run-- > 0) tokens.push([0, 0, 0]);
+    } else {
+      tokens.push([value, 0, 0]);
+      run--;
+      while (run >= 3) {
+        const n = Math.min(run, 6);
+        tokens.push([16, n - 3, 2]);
+        run -= n;
+      }
+      while (run-- > 0) tokens.push([value, 0, 0]);
+    }
+  }
+
+  const freqs = new Int32Array(19);
+  for (const [symbol] of tokens) freqs[symbol]++;
+  const lengthCode = buildPrefixCode(freqs, 7);
+
+  let count = 19;
+  while (count > 4 && !lengthCode.lengths[CODE_LENGTH_ORDER[count - 1]]) count--;
+
+  writer.write(0, 1);
+  writer.write(count - 4, 4);
+  for (let k = 0; k < count; k++) writer.write(lengthCode.lengths[CODE_LENGTH_ORDER[k]], 3);
+  writer.write(0, 1); // max_symbol 取整个字母表
+
+  for (const [symbol, extra, extraBits] of tokens) {
+    writer.write(lengthCode.emitCodes[symbol], lengthCode.emitBits[symbol]);
+    writer.write(extra, extraBits);
+  }
+}
+
+/**
+ * 按通道相减（模 256）
+ * @private
+ */
+function subPixels(a, b) {
+  return (((((a >>> 24) - (b >>> 24)) & 0xff) << 24) |
+    ((((a >>> 16) - (b >>> 16)) & 0xff) << 16) |
+    ((((a >>> 8) - (b >>> 8)) & 0xff) << 8) |
+    (((a & 0xff) - (b & 0xff)) & 0xff)) >>> 0;
+}
+
+/**
+ * 按通道取平均
+ * @private
+ */
+function average2(a, b) {
+  return ((((a ^ b) & 0xfefefefe) >>> 1) + (a & b)) >>> 0;
+}
+
+/**
+ * 预测器（与 VP8L 规范一致）
+ * @private
+ */
+function predict(mode, L, T, TL) {
+  switch (mode) {
+    case 1:
+      return L;
+    case 2:
+      return T;
+    case 7:
+      return average2(L, T);
+    case 11: {
+      let pL = 0;
+      let pT = 0;
+      for (let shift = 0; shift < 32; shift += 8) {
+        const l = (L >>> shift) & 0xff;
+        const t = (T >>> shift) & 0xff;
+        const tl = (TL >>> shift) & 0xff;
+        pL += Math.abs(t - tl);
+        pT += Math.abs(l - tl);
+      }
+      return pL < pT ? L : T;
+    }
+    case 12: {
+      let out = 0;
+      for (let shift = 0; shift < 32; shift += 8) {
+        let v = ((L >>> shift) & 0xff) + ((T >>> shift) & 0xff) - ((TL >>> shift) & 0xff);
+        v = v < 0 ? 0 : v > 255 ? 255 : v;
+        out |= v << shift;
+      }
+      return out >>> 0;
+    }
+    default:
+      return 0xff000000;
+  }
+}
+
+/**
+ * 残差代价（各通道距离 0 的绝对值之和）
+ * @private
+ */
+function residualCost(r) {
+  let cost = 0;
+  for (let shift = 0; shift < 32; shift += 8) {
+    const v = (r >>> shift) & 0xff;
+    cost += v < 128 ? v : 256 - v;
+  }
+  return cost;
+}
+
+/**
+ * 预测变换：逐块选择模式并计算残差
+ * @private
+ */
+function applyPredictor(pixels, width, height) {
+  const tileSize = 1 << PREDICTOR_BITS;
+  const tilesX = Math.ceil(width / tileSize);
+  const tilesY = Math.ceil(height / tileSize);
+  const modes = new Uint32Array(tilesX * tilesY);
+  const residuals = new Uint32Array(pixels.length);
+
+  const predictAt = (mode, x, y) => {
+    const i = y * width + x;
+    if (y === 0) return x === 0 ? 0xff000000 : pixels[i - 1];
+    if (x === 0) return pixels[i - width];
+    return predict(mode, pixels[i - 1], pixels[i - width], pixels[i - width - 1]);
+  };
+
+  for (let ty = 0; ty < tilesY; ty++) {
+    for (let tx = 0; tx < tilesX; tx++) {
+      const x0 = tx * tileSize;
+      const y0 = ty * tileSize;
+      const x1 = Math.min(width, x0 + tileSize);
+      const y1 = Math.min(height, y0 + tileSize);
+
+      let bestMode = PREDICTOR_MODES[0];
+      let bestCost = Infinity;
+      for (const mode of PREDICTOR_MODES) {
+        let cost = 0;
+        for (let y = y0; y < y1 && cost < bestCost; y++) {
+          for (let x = x0; x < x1; x++) {
+            cost += residualCost(subPixels(pixels[y * width + x], predictAt(mode, x, y)));
+          }
+        }
+        if (cost < bestCost) {
+          bestCost = cost;
+          bestMode = mode;
+        }
+      }
+
+      modes[ty * tilesX + tx] = (0xff000000 | (bestMode << 8)) >>> 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          residuals[y * width + x] = subPixels(pixels[y * width + x], predictAt(bestMode, x, y));
+        }
+      }
+    }
+  }
+
+  return { residuals, modes, tilesX, tilesY };
+}
+
+/**
+ * 贪心 LZ77，生成字面量 / 回溯引用序列
+ * @private
+ * @returns {{ lengths: Int32Array, values: Int32Array, count: number }}
+ *   lengths[t] 为 0 表示字面量（values 为像素），否则为回溯长度（values 为距离）
+ */
+function findBackwardRefs(pixels) {
+  const n = pixels.length;
+  const lengths = new Int32Array(n);
+  const values = new Int32Array(n);
+  const head = new Int32Array(1 << HASH_BITS).fill(-1);
+  const prev = new Int32Array(n);
+  const hashAt = (i) => (Math.imul(pixels[i], 0x1e35a7bd) ^ Math.imul(pixels[i + 1], 0x2c2c57ed)) >>> (32 - HASH_BITS);
+  const insert = (i) => {
+    if (i + 1 >= n) return;
+    const h = hashAt(i);
+    prev[i] = head[h];
+    head[h] = i;
+  };
+
+  let count = 0;
+  let i = 0;
+  while (i < n) {
+    let bestLength = 0;
+    let bestDistance = 0;
+
+    if (i + MIN_MATCH <= n) {
+      const limit = Math.min(MAX_MATCH, n - i);
+      let candidate = head[hashAt(i)];
+      for (let chain = 0; candidate >= 0 && chain < MAX_CHAIN && i - candidate <= MAX_DISTANCE; chain++) {
+        if (pixels[candidate] === pixels[i] && pixels[candidate + 1] === pixels[i + 1]) {
+          let length = 2;
+          while (length < limit && pixels[candidate + length] === pixels[i + length]) length++;
+          if (length > bestLength) {
+            bestLength = length;
+            bestDistance = i - candidate;
+            if (length === limit) break;
+          }
+        }
+        candidate = prev[candidate];
+      }
+    }
+
+    if (bestLength >= MIN_MATCH) {
+      lengths[count] = bestLength;
+      values[count] = bestDistance;
+      for (let k = 0; k < bestLength; k++) insert(i + k);
+      i += bestLength;
+    } else {
+      lengths[count] = 0;
+      values[count] = pixels[i] | 0;
+      insert(i);
+      i++;
+    }
+    count++;
+  }
+
+  return { lengths, values, count };
+}
+
+/**
+ * 写出熵编码图像（5 组前缀码 + 数据）
+ * @private
+ */
+function writeEntropyImage(writer, refs) {
+  const { lengths, values, count } = refs;
+  const green = new Int32Array(256 + NUM_LENGTH_CODES);
+  const red = new Int32Array(256);
+  const blue = new Int32Array(256);
+  const alpha = new Int32Array(256);
+  const distance = new Int32Array(NUM_DISTANCE_CODES);
+
+  for (let t = 0; t < count; t++) {
+    if (lengths[t] === 0) {
+      const p = values[t];
+      green[(p >>> 8) & 0xff]++;
+      red[(p >>> 16) & 0xff]++;
+      blue[p & 0xff]++;
+      alpha[(p >>> 24) & 0xff]++;
+    } else {
+      green[256 + prefixEncode(lengths[t]).code]++;
+      distance[prefixEncode(values[t] + 120).code]++;
+    }
+  }
+
+  const codes = [green, red, blue, alpha, distance].map(freqs => buildPrefixCode(freqs, 15));
+  for (const code of codes) writePrefixCode(writer, code);
+  const [g, r, b, a, d] = codes;
+
+  for (let t = 0; t < count; t++) {
+    if (lengths[t] === 0) {
+      const p = values[t];
+      const gv = (p >>> 8) & 0xff;
+      const rv = (p >>> 16) & 0xff;
+      const bv = p & 0xff;
+      const av = (p >>> 24) & 0xff;
+      writer.write(g.emitCodes[gv], g.emitBits[gv]);
+      writer.write(r.emitCodes[rv], r.emitBits[rv]);
+      writer.write(b.emitCodes[bv], b.emitBits[bv]);
+      writer.write(a.emitCodes[av], a.emitBits[av]);
+    } else {
+      const len = prefixEncode(lengths[t]);
+      writer.write(g.emitCodes[256 + len.code], g.emitBits[256 + len.code]);
+      writer.write(len.extra, len.extraBits);
+      const dist = prefixEncode(values[t] + 120);
+      writer.write(d.emitCodes[dist.code], d.emitBits[dist.code]);
+      writer.write(dist.extra, dist.extraBits);
+    }
+  }
+}
+
+/**
+ * 编码 WebP（无损）
+ *
+ * @param {{ width: number, height: number, data: Uint8Array }} image - RGBA 像素
+ * @returns {Buffer} WebP 文件内容
+ * @throws {Error} 尺寸超过 16384
+ */
+function encodeWebp(image) {
+  const { width, height, data } = image;
+  if (width > MAX_DIMENSION || height > MAX_DIMENSION) throw new Error('WebP 尺寸超出限制');
+
+  // ARGB 并做减绿变换
+  const pixels = new Uint32Array(width * height);
+  let hasAlpha = false;
+  for (let i = 0; i < pixels.length; i++) {
+    const r = data[i * 4];
+    const g = data[i * 4 + 1];
+    const b = data[i * 4 + 2];
+    const a = data[i * 4 + 3];
+    if (a !== 255) hasAlpha = true;
+    pixels[i] = ((a << 24) | (((r - g) & 0xff) << 16) | (g << 8) | ((b - g) & 0xff)) >>> 0;
+  }
+
+  const { residuals, modes, tilesX, tilesY } = applyPredictor(pixels, width, height);
+
+  const writer = new BitWriter();
+  writer.write(0x2f, 8);
+  writer.write(width - 1, 14);
+  writer.write(height - 1, 14);
+  writer.write(hasAlpha ? 1 : 0, 1);
+  writer.write(0, 3);
+
+  // 变换按写入顺序应用，解码端逆序还原
+  writer.write(1, 1);
+  writer.write(2, 2); // SUBTRACT_GREEN
+  writer.write(1, 1);
+  writer.write(0, 2); // PREDICTOR
+  writer.write(PREDICTOR_BITS - 2, 3);
+  writer.write(0, 1); // 子图像：无颜色缓存
+  writeEntropyImage(writer, {
+    lengths: new Int32Array(tilesX * tilesY),
+    values: Int32Array.from(modes, m => m | 0),
+    count: tilesX * tilesY
+  });
+  writer.write(0, 1); // 变换结束
+
+  writer.write(0, 1); // 无颜色缓存
+  writer.write(0, 1); // 无元前缀码
+  writeEntropyImage(writer, findBackwardRefs(residuals));
+
+  const body = writer.finish();
+  const padding = body.length & 1;
+  const header = Buffer.alloc(20);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(12 + body.length + padding, 4);
+  header.write('WEBP', 8, 'latin1');
+  header.write('VP8L', 12, 'latin1');
+  header.writeUInt32LE(body.length, 16);
+
+  return Buffer.concat([header, body, Buffer.alloc(padding)]);
+}
+
+module.exports = {
+  encodeWebp
+};
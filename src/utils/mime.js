@@ -3,9 +3,25 @@
  * 
  * 提供文件扩展名到 MIME 类型的映射功能
  * 支持常见的 Web 资源类型：HTML、CSS、JS、图片、视频、音频、字体等
+ * 扩展名未知时可按文件内容（魔数）识别
  */
 
 const path = require('path');
+const { sniffFile } = require('./file-sniffer');
+
+// 内容识别为这些分类时一律按纯文本返回，避免无扩展名文件被当作 HTML/SVG 执行脚本
+const TEXT_CATEGORIES = ['text', 'html', 'script'];
+
+// 可压缩的非 text/* 类型
+const COMPRESSIBLE_TYPES = [
+  'application/javascript',
+  'application/json',
+  'application/xml',
+  'image/svg+xml',
+  'image/x-icon',
+  'font/ttf',
+  'application/vnd.ms-fontobject'
+];
 
 /**
  * MIME 类型映射表
@@ -55,14 +71,44 @@ const mimeTypes = {
  * 根据文件路径获取对应的 MIME 类型
  * 
  * @param {string} filePath - 文件路径或文件名
+ * @param {Object} options - { sniff: 扩展名未知时读取文件头识别（filePath 需为真实文件） }
  * @returns {string} MIME 类型字符串，未知类型返回 'application/octet-stream'
  */
-function getMimeType(filePath) {
+function getMimeType(filePath, options = {}) {
   const ext = path.extname(filePath).toLowerCase();
-  return mimeTypes[ext] || 'application/octet-stream';
+  if (mimeTypes[ext]) {
+    return mimeTypes[ext];
+  }
+
+  if (options.sniff) {
+    const detected = sniffFile(filePath);
+    if (detected) {
+      if (TEXT_CATEGORIES.includes(detected.category) || detected.mime === 'image/svg+xml') {
+        return 'text/plain; charset=utf-8';
+      }
+      if (detected.category !== 'binary' && detected.category !== 'empty') {
+        return detected.mime;
+      }
+    }
+  }
+
+  return 'application/octet-stream';
+}
+
+/**
+ * 判断 MIME 类型是否适合压缩（文本类与未压缩的结构化格式）
+ *
+ * @param {string} mimeType - MIME 类型（可带参数）
+ * @returns {boolean}
+ */
+function isCompressible(mimeType) {
+  const type = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  return type.startsWith('text/') || COMPRESSIBLE_TYPES.includes(type) ||
+    type.endsWith('+json') || type.endsWith('+xml');
 }
 
 module.exports = {
   getMimeType,
+  isCompressible,
   mimeTypes
 };
@@ -5,20 +5,58 @@
  * - 将 URL 路径映射到本地文件系统路径
  * - 防止路径遍历攻击
  * - 支持多个目录映射规则
+ * - 隐藏目录映射 hidden 规则命中的路径（与回收站一样按不存在处理）
  */
 
 const path = require('path');
 const url = require('url');
+const { isHiddenPath } = require('./directory-policy');
 
 // 应用根目录
 const appRoot = path.resolve(__dirname, '../..');
 
+// 回收站目录名（位于每个目录映射根下，不对外提供访问）
+const TRASH_DIR = '.trash';
+// 上传临时文件目录名（位于回收站目录下，随回收站一起对外隐藏）
+const UPLOAD_TEMP_DIR = '.tmp';
+
+/**
+ * 目录映射的上传临时文件目录（与映射同盘，落盘时可直接重命名）
+ *
+ * @param {string} basePath - 映射根目录（绝对路径）
+ * @returns {string}
+ */
+function uploadTempDir(basePath) {
+  return path.join(basePath, TRASH_DIR, UPLOAD_TEMP_DIR);
+}
+
+/**
+ * 判断映射内相对路径是否位于回收站中
+ *
+ * @param {string} relativePath - 相对于映射根目录的路径
+ * @returns {boolean}
+ */
+function isTrashPath(relativePath) {
+  return relativePath.split(/[\\/]+/).filter(Boolean)[0] === TRASH_DIR;
+}
+
+/**
+ * 判断映射内相对路径是否不对外提供访问（回收站或命中 hidden 规则）
+ *
+ * @param {Object} mapping - 目录映射
+ * @param {string} relativePath - 相对于映射根目录的路径
+ * @returns {boolean}
+ */
+function isConcealedPath(mapping, relativePath) {
+  return isTrashPath(relativePath) || isHiddenPath(mapping, relativePath);
+}
+
 /**
  * 解析请求路径，匹配目录映射
  * 
  * @param {string} requestPath - HTTP 请求路径
  * @param {Array} directories - 目录映射配置数组 [{route, path}, ...]
- * @returns {Object|null} 返回 {fullPath, basePath, route} 或 null（未匹配）
+ * @returns {Object|null} 返回 {fullPath, basePath, route, mapping} 或 null（未匹配、越界或隐藏）
  */
 function resolveFilePath(requestPath, directories) {
   const decodedPath = decodeURIComponent(requestPath);
@@ -62,18 +100,39 @@ function resolveFilePath(requestPath, directories) {
       const normalizedBase = path.normalize(basePath);
       const normalizedFull = path.normalize(fullPath);
       
-      // 安全检查：防止路径遍历攻击
-      if (!normalizedFull.startsWith(normalizedBase)) {
+      // 安全检查：防止路径遍历攻击（按路径段比较，避免 /data/uploads2 被视为 /data/uploads 内）
+      if (normalizedFull !== normalizedBase && !normalizedFull.startsWith(normalizedBase.replace(/[\\/]+$/, '') + path.sep)) {
+        return null;
+      }
+
+      // 回收站与隐藏路径不对外提供访问
+      if (isConcealedPath(dir, path.relative(normalizedBase, normalizedFull))) {
         return null;
       }
       
-      return { fullPath: normalizedFull, basePath: normalizedBase, route: routeNormalized };
+      return { fullPath: normalizedFull, basePath: normalizedBase, route: routeNormalized, mapping: dir };
     }
   }
   
   return null;
 }
 
+/**
+ * 解析已解码的访问路径（如 JSON 请求体或 WebDAV 中的 /uploads/a b.txt）
+ *
+ * 先按 POSIX 规则折叠 . 与 ..，再按 resolveFilePath 的规则匹配映射与做越界检查。
+ *
+ * @param {string} accessPath - 以 / 开头的访问路径（未编码）
+ * @param {Array} directories - 目录映射配置数组
+ * @returns {Object|null} 返回 {fullPath, basePath, route, mapping} 或 null（路径无效或未匹配）
+ */
+function resolveAccessPath(accessPath, directories) {
+  if (typeof accessPath !== 'string' || !accessPath.startsWith('/') || accessPath.includes('\0')) {
+    return null;
+  }
+  return resolveFilePath(encodeURI(path.posix.normalize(accessPath)), directories || []);
+}
+
 /**
  * 将 URL 或路径映射到本地文件路径
  * 用于文件删除等操作
@@ -106,7 +165,10 @@ function mapUrlToLocalPath(targetUrlOrPath, directories) {
     pathname = '/' + pathname;
   }
 
-  for (const dirConfig of directories || []) {
+  // 按路由长度降序匹配，避免根路由抢先匹配更具体的映射
+  const sortedDirs = [...(directories || [])].sort((a, b) => (b.route || '/').length - (a.route || '/').length);
+
+  for (const dirConfig of sortedDirs) {
     const route = dirConfig.route || '/';
     const normalizedRoute = route.endsWith('/') && route !== '/' ? route.slice(0, -1) : route;
 
@@ -116,7 +178,7 @@ function mapUrlToLocalPath(targetUrlOrPath, directories) {
       const candidate = path.normalize(path.join(base, relative));
       const normalizedBase = path.normalize(base);
       if (candidate.startsWith(normalizedBase)) {
-        return candidate;
+        return isConcealedPath(dirConfig, path.relative(normalizedBase, candidate)) ? null : candidate;
       }
     } else if (pathname.startsWith(normalizedRoute + '/') || pathname === normalizedRoute) {
       const remainder = pathname.slice(normalizedRoute.length).replace(/^\/+/, '');
@@ -124,7 +186,7 @@ function mapUrlToLocalPath(targetUrlOrPath, directories) {
       const candidate = path.normalize(path.join(base, remainder));
       const normalizedBase = path.normalize(base);
       if (candidate.startsWith(normalizedBase)) {
-        return candidate;
+        return isConcealedPath(dirConfig, path.relative(normalizedBase, candidate)) ? null : candidate;
       }
     }
   }
@@ -134,6 +196,11 @@ function mapUrlToLocalPath(targetUrlOrPath, directories) {
 
 module.exports = {
   resolveFilePath,
+  resolveAccessPath,
   mapUrlToLocalPath,
-  appRoot
+  isTrashPath,
+  isConcealedPath,
+  uploadTempDir,
+  appRoot,
+  TRASH_DIR
 };
@@ -0,0 +1,554 @@
+/**
+ * PDF 写入器
+ *
+ * 纯 JavaScript 生成 PDF 1.4，不依赖浏览器或外部程序：
+ * - 西文使用标准 14 字体（Helvetica 系列、Courier，WinAnsi 编码），无需嵌入
+ * - 中日文使用 STSong-Light（Adobe-GB1，UniGB-UCS2-H 编码），由阅读器提供字形
+ * - 支持文字、矩形、线段、超链接与 JPEG / PNG 图片，页面内容流使用 Flate 压缩
+ *
+ * 坐标以页面左上角为原点、向下为正，单位为磅（pt）；文字的 y 为基线位置。
+ */
+
+const zlib = require('zlib');
+
+const A4 = { width: 595.28, height: 841.89 };
+
+// Helvetica / Helvetica-Bold 的字宽（AFM，字符 32-126，单位 1/1000 em）
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// WinAnsi 中 0x80-0x9F 区间常用的标点：Unicode → [编码, 常规字宽, 粗体字宽]
+const WINANSI_EXTRA = {
+  0x2022: [0x95, 350, 350],
+  0x2013: [0x96, 556, 556],
+  0x2014: [0x97, 1000, 1000],
+  0x2018: [0x91, 222, 278],
+  0x2019: [0x92, 222, 278],
+  0x201C: [0x93, 333, 500],
+  0x201D: [0x94, 333, 500],
+  0x2026: [0x85, 1000, 1000]
+};
+
+// 字体资源名与基础字体
+const FONTS = {
+  regular: { name: 'F1', base: 'Helvetica' },
+  bold: { name: 'F2', base: 'Helvetica-Bold' },
+  italic: { name: 'F3', base: 'Helvetica-Oblique' },
+  boldItalic: { name: 'F4', base: 'Helvetica-BoldOblique' },
+  mono: { name: 'F5', base: 'Courier' }
+};
+const CJK_FONT = 'F6';
+
+/**
+ * 数字格式化（最多两位小数）
+ * @private
+ */
+function num(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * PDF 文本字符串（UTF-16BE，带 BOM，用于文档信息）
+ * @private
+ */
+function textString(value) {
+  return `<FEFF${Buffer.from(String(value), 'utf16le').swap16().toString('hex').toUpperCase()}>`;
+}
+
+/**
+ * 字符能否用 WinAnsi 编码的西文字体输出
+ * @private
+ */
+function isLatin(code) {
+  return (code >= 0x20 && code <= 0x7E) || (code >= 0xA0 && code <= 0xFF) || WINANSI_EXTRA[code] !== undefined;
+}
+
+/**
+ * 单个字符的字宽（1/1000 em）
+ * @private
+ */
+function charWidth(code, font) {
+  if (!isLatin(code)) return 1000;
+  if (font === 'mono') return 600;
+  const bold = font === 'bold' || font === 'boldItalic';
+  if (code <= 0x7E) return (bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS)[code - 32];
+  if (WINANSI_EXTRA[code]) return WINANSI_EXTRA[code][bold ? 2 : 1];
+  return 556;
+}
+
+/**
+ * 按字体拆分文字：西文段与中日文段交替
+ * @private
+ */
+function splitSegments(text) {
+  const segments = [];
+  for (const char of String(text).replace(/\t/g, '    ')) {
+    const code = char.codePointAt(0);
+    if (code < 0x20) continue;
+    const latin = isLatin(code);
+    const last = segments[segments.length - 1];
+    if (last && last.latin === latin) {
+      last.text += char;
+    } else {
+      segments.push({ latin, text: char });
+    }
+  }
+  return segments;
+}
+
+/**
+ * 编码西文段（字面量字符串，非 ASCII 字节用八进制转义）
+ * @private
+ */
+function encodeLatin(text) {
+  let out = '';
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    const byte = WINANSI_EXTRA[code] ? WINANSI_EXTRA[code][0] : code;
+    if (byte === 0x28 || byte === 0x29 || byte === 0x5C) {
+      out += `\\${String.fromCharCode(byte)}`;
+    } else if (byte < 0x80) {
+      out += String.fromCharCode(byte);
+    } else {
+      out += `\\${byte.toString(8).padStart(3, '0')}`;
+    }
+  }
+  return `(${out})`;
+}
+
+/**
+ * 编码中日文段（UCS-2 十六进制串，BMP 以外的字符替换为全角问号）
+ * @private
+ */
+function encodeCjk(text) {
+  let hex = '';
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    hex += (code > 0xFFFF ? 0xFF1F : code).toString(16).toUpperCase().padStart(4, '0');
+  }
+  return `<${hex}>`;
+}
+
+/**
+ * 读取 JPEG 尺寸与颜色分量数
+ * @private
+ */
+function parseJpeg(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xFF) return null;
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    // SOF0-SOF15（不含 DHT / JPG / DAC）
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7),
+        components: buffer[offset + 9]
+      };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * PNG 扫描行反滤波（8 位深度）
+ * @private
+ */
+function unfilterPng(data, width, height, bytesPerPixel) {
+  const stride = width * bytesPerPixel;
+  const out = Buffer.alloc(stride * height);
+  let pos = 0;
+  for (let y = 0; y < height; y++) {
+    const filter = data[pos++];
+    const row = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const raw = data[pos++];
+      const left = x >= bytesPerPixel ? out[row + x - bytesPerPixel] : 0;
+      const up = y > 0 ? out[row - stride + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? out[row - stride + x - bytesPerPixel] : 0;
+      let value = raw;
+      if (filter === 1) value = raw + left;
+      else if (filter === 2) value = raw + up;
+      else if (filter === 3) value = raw + ((left + up) >> 1);
+      else if (filter === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        value = raw + (pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft));
+      }
+      out[row + x] = value & 0xFF;
+    }
+  }
+  return out;
+}
+
+/**
+ * 解析 PNG 为 PDF 图像对象参数（支持 8 位灰度 / RGB / 带透明通道，以及调色板图）
+ * @private
+ */
+function parsePng(buffer) {
+  let offset = 8;
+  let header = null;
+  let palette = null;
+  const idat = [];
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+  if (!header || header.interlace !== 0 || !idat.length) return null;
+
+  const { width, height, bitDepth, colorType } = header;
+  const compressed = Buffer.concat(idat);
+
+  if (colorType === 3 && palette) {
+    return {
+      width,
+      height,
+      colorSpace: `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${palette.toString('hex')}>]`,
+      bitsPerComponent: bitDepth,
+      filter: '/FlateDecode',
+      decodeParms: `<< /Predictor 15 /Colors 1 /BitsPerComponent ${bitDepth} /Columns ${width} >>`,
+      data: compressed
+    };
+  }
+  if (bitDepth !== 8) return null;
+  if (colorType === 0 || colorType === 2) {
+    const colors = colorType === 2 ? 3 : 1;
+    return {
+      width,
+      height,
+      colorSpace: colors === 3 ? '/DeviceRGB' : '/DeviceGray',
+      bitsPerComponent: 8,
+      filter: '/FlateDecode',
+      decodeParms: `<< /Predictor 15 /Colors ${colors} /BitsPerComponent 8 /Columns ${width} >>`,
+      data: compressed
+    };
+  }
+  if (colorType === 4 || colorType === 6) {
+    // 透明通道拆为 SMask
+    const colors = colorType === 6 ? 3 : 1;
+    const pixels = unfilterPng(zlib.inflateSync(compressed), width, height, colors + 1);
+    const color = Buffer.alloc(width * height * colors);
+    const alpha = Buffer.alloc(width * height);
+    for (let i = 0, c = 0; i < width * height; i++) {
+      for (let k = 0; k < colors; k++) color[c++] = pixels[i * (colors + 1) + k];
+      alpha[i] = pixels[i * (colors + 1) + colors];
+    }
+    return {
+      width,
+      height,
+      colorSpace: colors === 3 ? '/DeviceRGB' : '/DeviceGray',
+      bitsPerComponent: 8,
+      filter: '/FlateDecode',
+      data: zlib.deflateSync(color),
+      alpha: zlib.deflateSync(alpha)
+    };
+  }
+  return null;
+}
+
+class PdfWriter {
+  /**
+   * @param {Object} options - { title, author, width, height }（页面尺寸默认 A4）
+   */
+  constructor(options = {}) {
+    this.title = options.title || '';
+    this.author = options.author || '';
+    this.width = options.width || A4.width;
+    this.height = options.height || A4.height;
+    this.pages = [];
+    this.current = null;
+    this.images = [];
+  }
+
+  /**
+   * 新增一页并设为当前页
+   * @returns {number} 页码（从 0 开始）
+   */
+  addPage() {
+    this.current = { ops: [], links: [] };
+    this.pages.push(this.current);
+    return this.pages.length - 1;
+  }
+
+  /**
+   * 切换当前页（用于事后补写页眉页脚）
+   * @param {number} index - 页码（从 0 开始）
+   */
+  usePage(index) {
+    this.current = this.pages[index];
+  }
+
+  /**
+   * 计算文字宽度
+   *
+   * @param {string} text - 文字
+   * @param {string} font - regular / bold / italic / boldItalic / mono
+   * @param {number} size - 字号
+   * @returns {number}
+   */
+  textWidth(text, font, size) {
+    let total = 0;
+    for (const char of String(text).replace(/\t/g, '    ')) {
+      const code = char.codePointAt(0);
+      if (code >= 0x20) total += charWidth(code, font);
+    }
+    return total * size / 1000;
+  }
+
+  /**
+   * 输出一段文字（中日文粗体用描边模拟）
+   *
+   * @param {number} x - 左侧位置
+   * @param {number} y - 基线位置
+   * @param {string} text - 文字
+   * @param {Object} style - { font, size, color: [r, g, b]（0-1） }
+   */
+  text(x, y, text, style = {}) {
+    const font = FONTS[style.font] ? style.font : 'regular';
+    const size = style.size || 10;
+    const color = (style.color || [0, 0, 0]).map(num).join(' ');
+    const bold = font === 'bold' || font === 'boldItalic';
+    const parts = splitSegments(text).map(segment => segment.latin
+      ? `/${FONTS[font].name} ${num(size)} Tf 0 Tr ${encodeLatin(segment.text)} Tj`
+      : `/${CJK_FONT} ${num(size)} Tf ${bold ? '2' : '0'} Tr ${encodeCjk(segment.text)} Tj`);
+    if (!parts.length) return;
+    this.current.ops.push(
+      `BT ${color} rg ${color} RG ${num(size * 0.03)} w ${num(x)} ${num(this.height - y)} Td ${parts.join(' ')} ET`
+    );
+  }
+
+  /**
+   * 绘制矩形
+   *
+   * @param {number} x - 左侧位置
+   * @param {number} y - 顶部位置
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   * @param {Object} style - { fill: [r, g, b], stroke: [r, g, b], lineWidth }
+   */
+  rect(x, y, width, height, style = {}) {
+    const ops = [];
+    if (style.fill) ops.push(`${style.fill.map(num).join(' ')} rg`);
+    if (style.stroke) ops.push(`${style.stroke.map(num).join(' ')} RG ${num(style.lineWidth || 0.5)} w`);
+    ops.push(`${num(x)} ${num(this.height - y - height)} ${num(width)} ${num(height)} re`);
+    ops.push(style.fill && style.stroke ? 'B' : (style.fill ? 'f' : 'S'));
+    this.current.ops.push(ops.join(' '));
+  }
+
+  /**
+   * 绘制线段
+   *
+   * @param {number} x1 - 起点 x
+   * @param {number} y1 - 起点 y
+   * @param {number} x2 - 终点 x
+   * @param {number} y2 - 终点 y
+   * @param {Object} style - { color: [r, g, b], lineWidth }
+   */
+  line(x1, y1, x2, y2, style = {}) {
+    const color = (style.color || [0, 0, 0]).map(num).join(' ');
+    this.current.ops.push(
+      `${color} RG ${num(style.lineWidth || 0.5)} w ${num(x1)} ${num(this.height - y1)} m ${num(x2)} ${num(this.height - y2)} l S`
+    );
+  }
+
+  /**
+   * 在矩形区域添加外部链接
+   *
+   * @param {number} x - 左侧位置
+   * @param {number} y - 顶部位置
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   * @param {string} uri - 链接地址
+   */
+  link(x, y, width, height, uri) {
+    this.current.links.push({ rect: [x, this.height - y - height, x + width, this.height - y], uri });
+  }
+
+  /**
+   * 注册图片（JPEG / PNG），不支持的格式返回 null
+   *
+   * @param {Buffer} buffer - 图片内容
+   * @returns {{ id: number, width: number, height: number }|null}
+   */
+  addImage(buffer) {
+    let image = null;
+    try {
+      if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+        const info = parseJpeg(buffer);
+        if (info && (info.components === 1 || info.components === 3)) {
+          image = {
+            width: info.width,
+            height: info.height,
+            colorSpace: info.components === 3 ? '/DeviceRGB' : '/DeviceGray',
+            bitsPerComponent: 8,
+            filter: '/DCTDecode',
+            data: buffer
+          };
+        }
+      } else if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+        image = parsePng(buffer);
+      }
+    } catch (_) {
+      image = null;
+    }
+    if (!image || !image.width || !image.height) return null;
+    this.images.push(image);
+    return { id: this.images.length - 1, width: image.width, height: image.height };
+  }
+
+  /**
+   * 在当前页绘制已注册的图片
+   *
+   * @param {Object} image - addImage 的返回值
+   * @param {number} x - 左侧位置
+   * @param {number} y - 顶部位置
+   * @param {number} width - 绘制宽度
+   * @param {number} height - 绘制高度
+   */
+  image(image, x, y, width, height) {
+    this.current.ops.push(
+      `q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(this.height - y - height)} cm /Im${image.id} Do Q`
+    );
+  }
+
+  /**
+   * 生成 PDF 文件内容
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    if (!this.pages.length) this.addPage();
+
+    const objects = [];
+    const reserve = () => objects.push(null);
+    const set = (id, body, stream = null) => {
+      objects[id - 1] = { body, stream };
+    };
+
+    const catalogId = reserve();
+    const pagesId = reserve();
+    const infoId = reserve();
+    set(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+    set(infoId, `<< /Producer (LocalBackendServer) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z)${this.title ? ` /Title ${textString(this.title)}` : ''}${this.author ? ` /Author ${textString(this.author)}` : ''} >>`);
+
+    const fontRefs = [];
+    for (const font of Object.values(FONTS)) {
+      const id = reserve();
+      set(id, `<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`);
+      fontRefs.push(`/${font.name} ${id} 0 R`);
+    }
+    const descriptorId = reserve();
+    set(descriptorId, '<< /Type /FontDescriptor /FontName /STSong-Light /Flags 6 /FontBBox [-25 -254 1000 880] /ItalicAngle 0 /Ascent 880 /Descent -120 /CapHeight 880 /StemV 93 >>');
+    const cidFontId = reserve();
+    set(cidFontId, `<< /Type /Font /Subtype /CIDFontType0 /BaseFont /STSong-Light /CIDSystemInfo << /Registry (Adobe) /Ordering (GB1) /Supplement 2 >> /FontDescriptor ${descriptorId} 0 R /DW 1000 >>`);
+    const cjkFontId = reserve();
+    set(cjkFontId, `<< /Type /Font /Subtype /Type0 /BaseFont /STSong-Light /Encoding /UniGB-UCS2-H /DescendantFonts [${cidFontId} 0 R] >>`);
+    fontRefs.push(`/${CJK_FONT} ${cjkFontId} 0 R`);
+
+    const imageRefs = this.images.map((image, index) => {
+      let smask = '';
+      if (image.alpha) {
+        const maskId = reserve();
+        set(maskId, `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode /Length ${image.alpha.length} >>`, image.alpha);
+        smask = ` /SMask ${maskId} 0 R`;
+      }
+      const id = reserve();
+      set(id, `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace ${image.colorSpace} /BitsPerComponent ${image.bitsPerComponent} /Filter ${image.filter}${image.decodeParms ? ` /DecodeParms ${image.decodeParms}` : ''}${smask} /Length ${image.data.length} >>`, image.data);
+      return `/Im${index} ${id} 0 R`;
+    });
+    const resources = `<< /Font << ${fontRefs.join(' ')} >>${imageRefs.length ? ` /XObject << ${imageRefs.join(' ')} >>` : ''} >>`;
+
+    const pageIds = this.pages.map(page => {
+      const content = zlib.deflateSync(Buffer.from(page.ops.join('\n'), 'latin1'));
+      const contentId = reserve();
+      set(contentId, `<< /Filter /FlateDecode /Length ${content.length} >>`, content);
+      const annots = page.links.map(link =>
+        `<< /Type /Annot /Subtype /Link /Rect [${link.rect.map(num).join(' ')}] /Border [0 0 0] /A << /S /URI /URI ${encodeLatin(encodeURI(decodeURISafe(link.uri)))} >> >>`
+      );
+      const pageId = reserve();
+      set(pageId, `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(this.width)} ${num(this.height)}] /Resources ${resources} /Contents ${contentId} 0 R${annots.length ? ` /Annots [${annots.join(' ')}]` : ''} >>`);
+      return pageId;
+    });
+    set(pagesId, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+
+    // 拼装文件与交叉引用表
+    const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    let length = chunks[0].length;
+    const offsets = [];
+    objects.forEach((object, index) => {
+      offsets.push(length);
+      const head = Buffer.from(`${index + 1} 0 obj\n${object.body}\n`, 'latin1');
+      const parts = object.stream
+        ? [head, Buffer.from('stream\n', 'latin1'), object.stream, Buffer.from('\nendstream\nendobj\n', 'latin1')]
+        : [head, Buffer.from('endobj\n', 'latin1')];
+      for (const part of parts) {
+        chunks.push(part);
+        length += part.length;
+      }
+    });
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF\n'
+    ].join('\n');
+    chunks.push(Buffer.from(xref, 'latin1'));
+    return Buffer.concat(chunks);
+  }
+}
+
+/**
+ * 解码 URI（失败时原样返回），避免 encodeURI 重复编码已编码的地址
+ * @private
+ */
+function decodeURISafe(uri) {
+  try {
+    return decodeURI(uri);
+  } catch (_) {
+    return uri;
+  }
+}
+
+module.exports = {
+  PdfWriter,
+  A4
+};
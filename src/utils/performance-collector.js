@@ -27,6 +27,12 @@ class PerformanceCollector {
       minResponseTime: Infinity    // 最小响应时间（ms）
     };
 
+    // 限流指标
+    this.rateLimit = {
+      rejected: 0,                 // 被限流拒绝的请求总数
+      byPolicy: {}                 // 策略名 -> 拒绝次数
+    };
+
     // 内存指标
     this.memory = {
       heapUsed: 0,
@@ -90,6 +96,16 @@ class PerformanceCollector {
       : 0;
   }
 
+  /**
+   * 记录一次被限流拒绝的请求
+   *
+   * @param {string} policyName - 命中的限流策略名
+   */
+  recordRateLimited(policyName = 'default') {
+    this.rateLimit.rejected++;
+    this.rateLimit.byPolicy[policyName] = (this.rateLimit.byPolicy[policyName] || 0) + 1;
+  }
+
   /**
    * 收集内存指标
    * @private
@@ -144,6 +160,12 @@ class PerformanceCollector {
         minResponseTime: `${this.metrics.minResponseTime}ms`
       },
 
+      // 限流指标
+      rateLimit: {
+        rejected: this.rateLimit.rejected,
+        byPolicy: { ...this.rateLimit.byPolicy }
+      },
+
       // 内存指标
       memory: {
         heapUsed: `${this.memory.heapUsed}MB`,
@@ -201,6 +223,11 @@ class PerformanceCollector {
       minResponseTime: Infinity
     };
 
+    this.rateLimit = {
+      rejected: 0,
+      byPolicy: {}
+    };
+
     this.websocket = {
       connections: 0,
       maxConnections: 0,
@@ -4,10 +4,23 @@
  * 功能：
  * - 限制并发请求数（防止资源耗尽）
  * - 优先级队列（重要请求优先处理）
- * - 超时控制（防止请求挂起）
+ * - 超时控制（防止请求挂起）：执行超时的任务通过 AbortSignal 通知中止
  * - 背压管理（队列满时返回 503）
+ *
+ * 队列错误带 code：QUEUE_FULL（队列已满）、QUEUE_TIMEOUT（排队超时）、TASK_TIMEOUT（执行超时）、QUEUE_CLOSED（关闭），
+ * 任务自身抛出的错误原样传出。
  */
 
+/**
+ * 创建带 code 的队列错误
+ * @private
+ */
+function queueError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
 /**
  * 请求队列类
  */
@@ -39,7 +52,9 @@ class RequestQueue {
   /**
    * 将任务加入队列
    * 
-   * @param {Function} fn - 异步任务函数
+   * 并发槽位在 fn 返回的 Promise 结束时释放（执行超时后仍等待其结束，保证并发上限）。
+   *
+   * @param {Function} fn - 异步任务函数，(signal: AbortSignal) => Promise，超时后 signal 被中止
    * @param {number} priority - 优先级（高优先级先执行）
    * @returns {Promise} 任务结果
    */
@@ -47,9 +62,7 @@ class RequestQueue {
     // 1. 队列满时拒绝
     if (this.queue.length >= this.maxQueueSize) {
       this.stats.rejected++;
-      const err = new Error(`队列已满（${this.queue.length}/${this.maxQueueSize}），请稍后重试`);
-      err.code = 'QUEUE_FULL';
-      throw err;
+      throw queueError('QUEUE_FULL', `队列已满（${this.queue.length}/${this.maxQueueSize}），请稍后重试`);
     }
 
     // 2. 创建 Promise
@@ -90,10 +103,13 @@ class RequestQueue {
     // 2. 从队列中取出高优先级任务
     const task = this.queue.shift();
 
-    // 3. 设置超时
+    // 3. 设置超时：拒绝等待方并通知任务中止
+    const controller = new AbortController();
     task.timeoutHandle = setTimeout(() => {
       this.stats.timedOut++;
-      task.reject(new Error(`请求超时（${this.requestTimeoutMs}ms）`));
+      const err = queueError('TASK_TIMEOUT', `请求超时（${this.requestTimeoutMs}ms）`);
+      controller.abort(err);
+      task.reject(err);
     }, this.requestTimeoutMs);
 
     // 4. 执行任务
@@ -102,7 +118,7 @@ class RequestQueue {
     this.stats.totalWaitTime += waitTime;
 
     try {
-      const result = await task.fn();
+      const result = await task.fn(controller.signal);
       clearTimeout(task.timeoutHandle);
       this.stats.processed++;
       task.resolve(result);
@@ -133,7 +149,7 @@ class RequestQueue {
         this.queue.splice(idx, 1);
         clearTimeout(task.timeoutHandle);
         this.stats.timedOut++;
-        task.reject(new Error('任务超时被清理'));
+        task.reject(queueError('QUEUE_TIMEOUT', '任务超时被清理'));
       }
     }
   }
@@ -181,7 +197,7 @@ class RequestQueue {
     // 拒绝所有待处理的任务
     for (const task of this.queue) {
       clearTimeout(task.timeoutHandle);
-      task.reject(new Error('服务器正在关闭'));
+      task.reject(queueError('QUEUE_CLOSED', '服务器正在关闭'));
     }
 
     this.queue = [];
@@ -0,0 +1,217 @@
+/**
+ * 上传文件命名工具
+ *
+ * 命名模式（按目录映射的 upload.naming 配置，缺省取 features.upload.naming）：
+ * - overwrite：保留原文件名，同名覆盖（默认，兼容旧行为）
+ * - original：保留原文件名，冲突时追加 -1、-2 ... 后缀
+ * - hash：按内容 SHA-256 命名，默认模板 {hash}{ext}
+ * - date：按日期模板命名，默认模板 {yyyy}/{mm}/{hash8}{ext}
+ *
+ * 模板占位符：{yyyy} {mm} {dd} {hash} {hashN}（前 N 位） {name}（不含扩展名） {ext}（含点，小写）
+ * 启用去重（dedup，除 overwrite 外默认开启）时，相同内容直接返回已有文件。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { appRoot } = require('./path-resolver');
+
+const NAMING_MODES = ['overwrite', 'original', 'hash', 'date'];
+const DEFAULT_TEMPLATES = {
+  hash: '{hash}{ext}',
+  date: '{yyyy}/{mm}/{hash8}{ext}'
+};
+const MAX_SUFFIX = 10000;
+
+/**
+ * 查找目录所属的目录映射（路径最长匹配）
+ *
+ * @param {Object} config - 服务器配置
+ * @param {string} dir - 绝对路径
+ * @returns {Object|null} 目录映射配置
+ */
+function findDirectoryMapping(config, dir) {
+  let best = null;
+  let bestLength = -1;
+  for (const mapping of config.directories || []) {
+    const mappingPath = path.normalize(path.isAbsolute(mapping.path) ? mapping.path : path.join(appRoot, mapping.path));
+    if ((dir === mappingPath || dir.startsWith(mappingPath + path.sep)) && mappingPath.length > bestLength) {
+      best = mapping;
+      bestLength = mappingPath.length;
+    }
+  }
+  return best;
+}
+
+/**
+ * 读取上传目录的命名配置
+ *
+ * @param {Object} config - 服务器配置
+ * @param {string} rootDir - 上传根目录（绝对路径）
+ * @returns {{ mode: string, template: string|null, dedup: boolean }}
+ */
+function getNamingOptions(config, rootDir) {
+  const mapping = findDirectoryMapping(config, rootDir);
+  const mappingCfg = (mapping && mapping.upload) || {};
+  const globalCfg = config.upload || {};
+
+  const mode = mappingCfg.naming || globalCfg.naming || 'overwrite';
+  const template = mappingCfg.template || (mappingCfg.naming ? null : globalCfg.template) || DEFAULT_TEMPLATES[mode] || null;
+  const dedup = typeof mappingCfg.dedup === 'boolean'
+    ? mappingCfg.dedup
+    : (typeof globalCfg.dedup === 'boolean' ? globalCfg.dedup : mode !== 'overwrite');
+
+  return { mode, template, dedup };
+}
+
+/**
+ * 渲染命名模板
+ *
+ * @param {string} template - 模板
+ * @param {Object} values - { sha256, filename, date }
+ * @returns {string} 相对路径（/ 分隔）
+ */
+function renderTemplate(template, values) {
+  const date = values.date || new Date();
+  const ext = path.extname(values.filename).toLowerCase();
+  const name = path.basename(values.filename, path.extname(values.filename));
+  const pad = (n) => String(n).padStart(2, '0');
+
+  return template.replace(/\{(yyyy|mm|dd|hash(\d*)|name|ext)\}/g, (match, token, hashLength) => {
+    if (token === 'yyyy') return String(date.getFullYear());
+    if (token === 'mm') return pad(date.getMonth() + 1);
+    if (token === 'dd') return pad(date.getDate());
+    if (token === 'name') return name;
+    if (token === 'ext') return ext;
+    return hashLength ? values.sha256.slice(0, parseInt(hashLength, 10)) : values.sha256;
+  });
+}
+
+/**
+ * 计算文件 SHA-256
+ *
+ * @param {string} filePath - 文件路径
+ * @returns {Promise<string>} hex 摘要
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * 判断已有文件内容是否与上传内容一致
+ * @private
+ */
+async function isSameContent(filePath, sha256, size) {
+  try {
+    const stat = await fs.promises.stat(filePath);
+    return stat.isFile() && stat.size === size && await hashFile(filePath) === sha256;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * 不覆盖地将临时文件放到目标位置（目标已存在时抛出 EEXIST）
+ * @private
+ */
+async function moveExclusive(tempPath, filePath) {
+  try {
+    await fs.promises.link(tempPath, filePath);
+  } catch (err) {
+    if (err.code === 'EEXIST') throw err;
+    // 跨设备或文件系统不支持硬链接时退回排他复制
+    await fs.promises.copyFile(tempPath, filePath, fs.constants.COPYFILE_EXCL);
+  }
+  await fs.promises.unlink(tempPath);
+}
+
+/**
+ * 覆盖方式移动临时文件
+ * @private
+ */
+async function moveOverwrite(tempPath, filePath) {
+  try {
+    await fs.promises.rename(tempPath, filePath);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    await fs.promises.copyFile(tempPath, filePath);
+    await fs.promises.unlink(tempPath);
+  }
+}
+
+/**
+ * 按命名配置将上传的临时文件落盘
+ *
+ * @param {string} tempPath - 临时文件路径
+ * @param {Object} file - { filename: 安全文件名, size, sha256 }
+ * @param {Object} context - { rootDir, targetDir, naming, index }
+ * @returns {Promise<{ filePath: string, deduplicated: boolean }>}
+ * @throws {Error} 模板生成的路径越界时抛出（statusCode=400）
+ */
+async function placeUpload(tempPath, file, context) {
+  const { rootDir, targetDir, naming, index } = context;
+
+  // 1. 内容索引去重（范围为同一上传根目录）
+  if (naming.dedup && index) {
+    const existing = await index.find(file.sha256, file.size, rootDir);
+    if (existing) {
+      await fs.promises.unlink(tempPath).catch(() => {});
+      return { filePath: existing, deduplicated: true };
+    }
+  }
+
+  // 2. 计算目标文件名
+  const relativeName = naming.mode === 'hash' || naming.mode === 'date'
+    ? renderTemplate(naming.template, { sha256: file.sha256, filename: file.filename })
+    : file.filename;
+  const firstPath = path.normalize(path.join(targetDir, relativeName.replace(/^[/\\]+/, '')));
+  if (!firstPath.startsWith(targetDir + path.sep)) {
+    const err = new Error('命名模板生成的路径无效');
+    err.statusCode = 400;
+    throw err;
+  }
+  await fs.promises.mkdir(path.dirname(firstPath), { recursive: true });
+
+  if (naming.mode === 'overwrite') {
+    await moveOverwrite(tempPath, firstPath);
+    if (index) index.add(file.sha256, firstPath, file.size);
+    return { filePath: firstPath, deduplicated: false };
+  }
+
+  // 3. 不覆盖已有文件：内容相同则复用，否则追加后缀
+  const ext = path.extname(firstPath);
+  const stem = firstPath.slice(0, firstPath.length - ext.length);
+  for (let n = 0; n < MAX_SUFFIX; n++) {
+    const candidate = n === 0 ? firstPath : `${stem}-${n}${ext}`;
+    try {
+      await moveExclusive(tempPath, candidate);
+      if (index) index.add(file.sha256, candidate, file.size);
+      return { filePath: candidate, deduplicated: false };
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      if (naming.dedup && await isSameContent(candidate, file.sha256, file.size)) {
+        await fs.promises.unlink(tempPath).catch(() => {});
+        if (index) index.add(file.sha256, candidate, file.size);
+        return { filePath: candidate, deduplicated: true };
+      }
+    }
+  }
+
+  throw new Error('同名文件过多，无法生成文件名');
+}
+
+module.exports = {
+  NAMING_MODES,
+  DEFAULT_TEMPLATES,
+  findDirectoryMapping,
+  getNamingOptions,
+  renderTemplate,
+  hashFile,
+  placeUpload
+};
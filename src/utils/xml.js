@@ -0,0 +1,183 @@
+/**
+ * 轻量 XML 工具模块
+ *
+ * 只覆盖 WebDAV 请求体所需的子集：元素、属性、文本、CDATA、注释、处理指令与命名空间。
+ * 不支持 DOCTYPE（直接拒绝，避免实体扩展攻击），也不解析自定义实体。
+ */
+
+const { escapeHtml } = require('./html-escape');
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+const MAX_DEPTH = 64;
+
+/**
+ * 解码字符与预定义实体
+ * @private
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * 创建解析错误
+ * @private
+ */
+function xmlError(message) {
+  const err = new Error(`XML 解析失败: ${message}`);
+  err.statusCode = 400;
+  return err;
+}
+
+/**
+ * 解析 XML 文档
+ *
+ * @param {string} text - XML 文本
+ * @returns {{ name: string, ns: string, attrs: Object, children: Object[], text: string }} 根元素
+ *   name 为本地名，ns 为命名空间 URI；children 只含元素，text 为直接文本内容拼接
+ * @throws {Error} 格式错误（statusCode=400）
+ */
+function parseXml(text) {
+  let pos = 0;
+  let root = null;
+  const stack = [];
+
+  const resolveName = (qname, scopes, isAttr) => {
+    const colon = qname.indexOf(':');
+    const prefix = colon === -1 ? '' : qname.slice(0, colon);
+    const local = colon === -1 ? qname : qname.slice(colon + 1);
+    if (isAttr && !prefix) return { name: local, ns: '' };
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      if (Object.prototype.hasOwnProperty.call(scopes[i], prefix)) {
+        return { name: local, ns: scopes[i][prefix] };
+      }
+    }
+    if (prefix === 'xml') return { name: local, ns: 'http://www.w3.org/XML/1998/namespace' };
+    if (prefix) throw xmlError(`未声明的命名空间前缀 ${prefix}`);
+    return { name: local, ns: '' };
+  };
+
+  while (pos < text.length) {
+    const lt = text.indexOf('<', pos);
+    const chunk = text.slice(pos, lt === -1 ? text.length : lt);
+    if (chunk) {
+      if (stack.length) stack[stack.length - 1].node.text += decodeEntities(chunk);
+      else if (chunk.trim()) throw xmlError('根元素外存在文本');
+    }
+    if (lt === -1) break;
+    pos = lt;
+
+    if (text.startsWith('<?', pos)) {
+      const end = text.indexOf('?>', pos);
+      if (end === -1) throw xmlError('处理指令未结束');
+      pos = end + 2;
+    } else if (text.startsWith('<!--', pos)) {
+      const end = text.indexOf('-->', pos);
+      if (end === -1) throw xmlError('注释未结束');
+      pos = end + 3;
+    } else if (text.startsWith('<![CDATA[', pos)) {
+      const end = text.indexOf(']]>', pos);
+      if (end === -1 || !stack.length) throw xmlError('CDATA 无效');
+      stack[stack.length - 1].node.text += text.slice(pos + 9, end);
+      pos = end + 3;
+    } else if (text.startsWith('<!', pos)) {
+      throw xmlError('不支持 DOCTYPE');
+    } else if (text.startsWith('</', pos)) {
+      const end = text.indexOf('>', pos);
+      if (end === -1) throw xmlError('结束标签未结束');
+      const qname = text.slice(pos + 2, end).trim();
+      const open = stack.pop();
+      if (!open || open.qname !== qname) throw xmlError(`标签不匹配: ${qname}`);
+      pos = end + 1;
+    } else {
+      const match = /^<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(text.slice(pos, pos + 65536));
+      if (!match) throw xmlError('开始标签无效');
+      if (!stack.length && root) throw xmlError('存在多个根元素');
+      if (stack.length >= MAX_DEPTH) throw xmlError('嵌套过深');
+
+      const rawAttrs = {};
+      const attrPattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attr;
+      while ((attr = attrPattern.exec(match[2]))) {
+        rawAttrs[attr[1]] = decodeEntities(attr[2] !== undefined ? attr[2] : attr[3]);
+      }
+
+      // 当前元素声明的命名空间
+      const scope = {};
+      for (const [key, value] of Object.entries(rawAttrs)) {
+        if (key === 'xmlns') scope[''] = value;
+        else if (key.startsWith('xmlns:')) scope[key.slice(6)] = value;
+      }
+      const scopes = [...stack.map(s => s.scope), scope];
+
+      const { name, ns } = resolveName(match[1], scopes, false);
+      const attrs = {};
+      for (const [key, value] of Object.entries(rawAttrs)) {
+        if (key === 'xmlns' || key.startsWith('xmlns:')) continue;
+        attrs[resolveName(key, scopes, true).name] = value;
+      }
+
+      const node = { name, ns, attrs, children: [], text: '' };
+      if (stack.length) stack[stack.length - 1].node.children.push(node);
+      else root = node;
+
+      if (!match[3]) stack.push({ qname: match[1], node, scope });
+      pos += match[0].length;
+    }
+  }
+
+  if (stack.length) throw xmlError(`标签未闭合: ${stack[stack.length - 1].qname}`);
+  if (!root) throw xmlError('缺少根元素');
+  return root;
+}
+
+/**
+ * 查找第一个匹配的子元素
+ *
+ * @param {Object} node - 元素
+ * @param {string} name - 本地名
+ * @param {string} ns - 命名空间 URI
+ * @returns {Object|null}
+ */
+function findChild(node, name, ns) {
+  return (node && node.children.find(c => c.name === name && c.ns === ns)) || null;
+}
+
+/**
+ * 序列化元素（每个元素显式声明命名空间，便于原样嵌入其他文档）
+ *
+ * @param {Object} node - parseXml 返回的元素
+ * @returns {string}
+ */
+function serializeXml(node) {
+  const nsAttr = node.ns ? ` xmlns="${escapeXml(node.ns)}"` : ' xmlns=""';
+  const attrs = Object.entries(node.attrs).map(([k, v]) => ` ${k}="${escapeXml(v)}"`).join('');
+  const inner = escapeXml(node.text.trim()) + node.children.map(serializeXml).join('');
+  return inner
+    ? `<${node.name}${nsAttr}${attrs}>${inner}</${node.name}>`
+    : `<${node.name}${nsAttr}${attrs}/>`;
+}
+
+/**
+ * 转义 XML 文本与属性值
+ *
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return escapeHtml(String(text));
+}
+
+module.exports = {
+  parseXml,
+  findChild,
+  serializeXml,
+  escapeXml
+};
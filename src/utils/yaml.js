@@ -0,0 +1,453 @@
+/**
+ * 轻量 YAML 工具模块
+ *
+ * 只覆盖 Markdown front matter 常用的子集：
+ * - 块映射与块序列（按缩进嵌套，序列项可以是映射）
+ * - 单引号、双引号（支持转义）与普通标量；true/false、null/~、整数与小数自动转换
+ * - 行内序列 [a, b] 与行内映射 { a: 1 }（可嵌套、可跨行）
+ * - 字面块 | 与折叠块 >（支持 - / + 行尾处理）
+ * - # 注释
+ * 不支持锚点、别名、类型标签与多文档；日期保留为字符串。
+ */
+
+const MAX_DEPTH = 64;
+const KEY_PATTERN = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"[\]{},:-][^#]*?|-[^\s#][^#]*?)[ \t]*:(?=[ \t]|$)/;
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '0': '\0', '"': '"', '\\': '\\', '/': '/', ' ': ' ', b: '\b', f: '\f' };
+
+/**
+ * 创建解析错误
+ * @private
+ */
+function yamlError(message, lineIndex) {
+  return new Error(lineIndex === undefined ? `YAML 解析失败: ${message}` : `YAML 第 ${lineIndex + 1} 行: ${message}`);
+}
+
+/**
+ * 行首空格数
+ * @private
+ */
+function indentOf(line) {
+  return line.length - line.replace(/^ */, '').length;
+}
+
+/**
+ * 是否为空行或注释行
+ * @private
+ */
+function isBlank(line) {
+  return /^\s*(#.*)?$/.test(line);
+}
+
+/**
+ * 是否为序列项（- 开头）
+ * @private
+ */
+function isSequenceItem(content) {
+  return content === '-' || content.startsWith('- ');
+}
+
+/**
+ * 去掉行尾注释（引号内的 # 与紧跟非空白字符的 # 不算注释）
+ * @private
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+/**
+ * 写入映射键（直接定义属性，避免 __proto__ 等键修改对象原型）
+ * @private
+ */
+function setKey(map, key, value) {
+  Object.defineProperty(map, String(key), { value, enumerable: true, writable: true, configurable: true });
+}
+
+/**
+ * 转换普通标量
+ * @private
+ */
+function convertScalar(text) {
+  const value = text.trim();
+  if (value === '' || value === '~' || /^null$/i.test(value)) return null;
+  if (/^true$/i.test(value)) return true;
+  if (/^false$/i.test(value)) return false;
+  if (/^[-+]?\d+$/.test(value)) {
+    const number = Number(value);
+    return Number.isSafeInteger(number) ? number : value;
+  }
+  if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * 读取引号字符串
+ * @private
+ * @returns {{ value: string, end: number }} end 为结束引号之后的位置
+ */
+function readQuoted(text, start) {
+  const quote = text[start];
+  let value = '';
+  for (let i = start + 1; i < text.length; i++) {
+    const char = text[i];
+    if (quote === "'") {
+      if (char === "'") {
+        if (text[i + 1] === "'") {
+          value += "'";
+          i++;
+          continue;
+        }
+        return { value, end: i + 1 };
+      }
+      value += char;
+      continue;
+    }
+    if (char === '"') return { value, end: i + 1 };
+    if (char !== '\\') {
+      value += char;
+      continue;
+    }
+    const next = text[++i];
+    if (next === 'u' || next === 'x' || next === 'U') {
+      const length = next === 'x' ? 2 : (next === 'u' ? 4 : 8);
+      const hex = text.slice(i + 1, i + 1 + length);
+      if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== length) throw yamlError(`无效的转义 \\${next}${hex}`);
+      value += String.fromCodePoint(parseInt(hex, 16));
+      i += length;
+    } else if (ESCAPES[next] !== undefined) {
+      value += ESCAPES[next];
+    } else {
+      throw yamlError(`无效的转义 \\${next || ''}`);
+    }
+  }
+  throw yamlError('引号未闭合');
+}
+
+/**
+ * 解析行内集合（[...] / {...}）或引号字符串，要求整段文本恰好是一个值
+ * @private
+ */
+function parseFlow(text) {
+  let pos = 0;
+
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  const readPlain = (stops) => {
+    const start = pos;
+    while (pos < text.length && !stops.includes(text[pos])) pos++;
+    return text.slice(start, pos);
+  };
+
+  const readValue = (depth) => {
+    if (depth > MAX_DEPTH) throw yamlError('嵌套层级过深');
+    skipSpace();
+    const char = text[pos];
+    if (char === '"' || char === "'") {
+      const { value, end } = readQuoted(text, pos);
+      pos = end;
+      return value;
+    }
+    if (char === '[') {
+      pos++;
+      const list = [];
+      for (;;) {
+        skipSpace();
+        if (text[pos] === ']') {
+          pos++;
+          return list;
+        }
+        list.push(readValue(depth + 1));
+        skipSpace();
+        if (text[pos] === ',') {
+          pos++;
+        } else if (text[pos] !== ']') {
+          throw yamlError(pos >= text.length ? '行内序列未闭合' : `行内序列中出现意外的字符 ${text[pos]}`);
+        }
+      }
+    }
+    if (char === '{') {
+      pos++;
+      const map = {};
+      for (;;) {
+        skipSpace();
+        if (text[pos] === '}') {
+          pos++;
+          return map;
+        }
+        let key;
+        if (text[pos] === '"' || text[pos] === "'") {
+          const quoted = readQuoted(text, pos);
+          key = quoted.value;
+          pos = quoted.end;
+        } else {
+          key = readPlain([':', ',', '}']).trim();
+        }
+        skipSpace();
+        let value = null;
+        if (text[pos] === ':') {
+          pos++;
+          value = readValue(depth + 1);
+          skipSpace();
+        }
+        setKey(map, key, value);
+        if (text[pos] === ',') {
+          pos++;
+        } else if (text[pos] !== '}') {
+          throw yamlError(pos >= text.length ? '行内映射未闭合' : `行内映射中出现意外的字符 ${text[pos]}`);
+        }
+      }
+    }
+    return convertScalar(readPlain([',', ']', '}']));
+  };
+
+  const value = readValue(0);
+  skipSpace();
+  if (pos < text.length) throw yamlError(`值之后出现多余内容 ${text.slice(pos)}`);
+  return value;
+}
+
+/**
+ * 判断行内集合的括号是否已闭合（忽略引号内的括号）
+ * @private
+ */
+function isFlowClosed(text) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    }
+  }
+  return depth <= 0 && !quote;
+}
+
+/**
+ * YAML 子集解析器
+ * @private
+ */
+class Parser {
+  constructor(text) {
+    this.lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+    this.pos = 0;
+  }
+
+  skipBlank() {
+    while (this.pos < this.lines.length && isBlank(this.lines[this.pos])) this.pos++;
+  }
+
+  done() {
+    return this.pos >= this.lines.length;
+  }
+
+  error(message) {
+    return yamlError(message, Math.min(this.pos, this.lines.length - 1));
+  }
+
+  parseDocument() {
+    this.lines.forEach((line, index) => {
+      if (/^ *\t/.test(line) && !isBlank(line)) throw yamlError('不能使用 Tab 缩进', index);
+    });
+    this.skipBlank();
+    if (this.done()) return null;
+    const value = this.parseNode(indentOf(this.lines[this.pos]), 0);
+    this.skipBlank();
+    if (!this.done()) throw this.error('缩进不一致');
+    return value;
+  }
+
+  /**
+   * 解析从当前行开始、缩进为 indent 的节点
+   */
+  parseNode(indent, depth) {
+    if (depth > MAX_DEPTH) throw this.error('嵌套层级过深');
+    const content = this.lines[this.pos].slice(indent);
+    if (isSequenceItem(content)) return this.parseSequence(indent, depth);
+    if (KEY_PATTERN.test(content)) return this.parseMapping(indent, depth);
+    this.pos++;
+    return this.parseInline(stripComment(content).trim());
+  }
+
+  parseMapping(indent, depth) {
+    const map = {};
+    for (;;) {
+      this.skipBlank();
+      if (this.done()) break;
+      const line = this.lines[this.pos];
+      const lineIndent = indentOf(line);
+      if (lineIndent < indent) break;
+      if (lineIndent > indent) throw this.error('缩进错误');
+      const content = line.slice(indent);
+      if (isSequenceItem(content)) break;
+
+      const match = content.match(KEY_PATTERN);
+      if (!match) throw this.error(`应为 key: value，实际为 ${content.trim()}`);
+      const rawKey = match[1];
+      const key = rawKey[0] === '"' || rawKey[0] === "'" ? readQuoted(rawKey, 0).value : rawKey;
+      this.pos++;
+      setKey(map, key, this.parseValue(content.slice(match[0].length), indent, depth));
+    }
+    return map;
+  }
+
+  parseSequence(indent, depth) {
+    const list = [];
+    for (;;) {
+      this.skipBlank();
+      if (this.done()) break;
+      const line = this.lines[this.pos];
+      const lineIndent = indentOf(line);
+      if (lineIndent < indent) break;
+      if (lineIndent > indent) throw this.error('缩进错误');
+      const content = line.slice(indent);
+      if (!isSequenceItem(content)) break;
+
+      const rest = content.slice(1);
+      const item = rest.trimStart();
+      const itemIndent = indent + 1 + (rest.length - item.length);
+      if (item && !item.startsWith('#') && (isSequenceItem(item) || KEY_PATTERN.test(item))) {
+        // "- key: value" 与 "- - item"：把本行视为从项内容所在列开始的嵌套节点
+        this.lines[this.pos] = ' '.repeat(itemIndent) + item;
+        list.push(this.parseNode(itemIndent, depth + 1));
+      } else {
+        this.pos++;
+        list.push(this.parseValue(item, indent, depth));
+      }
+    }
+    return list;
+  }
+
+  /**
+   * 解析 key: 或 - 之后的值（同行为空时读取下方缩进更深的块）
+   */
+  parseValue(rest, parentIndent, depth) {
+    const value = stripComment(rest).trim();
+    if (value === '') {
+      this.skipBlank();
+      if (this.done()) return null;
+      const next = this.lines[this.pos];
+      const nextIndent = indentOf(next);
+      if (nextIndent > parentIndent) return this.parseNode(nextIndent, depth + 1);
+      // 映射下的序列允许与键同级缩进（tags:\n- a）
+      if (nextIndent === parentIndent && isSequenceItem(next.slice(nextIndent))) {
+        return this.parseSequence(nextIndent, depth + 1);
+      }
+      return null;
+    }
+    if (/^[|>][-+]?\d?$/.test(value)) return this.parseBlockScalar(value, parentIndent);
+    return this.parseInline(value);
+  }
+
+  /**
+   * 解析同一行上的值（行内集合可延续到后续行）
+   */
+  parseInline(value) {
+    if (value[0] === '[' || value[0] === '{') {
+      let text = value;
+      while (!isFlowClosed(text) && !this.done()) {
+        text += ' ' + stripComment(this.lines[this.pos].trim());
+        this.pos++;
+      }
+      return parseFlow(text);
+    }
+    if (value[0] === '"' || value[0] === "'") {
+      return parseFlow(value);
+    }
+    return convertScalar(value);
+  }
+
+  /**
+   * 解析字面块（|）与折叠块（>）
+   */
+  parseBlockScalar(header, parentIndent) {
+    const folded = header[0] === '>';
+    const chomp = header.includes('-') ? 'strip' : (header.includes('+') ? 'keep' : 'clip');
+    const collected = [];
+    let blockIndent = null;
+
+    while (!this.done()) {
+      const line = this.lines[this.pos];
+      if (line.trim() === '') {
+        collected.push('');
+        this.pos++;
+        continue;
+      }
+      const lineIndent = indentOf(line);
+      if (lineIndent <= parentIndent || (blockIndent !== null && lineIndent < blockIndent)) break;
+      if (blockIndent === null) blockIndent = lineIndent;
+      collected.push(line.slice(blockIndent));
+      this.pos++;
+    }
+
+    // 块之后的空行不属于本块
+    let trailing = 0;
+    while (collected.length && collected[collected.length - 1] === '') {
+      collected.pop();
+      trailing++;
+    }
+
+    let text;
+    if (folded) {
+      text = '';
+      collected.forEach((line, index) => {
+        const previous = collected[index - 1];
+        if (index === 0) {
+          text = line;
+        } else if (line === '') {
+          text += '\n';
+        } else if (previous === '') {
+          text += line;
+        } else if (/^\s/.test(line) || /^\s/.test(previous)) {
+          text += '\n' + line;
+        } else {
+          text += ' ' + line;
+        }
+      });
+    } else {
+      text = collected.join('\n');
+    }
+
+    if (!collected.length) return '';
+    if (chomp === 'strip') return text;
+    if (chomp === 'keep') return text + '\n'.repeat(trailing + 1);
+    return text + '\n';
+  }
+}
+
+/**
+ * 解析 YAML 文本
+ *
+ * @param {string} text - YAML 文本
+ * @returns {*} 解析结果（空文档为 null）
+ * @throws {Error} 格式错误或使用了不支持的语法（消息含行号）
+ */
+function parseYaml(text) {
+  return new Parser(text).parseDocument();
+}
+
+module.exports = {
+  parseYaml
+};
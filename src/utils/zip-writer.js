@@ -0,0 +1,315 @@
+/**
+ * 流式 ZIP 写入器
+ *
+ * 边读边写，不落临时文件，也不需要预先知道压缩后大小：
+ * - 条目使用数据描述符（通用标志位 3），CRC 与大小写在数据之后
+ * - 文件名按 UTF-8 编码（标志位 11），附带 UT 扩展字段保存精确修改时间
+ * - 条目或归档超过 4GB / 65535 个条目时自动使用 ZIP64
+ * - 写入遵循输出流背压，客户端断开时中止
+ */
+
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { crc32 } = require('./crc32');
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+const MAX_UINT32 = 0xffffffff;
+const MAX_UINT16 = 0xffff;
+// 预计接近 4GB 的条目直接按 ZIP64 写（deflate 对不可压缩数据会略有膨胀）
+const ZIP64_ENTRY_THRESHOLD = 0xffff0000;
+const VERSION_DEFAULT = 20;
+const VERSION_ZIP64 = 45;
+// 高字节 3 = Unix，外部属性高 16 位为文件模式
+const VERSION_MADE_BY = (3 << 8) | VERSION_ZIP64;
+
+/**
+ * Date 转 DOS 时间 / 日期（本地时间，年份限定 1980-2107）
+ * @private
+ */
+function toDosDateTime(date) {
+  const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * UT 扩展字段（0x5455），仅含修改时间
+ * @private
+ */
+function extendedTimestamp(mtime) {
+  const buf = Buffer.alloc(9);
+  buf.writeUInt16LE(0x5455, 0);
+  buf.writeUInt16LE(5, 2);
+  buf.writeUInt8(1, 4);
+  buf.writeUInt32LE(Math.max(0, Math.min(MAX_UINT32, Math.floor(mtime.getTime() / 1000))), 5);
+  return buf;
+}
+
+/**
+ * ZIP64 扩展字段（0x0001），按规范顺序写入给定的 64 位值
+ * @private
+ */
+function zip64Extra(values) {
+  const buf = Buffer.alloc(4 + values.length * 8);
+  buf.writeUInt16LE(0x0001, 0);
+  buf.writeUInt16LE(values.length * 8, 2);
+  values.forEach((value, i) => buf.writeBigUInt64LE(BigInt(value), 4 + i * 8));
+  return buf;
+}
+
+/**
+ * 流式 ZIP 写入器类
+ */
+class ZipWriter {
+  /**
+   * @param {stream.Writable} output - 输出流（如 http.ServerResponse）
+   * @param {Object} options - { level: deflate 压缩级别 1-9（默认 6） }
+   */
+  constructor(output, options = {}) {
+    this.output = output;
+    this.level = options.level || 6;
+    this.offset = 0;
+    this.entries = [];
+    this.finished = false;
+  }
+
+  /**
+   * 写入输出流，缓冲区满时等待 drain
+   * @private
+   */
+  _write(buf) {
+    const output = this.output;
+    if (output.destroyed || output.writableEnded) {
+      return Promise.reject(new Error('输出流已关闭'));
+    }
+    this.offset += buf.length;
+    if (output.write(buf)) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        output.removeListener('drain', onDrain);
+        output.removeListener('close', onClose);
+      };
+      const onDrain = () => { cleanup(); resolve(); };
+      const onClose = () => { cleanup(); reject(new Error('输出流已关闭')); };
+      output.once('drain', onDrain);
+      output.once('close', onClose);
+    });
+  }
+
+  /**
+   * 写入本地文件头
+   * @private
+   */
+  async _writeLocalHeader(entry) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const extra = Buffer.concat([
+      extendedTimestamp(entry.mtime),
+      ...(entry.zip64 ? [zip64Extra([0, 0])] : [])
+    ]);
+    const { time, date } = toDosDateTime(entry.mtime);
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(entry.zip64 ? VERSION_ZIP64 : VERSION_DEFAULT, 4);
+    header.writeUInt16LE(entry.flags, 6);
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    // CRC 与大小：数据描述符模式下为 0，ZIP64 条目的大小字段固定为 0xFFFFFFFF
+    header.writeUInt32LE(0, 14);
+    header.writeUInt32LE(entry.zip64 ? MAX_UINT32 : 0, 18);
+    header.writeUInt32LE(entry.zip64 ? MAX_UINT32 : 0, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(extra.length, 28);
+    await this._write(Buffer.concat([header, name, extra]));
+  }
+
+  /**
+   * 添加目录条目
+   *
+   * @param {string} name - 条目路径（以 / 分隔，末尾自动补 /）
+   * @param {Date} mtime - 修改时间
+   */
+  async addDirectory(name, mtime = new Date()) {
+    const entry = {
+      name: name.endsWith('/') ? name : name + '/',
+      mtime,
+      mode: 0o40755,
+      isDirectory: true,
+      method: METHOD_STORE,
+      flags: FLAG_UTF8,
+      zip64: false,
+      crc: 0,
+      size: 0,
+      compressedSize: 0,
+      offset: this.offset
+    };
+    await this._writeLocalHeader(entry);
+    this.entries.push(entry);
+  }
+
+  /**
+   * 添加文件条目，读取 source 直至结束
+   *
+   * @param {string} name - 条目路径（以 / 分隔）
+   * @param {stream.Readable} source - 文件内容
+   * @param {Object} options - { mtime, size: 预计大小（决定是否使用 ZIP64）, compress: 是否 deflate, mode: 文件权限 }
+   * @returns {Promise<Object>} { size, compressedSize }
+   */
+  async addFile(name, source, options = {}) {
+    const entry = {
+      name,
+      mtime: options.mtime || new Date(),
+      mode: 0o100000 | ((options.mode || 0o644) & 0o777),
+      isDirectory: false,
+      method: options.compress === false ? METHOD_STORE : METHOD_DEFLATE,
+      flags: FLAG_UTF8 | FLAG_DATA_DESCRIPTOR,
+      zip64: (options.size || 0) >= ZIP64_ENTRY_THRESHOLD,
+      crc: 0,
+      size: 0,
+      compressedSize: 0,
+      offset: this.offset
+    };
+    await this._writeLocalHeader(entry);
+
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        entry.crc = crc32(chunk, entry.crc);
+        entry.size += chunk.length;
+        callback(null, chunk);
+      }
+    });
+    const stages = [source, counter];
+    if (entry.method === METHOD_DEFLATE) stages.push(zlib.createDeflateRaw({ level: this.level }));
+
+    await pipeline(...stages, async (chunks) => {
+      for await (const chunk of chunks) {
+        entry.compressedSize += chunk.length;
+        await this._write(chunk);
+      }
+    });
+
+    if (!entry.zip64 && (entry.size > MAX_UINT32 || entry.compressedSize > MAX_UINT32)) {
+      throw new Error(`文件在打包过程中超过 4GB: ${name}`);
+    }
+
+    const descriptor = Buffer.alloc(entry.zip64 ? 24 : 16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    if (entry.zip64) {
+      descriptor.writeBigUInt64LE(BigInt(entry.compressedSize), 8);
+      descriptor.writeBigUInt64LE(BigInt(entry.size), 16);
+    } else {
+      descriptor.writeUInt32LE(entry.compressedSize, 8);
+      descriptor.writeUInt32LE(entry.size, 12);
+    }
+    await this._write(descriptor);
+    this.entries.push(entry);
+    return { size: entry.size, compressedSize: entry.compressedSize };
+  }
+
+  /**
+   * 生成中央目录记录
+   * @private
+   */
+  _centralHeader(entry) {
+    const name = Buffer.from(entry.name, 'utf8');
+    // ZIP64 扩展字段只包含被置为 0xFFFFFFFF 的字段
+    const sizes64 = entry.zip64 || entry.size > MAX_UINT32 || entry.compressedSize > MAX_UINT32;
+    const offset64 = entry.offset >= MAX_UINT32;
+    const zip64Values = [
+      ...(sizes64 ? [entry.size, entry.compressedSize] : []),
+      ...(offset64 ? [entry.offset] : [])
+    ];
+    const extra = Buffer.concat([
+      extendedTimestamp(entry.mtime),
+      ...(zip64Values.length ? [zip64Extra(zip64Values)] : [])
+    ]);
+
+    const { time, date } = toDosDateTime(entry.mtime);
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(VERSION_MADE_BY, 4);
+    header.writeUInt16LE(zip64Values.length ? VERSION_ZIP64 : VERSION_DEFAULT, 6);
+    header.writeUInt16LE(entry.flags, 8);
+    header.writeUInt16LE(entry.method, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(entry.crc, 16);
+    header.writeUInt32LE(sizes64 ? MAX_UINT32 : entry.compressedSize, 20);
+    header.writeUInt32LE(sizes64 ? MAX_UINT32 : entry.size, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt16LE(extra.length, 30);
+    header.writeUInt16LE(0, 32); // 注释长度
+    header.writeUInt16LE(0, 34); // 起始磁盘
+    header.writeUInt16LE(0, 36); // 内部属性
+    header.writeUInt32LE(((entry.mode << 16) | (entry.isDirectory ? 0x10 : 0)) >>> 0, 38);
+    header.writeUInt32LE(offset64 ? MAX_UINT32 : entry.offset, 42);
+    return Buffer.concat([header, name, extra]);
+  }
+
+  /**
+   * 写入中央目录与结尾记录并结束输出流
+   *
+   * @returns {Promise<number>} 归档总字节数
+   */
+  async finish() {
+    if (this.finished) return this.offset;
+    this.finished = true;
+
+    const centralOffset = this.offset;
+    for (const entry of this.entries) {
+      await this._write(this._centralHeader(entry));
+    }
+    const centralSize = this.offset - centralOffset;
+    const count = this.entries.length;
+
+    if (count >= MAX_UINT16 || centralOffset >= MAX_UINT32 || centralSize >= MAX_UINT32) {
+      const zip64EndOffset = this.offset;
+      const record = Buffer.alloc(56);
+      record.writeUInt32LE(0x06064b50, 0);
+      record.writeBigUInt64LE(44n, 4);
+      record.writeUInt16LE(VERSION_MADE_BY, 12);
+      record.writeUInt16LE(VERSION_ZIP64, 14);
+      record.writeUInt32LE(0, 16);
+      record.writeUInt32LE(0, 20);
+      record.writeBigUInt64LE(BigInt(count), 24);
+      record.writeBigUInt64LE(BigInt(count), 32);
+      record.writeBigUInt64LE(BigInt(centralSize), 40);
+      record.writeBigUInt64LE(BigInt(centralOffset), 48);
+
+      const locator = Buffer.alloc(20);
+      locator.writeUInt32LE(0x07064b50, 0);
+      locator.writeUInt32LE(0, 4);
+      locator.writeBigUInt64LE(BigInt(zip64EndOffset), 8);
+      locator.writeUInt32LE(1, 16);
+      await this._write(Buffer.concat([record, locator]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(0, 4);
+    end.writeUInt16LE(0, 6);
+    end.writeUInt16LE(Math.min(count, MAX_UINT16), 8);
+    end.writeUInt16LE(Math.min(count, MAX_UINT16), 10);
+    end.writeUInt32LE(Math.min(centralSize, MAX_UINT32), 12);
+    end.writeUInt32LE(Math.min(centralOffset, MAX_UINT32), 16);
+    end.writeUInt16LE(0, 20);
+    await this._write(end);
+
+    await new Promise(resolve => this.output.end(resolve));
+    return this.offset;
+  }
+}
+
+module.exports = {
+  ZipWriter,
+  METHOD_STORE,
+  METHOD_DEFLATE
+};
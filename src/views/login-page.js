@@ -0,0 +1,128 @@
+/**
+ * 登录页面视图生成器
+ *
+ * 生成内置 UI 的本地用户登录页
+ */
+
+const { escapeHtml } = require('../utils/html-escape');
+
+/**
+ * 生成登录页面 HTML
+ *
+ * @param {Object} config - 服务器配置
+ * @param {Object} options - { next: 登录后跳转地址, error: 错误提示, username: 回填用户名 }
+ * @returns {string} 登录页面 HTML
+ */
+function generateLoginPage(config, options = {}) {
+  const projectName = (config.projectName && String(config.projectName).trim()) || '本地文件服务器';
+  const next = options.next || '/';
+  const error = options.error || '';
+  const username = options.username || '';
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>登录 - ${escapeHtml(projectName)}</title>
+  <style>
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+
+    :root {
+      --bg: #0d1117;
+      --card: rgba(22, 27, 34, 0.85);
+      --border: rgba(48, 54, 61, 0.8);
+      --text: #e6edf3;
+      --text-muted: #8b949e;
+      --primary: #58a6ff;
+      --primary-hover: #79c0ff;
+      --danger: #f85149;
+      --shadow: 0 16px 70px rgba(0, 0, 0, 0.55);
+    }
+
+    body {
+      font-family: 'Segoe UI', system-ui, -apple-system, BlinkMacSystemFont, 'Helvetica Neue', sans-serif;
+      background: radial-gradient(900px 540px at 20% 0%, rgba(88, 166, 255, 0.08), transparent), var(--bg);
+      color: var(--text);
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 24px;
+    }
+
+    .card {
+      width: 100%;
+      max-width: 360px;
+      background: var(--card);
+      border: 1px solid var(--border);
+      border-radius: 14px;
+      box-shadow: var(--shadow);
+      padding: 32px 28px;
+      backdrop-filter: blur(16px);
+    }
+
+    h1 { font-size: 1.3em; margin-bottom: 6px; }
+    .subtitle { color: var(--text-muted); font-size: 0.9em; margin-bottom: 24px; }
+
+    label { display: block; font-size: 0.85em; color: var(--text-muted); margin-bottom: 6px; }
+
+    input {
+      width: 100%;
+      padding: 10px 12px;
+      margin-bottom: 16px;
+      background: rgba(13, 17, 23, 0.8);
+      border: 1px solid var(--border);
+      border-radius: 8px;
+      color: var(--text);
+      font-size: 14px;
+    }
+
+    input:focus { outline: none; border-color: var(--primary); }
+
+    button {
+      width: 100%;
+      padding: 10px 12px;
+      background: var(--primary);
+      border: none;
+      border-radius: 8px;
+      color: #0d1117;
+      font-weight: 600;
+      font-size: 14px;
+      cursor: pointer;
+      transition: background 0.2s;
+    }
+
+    button:hover { background: var(--primary-hover); }
+
+    .error {
+      background: rgba(248, 81, 73, 0.12);
+      border: 1px solid rgba(248, 81, 73, 0.4);
+      color: var(--danger);
+      border-radius: 8px;
+      padding: 8px 12px;
+      font-size: 0.9em;
+      margin-bottom: 16px;
+    }
+  </style>
+</head>
+<body>
+  <form class="card" method="POST" action="/login">
+    <h1>🔒 ${escapeHtml(projectName)}</h1>
+    <p class="subtitle">请登录后继续访问</p>
+    ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+    <input type="hidden" name="next" value="${escapeHtml(next)}">
+    <label for="username">用户名</label>
+    <input id="username" name="username" autocomplete="username" value="${escapeHtml(username)}" required autofocus>
+    <label for="password">密码</label>
+    <input id="password" name="password" type="password" autocomplete="current-password" required>
+    <button type="submit">登录</button>
+  </form>
+</body>
+</html>`;
+}
+
+module.exports = {
+  generateLoginPage
+};
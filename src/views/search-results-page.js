@@ -278,7 +278,7 @@ function generateSearchResultsPage(results, query, config) {
             <div class="result-header">
               <span class="result-icon">📄</span>
               <div class="result-title">
-                <a href="${escapeHtml(result.path)}">${escapeHtml(result.name)}</a>
+                <a href="${escapeHtml(result.path)}">${escapeHtml(result.title || result.name)}</a>
               </div>
             </div>
             <div class="result-meta">
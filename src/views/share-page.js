@@ -0,0 +1,124 @@
+/**
+ * 分享密码页视图生成器
+ *
+ * 访问设置了密码的分享链接时显示
+ */
+
+const { escapeHtml } = require('../utils/html-escape');
+
+/**
+ * 生成分享密码页 HTML
+ *
+ * @param {Object} config - 服务器配置
+ * @param {Object} options - { action: 表单提交地址, name: 分享的文件或目录名, error: 错误提示 }
+ * @returns {string} 分享密码页 HTML
+ */
+function generateSharePage(config, options = {}) {
+  const projectName = (config.projectName && String(config.projectName).trim()) || '本地文件服务器';
+  const name = options.name || '';
+  const error = options.error || '';
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>访问分享 - ${escapeHtml(projectName)}</title>
+  <style>
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+
+    :root {
+      --bg: #0d1117;
+      --card: rgba(22, 27, 34, 0.85);
+      --border: rgba(48, 54, 61, 0.8);
+      --text: #e6edf3;
+      --text-muted: #8b949e;
+      --primary: #58a6ff;
+      --primary-hover: #79c0ff;
+      --danger: #f85149;
+      --shadow: 0 16px 70px rgba(0, 0, 0, 0.55);
+    }
+
+    body {
+      font-family: 'Segoe UI', system-ui, -apple-system, BlinkMacSystemFont, 'Helvetica Neue', sans-serif;
+      background: radial-gradient(900px 540px at 20% 0%, rgba(88, 166, 255, 0.08), transparent), var(--bg);
+      color: var(--text);
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 24px;
+    }
+
+    .card {
+      width: 100%;
+      max-width: 360px;
+      background: var(--card);
+      border: 1px solid var(--border);
+      border-radius: 14px;
+      box-shadow: var(--shadow);
+      padding: 32px 28px;
+      backdrop-filter: blur(16px);
+    }
+
+    h1 { font-size: 1.3em; margin-bottom: 6px; }
+    .subtitle { color: var(--text-muted); font-size: 0.9em; margin-bottom: 24px; }
+
+    label { display: block; font-size: 0.85em; color: var(--text-muted); margin-bottom: 6px; }
+
+    input {
+      width: 100%;
+      padding: 10px 12px;
+      margin-bottom: 16px;
+      background: rgba(13, 17, 23, 0.8);
+      border: 1px solid var(--border);
+      border-radius: 8px;
+      color: var(--text);
+      font-size: 14px;
+    }
+
+    input:focus { outline: none; border-color: var(--primary); }
+
+    button {
+      width: 100%;
+      padding: 10px 12px;
+      background: var(--primary);
+      border: none;
+      border-radius: 8px;
+      color: #0d1117;
+      font-weight: 600;
+      font-size: 14px;
+      cursor: pointer;
+      transition: background 0.2s;
+    }
+
+    button:hover { background: var(--primary-hover); }
+
+    .error {
+      background: rgba(248, 81, 73, 0.12);
+      border: 1px solid rgba(248, 81, 73, 0.4);
+      color: var(--danger);
+      border-radius: 8px;
+      padding: 8px 12px;
+      font-size: 0.9em;
+      margin-bottom: 16px;
+    }
+  </style>
+</head>
+<body>
+  <form class="card" method="POST" action="${escapeHtml(options.action || '')}">
+    <h1>🔗 ${escapeHtml(name || projectName)}</h1>
+    <p class="subtitle">该分享需要密码才能访问</p>
+    ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+    <label for="password">访问密码</label>
+    <input id="password" name="password" type="password" autocomplete="off" required autofocus>
+    <button type="submit">访问</button>
+  </form>
+</body>
+</html>`;
+}
+
+module.exports = {
+  generateSharePage
+};
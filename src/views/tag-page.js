@@ -0,0 +1,248 @@
+/**
+ * 标签页面视图生成器
+ *
+ * 生成标签总览（/tags/）与单个标签下的笔记列表（/tags/<tag>）
+ */
+
+const { escapeHtml } = require('../utils/html-escape');
+
+/**
+ * 页面外壳（与搜索结果页相同的配色）
+ * @private
+ */
+function renderShell(title, heading, body, config, mount) {
+  const projectName = (config.projectName && String(config.projectName).trim()) || '本地文件服务器';
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} - ${escapeHtml(projectName)}</title>
+  <style>
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+
+    :root {
+      --bg: #0d1117;
+      --card: rgba(22, 27, 34, 0.85);
+      --border: rgba(48, 54, 61, 0.5);
+      --text: #e6edf3;
+      --text-muted: #8b949e;
+      --primary: #58a6ff;
+      --primary-hover: #79c0ff;
+      --shadow: 0 16px 70px rgba(0, 0, 0, 0.55);
+    }
+
+    body {
+      font-family: 'Segoe UI', system-ui, -apple-system, BlinkMacSystemFont, 'Helvetica Neue', sans-serif;
+      background: var(--bg);
+      color: var(--text);
+      line-height: 1.6;
+    }
+
+    .header {
+      background: var(--card);
+      border-bottom: 1px solid var(--border);
+      padding: 24px 32px;
+    }
+
+    .header-content {
+      max-width: 1200px;
+      margin: 0 auto;
+      display: flex;
+      align-items: center;
+      gap: 16px;
+    }
+
+    .back-btn {
+      padding: 8px 16px;
+      border: 1px solid var(--border);
+      border-radius: 8px;
+      color: var(--text);
+      text-decoration: none;
+      font-size: 14px;
+    }
+
+    .back-btn:hover {
+      border-color: var(--primary);
+    }
+
+    .title {
+      font-size: 28px;
+      font-weight: 600;
+    }
+
+    .title .tag-name {
+      color: var(--primary);
+    }
+
+    .container {
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 32px;
+    }
+
+    .summary {
+      margin-bottom: 24px;
+      color: var(--text-muted);
+      font-size: 14px;
+    }
+
+    .tag-cloud {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 10px;
+    }
+
+    .tag-chip {
+      display: inline-flex;
+      align-items: center;
+      gap: 6px;
+      padding: 6px 14px;
+      border: 1px solid var(--border);
+      border-radius: 999px;
+      background: rgba(88, 166, 255, 0.12);
+      color: var(--primary);
+      text-decoration: none;
+      font-size: 14px;
+    }
+
+    .tag-chip:hover {
+      border-color: var(--primary);
+      color: var(--primary-hover);
+    }
+
+    .tag-count {
+      color: var(--text-muted);
+      font-size: 12px;
+    }
+
+    .note-list {
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+    }
+
+    .note-item {
+      background: var(--card);
+      border: 1px solid var(--border);
+      border-radius: 12px;
+      padding: 16px 20px;
+    }
+
+    .note-item:hover {
+      border-color: var(--primary);
+      box-shadow: var(--shadow);
+    }
+
+    .note-title a {
+      color: var(--primary);
+      font-size: 18px;
+      font-weight: 600;
+      text-decoration: none;
+    }
+
+    .note-meta {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px 16px;
+      margin-top: 6px;
+      font-size: 13px;
+      color: var(--text-muted);
+    }
+
+    .note-meta .tag-chip {
+      padding: 0 8px;
+      font-size: 12px;
+    }
+
+    .empty-state {
+      text-align: center;
+      padding: 80px 32px;
+      color: var(--text-muted);
+    }
+
+    @media (max-width: 768px) {
+      .header-content {
+        flex-direction: column;
+        align-items: flex-start;
+      }
+
+      .container {
+        padding: 16px;
+      }
+    }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <div class="header-content">
+      <a href="${escapeHtml(mount)}/" class="back-btn">← 全部标签</a>
+      <h1 class="title">${heading}</h1>
+    </div>
+  </div>
+  <div class="container">
+    ${body}
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * 标签页地址
+ * @private
+ */
+function tagUrl(mount, tag) {
+  return `${mount}/${encodeURIComponent(tag)}`;
+}
+
+/**
+ * 生成标签总览页面 HTML
+ *
+ * @param {Object[]} tags - [{ tag, count }]
+ * @param {Object} config - 服务器配置
+ * @param {string} mount - 标签页挂载点（如 /tags）
+ * @returns {string}
+ */
+function generateTagIndexPage(tags, config, mount) {
+  const body = tags.length
+    ? `<p class="summary">共 <strong>${tags.length}</strong> 个标签</p>
+    <div class="tag-cloud">
+      ${tags.map(item => `<a class="tag-chip" href="${escapeHtml(tagUrl(mount, item.tag))}">#${escapeHtml(item.tag)}<span class="tag-count">${item.count}</span></a>`).join('')}
+    </div>`
+    : '<div class="empty-state"><p>还没有带标签的笔记。在 Markdown 的 front matter 中添加 tags 即可出现在这里。</p></div>';
+  return renderShell('标签', '标签', body, config, mount);
+}
+
+/**
+ * 生成单个标签的笔记列表页面 HTML
+ *
+ * @param {string} tag - 标签
+ * @param {Object[]} notes - NoteIndex.notesWithTag 的结果
+ * @param {Object} config - 服务器配置
+ * @param {string} mount - 标签页挂载点
+ * @returns {string}
+ */
+function generateTagPage(tag, notes, config, mount) {
+  const body = notes.length
+    ? `<p class="summary">共 <strong>${notes.length}</strong> 篇笔记</p>
+    <div class="note-list">
+      ${notes.map(note => `
+        <div class="note-item">
+          <div class="note-title"><a href="${escapeHtml(note.url)}">${escapeHtml(note.title)}</a></div>
+          <div class="note-meta">
+            <span>📁 ${escapeHtml(note.path)}</span>
+            ${note.date ? `<span>📅 ${escapeHtml(note.date)}</span>` : ''}
+            ${note.updated ? `<span>✏️ ${escapeHtml(note.updated)}</span>` : ''}
+            ${note.tags.map(t => `<a class="tag-chip" href="${escapeHtml(tagUrl(mount, t))}">#${escapeHtml(t)}</a>`).join('')}
+          </div>
+        </div>
+      `).join('')}
+    </div>`
+    : `<div class="empty-state"><p>没有带有标签 #${escapeHtml(tag)} 的笔记</p></div>`;
+  return renderShell(`#${tag}`, `标签 <span class="tag-name">#${escapeHtml(tag)}</span>`, body, config, mount);
+}
+
+module.exports = {
+  generateTagIndexPage,
+  generateTagPage
+};